@@ -0,0 +1,1037 @@
+/**
+ * LeadsEngine Admin Page
+ * Handles user management (list, sort, create, edit, archive, restore)
+ *
+ * FEATURES:
+ * - User list table with client-side sorting
+ * - Create user modal with real-time validation (FormValidator)
+ * - Edit user modal (password optional - blank keeps current)
+ * - Archive (soft delete) and restore users via batch endpoints
+ * - Toggle between active and archived users
+ * - Role assignment (single role per user, radio selection in user modals)
+ *
+ * ============================================================================
+ * VERIFIED ENDPOINTS USED IN THIS FILE:
+ * ----------------------------------------------------------------------------
+ * GET    /api/v1/user/with-relationships     - List users (Params: deleted)
+ * GET    /api/v1/user/{id}                   - Get single user
+ * POST   /api/v1/user/                       - Create new user
+ * PUT    /api/v1/user/{id}                   - Update user
+ * PATCH  /api/v1/user/soft-delete            - Archive users (body: [id, ...])
+ * PATCH  /api/v1/user/restore                - Restore users (body: [id, ...])
+ * GET    /api/v1/user/{user_id}/roles        - Get roles assigned to a user
+ * PUT    /api/v1/user/{user_id}/roles        - Replace user roles (body: [role_id, ...])
+ * GET    /api/v1/role/                       - List role catalog
+ * ============================================================================
+ */
+
+const AdminPage = {
+    allUsers: [],
+
+    // Role catalog (loaded once, used for radios and Roles column)
+    allRoles: [],
+    roleMap: {},
+
+    // Sorting state
+    sortColumn: null,
+    sortDirection: 'asc', // 'asc' or 'desc'
+
+    // Archived users state
+    showingArchived: false,
+
+    // Modal state
+    userToEdit: null,
+    userToDelete: null,
+    userToRestore: null,
+    deleteModal: null,
+    restoreModal: null,
+
+    // Form validator instance (centralized validation module)
+    formValidator: null,
+
+    /**
+     * Validation rules for the Add User form
+     * Keys match the input name attributes in admin.html
+     */
+    addUserRules: {
+        full_name: { required: true, minLength: 2, label: 'Full Name' },
+        email: { required: true, email: true, label: 'Email' },
+        password: { required: true, minLength: 8, label: 'Password' }
+    },
+
+    /**
+     * Validation rules for the Edit User form
+     * Password is optional on edit - blank keeps the current password
+     */
+    editUserRules: {
+        full_name: { required: true, minLength: 2, label: 'Full Name' },
+        email: { required: true, email: true, label: 'Email' },
+        password: { minLength: 8, optional: true, label: 'Password' }
+    },
+
+    /**
+     * Load users and render the table
+     * Archived users are requested with deleted=true (same convention as leads)
+     */
+    async loadUsers() {
+        try {
+            this.showLoadingState();
+
+            const params = {};
+            if (this.showingArchived) {
+                params.deleted = true;
+            }
+
+            const response = await API.get(Config.ENDPOINTS.USER.WITH_RELATIONSHIPS, params);
+            this.allUsers = response.records || [];
+
+            console.log('Loaded users:', this.allUsers.length);
+
+            // Keep the current sort order across reloads
+            if (this.sortColumn) {
+                this.sortUsers();
+            }
+
+            this.populateTable(this.allUsers);
+            this.updateResultsCount(this.allUsers.length);
+            this.hideLoadingState();
+
+        } catch (error) {
+            console.error('Failed to load users:', error);
+            this.hideLoadingState();
+            this.showError('Failed to load users. Please refresh the page.');
+        }
+    },
+
+    /**
+     * Load the role catalog and render role radios in both user modals
+     *
+     * ENDPOINT: GET /api/v1/role/
+     */
+    async loadRoles() {
+        try {
+            const response = await API.get(Config.ENDPOINTS.ROLE.LIST);
+
+            // Only offer active, non-archived roles
+            this.allRoles = (response.records || [])
+                .filter(role => !role.deleted_at && role.is_active !== false)
+                .sort((a, b) => (a.id || 0) - (b.id || 0));
+
+            this.roleMap = {};
+            this.allRoles.forEach(role => {
+                this.roleMap[role.id] = role;
+            });
+
+            console.log('Loaded roles:', this.allRoles.length);
+
+            this.renderRoleRadios('add-roles-radios', 'add-role');
+            this.renderRoleRadios('edit-roles-radios', 'edit-role');
+
+        } catch (error) {
+            console.error('Failed to load roles:', error);
+
+            ['add-roles-radios', 'edit-roles-radios'].forEach(containerId => {
+                const container = document.getElementById(containerId);
+                if (container) {
+                    container.innerHTML = '<span class="text-danger">Failed to load roles</span>';
+                }
+            });
+        }
+    },
+
+    /**
+     * Render one radio button per role into a container
+     * @param {string} containerId - Container element ID
+     * @param {string} prefix - Radio name/ID prefix ('add-role' or 'edit-role')
+     */
+    renderRoleRadios(containerId, prefix) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        if (this.allRoles.length === 0) {
+            container.innerHTML = '<span class="text-muted">No roles defined</span>';
+            return;
+        }
+
+        container.innerHTML = this.allRoles.map(role => `
+            <div class="form-check">
+                <input class="form-check-input" type="radio" name="${prefix}" id="${prefix}-${role.id}" value="${role.id}">
+                <label class="form-check-label" for="${prefix}-${role.id}">
+                    <strong>${this.escapeHtml(role.name || `Role #${role.id}`)}</strong>
+                    ${role.description ? `<small class="text-muted ms-2">${this.escapeHtml(role.description)}</small>` : ''}
+                </label>
+            </div>
+        `).join('');
+
+        // Hide the role error as soon as a role is picked
+        const errorId = prefix === 'add-role' ? 'add-roles-error' : 'edit-roles-error';
+        container.querySelectorAll('input[type="radio"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                document.getElementById(errorId).style.display = 'none';
+            });
+        });
+    },
+
+    /**
+     * Get the selected role ID from a role radio group
+     * @param {string} prefix - Radio name prefix ('add-role' or 'edit-role')
+     * @returns {number|null} Selected role ID or null
+     */
+    getSelectedRoleId(prefix) {
+        const checked = document.querySelector(`input[name="${prefix}"]:checked`);
+        return checked ? parseInt(checked.value) : null;
+    },
+
+    /**
+     * Validate that a role is selected, showing the inline error if not
+     * @param {string} prefix - Radio name prefix ('add-role' or 'edit-role')
+     * @returns {boolean} True if a role is selected
+     */
+    validateRoleSelection(prefix) {
+        const errorId = prefix === 'add-role' ? 'add-roles-error' : 'edit-roles-error';
+        const hasRole = this.getSelectedRoleId(prefix) !== null;
+
+        document.getElementById(errorId).style.display = hasRole ? 'none' : 'block';
+        return hasRole;
+    },
+
+    /**
+     * Get role IDs from a user record
+     * with-relationships returns roles as objects; tolerate plain IDs too
+     * @param {Object} user - User object
+     * @returns {Array<number>} Role IDs
+     */
+    getUserRoleIds(user) {
+        const roles = user.roles || [];
+        return roles
+            .map(role => (typeof role === 'object' && role !== null) ? (role.id || role.role_id) : role)
+            .filter(id => id !== undefined && id !== null);
+    },
+
+    /**
+     * Build role badges for the Roles column
+     * @param {Object} user - User object
+     * @returns {String} Badge HTML
+     */
+    createRoleBadges(user) {
+        const roleIds = this.getUserRoleIds(user);
+
+        if (roleIds.length === 0) {
+            return '<span class="text-muted">—</span>';
+        }
+
+        return roleIds.map(roleId => {
+            const role = this.roleMap[roleId];
+            const fromUser = (user.roles || []).find(r => r && r.id === roleId);
+            const name = (role && role.name) || (fromUser && fromUser.name) || `Role #${roleId}`;
+            return `<span class="badge bg-primary me-1">${this.escapeHtml(name)}</span>`;
+        }).join('');
+    },
+
+    /**
+     * Replace a user's roles
+     *
+     * ENDPOINT: PUT /api/v1/user/{user_id}/roles
+     * @param {number} userId - User ID
+     * @param {Array<number>} roleIds - Role IDs to assign
+     */
+    async saveUserRoles(userId, roleIds) {
+        const endpoint = API.route('USER.ROLES', { user_id: userId });
+        console.log(`Saving roles for user ${userId}:`, roleIds);
+        const response = await API.put(endpoint, roleIds);
+
+        // Own roles changed - drop cached permissions so they are re-resolved
+        if (userId === Auth.getUserId()) {
+            Permissions.clearCache();
+        }
+
+        return response;
+    },
+
+    /**
+     * Populate table with user rows
+     * @param {Array} users - Array of user objects
+     */
+    populateTable(users) {
+        const tbody = document.querySelector('#usersTable tbody');
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+
+        if (users.length === 0) {
+            this.showEmptyState();
+            return;
+        }
+
+        users.forEach(user => {
+            tbody.appendChild(this.createUserRow(user));
+        });
+    },
+
+    /**
+     * Create a table row for a user
+     * @param {Object} user - User object
+     * @returns {HTMLElement} Table row element
+     */
+    createUserRow(user) {
+        const tr = document.createElement('tr');
+        tr.setAttribute('data-user-id', user.id || '');
+
+        const name = this.getUserName(user);
+        const isCurrentUser = user.id === Auth.getUserId();
+
+        tr.innerHTML = `
+            <td><span class="badge bg-secondary">#${user.id}</span></td>
+            <td>
+                <div class="fw-semibold">
+                    ${this.escapeHtml(name)}
+                    ${isCurrentUser ? '<span class="badge bg-info ms-1">You</span>' : ''}
+                </div>
+            </td>
+            <td>${this.escapeHtml(user.email || 'N/A')}</td>
+            <td class="user-roles-cell">${this.createRoleBadges(user)}</td>
+            <td>${this.createStatusBadge(user)}</td>
+            <td>${this.formatDate(user.created_at)}</td>
+            <td>
+                <div class="btn-group" role="group">
+                    ${this.showingArchived ? `
+                        <!-- Archived user actions: only restore button -->
+                        <button class="btn btn-sm btn-outline-success restore-user-btn"
+                                data-user-id="${user.id}"
+                                title="Restore User">
+                            <i class="fas fa-undo"></i>
+                        </button>
+                    ` : `
+                        <!-- Active user actions: edit, archive -->
+                        <button class="btn btn-sm btn-outline-secondary edit-user-btn"
+                                data-user-id="${user.id}"
+                                title="Edit User">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-warning archive-user-btn"
+                                data-user-id="${user.id}"
+                                title="${isCurrentUser ? 'You cannot archive yourself' : 'Archive User'}"
+                                ${isCurrentUser ? 'disabled' : ''}>
+                            <i class="fas fa-archive"></i>
+                        </button>
+                    `}
+                </div>
+            </td>
+        `;
+
+        // Apply muted styling for archived users (grayed out)
+        if (user.deleted_at) {
+            tr.style.opacity = '0.6';
+            tr.style.backgroundColor = '#f8f9fa';
+        }
+
+        return tr;
+    },
+
+    /**
+     * Get user display name
+     * @param {Object} user - User object
+     * @returns {String} User name
+     */
+    getUserName(user) {
+        if (!user) return 'Unknown User';
+        if (user.full_name) return user.full_name;
+        if (user.first_name && user.last_name) {
+            return `${user.first_name} ${user.last_name}`;
+        }
+        if (user.first_name) return user.first_name;
+        if (user.username) return user.username;
+        if (user.email) return user.email;
+        return `User #${user.id}`;
+    },
+
+    /**
+     * Create status badge HTML for a user
+     * @param {Object} user - User object
+     * @returns {String} Badge HTML
+     */
+    createStatusBadge(user) {
+        if (user.deleted_at) {
+            return '<span class="badge bg-warning text-dark">ARCHIVED</span>';
+        }
+        if (user.is_active === false) {
+            return '<span class="badge badge-secondary">Inactive</span>';
+        }
+        return '<span class="badge badge-new">Active</span>';
+    },
+
+    /**
+     * Format date to readable string
+     * @param {String} dateString - ISO date string
+     * @returns {String} Formatted date
+     */
+    formatDate(dateString) {
+        if (!dateString) return 'N/A';
+
+        try {
+            return new Date(dateString).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+            });
+        } catch (error) {
+            return dateString;
+        }
+    },
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {String} text - Text to escape
+     * @returns {String} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    },
+
+    /**
+     * Update results summary above the table
+     * @param {number} count - Number of users shown
+     */
+    updateResultsCount(count) {
+        const resultsCount = document.getElementById('resultsCount');
+        if (!resultsCount) return;
+
+        const label = this.showingArchived ? 'archived user' : 'user';
+        resultsCount.textContent = `Showing ${count} ${label}${count === 1 ? '' : 's'}`;
+    },
+
+    /**
+     * Show loading state
+     */
+    showLoadingState() {
+        document.getElementById('loadingState').style.display = 'block';
+        document.getElementById('errorState').style.display = 'none';
+        document.getElementById('usersTable').style.display = 'none';
+    },
+
+    /**
+     * Hide loading state
+     */
+    hideLoadingState() {
+        document.getElementById('loadingState').style.display = 'none';
+        document.getElementById('usersTable').style.display = '';
+    },
+
+    /**
+     * Show empty state when no users
+     */
+    showEmptyState() {
+        const tbody = document.querySelector('#usersTable tbody');
+        if (tbody) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="text-center py-5">
+                        <i class="fas fa-inbox fa-3x text-muted mb-3"></i>
+                        <div class="text-muted">${this.showingArchived ? 'No archived users found' : 'No users found'}</div>
+                    </td>
+                </tr>
+            `;
+        }
+    },
+
+    /**
+     * Show error message above the table
+     * @param {String} message - Error message
+     */
+    showError(message) {
+        document.getElementById('errorMessage').textContent = message;
+        document.getElementById('errorState').style.display = 'block';
+
+        const resultsCount = document.getElementById('resultsCount');
+        if (resultsCount) {
+            resultsCount.textContent = '';
+        }
+    },
+
+    /**
+     * Setup event listeners for user actions and table sorting
+     */
+    setupEventListeners() {
+        // Delegate click events for dynamically created buttons
+        document.addEventListener('click', (e) => {
+            const editButton = e.target.closest('.edit-user-btn');
+            if (editButton) {
+                this.showEditUserModal(parseInt(editButton.getAttribute('data-user-id')));
+            }
+
+            const archiveButton = e.target.closest('.archive-user-btn');
+            if (archiveButton) {
+                this.showArchiveConfirmation(parseInt(archiveButton.getAttribute('data-user-id')));
+            }
+
+            const restoreButton = e.target.closest('.restore-user-btn');
+            if (restoreButton) {
+                this.showRestoreConfirmation(parseInt(restoreButton.getAttribute('data-user-id')));
+            }
+        });
+
+        // Table header sorting (Roles and Actions columns are not sortable)
+        const columnMap = {
+            0: 'id',
+            1: 'full_name',
+            2: 'email',
+            4: 'status',
+            5: 'created_at'
+        };
+
+        document.querySelectorAll('#usersTable thead th').forEach((th, index) => {
+            const column = columnMap[index];
+            if (!column) return;
+
+            th.addEventListener('click', () => {
+                this.sortTable(column);
+            });
+        });
+
+        // Reset Add User form each time the modal opens
+        const addUserModal = document.getElementById('addUserModal');
+        if (addUserModal) {
+            addUserModal.addEventListener('show.bs.modal', () => {
+                document.getElementById('addUserForm').reset();
+                this.formValidator.clearValidation('addUserForm');
+                document.getElementById('add-roles-error').style.display = 'none';
+                this.hideFormError('add-user-error-summary');
+            });
+        }
+    },
+
+    /**
+     * Sort table by column
+     * @param {string} column - Column name to sort by
+     */
+    sortTable(column) {
+        // Toggle direction if same column, otherwise default to asc
+        if (this.sortColumn === column) {
+            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortColumn = column;
+            this.sortDirection = 'asc';
+        }
+
+        console.log(`Sorting users by ${column} ${this.sortDirection}`);
+
+        this.sortUsers();
+        this.populateTable(this.allUsers);
+        this.updateSortIndicators();
+    },
+
+    /**
+     * Sort allUsers in place using the current sort column and direction
+     */
+    sortUsers() {
+        const column = this.sortColumn;
+
+        this.allUsers.sort((a, b) => {
+            let aVal, bVal;
+
+            switch (column) {
+                case 'id':
+                    aVal = a.id || 0;
+                    bVal = b.id || 0;
+                    break;
+                case 'full_name':
+                    aVal = this.getUserName(a).toLowerCase();
+                    bVal = this.getUserName(b).toLowerCase();
+                    break;
+                case 'email':
+                    aVal = (a.email || '').toLowerCase();
+                    bVal = (b.email || '').toLowerCase();
+                    break;
+                case 'status':
+                    aVal = a.is_active === false ? 1 : 0;
+                    bVal = b.is_active === false ? 1 : 0;
+                    break;
+                case 'created_at':
+                    aVal = new Date(a.created_at || 0).getTime();
+                    bVal = new Date(b.created_at || 0).getTime();
+                    break;
+                default:
+                    return 0;
+            }
+
+            if (aVal < bVal) return this.sortDirection === 'asc' ? -1 : 1;
+            if (aVal > bVal) return this.sortDirection === 'asc' ? 1 : -1;
+            return 0;
+        });
+    },
+
+    /**
+     * Update sort indicators in table headers
+     */
+    updateSortIndicators() {
+        const headers = document.querySelectorAll('#usersTable thead th');
+
+        headers.forEach(th => {
+            const icon = th.querySelector('i.fa-sort, i.fa-sort-up, i.fa-sort-down');
+            if (icon) {
+                icon.className = 'fas fa-sort ms-1';
+            }
+        });
+
+        const columnIndex = {
+            'id': 0,
+            'full_name': 1,
+            'email': 2,
+            'status': 4,
+            'created_at': 5
+        }[this.sortColumn];
+
+        if (columnIndex !== undefined) {
+            const icon = headers[columnIndex].querySelector('i.fa-sort');
+            if (icon) {
+                icon.className = `fas fa-sort-${this.sortDirection === 'asc' ? 'up' : 'down'} ms-1`;
+            }
+        }
+    },
+
+    /**
+     * Setup real-time validation for Add and Edit User forms using FormValidator
+     */
+    setupUserFormValidation() {
+        this.formValidator.setupValidation('addUserForm', this.addUserRules, {
+            errorSummaryId: 'add-user-error-summary'
+        });
+
+        this.formValidator.setupValidation('editUserForm', this.editUserRules, {
+            errorSummaryId: 'edit-user-error-summary'
+        });
+    },
+
+    /**
+     * Show a message in a form's error summary box
+     * @param {string} summaryId - Error summary element ID
+     * @param {string} message - Error message
+     */
+    showFormError(summaryId, message) {
+        const summaryDiv = document.getElementById(summaryId);
+        if (!summaryDiv) return;
+
+        summaryDiv.innerHTML = `
+            <i class="fas fa-exclamation-triangle me-2"></i>
+            ${this.escapeHtml(message)}
+        `;
+        summaryDiv.style.display = 'block';
+    },
+
+    /**
+     * Hide a form's error summary box
+     * @param {string} summaryId - Error summary element ID
+     */
+    hideFormError(summaryId) {
+        const summaryDiv = document.getElementById(summaryId);
+        if (summaryDiv) {
+            summaryDiv.innerHTML = '';
+            summaryDiv.style.display = 'none';
+        }
+    },
+
+    /**
+     * Create a new user from the Add User modal
+     *
+     * ENDPOINT: POST /api/v1/user/
+     * PAYLOAD: {full_name, email, password}
+     */
+    async createUser() {
+        const isValid = this.formValidator.validateForm('addUserForm', this.addUserRules, {
+            errorSummaryId: 'add-user-error-summary'
+        });
+        const hasRole = this.validateRoleSelection('add-role');
+
+        if (!isValid || !hasRole) {
+            console.log('Add user form validation failed');
+            return;
+        }
+
+        const confirmBtn = document.getElementById('add-user-confirm-btn');
+
+        try {
+            confirmBtn.disabled = true;
+            confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Creating...';
+
+            const payload = {
+                full_name: $('#add-full-name').val().trim(),
+                email: $('#add-email').val().trim(),
+                password: $('#add-password').val()
+            };
+
+            console.log('=== CREATE USER ===', { ...payload, password: '***' });
+
+            const response = await API.post(Config.ENDPOINTS.USER.CREATE, payload);
+            console.log('User created successfully:', response);
+
+            // The user exists from here on - a role failure must not leave the
+            // modal open, or Create would be retried and duplicate the user
+            bootstrap.Modal.getInstance(document.getElementById('addUserModal')).hide();
+
+            // Assign the selected role to the new user
+            const newUser = response.records && response.records[0];
+            let roleError = null;
+            if (newUser && newUser.id) {
+                try {
+                    await this.saveUserRoles(newUser.id, [this.getSelectedRoleId('add-role')]);
+                } catch (error) {
+                    console.error('Failed to assign role to new user:', error);
+                    roleError = error;
+                }
+            }
+
+            if (roleError) {
+                this.showWarningToast(`User "${payload.full_name}" was created, but the role was not assigned. Edit the user to set it.`);
+            } else {
+                this.showSuccessToast(`User "${payload.full_name}" created successfully`);
+            }
+
+            await this.loadUsers();
+
+        } catch (error) {
+            console.error('Failed to create user:', error);
+            this.showFormError('add-user-error-summary', error.message || 'Failed to create user. Please try again.');
+
+        } finally {
+            confirmBtn.disabled = false;
+            confirmBtn.innerHTML = '<i class="fas fa-save me-1"></i>Create User';
+        }
+    },
+
+    /**
+     * Open the Edit User modal pre-filled with the user's data
+     * Current roles are fetched fresh so the radio reflects the latest assignment
+     *
+     * ENDPOINT: GET /api/v1/user/{user_id}/roles
+     * @param {number} userId - ID of user to edit
+     */
+    async showEditUserModal(userId) {
+        const user = this.allUsers.find(u => u.id === userId);
+        if (!user) {
+            console.error('User not found:', userId);
+            return;
+        }
+
+        this.userToEdit = user;
+
+        document.getElementById('editUserForm').reset();
+        this.formValidator.clearValidation('editUserForm');
+        this.hideFormError('edit-user-error-summary');
+
+        $('#edit-user-id').val(user.id);
+        $('#edit-full-name').val(user.full_name || '');
+        $('#edit-email').val(user.email || '');
+        document.getElementById('edit-roles-error').style.display = 'none';
+
+        const modal = bootstrap.Modal.getOrCreateInstance(document.getElementById('editUserModal'));
+        modal.show();
+
+        // Pre-select current role
+        let roleIds = this.getUserRoleIds(user);
+        try {
+            const response = await API.get(API.route('USER.ROLES', { user_id: userId }));
+            roleIds = this.getUserRoleIds({ roles: response.records || [] });
+        } catch (error) {
+            console.warn('Failed to load user roles, using table data:', error);
+        }
+
+        this.userToEdit.roleIds = roleIds;
+
+        const radio = roleIds.length > 0 ? document.getElementById(`edit-role-${roleIds[0]}`) : null;
+        if (radio) {
+            radio.checked = true;
+        }
+    },
+
+    /**
+     * Save changes from the Edit User modal
+     *
+     * ENDPOINT: PUT /api/v1/user/{id}
+     * The PUT endpoint requires the full record, so the current user is
+     * fetched first and only the edited fields are overridden.
+     */
+    async updateUser() {
+        if (!this.userToEdit) {
+            console.error('No user selected for editing');
+            return;
+        }
+
+        const isValid = this.formValidator.validateForm('editUserForm', this.editUserRules, {
+            errorSummaryId: 'edit-user-error-summary'
+        });
+        const hasRole = this.validateRoleSelection('edit-role');
+
+        if (!isValid || !hasRole) {
+            console.log('Edit user form validation failed');
+            return;
+        }
+
+        const userId = this.userToEdit.id;
+        const confirmBtn = document.getElementById('edit-user-confirm-btn');
+
+        try {
+            confirmBtn.disabled = true;
+            confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Saving...';
+
+            const userResponse = await API.get(API.route('USER.READ', { id: userId }));
+            const currentUser = userResponse.records && userResponse.records[0] ? userResponse.records[0] : userResponse;
+
+            const payload = {
+                ...currentUser,
+                full_name: $('#edit-full-name').val().trim(),
+                email: $('#edit-email').val().trim()
+            };
+
+            // Blank password keeps the current one
+            const password = $('#edit-password').val();
+            if (password) {
+                payload.password = password;
+            }
+
+            // Remove computed fields that shouldn't be in PUT
+            delete payload.roles;
+            delete payload.created_at;
+            delete payload.updated_at;
+            delete payload.deleted_at;
+
+            console.log(`=== UPDATE USER ${userId} ===`, { ...payload, password: payload.password ? '***' : undefined });
+
+            const response = await API.put(API.route('USER.UPDATE', { id: userId }), payload);
+            console.log('User updated successfully:', response);
+
+            // Only touch roles when the selection changed
+            const selectedRoleId = this.getSelectedRoleId('edit-role');
+            const currentRoleIds = this.userToEdit.roleIds || [];
+            if (currentRoleIds.length !== 1 || currentRoleIds[0] !== selectedRoleId) {
+                await this.saveUserRoles(userId, [selectedRoleId]);
+            }
+
+            bootstrap.Modal.getInstance(document.getElementById('editUserModal')).hide();
+            this.showSuccessToast(`User "${payload.full_name}" updated successfully`);
+
+            this.userToEdit = null;
+            await this.loadUsers();
+
+        } catch (error) {
+            console.error('Failed to update user:', error);
+            this.showFormError('edit-user-error-summary', error.message || 'Failed to update user. Please try again.');
+
+        } finally {
+            confirmBtn.disabled = false;
+            confirmBtn.innerHTML = '<i class="fas fa-save me-1"></i>Update User';
+        }
+    },
+
+    /**
+     * Show archive confirmation modal for a user
+     * @param {number} userId - ID of user to archive
+     */
+    showArchiveConfirmation(userId) {
+        const user = this.allUsers.find(u => u.id === userId);
+        if (!user) {
+            console.error('User not found:', userId);
+            return;
+        }
+
+        this.userToDelete = { id: userId, name: this.getUserName(user) };
+
+        document.getElementById('delete-user-name').textContent = this.userToDelete.name;
+        document.getElementById('delete-user-error').style.display = 'none';
+
+        if (!this.deleteModal) {
+            this.deleteModal = new bootstrap.Modal(document.getElementById('deleteUserModal'));
+        }
+        this.deleteModal.show();
+    },
+
+    /**
+     * Archive user (soft delete)
+     *
+     * ENDPOINT: PATCH /api/v1/user/soft-delete with [userId]
+     * Backend expects a plain array of IDs (same as the lead batch endpoints)
+     */
+    async deleteUser() {
+        if (!this.userToDelete) {
+            console.error('No user selected for archiving');
+            return;
+        }
+
+        const confirmBtn = document.getElementById('delete-confirm-btn');
+        const cancelBtn = document.getElementById('delete-cancel-btn');
+        const errorDiv = document.getElementById('delete-user-error');
+
+        errorDiv.style.display = 'none';
+        confirmBtn.disabled = true;
+        confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Archiving...';
+        cancelBtn.disabled = true;
+
+        try {
+            const response = await API.patch(Config.ENDPOINTS.USER.BATCH_SOFT_DELETE, [this.userToDelete.id]);
+            console.log('User archived successfully:', response);
+
+            this.deleteModal.hide();
+            this.showSuccessToast(`User "${this.userToDelete.name}" archived successfully`);
+            this.userToDelete = null;
+
+            await this.loadUsers();
+
+        } catch (error) {
+            console.error('Failed to archive user:', error);
+            errorDiv.textContent = error.message || 'Failed to archive user. Please try again.';
+            errorDiv.style.display = 'block';
+
+        } finally {
+            confirmBtn.disabled = false;
+            confirmBtn.innerHTML = '<i class="fas fa-archive me-1"></i>Archive User';
+            cancelBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Show restore confirmation modal for an archived user
+     * @param {number} userId - ID of user to restore
+     */
+    showRestoreConfirmation(userId) {
+        const user = this.allUsers.find(u => u.id === userId);
+        if (!user) {
+            console.error('User not found:', userId);
+            return;
+        }
+
+        this.userToRestore = { id: userId, name: this.getUserName(user) };
+
+        document.getElementById('restore-user-name').textContent = this.userToRestore.name;
+        document.getElementById('restore-user-error').style.display = 'none';
+
+        if (!this.restoreModal) {
+            this.restoreModal = new bootstrap.Modal(document.getElementById('restoreUserModal'));
+        }
+        this.restoreModal.show();
+    },
+
+    /**
+     * Restore an archived user
+     *
+     * ENDPOINT: PATCH /api/v1/user/restore with [userId]
+     */
+    async restoreUser() {
+        if (!this.userToRestore) {
+            console.error('No user selected for restoration');
+            return;
+        }
+
+        const confirmBtn = document.getElementById('restore-confirm-btn');
+        const cancelBtn = document.getElementById('restore-cancel-btn');
+        const errorDiv = document.getElementById('restore-user-error');
+
+        errorDiv.style.display = 'none';
+        confirmBtn.disabled = true;
+        confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Restoring...';
+        cancelBtn.disabled = true;
+
+        try {
+            const response = await API.patch(Config.ENDPOINTS.USER.BATCH_RESTORE, [this.userToRestore.id]);
+            console.log('User restored successfully:', response);
+
+            this.restoreModal.hide();
+            this.showSuccessToast(`User "${this.userToRestore.name}" restored successfully`);
+            this.userToRestore = null;
+
+            await this.loadUsers();
+
+        } catch (error) {
+            console.error('Failed to restore user:', error);
+            errorDiv.textContent = error.message || 'Failed to restore user. Please try again.';
+            errorDiv.style.display = 'block';
+
+        } finally {
+            confirmBtn.disabled = false;
+            confirmBtn.innerHTML = '<i class="fas fa-undo me-1"></i>Restore User';
+            cancelBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Toggle between active and archived users
+     */
+    async toggleArchivedView() {
+        this.showingArchived = document.getElementById('show-archived-toggle').checked;
+        await this.loadUsers();
+    },
+
+    /**
+     * Show success toast notification
+     * Uses the #successToast element defined in admin.html
+     * @param {string} message - Success message to display
+     */
+    showSuccessToast(message) {
+        const toastElement = document.getElementById('successToast');
+        if (!toastElement) return;
+
+        toastElement.querySelector('.toast-body').innerHTML = `
+            <i class="fas fa-check-circle me-2"></i>${this.escapeHtml(message)}
+        `;
+
+        bootstrap.Toast.getOrCreateInstance(toastElement, {
+            autohide: true,
+            delay: 3000
+        }).show();
+    },
+
+    /**
+     * Show warning toast notification (stays until dismissed)
+     * Uses the #warningToast element defined in admin.html
+     * @param {string} message - Warning message to display
+     */
+    showWarningToast(message) {
+        const toastElement = document.getElementById('warningToast');
+        if (!toastElement) return;
+
+        toastElement.querySelector('.toast-body').innerHTML = `
+            <i class="fas fa-exclamation-triangle me-2"></i>${this.escapeHtml(message)}
+        `;
+
+        bootstrap.Toast.getOrCreateInstance(toastElement, {
+            autohide: false
+        }).show();
+    }
+};
+
+// Initialize admin page when DOM is ready
+document.addEventListener('DOMContentLoaded', async function() {
+    // Display logged-in user name
+    const userNameElement = document.getElementById('user-name');
+    if (userNameElement) {
+        const user = Auth.getUser();
+        let displayName = user && (user.full_name || user.username);
+
+        // If no stored user, decode JWT token
+        if (!displayName) {
+            const token = Auth.getToken();
+            const payload = token ? Auth.decodeJWT(token) : null;
+            if (payload) {
+                displayName = payload.name || payload.username || payload.sub || payload.email;
+            }
+        }
+
+        userNameElement.textContent = displayName || 'User';
+    }
+
+    // Admin pages are limited to admin roles - redirects otherwise
+    if (!(await Permissions.requirePermission('admin.access'))) {
+        return;
+    }
+
+    // Initialize centralized form validator
+    AdminPage.formValidator = new FormValidator();
+    AdminPage.setupUserFormValidation();
+
+    AdminPage.setupEventListeners();
+
+    // Roles first so the Roles column can resolve names
+    await AdminPage.loadRoles();
+    await AdminPage.loadUsers();
+});
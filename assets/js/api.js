@@ -3,14 +3,238 @@
  * Centralized fetch wrapper with automatic token injection and response normalization
  */
 
+/**
+ * Error thrown by API.request for failed requests
+ *
+ * Carries the HTTP status, the raw response body and, for FastAPI 422
+ * responses, the parsed detail[] entries so forms can show field errors.
+ *
+ * Usage:
+ *   try { await API.post(...); }
+ *   catch (error) {
+ *       if (error instanceof ApiError && error.isValidationError) {
+ *           formValidator.applyServerErrors('my-form', error, {...});
+ *       }
+ *   }
+ *
+ * status is 0 for requests that never got a response (timeout, network).
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     * @param {number} status - HTTP status (0 if no response)
+     * @param {*} body - Parsed response body (or null)
+     */
+    constructor(message, status, body = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.body = body;
+        this.detail = ApiError.parseValidationDetail(body);
+    }
+
+    /**
+     * Whether this is a FastAPI validation error with field details
+     * @returns {boolean}
+     */
+    get isValidationError() {
+        return this.status === 422 && this.detail.length > 0;
+    }
+
+    /**
+     * Map of field name -> first error message
+     * @returns {Object<string, string>}
+     */
+    getFieldErrors() {
+        const fieldErrors = {};
+        this.detail.forEach(entry => {
+            if (entry.field && !fieldErrors[entry.field]) {
+                fieldErrors[entry.field] = entry.msg;
+            }
+        });
+        return fieldErrors;
+    }
+
+    /**
+     * Parse FastAPI detail[] entries: [{loc: ['body', 'email'], msg, type}]
+     * Adds a `field` property with the last named segment of loc (or null)
+     * @param {*} body - Response body
+     * @returns {Array<{loc: Array, msg: string, type: string, field: string|null}>}
+     */
+    static parseValidationDetail(body) {
+        if (!body || !Array.isArray(body.detail)) {
+            return [];
+        }
+
+        return body.detail.map(entry => {
+            const loc = Array.isArray(entry.loc) ? entry.loc : [];
+            const named = loc.filter(part => typeof part === 'string' && !['body', 'query', 'path'].includes(part));
+            return {
+                loc: loc,
+                msg: entry.msg || 'Invalid value',
+                type: entry.type || '',
+                field: named.length > 0 ? named[named.length - 1] : null
+            };
+        });
+    }
+
+    /**
+     * Build an error message from a response body
+     * @param {*} body - Response body
+     * @param {number} status - HTTP status
+     * @param {string} statusText - HTTP status text
+     * @returns {string}
+     */
+    static buildMessage(body, status, statusText) {
+        if (body && typeof body.detail === 'string') {
+            return body.detail;
+        }
+
+        const detail = ApiError.parseValidationDetail(body);
+        if (detail.length > 0) {
+            return detail.map(entry => entry.field ? `${entry.field}: ${entry.msg}` : entry.msg).join('; ');
+        }
+
+        if (body && body.message) {
+            return body.message;
+        }
+
+        return `HTTP ${status}: ${statusText}`;
+    }
+}
+
 const API = {
     /**
-     * Core fetch wrapper with authentication and error handling
+     * In-flight requests keyed by cancelKey
+     * Starting a request with a key aborts the previous one with the same key
+     * @type {Object<string, AbortController>}
+     */
+    inFlight: {},
+
+    /**
+     * Build an endpoint path from a Config.ENDPOINTS key and path parameters
+     *
+     * Throws (instead of producing a broken URL) when:
+     *   - the key does not exist in Config.ENDPOINTS
+     *   - a {placeholder} in the path has no matching param
+     *   - a param is passed that the path does not use
+     *
+     * Usage:
+     *   API.route('LEAD.TIMELINE', { id: 42 })        // '/api/v1/lead/42/timeline'
+     *   API.route('USER.ROLES', { user_id: userId })  // '/api/v1/user/7/roles'
+     *   API.route('LEAD.LIST')                        // '/api/v1/lead/'
+     *
+     * @param {string} key - Endpoint key as 'GROUP.NAME' (e.g. 'LEAD.READ')
+     * @param {object} params - Path parameters keyed by placeholder name
+     * @returns {string} Endpoint path with parameters URL-encoded
+     */
+    route(key, params = {}) {
+        const [group, name, ...rest] = String(key).split('.');
+        const endpoints = Config.ENDPOINTS[group];
+
+        if (!endpoints || !name || rest.length > 0) {
+            throw new Error(`API.route: unknown endpoint group in "${key}" (expected GROUP.NAME, groups: ${Object.keys(Config.ENDPOINTS).join(', ')})`);
+        }
+
+        const template = endpoints[name];
+        if (typeof template !== 'string') {
+            throw new Error(`API.route: unknown endpoint "${key}" (${group} has: ${Object.keys(endpoints).join(', ')})`);
+        }
+
+        const used = new Set();
+        const path = template.replace(/\{([a-z_]+)\}/g, (match, param) => {
+            const value = params[param];
+            if (value === undefined || value === null || value === '') {
+                throw new Error(`API.route: missing path parameter "${param}" for ${key} (${template})`);
+            }
+            used.add(param);
+            return encodeURIComponent(value);
+        });
+
+        // Extra params usually mean a typo (e.g. {id} vs {lead_id}) - fail loudly
+        const unused = Object.keys(params).filter(param => !used.has(param));
+        if (unused.length > 0) {
+            throw new Error(`API.route: unexpected parameter(s) ${unused.join(', ')} for ${key} (${template})`);
+        }
+
+        return path;
+    },
+
+    /**
+     * Core fetch wrapper with authentication, timeout, retry and error handling
+     *
+     * Extra options (not passed to fetch):
+     *   - timeout:   Per-attempt timeout in ms (default Config.REQUEST_TIMEOUT)
+     *   - retries:   Retry count (default Config.REQUEST_RETRIES for GET, 0 otherwise)
+     *   - cancelKey: Aborts any in-flight request started with the same key
+     *   - signal:    Caller AbortSignal to cancel the request
+     *
+     * Cancelled requests reject with an AbortError - check with API.isAbortError().
+     * Failed requests reject with an ApiError (status, body, detail[]).
+     *
      * @param {string} endpoint - API endpoint path
-     * @param {object} options - Fetch options
+     * @param {object} options - Fetch options plus the extras above
      * @returns {Promise<object>} Normalized response
      */
     async request(endpoint, options = {}) {
+        const { timeout = Config.REQUEST_TIMEOUT, retries, cancelKey, signal, ...fetchOptions } = options;
+
+        // Only idempotent GETs are retried unless the caller opts in
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+        const maxRetries = retries !== undefined ? retries : (method === 'GET' ? Config.REQUEST_RETRIES : 0);
+
+        // Cancel the previous request with the same key (stale responses must not win)
+        if (cancelKey) {
+            this.cancel(cancelKey);
+        }
+
+        const controller = new AbortController();
+        if (cancelKey) {
+            this.inFlight[cancelKey] = controller;
+        }
+
+        // Link caller signal
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort();
+            } else {
+                signal.addEventListener('abort', () => controller.abort(), { once: true });
+            }
+        }
+
+        try {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await this.send(endpoint, fetchOptions, controller.signal, timeout, options);
+
+                } catch (error) {
+                    if (controller.signal.aborted || attempt >= maxRetries || !this.isRetryable(error)) {
+                        throw error;
+                    }
+
+                    // Exponential backoff: base, 2x base, 4x base...
+                    const delay = Config.RETRY_BASE_DELAY * Math.pow(2, attempt);
+                    console.warn(`Retrying ${method} ${endpoint} in ${delay}ms (attempt ${attempt + 2}/${maxRetries + 1}):`, error.message);
+                    await this.wait(delay, controller.signal);
+                }
+            }
+        } finally {
+            if (cancelKey && this.inFlight[cancelKey] === controller) {
+                delete this.inFlight[cancelKey];
+            }
+        }
+    },
+
+    /**
+     * Perform a single fetch attempt
+     * @param {string} endpoint - API endpoint path
+     * @param {object} fetchOptions - Fetch options
+     * @param {AbortSignal} cancelSignal - Signal that cancels the whole request
+     * @param {number} timeout - Timeout for this attempt in ms
+     * @param {object} originalOptions - Options as passed to request() (for re-issuing)
+     * @returns {Promise<object>} Normalized response
+     */
+    async send(endpoint, fetchOptions, cancelSignal, timeout, originalOptions) {
         const url = `${Config.BASE_URL}${endpoint}`;
 
         // Get token from storage
@@ -19,7 +243,7 @@ const API = {
         // Setup default headers
         const headers = {
             'Content-Type': 'application/json',
-            ...options.headers
+            ...fetchOptions.headers
         };
 
         // Inject token if available
@@ -27,20 +251,52 @@ const API = {
             headers[Config.AUTH_HEADER] = `${Config.AUTH_SCHEME} ${token}`;
         }
 
+        // Per-attempt controller: aborted by the timeout or by a cancel
+        const attemptController = new AbortController();
+        const onCancel = () => attemptController.abort();
+        cancelSignal.addEventListener('abort', onCancel, { once: true });
+
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            attemptController.abort();
+        }, timeout);
+
         // Merge options
         const config = {
-            ...options,
-            headers
+            ...fetchOptions,
+            headers,
+            signal: attemptController.signal
         };
 
         try {
-            const response = await fetch(url, config);
+            let response;
+            try {
+                response = await fetch(url, config);
+            } catch (error) {
+                throw this.wrapFetchError(error, timedOut, timeout);
+            }
 
             // Handle 204 No Content - success with no body
             if (response.status === 204) {
                 return { success: true, message: 'Operation completed successfully' };
             }
 
+            const isLoginRequest = endpoint.startsWith(Config.ENDPOINTS.AUTH.TOKEN);
+            const onLoginPage = window.location.pathname.includes('login.html');
+
+            // Wrong credentials on the token endpoint - don't touch the current session
+            if (response.status === 401 && isLoginRequest) {
+                const errorData = await response.json().catch(() => null);
+                throw new ApiError((errorData && errorData.detail) || 'Invalid email or password', 401, errorData);
+            }
+
+            // Session expired - keep the page, ask the user to sign in again and
+            // retry this request afterwards (see session.js)
+            if (response.status === 401 && !onLoginPage && typeof Session !== 'undefined') {
+                return Session.queueRequest(() => this.request(endpoint, originalOptions));
+            }
+
             // Handle authentication errors
             if (response.status === 401 || response.status === 403) {
                 // Clear token and redirect to login
@@ -49,17 +305,17 @@ const API = {
                 Bus.publish('auth:changed', { authenticated: false });
 
                 // Only redirect if not already on login page
-                if (!window.location.pathname.includes('login.html')) {
+                if (!onLoginPage) {
                     window.location.href = 'login.html';
                 }
 
-                throw new Error('Unauthorized');
+                throw new ApiError('Unauthorized', response.status);
             }
 
             // Handle other HTTP errors
             if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.detail || errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+                const errorData = await response.json().catch(() => null);
+                throw new ApiError(ApiError.buildMessage(errorData, response.status, response.statusText), response.status, errorData);
             }
 
             // Only try to parse JSON if there's content
@@ -69,17 +325,102 @@ const API = {
             }
 
             // Parse response
-            const data = await response.json();
+            let data;
+            try {
+                data = await response.json();
+            } catch (error) {
+                throw this.wrapFetchError(error, timedOut, timeout);
+            }
 
             // Normalize response format
             return this.normalizeResponse(data);
 
         } catch (error) {
-            console.error('API Request Error:', error);
+            if (this.isAbortError(error)) {
+                console.log(`API request cancelled: ${endpoint}`);
+            } else {
+                console.error('API Request Error:', error);
+            }
             throw error;
+
+        } finally {
+            clearTimeout(timer);
+            cancelSignal.removeEventListener('abort', onCancel);
+        }
+    },
+
+    /**
+     * Convert a fetch/body failure into a timeout or network error
+     * Cancellations are passed through unchanged as AbortError
+     * @param {Error} error - Original error
+     * @param {boolean} timedOut - Whether the attempt timer fired
+     * @param {number} timeout - Timeout in ms (for the message)
+     * @returns {Error} Error to throw
+     */
+    wrapFetchError(error, timedOut, timeout) {
+        if (timedOut) {
+            const timeoutError = new ApiError(`Request timed out after ${timeout / 1000}s`, 0);
+            timeoutError.isTimeout = true;
+            return timeoutError;
+        }
+
+        if (error && error.name === 'AbortError') {
+            return error;
+        }
+
+        // fetch rejects with TypeError when the network is unreachable
+        const networkError = new ApiError('Network error - please check your connection', 0);
+        networkError.isNetworkError = true;
+        networkError.cause = error;
+        return networkError;
+    },
+
+    /**
+     * Whether a failed attempt should be retried (network errors and 5xx)
+     * @param {Error} error - Error from send()
+     * @returns {boolean} True if retryable
+     */
+    isRetryable(error) {
+        return !!(error && (error.isNetworkError || error.status >= 500));
+    },
+
+    /**
+     * Whether an error is a caller/cancelKey cancellation (not a failure)
+     * @param {Error} error - Error to check
+     * @returns {boolean} True if the request was cancelled
+     */
+    isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    },
+
+    /**
+     * Cancel the in-flight request started with a cancelKey
+     * @param {string} cancelKey - Key passed to request()
+     */
+    cancel(cancelKey) {
+        const controller = this.inFlight[cancelKey];
+        if (controller) {
+            controller.abort();
+            delete this.inFlight[cancelKey];
         }
     },
 
+    /**
+     * Wait for a delay, rejecting early with AbortError if cancelled
+     * @param {number} ms - Delay in ms
+     * @param {AbortSignal} signal - Cancel signal
+     * @returns {Promise<void>}
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Request cancelled', 'AbortError'));
+            }, { once: true });
+        });
+    },
+
     /**
      * Normalize API responses to consistent format: {total_count, records}
      * @param {*} data - Raw API response
@@ -130,26 +471,66 @@ const API = {
      * GET request
      * @param {string} endpoint - API endpoint
      * @param {object} params - Query parameters
+     * @param {object} options - Request options (timeout, retries, cancelKey, signal)
      * @returns {Promise<object>}
      */
-    async get(endpoint, params = {}) {
+    async get(endpoint, params = {}, options = {}) {
         // Build query string
         const queryString = new URLSearchParams(params).toString();
         const url = queryString ? `${endpoint}?${queryString}` : endpoint;
 
         return this.request(url, {
+            ...options,
             method: 'GET'
         });
     },
 
+    /**
+     * GET every page of a list endpoint (skip/limit), up to a record cap
+     * For views that filter or aggregate client-side; normal pages should paginate.
+     * @param {string} endpoint - API endpoint
+     * @param {object} params - Query parameters (empty values are dropped)
+     * @param {object} options - {pageSize: 200, maxRecords} plus request options
+     * @returns {Promise<{records: Array, truncated: boolean}>} truncated when the cap was hit
+     */
+    async getAll(endpoint, params = {}, options = {}) {
+        const { pageSize = 200, maxRecords = Infinity, ...requestOptions } = options;
+
+        const filters = {};
+        Object.keys(params).forEach(key => {
+            if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+                filters[key] = params[key];
+            }
+        });
+
+        const records = [];
+        while (records.length < maxRecords) {
+            const response = await this.get(endpoint, { ...filters, skip: records.length, limit: pageSize }, requestOptions);
+            const page = response.records || [];
+            records.push(...page);
+
+            // A short page is the last one. normalizeResponse falls back to the
+            // page length when the server sends no total, so only a total larger
+            // than the page is a real one worth stopping on.
+            const serverTotal = response.total_count > page.length ? response.total_count : null;
+            if (page.length < pageSize || (serverTotal !== null && records.length >= serverTotal)) {
+                return { records, truncated: false };
+            }
+        }
+
+        return { records: records.slice(0, maxRecords), truncated: true };
+    },
+
     /**
      * POST request
      * @param {string} endpoint - API endpoint
      * @param {object} data - Request body
+     * @param {object} options - Request options (timeout, retries, cancelKey, signal)
      * @returns {Promise<object>}
      */
-    async post(endpoint, data = {}) {
+    async post(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'POST',
             body: JSON.stringify(data)
         });
@@ -180,10 +561,12 @@ const API = {
      * PUT request
      * @param {string} endpoint - API endpoint
      * @param {object} data - Request body
+     * @param {object} options - Request options (timeout, retries, cancelKey, signal)
      * @returns {Promise<object>}
      */
-    async put(endpoint, data = {}) {
+    async put(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'PUT',
             body: JSON.stringify(data)
         });
@@ -193,10 +576,12 @@ const API = {
      * PATCH request
      * @param {string} endpoint - API endpoint
      * @param {object} data - Request body
+     * @param {object} options - Request options (timeout, retries, cancelKey, signal)
      * @returns {Promise<object>}
      */
-    async patch(endpoint, data = {}) {
+    async patch(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'PATCH',
             body: JSON.stringify(data)
         });
@@ -207,10 +592,12 @@ const API = {
      * Handles empty/non-JSON responses (e.g., 204 No Content)
      * @param {string} endpoint - API endpoint
      * @param {object} data - Optional request body (for batch operations)
+     * @param {object} requestOptions - Request options (timeout, retries, cancelKey, signal)
      * @returns {Promise<object>}
      */
-    async delete(endpoint, data = null) {
+    async delete(endpoint, data = null, requestOptions = {}) {
         const options = {
+            ...requestOptions,
             method: 'DELETE'
         };
 
@@ -2,16 +2,17 @@
  * LeadsEngine Authentication Guard
  * Protects pages from unauthenticated access
  *
- * Usage: Include this script as the FIRST script in the <head> of protected pages
+ * Usage: Include this script in the <head> of protected pages, right after config.js
+ * <script src="assets/js/config.js"></script>
  * <script src="assets/js/auth-guard.js"></script>
  */
 
 (function() {
     // Check if token exists in localStorage
-    const token = localStorage.getItem('leadsengine_token');
+    const token = localStorage.getItem(Config.TOKEN_KEY);
 
     // If no token, redirect to login immediately
     if (!token) {
         window.location.href = 'login.html';
     }
-})();
\ No newline at end of file
+})();
@@ -164,12 +164,50 @@ const Auth = {
         localStorage.removeItem(Config.USER_KEY);
     },
 
+    /**
+     * Get token expiry time from the JWT exp claim
+     * @param {string} token - JWT token (defaults to stored token)
+     * @returns {number|null} Expiry as epoch milliseconds, or null if no exp claim
+     */
+    getTokenExpiry(token = this.getToken()) {
+        if (!token) {
+            return null;
+        }
+
+        const payload = this.decodeJWT(token);
+        if (!payload || !payload.exp) {
+            return null;
+        }
+
+        // exp is in seconds since epoch
+        return payload.exp * 1000;
+    },
+
+    /**
+     * Get milliseconds remaining until the token expires
+     * @returns {number|null} Milliseconds left (negative if expired), or null if unknown
+     */
+    getTimeUntilExpiry() {
+        const expiry = this.getTokenExpiry();
+        return expiry === null ? null : expiry - Date.now();
+    },
+
+    /**
+     * Check if the stored token has expired
+     * Tokens without an exp claim are treated as not expired
+     * @returns {boolean} True if expired
+     */
+    isTokenExpired() {
+        const timeLeft = this.getTimeUntilExpiry();
+        return timeLeft !== null && timeLeft <= 0;
+    },
+
     /**
      * Check if user is authenticated
-     * @returns {boolean} True if token exists
+     * @returns {boolean} True if a token exists and has not expired
      */
     isAuthenticated() {
-        return !!this.getToken();
+        return !!this.getToken() && !this.isTokenExpired();
     },
 
     /**
@@ -22,6 +22,8 @@
  *   - 'lead:updated' - Lead updated {lead}
  *   - 'lead:deleted' - Lead deleted {id}
  *   - 'notification:show' - Show notification {type, message}
+ *   - 'referencedata:invalidate' - Drop cached reference data {name} (see ReferenceData)
+ *   - 'referencedata:updated' - Reference list refetched {name, records}
  *
  * @module Bus
  */
@@ -122,4 +124,6 @@ const Bus = {
  * - 'notification:show' - Show notification {type, message}
  * - 'modal:open' - Open modal {modalId, data}
  * - 'modal:close' - Close modal {modalId}
+ * - 'referencedata:invalidate' - Drop cached reference data {name}
+ * - 'referencedata:updated' - Reference list refetched {name, records}
  */
\ No newline at end of file
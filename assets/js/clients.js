@@ -0,0 +1,865 @@
+/**
+ * LeadsEngine Resource Clients
+ * GENERATED by tools/generate-endpoints.js from endpoints.md - do not edit by hand
+ *
+ * One object per backend resource wrapping API.get/post/put/patch/delete
+ * with the routes in Config.ENDPOINTS. Arguments are the path parameters
+ * first, then query params (GET) or the request body, then request options
+ * (timeout, retries, cancelKey, signal - see API.request).
+ *
+ * Usage:
+ *   const response = await LeadClient.read(42);
+ *   await LeadClient.softDelete([42, 43]);
+ *   const notes = await LeadNoteClient.listForLead(42);
+ *
+ * Load after api.js.
+ */
+
+const AcqClient = {
+    /** POST /api/v1/acq/ops/redis/clear */
+    opsRedisClear(data = {}, options = {}) {
+        return API.post(API.route('ACQ.OPS_REDIS_CLEAR'), data, options);
+    },
+
+    /** GET /api/v1/acq/ops/peek-idem */
+    opsPeekIdem(params = {}, options = {}) {
+        return API.get(API.route('ACQ.OPS_PEEK_IDEM'), params, options);
+    },
+
+    /** GET /api/v1/acq/ops/list-idem */
+    opsListIdem(params = {}, options = {}) {
+        return API.get(API.route('ACQ.OPS_LIST_IDEM'), params, options);
+    },
+
+    /** POST /api/v1/acq/{provider} */
+    ingest(provider, data = {}, options = {}) {
+        return API.post(API.route('ACQ.INGEST', { provider }), data, options);
+    },
+
+    /** DELETE /api/v1/acq/ops/idem */
+    opsIdem(data = null, options = {}) {
+        return API.delete(API.route('ACQ.OPS_IDEM'), data, options);
+    }
+};
+
+const AddressClient = {
+    /** GET /api/v1/address/ */
+    list(params = {}, options = {}) {
+        return API.get(API.route('ADDRESS.LIST'), params, options);
+    },
+
+    /** POST /api/v1/address/ */
+    create(data = {}, options = {}) {
+        return API.post(API.route('ADDRESS.CREATE'), data, options);
+    },
+
+    /** GET /api/v1/address/with-relationships */
+    withRelationships(params = {}, options = {}) {
+        return API.get(API.route('ADDRESS.WITH_RELATIONSHIPS'), params, options);
+    },
+
+    /** GET /api/v1/address/{id} */
+    read(id, params = {}, options = {}) {
+        return API.get(API.route('ADDRESS.READ', { id }), params, options);
+    },
+
+    /** PUT /api/v1/address/{id} */
+    update(id, data = {}, options = {}) {
+        return API.put(API.route('ADDRESS.UPDATE', { id }), data, options);
+    },
+
+    /** DELETE /api/v1/address/{id}/hard-delete */
+    hardDelete(id, data = null, options = {}) {
+        return API.delete(API.route('ADDRESS.HARD_DELETE', { id }), data, options);
+    }
+};
+
+const ContactTypeClient = {
+    /** GET /api/v1/contacttype/ */
+    list(params = {}, options = {}) {
+        return API.get(API.route('CONTACTTYPE.LIST'), params, options);
+    },
+
+    /** POST /api/v1/contacttype/ */
+    create(data = {}, options = {}) {
+        return API.post(API.route('CONTACTTYPE.CREATE'), data, options);
+    },
+
+    /** GET /api/v1/contacttype/{id} */
+    read(id, params = {}, options = {}) {
+        return API.get(API.route('CONTACTTYPE.READ', { id }), params, options);
+    },
+
+    /** PUT /api/v1/contacttype/{id} */
+    update(id, data = {}, options = {}) {
+        return API.put(API.route('CONTACTTYPE.UPDATE', { id }), data, options);
+    },
+
+    /** DELETE /api/v1/contacttype/{id}/hard-delete */
+    hardDelete(id, data = null, options = {}) {
+        return API.delete(API.route('CONTACTTYPE.HARD_DELETE', { id }), data, options);
+    },
+
+    /** PATCH /api/v1/contacttype/activate */
+    activate(data = {}, options = {}) {
+        return API.patch(API.route('CONTACTTYPE.BATCH_ACTIVATE'), data, options);
+    },
+
+    /** PATCH /api/v1/contacttype/deactivate */
+    deactivate(data = {}, options = {}) {
+        return API.patch(API.route('CONTACTTYPE.BATCH_DEACTIVATE'), data, options);
+    },
+
+    /** PATCH /api/v1/contacttype/soft-delete */
+    softDelete(data = {}, options = {}) {
+        return API.patch(API.route('CONTACTTYPE.BATCH_SOFT_DELETE'), data, options);
+    },
+
+    /** PATCH /api/v1/contacttype/restore */
+    restore(data = {}, options = {}) {
+        return API.patch(API.route('CONTACTTYPE.BATCH_RESTORE'), data, options);
+    }
+};
+
+const HealthClient = {
+    /** GET /api/health/db */
+    db(params = {}, options = {}) {
+        return API.get(API.route('HEALTH.DB'), params, options);
+    },
+
+    /** GET /api/health */
+    root(params = {}, options = {}) {
+        return API.get(API.route('HEALTH.ROOT'), params, options);
+    },
+
+    /** GET /api/health/redis */
+    redis(params = {}, options = {}) {
+        return API.get(API.route('HEALTH.REDIS'), params, options);
+    }
+};
+
+const TestClient = {
+    /** POST /api/test/echo */
+    echo(data = {}, options = {}) {
+        return API.post(API.route('TEST.ECHO'), data, options);
+    },
+
+    /** POST /api/v1/test/email */
+    email(data = {}, options = {}) {
+        return API.post(API.route('TEST.EMAIL'), data, options);
+    }
+};
+
+const LeadClient = {
+    /** GET /api/v1/lead/ */
+    list(params = {}, options = {}) {
+        return API.get(API.route('LEAD.LIST'), params, options);
+    },
+
+    /** POST /api/v1/lead/ */
+    create(data = {}, options = {}) {
+        return API.post(API.route('LEAD.CREATE'), data, options);
+    },
+
+    /** GET /api/v1/lead/with-relationships */
+    withRelationships(params = {}, options = {}) {
+        return API.get(API.route('LEAD.WITH_RELATIONSHIPS'), params, options);
+    },
+
+    /** GET /api/v1/lead/stats */
+    stats(params = {}, options = {}) {
+        return API.get(API.route('LEAD.STATS'), params, options);
+    },
+
+    /** POST /api/v1/lead/{lead_id}/score */
+    score(leadId, data = {}, options = {}) {
+        return API.post(API.route('LEAD.SCORE', { lead_id: leadId }), data, options);
+    },
+
+    /** POST /api/v1/lead/score/bulk */
+    scoreBulk(data = {}, options = {}) {
+        return API.post(API.route('LEAD.SCORE_BULK'), data, options);
+    },
+
+    /** POST /api/v1/lead/{id}/touch */
+    touch(id, data = {}, options = {}) {
+        return API.post(API.route('LEAD.TOUCH', { id }), data, options);
+    },
+
+    /** POST /api/v1/lead/{id}/sla/check */
+    slaCheck(id, data = {}, options = {}) {
+        return API.post(API.route('LEAD.SLA_CHECK', { id }), data, options);
+    },
+
+    /** POST /api/v1/lead/sla/sweep */
+    slaSweep(data = {}, options = {}) {
+        return API.post(API.route('LEAD.SLA_SWEEP'), data, options);
+    },
+
+    /** GET /api/v1/lead/{id} */
+    read(id, params = {}, options = {}) {
+        return API.get(API.route('LEAD.READ', { id }), params, options);
+    },
+
+    /** PUT /api/v1/lead/{id} */
+    update(id, data = {}, options = {}) {
+        return API.put(API.route('LEAD.UPDATE', { id }), data, options);
+    },
+
+    /** GET /api/v1/lead/{id}/timeline */
+    timeline(id, params = {}, options = {}) {
+        return API.get(API.route('LEAD.TIMELINE', { id }), params, options);
+    },
+
+    /** DELETE /api/v1/lead/{id}/hard-delete */
+    hardDelete(id, data = null, options = {}) {
+        return API.delete(API.route('LEAD.HARD_DELETE', { id }), data, options);
+    },
+
+    /** POST /api/v1/lead/activate */
+    activate(data = {}, options = {}) {
+        return API.post(API.route('LEAD.BATCH_ACTIVATE'), data, options);
+    },
+
+    /** POST /api/v1/lead/deactivate */
+    deactivate(data = {}, options = {}) {
+        return API.post(API.route('LEAD.BATCH_DEACTIVATE'), data, options);
+    },
+
+    /** DELETE /api/v1/lead/soft-delete */
+    softDelete(data = null, options = {}) {
+        return API.delete(API.route('LEAD.BATCH_SOFT_DELETE'), data, options);
+    },
+
+    /** POST /api/v1/lead/restore */
+    restore(data = {}, options = {}) {
+        return API.post(API.route('LEAD.BATCH_RESTORE'), data, options);
+    },
+
+    /** PATCH /api/v1/lead/{id}/assign */
+    assign(id, data = {}, options = {}) {
+        return API.patch(API.route('LEAD.ASSIGN', { id }), data, options);
+    },
+
+    /** POST /api/v1/lead/{id}/nurture */
+    nurture(id, data = {}, options = {}) {
+        return API.post(API.route('LEAD.NURTURE', { id }), data, options);
+    },
+
+    /** POST /api/v1/lead/{record_id}/nurture/pause */
+    nurturePause(recordId, data = {}, options = {}) {
+        return API.post(API.route('LEAD.NURTURE_PAUSE', { record_id: recordId }), data, options);
+    },
+
+    /** POST /api/v1/lead/{record_id}/nurture/resume */
+    nurtureResume(recordId, data = {}, options = {}) {
+        return API.post(API.route('LEAD.NURTURE_RESUME', { record_id: recordId }), data, options);
+    },
+
+    /** POST /api/v1/lead/{record_id}/nurture/cancel */
+    nurtureCancel(recordId, data = {}, options = {}) {
+        return API.post(API.route('LEAD.NURTURE_CANCEL', { record_id: recordId }), data, options);
+    },
+
+    /** POST /api/v1/lead/{lead_id}/consent */
+    giveConsent(leadId, data = {}, options = {}) {
+        return API.post(API.route('LEAD.CONSENT', { lead_id: leadId }), data, options);
+    },
+
+    /** DELETE /api/v1/lead/{lead_id}/consent */
+    revokeConsent(leadId, data = null, options = {}) {
+        return API.delete(API.route('LEAD.CONSENT', { lead_id: leadId }), data, options);
+    },
+
+    /** GET /api/v1/lead/{lead_id}/nurture/pending */
+    nurturePending(leadId, params = {}, options = {}) {
+        return API.get(API.route('LEAD.NURTURE_PENDING', { lead_id: leadId }), params, options);
+    },
+
+    /** GET /api/v1/lead/archived (not in endpoints.md - archived leads view (leads.js)) */
+    archived(params = {}, options = {}) {
+        return API.get(API.route('LEAD.ARCHIVED'), params, options);
+    }
+};
+
+const LeadEmailMessageClient = {
+    /** GET /api/v1/leademailmessage/ */
+    list(params = {}, options = {}) {
+        return API.get(API.route('LEADEMAILMESSAGE.LIST'), params, options);
+    },
+
+    /** POST /api/v1/leademailmessage/ */
+    create(data = {}, options = {}) {
+        return API.post(API.route('LEADEMAILMESSAGE.CREATE'), data, options);
+    },
+
+    /** GET /api/v1/leademailmessage/with-relationships */
+    withRelationships(params = {}, options = {}) {
+        return API.get(API.route('LEADEMAILMESSAGE.WITH_RELATIONSHIPS'), params, options);
+    },
+
+    /** GET /api/v1/leademailmessage/{id} */
+    read(id, params = {}, options = {}) {
+        return API.get(API.route('LEADEMAILMESSAGE.READ', { id }), params, options);
+    },
+
+    /** PUT /api/v1/leademailmessage/{id} */
+    update(id, data = {}, options = {}) {
+        return API.put(API.route('LEADEMAILMESSAGE.UPDATE', { id }), data, options);
+    },
+
+    /** DELETE /api/v1/leademailmessage/{id}/hard-delete */
+    hardDelete(id, data = null, options = {}) {
+        return API.delete(API.route('LEADEMAILMESSAGE.HARD_DELETE', { id }), data, options);
+    },
+
+    /** PATCH /api/v1/leademailmessage/soft-delete */
+    softDelete(data = {}, options = {}) {
+        return API.patch(API.route('LEADEMAILMESSAGE.BATCH_SOFT_DELETE'), data, options);
+    },
+
+    /** PATCH /api/v1/leademailmessage/restore */
+    restore(data = {}, options = {}) {
+        return API.patch(API.route('LEADEMAILMESSAGE.BATCH_RESTORE'), data, options);
+    }
+};
+
+const LeadEmailThreadClient = {
+    /** GET /api/v1/leademailthread/ */
+    list(params = {}, options = {}) {
+        return API.get(API.route('LEADEMAILTHREAD.LIST'), params, options);
+    },
+
+    /** POST /api/v1/leademailthread/ */
+    create(data = {}, options = {}) {
+        return API.post(API.route('LEADEMAILTHREAD.CREATE'), data, options);
+    },
+
+    /** GET /api/v1/leademailthread/with-relationships */
+    withRelationships(params = {}, options = {}) {
+        return API.get(API.route('LEADEMAILTHREAD.WITH_RELATIONSHIPS'), params, options);
+    },
+
+    /** GET /api/v1/leademailthread/{id} */
+    read(id, params = {}, options = {}) {
+        return API.get(API.route('LEADEMAILTHREAD.READ', { id }), params, options);
+    },
+
+    /** PUT /api/v1/leademailthread/{id} */
+    update(id, data = {}, options = {}) {
+        return API.put(API.route('LEADEMAILTHREAD.UPDATE', { id }), data, options);
+    },
+
+    /** DELETE /api/v1/leademailthread/{id}/hard-delete */
+    hardDelete(id, data = null, options = {}) {
+        return API.delete(API.route('LEADEMAILTHREAD.HARD_DELETE', { id }), data, options);
+    },
+
+    /** PATCH /api/v1/leademailthread/soft-delete */
+    softDelete(data = {}, options = {}) {
+        return API.patch(API.route('LEADEMAILTHREAD.BATCH_SOFT_DELETE'), data, options);
+    },
+
+    /** PATCH /api/v1/leademailthread/restore */
+    restore(data = {}, options = {}) {
+        return API.patch(API.route('LEADEMAILTHREAD.BATCH_RESTORE'), data, options);
+    }
+};
+
+const LeadEventClient = {
+    /** GET /api/v1/leadevent/ */
+    list(params = {}, options = {}) {
+        return API.get(API.route('LEADEVENT.LIST'), params, options);
+    },
+
+    /** POST /api/v1/leadevent/ */
+    create(data = {}, options = {}) {
+        return API.post(API.route('LEADEVENT.CREATE'), data, options);
+    },
+
+    /** GET /api/v1/leadevent/with-relationships */
+    withRelationships(params = {}, options = {}) {
+        return API.get(API.route('LEADEVENT.WITH_RELATIONSHIPS'), params, options);
+    },
+
+    /** GET /api/v1/leadevent/{id} */
+    read(id, params = {}, options = {}) {
+        return API.get(API.route('LEADEVENT.READ', { id }), params, options);
+    },
+
+    /** PUT /api/v1/leadevent/{id} */
+    update(id, data = {}, options = {}) {
+        return API.put(API.route('LEADEVENT.UPDATE', { id }), data, options);
+    },
+
+    /** DELETE /api/v1/leadevent/{id}/hard-delete */
+    hardDelete(id, data = null, options = {}) {
+        return API.delete(API.route('LEADEVENT.HARD_DELETE', { id }), data, options);
+    }
+};
+
+const LeadNoteClient = {
+    /** GET /api/v1/leadnote/ */
+    list(params = {}, options = {}) {
+        return API.get(API.route('LEADNOTE.LIST'), params, options);
+    },
+
+    /** POST /api/v1/leadnote/ */
+    create(data = {}, options = {}) {
+        return API.post(API.route('LEADNOTE.CREATE'), data, options);
+    },
+
+    /** GET /api/v1/leadnote/with-relationships */
+    withRelationships(params = {}, options = {}) {
+        return API.get(API.route('LEADNOTE.WITH_RELATIONSHIPS'), params, options);
+    },
+
+    /** GET /api/v1/leadnote/{id} */
+    read(id, params = {}, options = {}) {
+        return API.get(API.route('LEADNOTE.READ', { id }), params, options);
+    },
+
+    /** PUT /api/v1/leadnote/{id} */
+    update(id, data = {}, options = {}) {
+        return API.put(API.route('LEADNOTE.UPDATE', { id }), data, options);
+    },
+
+    /** DELETE /api/v1/leadnote/{id}/hard-delete */
+    hardDelete(id, data = null, options = {}) {
+        return API.delete(API.route('LEADNOTE.HARD_DELETE', { id }), data, options);
+    },
+
+    /** GET /api/v1/leadnote/lead/{lead_id} */
+    listForLead(leadId, params = {}, options = {}) {
+        return API.get(API.route('LEADNOTE.LIST_FOR_LEAD', { lead_id: leadId }), params, options);
+    },
+
+    /** POST /api/v1/leadnote/lead/{lead_id} */
+    createForLead(leadId, data = {}, options = {}) {
+        return API.post(API.route('LEADNOTE.CREATE_FOR_LEAD', { lead_id: leadId }), data, options);
+    }
+};
+
+const LeadSmsMessageClient = {
+    /** GET /api/v1/leadsmsmessage/ */
+    list(params = {}, options = {}) {
+        return API.get(API.route('LEADSMSMESSAGE.LIST'), params, options);
+    },
+
+    /** POST /api/v1/leadsmsmessage/ */
+    create(data = {}, options = {}) {
+        return API.post(API.route('LEADSMSMESSAGE.CREATE'), data, options);
+    },
+
+    /** GET /api/v1/leadsmsmessage/with-relationships */
+    withRelationships(params = {}, options = {}) {
+        return API.get(API.route('LEADSMSMESSAGE.WITH_RELATIONSHIPS'), params, options);
+    },
+
+    /** GET /api/v1/leadsmsmessage/{id} */
+    read(id, params = {}, options = {}) {
+        return API.get(API.route('LEADSMSMESSAGE.READ', { id }), params, options);
+    },
+
+    /** PUT /api/v1/leadsmsmessage/{id} */
+    update(id, data = {}, options = {}) {
+        return API.put(API.route('LEADSMSMESSAGE.UPDATE', { id }), data, options);
+    },
+
+    /** DELETE /api/v1/leadsmsmessage/{id}/hard-delete */
+    hardDelete(id, data = null, options = {}) {
+        return API.delete(API.route('LEADSMSMESSAGE.HARD_DELETE', { id }), data, options);
+    },
+
+    /** PATCH /api/v1/leadsmsmessage/soft-delete */
+    softDelete(data = {}, options = {}) {
+        return API.patch(API.route('LEADSMSMESSAGE.BATCH_SOFT_DELETE'), data, options);
+    },
+
+    /** PATCH /api/v1/leadsmsmessage/restore */
+    restore(data = {}, options = {}) {
+        return API.patch(API.route('LEADSMSMESSAGE.BATCH_RESTORE'), data, options);
+    }
+};
+
+const LeadSourceClient = {
+    /** GET /api/v1/leadsource/ */
+    list(params = {}, options = {}) {
+        return API.get(API.route('LEADSOURCE.LIST'), params, options);
+    },
+
+    /** POST /api/v1/leadsource/ */
+    create(data = {}, options = {}) {
+        return API.post(API.route('LEADSOURCE.CREATE'), data, options);
+    },
+
+    /** GET /api/v1/leadsource/with-relationships */
+    withRelationships(params = {}, options = {}) {
+        return API.get(API.route('LEADSOURCE.WITH_RELATIONSHIPS'), params, options);
+    },
+
+    /** GET /api/v1/leadsource/{id} */
+    read(id, params = {}, options = {}) {
+        return API.get(API.route('LEADSOURCE.READ', { id }), params, options);
+    },
+
+    /** PUT /api/v1/leadsource/{id} */
+    update(id, data = {}, options = {}) {
+        return API.put(API.route('LEADSOURCE.UPDATE', { id }), data, options);
+    },
+
+    /** DELETE /api/v1/leadsource/{id}/hard-delete */
+    hardDelete(id, data = null, options = {}) {
+        return API.delete(API.route('LEADSOURCE.HARD_DELETE', { id }), data, options);
+    }
+};
+
+const LeadStatusClient = {
+    /** GET /api/v1/leadstatus/ */
+    list(params = {}, options = {}) {
+        return API.get(API.route('LEADSTATUS.LIST'), params, options);
+    },
+
+    /** POST /api/v1/leadstatus/ */
+    create(data = {}, options = {}) {
+        return API.post(API.route('LEADSTATUS.CREATE'), data, options);
+    },
+
+    /** GET /api/v1/leadstatus/with-relationships */
+    withRelationships(params = {}, options = {}) {
+        return API.get(API.route('LEADSTATUS.WITH_RELATIONSHIPS'), params, options);
+    },
+
+    /** GET /api/v1/leadstatus/{id} */
+    read(id, params = {}, options = {}) {
+        return API.get(API.route('LEADSTATUS.READ', { id }), params, options);
+    },
+
+    /** PUT /api/v1/leadstatus/{id} */
+    update(id, data = {}, options = {}) {
+        return API.put(API.route('LEADSTATUS.UPDATE', { id }), data, options);
+    },
+
+    /** DELETE /api/v1/leadstatus/{id}/hard-delete */
+    hardDelete(id, data = null, options = {}) {
+        return API.delete(API.route('LEADSTATUS.HARD_DELETE', { id }), data, options);
+    }
+};
+
+const LeadStatusHistoryClient = {
+    /** GET /api/v1/leadstatushistory/ */
+    list(params = {}, options = {}) {
+        return API.get(API.route('LEADSTATUSHISTORY.LIST'), params, options);
+    },
+
+    /** POST /api/v1/leadstatushistory/ */
+    create(data = {}, options = {}) {
+        return API.post(API.route('LEADSTATUSHISTORY.CREATE'), data, options);
+    },
+
+    /** GET /api/v1/leadstatushistory/with-relationships */
+    withRelationships(params = {}, options = {}) {
+        return API.get(API.route('LEADSTATUSHISTORY.WITH_RELATIONSHIPS'), params, options);
+    },
+
+    /** GET /api/v1/leadstatushistory/{id} */
+    read(id, params = {}, options = {}) {
+        return API.get(API.route('LEADSTATUSHISTORY.READ', { id }), params, options);
+    },
+
+    /** PUT /api/v1/leadstatushistory/{id} */
+    update(id, data = {}, options = {}) {
+        return API.put(API.route('LEADSTATUSHISTORY.UPDATE', { id }), data, options);
+    },
+
+    /** DELETE /api/v1/leadstatushistory/{id}/hard-delete */
+    hardDelete(id, data = null, options = {}) {
+        return API.delete(API.route('LEADSTATUSHISTORY.HARD_DELETE', { id }), data, options);
+    }
+};
+
+const NurtureSequenceClient = {
+    /** GET /api/v1/nurture/sequence */
+    list(params = {}, options = {}) {
+        return API.get(API.route('NURTURE_SEQUENCE.LIST'), params, options);
+    },
+
+    /** POST /api/v1/nurture/sequence */
+    create(data = {}, options = {}) {
+        return API.post(API.route('NURTURE_SEQUENCE.CREATE'), data, options);
+    },
+
+    /** GET /api/v1/nurture/sequence/{sequence_id} */
+    read(sequenceId, params = {}, options = {}) {
+        return API.get(API.route('NURTURE_SEQUENCE.READ', { sequence_id: sequenceId }), params, options);
+    },
+
+    /** PATCH /api/v1/nurture/sequence/{sequence_id} */
+    update(sequenceId, data = {}, options = {}) {
+        return API.patch(API.route('NURTURE_SEQUENCE.UPDATE', { sequence_id: sequenceId }), data, options);
+    },
+
+    /** DELETE /api/v1/nurture/sequence/{sequence_id} */
+    delete(sequenceId, data = null, options = {}) {
+        return API.delete(API.route('NURTURE_SEQUENCE.DELETE', { sequence_id: sequenceId }), data, options);
+    },
+
+    /** GET /api/v1/nurture/sequence/{sequence_id}/steps */
+    getSequenceSteps(sequenceId, params = {}, options = {}) {
+        return API.get(API.route('NURTURE_SEQUENCE.STEPS', { sequence_id: sequenceId }), params, options);
+    },
+
+    /** POST /api/v1/nurture/sequence/{sequence_id}/steps */
+    addSequenceStep(sequenceId, data = {}, options = {}) {
+        return API.post(API.route('NURTURE_SEQUENCE.STEPS', { sequence_id: sequenceId }), data, options);
+    },
+
+    /** DELETE /api/v1/nurture/sequence/{sequence_id}/steps/{step_id} */
+    stepDelete(sequenceId, stepId, data = null, options = {}) {
+        return API.delete(API.route('NURTURE_SEQUENCE.STEP_DELETE', { sequence_id: sequenceId, step_id: stepId }), data, options);
+    },
+
+    /** PATCH /api/v1/nurture/sequence/{sequence_id}/steps/{step_order} */
+    stepUpdate(sequenceId, stepOrder, data = {}, options = {}) {
+        return API.patch(API.route('NURTURE_SEQUENCE.STEP_UPDATE', { sequence_id: sequenceId, step_order: stepOrder }), data, options);
+    },
+
+    /** POST /api/v1/nurture/sequence/{sequence_id}/simulate */
+    simulate(sequenceId, data = {}, options = {}) {
+        return API.post(API.route('NURTURE_SEQUENCE.SIMULATE', { sequence_id: sequenceId }), data, options);
+    },
+
+    /** PATCH /api/v1/nurture/sequence/{sequence_id}/steps/{step_order}/reorder */
+    stepReorder(sequenceId, stepOrder, data = {}, options = {}) {
+        return API.patch(API.route('NURTURE_SEQUENCE.STEP_REORDER', { sequence_id: sequenceId, step_order: stepOrder }), data, options);
+    }
+};
+
+const NurtureOpsClient = {
+    /** POST /api/v1/nurture/ops/pause/{lead_id} */
+    pause(leadId, data = {}, options = {}) {
+        return API.post(API.route('NURTURE_OPS.PAUSE', { lead_id: leadId }), data, options);
+    },
+
+    /** POST /api/v1/nurture/ops/cancel/{lead_id} */
+    cancel(leadId, data = {}, options = {}) {
+        return API.post(API.route('NURTURE_OPS.CANCEL', { lead_id: leadId }), data, options);
+    },
+
+    /** POST /api/v1/nurture/ops/resume/{lead_id} */
+    resume(leadId, data = {}, options = {}) {
+        return API.post(API.route('NURTURE_OPS.RESUME', { lead_id: leadId }), data, options);
+    },
+
+    /** GET /api/v1/nurture/ops/queue/metrics */
+    queueMetrics(params = {}, options = {}) {
+        return API.get(API.route('NURTURE_OPS.QUEUE_METRICS'), params, options);
+    },
+
+    /** GET /api/v1/nurture/ops/dlq */
+    dlq(params = {}, options = {}) {
+        return API.get(API.route('NURTURE_OPS.DLQ'), params, options);
+    },
+
+    /** POST /api/v1/nurture/ops/dlq/{corr_id}/retry */
+    dlqRetry(corrId, data = {}, options = {}) {
+        return API.post(API.route('NURTURE_OPS.DLQ_RETRY', { corr_id: corrId }), data, options);
+    },
+
+    /** POST /api/v1/nurture/ops/dlq/retry-all */
+    dlqRetryAll(data = {}, options = {}) {
+        return API.post(API.route('NURTURE_OPS.DLQ_RETRY_ALL'), data, options);
+    },
+
+    /** GET /api/v1/nurture/ops/queue/peek */
+    queuePeek(params = {}, options = {}) {
+        return API.get(API.route('NURTURE_OPS.QUEUE_PEEK'), params, options);
+    },
+
+    /** POST /api/v1/nurture/ops/redis/clear */
+    redisClear(data = {}, options = {}) {
+        return API.post(API.route('NURTURE_OPS.REDIS_CLEAR'), data, options);
+    }
+};
+
+const OpsClient = {
+    /** GET /api/v1/ops/health/db */
+    healthDb(params = {}, options = {}) {
+        return API.get(API.route('OPS.HEALTH_DB'), params, options);
+    },
+
+    /** GET /api/v1/ops/health/redis */
+    healthRedis(params = {}, options = {}) {
+        return API.get(API.route('OPS.HEALTH_REDIS'), params, options);
+    }
+};
+
+const RoleClient = {
+    /** GET /api/v1/role/ */
+    list(params = {}, options = {}) {
+        return API.get(API.route('ROLE.LIST'), params, options);
+    },
+
+    /** POST /api/v1/role/ */
+    create(data = {}, options = {}) {
+        return API.post(API.route('ROLE.CREATE'), data, options);
+    },
+
+    /** GET /api/v1/role/with-relationships */
+    withRelationships(params = {}, options = {}) {
+        return API.get(API.route('ROLE.WITH_RELATIONSHIPS'), params, options);
+    },
+
+    /** GET /api/v1/role/{id} */
+    read(id, params = {}, options = {}) {
+        return API.get(API.route('ROLE.READ', { id }), params, options);
+    },
+
+    /** PUT /api/v1/role/{id} */
+    update(id, data = {}, options = {}) {
+        return API.put(API.route('ROLE.UPDATE', { id }), data, options);
+    },
+
+    /** DELETE /api/v1/role/{id}/hard-delete */
+    hardDelete(id, data = null, options = {}) {
+        return API.delete(API.route('ROLE.HARD_DELETE', { id }), data, options);
+    },
+
+    /** PATCH /api/v1/role/activate */
+    activate(data = {}, options = {}) {
+        return API.patch(API.route('ROLE.BATCH_ACTIVATE'), data, options);
+    },
+
+    /** PATCH /api/v1/role/deactivate */
+    deactivate(data = {}, options = {}) {
+        return API.patch(API.route('ROLE.BATCH_DEACTIVATE'), data, options);
+    },
+
+    /** PATCH /api/v1/role/soft-delete */
+    softDelete(data = {}, options = {}) {
+        return API.patch(API.route('ROLE.BATCH_SOFT_DELETE'), data, options);
+    },
+
+    /** PATCH /api/v1/role/restore */
+    restore(data = {}, options = {}) {
+        return API.patch(API.route('ROLE.BATCH_RESTORE'), data, options);
+    }
+};
+
+const SendClient = {
+    /** POST /api/v1/send/sms */
+    sms(data = {}, options = {}) {
+        return API.post(API.route('SEND.SMS'), data, options);
+    }
+};
+
+const UserClient = {
+    /** GET /api/v1/user/{user_id}/roles */
+    roles(userId, params = {}, options = {}) {
+        return API.get(API.route('USER.ROLES', { user_id: userId }), params, options);
+    },
+
+    /** POST /api/v1/user/{user_id}/roles */
+    addUserRoles(userId, data = {}, options = {}) {
+        return API.post(API.route('USER.ROLES', { user_id: userId }), data, options);
+    },
+
+    /** DELETE /api/v1/user/{user_id}/roles */
+    removeUserRoles(userId, data = null, options = {}) {
+        return API.delete(API.route('USER.ROLES', { user_id: userId }), data, options);
+    },
+
+    /** PUT /api/v1/user/{user_id}/roles */
+    replaceUserRoles(userId, data = {}, options = {}) {
+        return API.put(API.route('USER.ROLES', { user_id: userId }), data, options);
+    },
+
+    /** GET /api/v1/user/ */
+    list(params = {}, options = {}) {
+        return API.get(API.route('USER.LIST'), params, options);
+    },
+
+    /** POST /api/v1/user/ */
+    create(data = {}, options = {}) {
+        return API.post(API.route('USER.CREATE'), data, options);
+    },
+
+    /** GET /api/v1/user/with-relationships */
+    withRelationships(params = {}, options = {}) {
+        return API.get(API.route('USER.WITH_RELATIONSHIPS'), params, options);
+    },
+
+    /** GET /api/v1/user/{id} */
+    read(id, params = {}, options = {}) {
+        return API.get(API.route('USER.READ', { id }), params, options);
+    },
+
+    /** PUT /api/v1/user/{id} */
+    update(id, data = {}, options = {}) {
+        return API.put(API.route('USER.UPDATE', { id }), data, options);
+    },
+
+    /** DELETE /api/v1/user/{id}/hard-delete */
+    hardDelete(id, data = null, options = {}) {
+        return API.delete(API.route('USER.HARD_DELETE', { id }), data, options);
+    },
+
+    /** PATCH /api/v1/user/activate */
+    activate(data = {}, options = {}) {
+        return API.patch(API.route('USER.BATCH_ACTIVATE'), data, options);
+    },
+
+    /** PATCH /api/v1/user/deactivate */
+    deactivate(data = {}, options = {}) {
+        return API.patch(API.route('USER.BATCH_DEACTIVATE'), data, options);
+    },
+
+    /** PATCH /api/v1/user/soft-delete */
+    softDelete(data = {}, options = {}) {
+        return API.patch(API.route('USER.BATCH_SOFT_DELETE'), data, options);
+    },
+
+    /** PATCH /api/v1/user/restore */
+    restore(data = {}, options = {}) {
+        return API.patch(API.route('USER.BATCH_RESTORE'), data, options);
+    }
+};
+
+const UserContactClient = {
+    /** GET /api/v1/usercontact/ */
+    list(params = {}, options = {}) {
+        return API.get(API.route('USERCONTACT.LIST'), params, options);
+    },
+
+    /** POST /api/v1/usercontact/ */
+    create(data = {}, options = {}) {
+        return API.post(API.route('USERCONTACT.CREATE'), data, options);
+    },
+
+    /** GET /api/v1/usercontact/with-relationships */
+    withRelationships(params = {}, options = {}) {
+        return API.get(API.route('USERCONTACT.WITH_RELATIONSHIPS'), params, options);
+    },
+
+    /** GET /api/v1/usercontact/{id} */
+    read(id, params = {}, options = {}) {
+        return API.get(API.route('USERCONTACT.READ', { id }), params, options);
+    },
+
+    /** PUT /api/v1/usercontact/{id} */
+    update(id, data = {}, options = {}) {
+        return API.put(API.route('USERCONTACT.UPDATE', { id }), data, options);
+    },
+
+    /** DELETE /api/v1/usercontact/{id}/hard-delete */
+    hardDelete(id, data = null, options = {}) {
+        return API.delete(API.route('USERCONTACT.HARD_DELETE', { id }), data, options);
+    }
+};
+
+const WebhooksClient = {
+    /** POST /api/v1/webhooks/lead */
+    lead(data = {}, options = {}) {
+        return API.post(API.route('WEBHOOKS.LEAD'), data, options);
+    }
+};
@@ -0,0 +1,796 @@
+/**
+ * LeadsEngine Email Conversation Component
+ * Factory function to create a lead's threaded email history with reply/compose
+ *
+ * RECORD ONLY: there is no email send route in endpoints.md, so composing or
+ * replying only saves leademailthread/leademailmessage records - nothing is
+ * delivered. The UI says "Log Email" / "Save to Thread" accordingly; the actual
+ * email is sent from the rep's mail client.
+ *
+ * Usage:
+ *   const conversation = createEmailConversation('#email-conversation', {
+ *     leadId: 42,
+ *     email: 'jane@example.com',
+ *     hasConsent: true,
+ *     onSaved: (message) => { ... }
+ *   });
+ *   await conversation.init();
+ *
+ *   // Block compose/reply when email consent is revoked (see LeadsPage consent)
+ *   conversation.setConsent(false);
+ *
+ * ENDPOINTS (see endpoints.md "Leademailthread" and "Leademailmessage"):
+ *   GET   /api/v1/leademailthread/with-relationships - Threads (Params: lead_id, deleted)
+ *   POST  /api/v1/leademailthread/                   - New thread (body: {lead_id, subject})
+ *   PATCH /api/v1/leademailthread/soft-delete        - Archive threads (body: [id, ...])
+ *   PATCH /api/v1/leademailthread/restore            - Restore threads (body: [id, ...])
+ *   GET   /api/v1/leademailmessage/                  - Messages (Params: thread_id)
+ *   POST  /api/v1/leademailmessage/                  - New message in a thread
+ *
+ * Thread fields read: subject, last_message_at | updated_at | created_at,
+ *   message_count, messages (when included by with-relationships)
+ * Message fields read (with fallbacks for older records):
+ *   body_html | html_body, body_text | body, direction ('inbound' | 'outbound'),
+ *   from_email, to_email, sent_at | received_at | created_at
+ *
+ * SECURITY: email bodies come from outside the CRM - HTML is always passed through
+ * sanitizeHtml() (tag/attribute allow-list) before it touches the DOM.
+ */
+
+function createEmailConversation(selector, options = {}) {
+    const container = $(selector);
+    const uid = `email-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    let threads = [];
+    let threadMessages = {};     // {threadId: [messages]}
+    let selectedThreadId = null;
+    let composeMode = null;      // null | 'new' | 'reply'
+    let showingArchived = false;
+    let saving = false;
+    let pendingThreadId = null;  // Thread created for a new message that failed to save
+
+    // Configuration
+    const config = {
+        leadId: options.leadId || null,
+        email: options.email || '',
+        hasConsent: options.hasConsent !== false,
+        onSaved: options.onSaved || null
+    };
+
+    /**
+     * Tags and attributes kept by sanitizeHtml()
+     * Everything else is unwrapped (tags) or dropped (attributes)
+     */
+    const ALLOWED_TAGS = [
+        'a', 'b', 'blockquote', 'br', 'code', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'hr', 'i', 'li', 'ol', 'p', 'pre', 'span', 'strong', 'table', 'tbody', 'td', 'th',
+        'thead', 'tr', 'u', 'ul'
+    ];
+    const ALLOWED_ATTRIBUTES = {
+        a: ['href', 'title'],
+        td: ['colspan', 'rowspan'],
+        th: ['colspan', 'rowspan']
+    };
+
+    // Removed together with their content
+    const DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'head', 'title', 'meta', 'link', 'form', 'svg', 'math'];
+
+    /**
+     * Initialize the component - render layout and load threads
+     */
+    async function init() {
+        render();
+        return await loadThreads();
+    }
+
+    /**
+     * Render the layout: toolbar, thread list, reader and composer
+     */
+    function render() {
+        const hasEmail = !!config.email;
+
+        container.html(`
+            <div class="d-flex justify-content-between align-items-center mb-3">
+                <div>
+                    <h6 class="mb-0"><i class="fas fa-envelope me-2"></i>Email</h6>
+                    <small class="text-muted">${hasEmail ? escapeHtml(config.email) : 'No email address on file'}</small>
+                </div>
+                <div class="d-flex gap-2">
+                    <button type="button" class="btn btn-sm btn-primary" data-email-action="compose" id="${uid}-compose-btn" ${canCompose() ? '' : 'disabled'}>
+                        <i class="fas fa-pen me-1"></i>Log Email
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-email-action="toggle-archived">
+                        <i class="fas fa-archive me-1"></i><span>Show Archived</span>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-email-action="refresh" title="Refresh">
+                        <i class="fas fa-sync-alt"></i>
+                    </button>
+                </div>
+            </div>
+
+            <div class="alert alert-warning py-2" id="${uid}-consent-notice" style="${config.hasConsent ? 'display: none;' : ''}">
+                <i class="fas fa-user-lock me-2"></i>No email consent on file - record consent on the Overview tab before emailing this lead.
+            </div>
+
+            <div class="row g-3">
+                <div class="col-md-4">
+                    <div class="list-group email-thread-list" id="${uid}-threads"></div>
+                </div>
+                <div class="col-md-8">
+                    <div id="${uid}-reader"></div>
+
+                    <div class="card mt-3" id="${uid}-composer" style="display: none;">
+                        <div class="card-body">
+                            <div class="mb-2">
+                                <small class="text-muted">To: ${escapeHtml(config.email)}</small>
+                                <small class="text-muted d-block">
+                                    <i class="fas fa-info-circle me-1"></i>Saved to the lead's email history only - this does not send an email.
+                                </small>
+                            </div>
+                            <input type="text" class="form-control form-control-sm mb-2" id="${uid}-subject" placeholder="Subject">
+                            <textarea class="form-control mb-2" id="${uid}-body" rows="6"
+                                placeholder="Write your message... (Ctrl+Enter to save)"></textarea>
+                            <div class="d-flex justify-content-end gap-2">
+                                <button type="button" class="btn btn-outline-secondary btn-sm" data-email-action="cancel-compose">Cancel</button>
+                                <button type="button" class="btn btn-primary btn-sm" data-email-action="save" id="${uid}-save">
+                                    <i class="fas fa-save me-1"></i>Save to Thread
+                                </button>
+                            </div>
+                            <div class="alert alert-danger mt-2 mb-0" id="${uid}-error" style="display: none;"></div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        // Delegated handlers (removed in destroy)
+        container.on(`click.${uid}`, '[data-email-action]', function(e) {
+            e.preventDefault();
+            const action = $(this).data('email-action');
+            const threadId = parseInt($(this).data('thread-id'));
+
+            switch (action) {
+                case 'select-thread':
+                    selectThread(threadId);
+                    break;
+                case 'compose':
+                    openComposer('new');
+                    break;
+                case 'reply':
+                    openComposer('reply');
+                    break;
+                case 'cancel-compose':
+                    closeComposer();
+                    break;
+                case 'save':
+                    save();
+                    break;
+                case 'refresh':
+                    loadThreads();
+                    break;
+                case 'toggle-archived':
+                    toggleArchived();
+                    break;
+                case 'archive':
+                    archiveThread(threadId);
+                    break;
+                case 'restore':
+                    restoreThread(threadId);
+                    break;
+            }
+        });
+
+        container.on(`input.${uid}`, `#${uid}-body, #${uid}-subject`, () => {
+            hideError();
+        });
+
+        container.on(`keydown.${uid}`, `#${uid}-body`, (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                save();
+            }
+        });
+    }
+
+    /**
+     * Load threads for the lead (active or archived)
+     * @returns {Promise<boolean>} True if loaded
+     */
+    async function loadThreads() {
+        if (!config.leadId) {
+            renderListMessage('fa-exclamation-triangle', 'No lead selected');
+            return false;
+        }
+
+        renderListMessage('fa-spinner fa-spin', 'Loading threads...');
+        renderReaderMessage('fa-envelope-open', 'Select a thread to read it');
+
+        try {
+            const params = { lead_id: config.leadId, limit: 100 };
+            if (showingArchived) {
+                params.deleted = true;
+            }
+
+            // cancelKey: switching leads quickly must not show the previous lead's threads
+            const response = await LeadEmailThreadClient.withRelationships(params, { cancelKey: `email:${uid}:threads` });
+
+            // Guard against backends that ignore the lead_id filter; newest first
+            threads = (response.records || [])
+                .filter(thread => String(thread.lead_id) === String(config.leadId))
+                .sort((a, b) => new Date(getThreadTimestamp(b) || 0) - new Date(getThreadTimestamp(a) || 0));
+
+            threadMessages = {};
+            threads.forEach(thread => {
+                if (Array.isArray(thread.messages)) {
+                    threadMessages[thread.id] = sortMessages(thread.messages);
+                }
+            });
+
+            // Keep the open thread selected across reloads when it is still listed
+            if (!threads.some(thread => thread.id === selectedThreadId)) {
+                selectedThreadId = null;
+            }
+
+            renderThreadList();
+
+            if (selectedThreadId) {
+                await selectThread(selectedThreadId);
+            }
+            return true;
+
+        } catch (error) {
+            if (API.isAbortError(error)) {
+                return false;
+            }
+            console.error('Failed to load email threads:', error);
+            renderListMessage('fa-exclamation-triangle text-danger', 'Failed to load threads');
+            return false;
+        }
+    }
+
+    /**
+     * Render the thread list
+     */
+    function renderThreadList() {
+        if (threads.length === 0) {
+            renderListMessage('fa-inbox', showingArchived ? 'No archived threads' : 'No email threads yet');
+            return;
+        }
+
+        const html = threads.map(thread => {
+            const timestamp = getThreadTimestamp(thread);
+            const count = thread.message_count || (threadMessages[thread.id] ? threadMessages[thread.id].length : null);
+            const active = thread.id === selectedThreadId ? ' active' : '';
+
+            return `
+                <a href="#" class="list-group-item list-group-item-action email-thread-item${active}"
+                   data-email-action="select-thread" data-thread-id="${thread.id}">
+                    <div class="d-flex justify-content-between align-items-start">
+                        <div class="fw-semibold text-truncate me-2">${escapeHtml(thread.subject || '(no subject)')}</div>
+                        ${count ? `<span class="badge bg-secondary rounded-pill">${count}</span>` : ''}
+                    </div>
+                    <small class="text-muted">${timestamp ? formatDateTime(timestamp) : ''}</small>
+                </a>
+            `;
+        }).join('');
+
+        $(`#${uid}-threads`).html(html);
+    }
+
+    /**
+     * Open a thread - load its messages (if not included) and render them
+     * @param {number} threadId - Thread ID
+     */
+    async function selectThread(threadId) {
+        const thread = threads.find(t => t.id === threadId);
+        if (!thread) {
+            return;
+        }
+
+        selectedThreadId = threadId;
+        renderThreadList();
+
+        if (composeMode === 'reply') {
+            closeComposer();
+        }
+
+        if (!threadMessages[threadId]) {
+            renderReaderMessage('fa-spinner fa-spin', 'Loading messages...');
+
+            try {
+                const response = await LeadEmailMessageClient.list(
+                    { thread_id: threadId, limit: 200 },
+                    { cancelKey: `email:${uid}:messages` }
+                );
+
+                // Guard against backends that ignore the thread_id filter
+                threadMessages[threadId] = sortMessages(
+                    (response.records || []).filter(message => String(message.thread_id) === String(threadId))
+                );
+
+            } catch (error) {
+                if (API.isAbortError(error)) {
+                    return;
+                }
+                console.error('Failed to load email messages:', error);
+                renderReaderMessage('fa-exclamation-triangle text-danger', 'Failed to load messages');
+                return;
+            }
+        }
+
+        // Another thread may have been selected while this one was loading
+        if (selectedThreadId === threadId) {
+            renderReader(thread);
+        }
+    }
+
+    /**
+     * Render the selected thread's messages
+     * @param {Object} thread - Thread record
+     */
+    function renderReader(thread) {
+        const messages = threadMessages[thread.id] || [];
+        const archived = showingArchived || thread.is_deleted;
+
+        const threadAction = archived
+            ? `<button type="button" class="btn btn-sm btn-outline-success" data-email-action="restore" data-thread-id="${thread.id}">
+                   <i class="fas fa-undo me-1"></i>Restore
+               </button>`
+            : `<button type="button" class="btn btn-sm btn-outline-secondary" data-email-action="archive" data-thread-id="${thread.id}">
+                   <i class="fas fa-archive me-1"></i>Archive
+               </button>`;
+
+        const replyButton = !archived && canCompose()
+            ? `<button type="button" class="btn btn-sm btn-primary" data-email-action="reply">
+                   <i class="fas fa-reply me-1"></i>Log Reply
+               </button>`
+            : '';
+
+        const messagesHtml = messages.length === 0
+            ? '<div class="text-muted text-center py-4">No messages in this thread</div>'
+            : messages.map(createMessageCard).join('');
+
+        $(`#${uid}-reader`).html(`
+            <div class="d-flex justify-content-between align-items-center mb-2">
+                <h6 class="mb-0 text-truncate">${escapeHtml(thread.subject || '(no subject)')}</h6>
+                <div class="d-flex gap-2">${replyButton}${threadAction}</div>
+            </div>
+            <div class="email-message-list">${messagesHtml}</div>
+        `);
+    }
+
+    /**
+     * Render a single message card
+     * @param {Object} message - Email message record
+     * @returns {string} HTML
+     */
+    function createMessageCard(message) {
+        const direction = getDirection(message);
+        const timestamp = getMessageTimestamp(message);
+        const from = message.from_email || message.from_address || (direction === 'outbound' ? 'You' : config.email);
+        const to = message.to_email || message.to_address || (direction === 'outbound' ? config.email : '');
+
+        return `
+            <div class="card mb-2 email-message email-${direction}">
+                <div class="card-header py-2 d-flex justify-content-between align-items-center">
+                    <div class="small">
+                        <i class="fas ${direction === 'inbound' ? 'fa-arrow-down text-success' : 'fa-arrow-up text-primary'} me-1"></i>
+                        <strong>${escapeHtml(from)}</strong>
+                        ${to ? `<span class="text-muted"> to ${escapeHtml(to)}</span>` : ''}
+                    </div>
+                    <small class="text-muted">${timestamp ? formatDateTime(timestamp) : ''}</small>
+                </div>
+                <div class="card-body py-2 email-body">${renderBody(message)}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a message body - sanitized HTML, or escaped plain text
+     * @param {Object} message - Email message record
+     * @returns {string} Safe HTML
+     */
+    function renderBody(message) {
+        const html = message.body_html || message.html_body;
+        if (html) {
+            return sanitizeHtml(html);
+        }
+        const text = message.body_text || message.body || message.text_body || '';
+        return escapeHtml(text).replace(/\n/g, '<br>');
+    }
+
+    /**
+     * Sanitize untrusted HTML with an allow-list
+     * - DROPPED_TAGS are removed with their content
+     * - Other unknown tags are unwrapped (their text is kept)
+     * - Only ALLOWED_ATTRIBUTES survive; links must be http(s)/mailto and open in a new tab
+     * @param {string} html - Untrusted HTML
+     * @returns {string} Safe HTML
+     */
+    function sanitizeHtml(html) {
+        // DOMParser documents are inert - scripts don't run and images don't load
+        const doc = new DOMParser().parseFromString(String(html), 'text/html');
+
+        const clean = (node) => {
+            Array.from(node.childNodes).forEach(child => {
+                if (child.nodeType === Node.COMMENT_NODE) {
+                    child.remove();
+                    return;
+                }
+                if (child.nodeType !== Node.ELEMENT_NODE) {
+                    return;
+                }
+
+                const tag = child.tagName.toLowerCase();
+
+                if (DROPPED_TAGS.includes(tag)) {
+                    child.remove();
+                    return;
+                }
+
+                clean(child);
+
+                if (!ALLOWED_TAGS.includes(tag)) {
+                    child.replaceWith(...Array.from(child.childNodes));
+                    return;
+                }
+
+                const allowed = ALLOWED_ATTRIBUTES[tag] || [];
+                Array.from(child.attributes).forEach(attr => {
+                    if (!allowed.includes(attr.name.toLowerCase())) {
+                        child.removeAttribute(attr.name);
+                    }
+                });
+
+                if (tag === 'a') {
+                    const href = (child.getAttribute('href') || '').trim();
+                    if (!/^(https?:|mailto:)/i.test(href)) {
+                        child.removeAttribute('href');
+                    } else {
+                        child.setAttribute('target', '_blank');
+                        child.setAttribute('rel', 'noopener noreferrer');
+                    }
+                }
+            });
+        };
+
+        clean(doc.body);
+        return doc.body.innerHTML;
+    }
+
+    /**
+     * Show the composer for a new thread or a reply to the selected thread
+     * @param {string} mode - 'new' or 'reply'
+     */
+    function openComposer(mode) {
+        if (!canCompose()) {
+            return;
+        }
+
+        composeMode = mode;
+        hideError();
+
+        const subjectInput = $(`#${uid}-subject`);
+        if (mode === 'reply') {
+            const thread = threads.find(t => t.id === selectedThreadId);
+            const subject = thread && thread.subject ? thread.subject : '';
+            subjectInput.val(/^re:/i.test(subject) ? subject : `Re: ${subject}`).prop('disabled', true);
+        } else {
+            subjectInput.val('').prop('disabled', false);
+        }
+
+        $(`#${uid}-body`).val('');
+        $(`#${uid}-composer`).show();
+        (mode === 'reply' ? $(`#${uid}-body`) : subjectInput).trigger('focus');
+    }
+
+    function closeComposer() {
+        composeMode = null;
+        hideError();
+        $(`#${uid}-composer`).hide();
+
+        // Abandoned retry - the thread exists, so show it in the list
+        if (pendingThreadId) {
+            pendingThreadId = null;
+            loadThreads();
+        }
+    }
+
+    /**
+     * Save the composed message to the lead's email history (record only - not sent)
+     * New threads are created first, then the message is posted into the thread.
+     * If the message fails, the created thread is reused on retry.
+     */
+    async function save() {
+        const subject = ($(`#${uid}-subject`).val() || '').trim();
+        const body = ($(`#${uid}-body`).val() || '').trim();
+
+        if (saving || !composeMode || !canCompose()) {
+            return;
+        }
+
+        if (composeMode === 'new' && !subject) {
+            showError('Subject is required');
+            return;
+        }
+        if (!body) {
+            showError('Message is required');
+            return;
+        }
+
+        saving = true;
+        setSavingState(true);
+        hideError();
+
+        try {
+            let threadId = selectedThreadId;
+
+            if (composeMode === 'new' && pendingThreadId) {
+                threadId = pendingThreadId;
+            } else if (composeMode === 'new') {
+                const threadResponse = await LeadEmailThreadClient.create({
+                    lead_id: config.leadId,
+                    subject: subject
+                });
+                const thread = threadResponse.records && threadResponse.records[0] ? threadResponse.records[0] : threadResponse;
+                threadId = thread.id;
+                pendingThreadId = threadId;
+
+                // The subject is saved on the thread now - keep it for the retry
+                $(`#${uid}-subject`).prop('disabled', true);
+            }
+
+            const payload = {
+                thread_id: threadId,
+                lead_id: config.leadId,
+                direction: 'outbound',
+                to_email: config.email,
+                subject: subject,
+                body_text: body,
+                body_html: escapeHtml(body).replace(/\n/g, '<br>')
+            };
+
+            const response = await LeadEmailMessageClient.create(payload);
+            const message = response.records && response.records[0] ? response.records[0] : response;
+
+            pendingThreadId = null;
+            closeComposer();
+
+            // Saved messages always land in the active list, with their thread open
+            showingArchived = false;
+            updateArchivedToggle();
+            selectedThreadId = threadId;
+            await loadThreads();
+
+            if (config.onSaved && typeof config.onSaved === 'function') {
+                config.onSaved(message);
+            }
+
+        } catch (error) {
+            console.error('Failed to save email:', error);
+
+            if (error instanceof ApiError && error.isValidationError) {
+                showError(error.detail.map(item => item.field ? `${item.field}: ${item.msg}` : item.msg).join('; '));
+            } else {
+                showError(error.message || 'Failed to save email. Please try again.');
+            }
+
+        } finally {
+            saving = false;
+            setSavingState(false);
+        }
+    }
+
+    /**
+     * Archive a thread (soft delete)
+     * @param {number} threadId - Thread ID
+     */
+    async function archiveThread(threadId) {
+        if (!threadId) {
+            return;
+        }
+
+        try {
+            await LeadEmailThreadClient.softDelete([threadId]);
+            selectedThreadId = null;
+            await loadThreads();
+        } catch (error) {
+            console.error('Failed to archive email thread:', error);
+            renderReaderMessage('fa-exclamation-triangle text-danger', error.message || 'Failed to archive thread');
+        }
+    }
+
+    /**
+     * Restore an archived thread
+     * @param {number} threadId - Thread ID
+     */
+    async function restoreThread(threadId) {
+        if (!threadId) {
+            return;
+        }
+
+        try {
+            await LeadEmailThreadClient.restore([threadId]);
+            selectedThreadId = null;
+            await loadThreads();
+        } catch (error) {
+            console.error('Failed to restore email thread:', error);
+            renderReaderMessage('fa-exclamation-triangle text-danger', error.message || 'Failed to restore thread');
+        }
+    }
+
+    /**
+     * Toggle between active and archived threads
+     */
+    async function toggleArchived() {
+        showingArchived = !showingArchived;
+        selectedThreadId = null;
+        closeComposer();
+        updateArchivedToggle();
+        return await loadThreads();
+    }
+
+    /**
+     * Update the archived toggle button; compose is hidden in archived view
+     */
+    function updateArchivedToggle() {
+        const button = container.find('[data-email-action="toggle-archived"]');
+        button.toggleClass('btn-outline-secondary', !showingArchived).toggleClass('btn-secondary', showingArchived);
+        button.find('span').text(showingArchived ? 'Show Active' : 'Show Archived');
+        container.find('[data-email-action="compose"]').toggle(!showingArchived);
+    }
+
+    /**
+     * Toggle save button spinner
+     */
+    function setSavingState(isSaving) {
+        $(`#${uid}-save`).prop('disabled', isSaving).html(isSaving
+            ? '<i class="fas fa-spinner fa-spin me-1"></i>Saving...'
+            : '<i class="fas fa-save me-1"></i>Save to Thread');
+    }
+
+    function renderListMessage(iconClass, text) {
+        $(`#${uid}-threads`).html(`
+            <div class="text-center py-4 text-muted">
+                <i class="fas ${iconClass} fa-2x mb-2"></i>
+                <div>${escapeHtml(text)}</div>
+            </div>
+        `);
+    }
+
+    function renderReaderMessage(iconClass, text) {
+        $(`#${uid}-reader`).html(`
+            <div class="text-center py-5 text-muted">
+                <i class="fas ${iconClass} fa-2x mb-3"></i>
+                <div>${escapeHtml(text)}</div>
+            </div>
+        `);
+    }
+
+    function showError(message) {
+        $(`#${uid}-error`).text(message).show();
+    }
+
+    function hideError() {
+        $(`#${uid}-error`).hide().text('');
+    }
+
+    /**
+     * Message direction, defaulting to outbound for records without one
+     */
+    function getDirection(message) {
+        const direction = (message.direction || '').toLowerCase();
+        return direction === 'inbound' || direction === 'in' ? 'inbound' : 'outbound';
+    }
+
+    function getThreadTimestamp(thread) {
+        return thread.last_message_at || thread.updated_at || thread.created_at || null;
+    }
+
+    function getMessageTimestamp(message) {
+        return message.sent_at || message.received_at || message.created_at || null;
+    }
+
+    /**
+     * Oldest message first, like a mail client's conversation view
+     */
+    function sortMessages(messages) {
+        return messages.slice().sort((a, b) =>
+            new Date(getMessageTimestamp(a) || 0) - new Date(getMessageTimestamp(b) || 0));
+    }
+
+    function formatDateTime(timestamp) {
+        return new Date(timestamp).toLocaleString('en-US', {
+            month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+    }
+
+    /**
+     * Logging needs an address and email consent
+     */
+    function canCompose() {
+        return !!config.email && config.hasConsent;
+    }
+
+    /**
+     * Allow or block compose/reply (called when consent is given or revoked)
+     * @param {boolean} granted - Lead has email consent
+     */
+    function setConsent(granted) {
+        config.hasConsent = !!granted;
+
+        $(`#${uid}-consent-notice`).toggle(!config.hasConsent);
+        $(`#${uid}-compose-btn`).prop('disabled', !canCompose());
+        if (!config.hasConsent) {
+            closeComposer();
+        }
+
+        // Re-render the open thread so its Reply button follows
+        const thread = threads.find(t => t.id === selectedThreadId);
+        if (thread && threadMessages[thread.id]) {
+            renderReader(thread);
+        }
+    }
+
+    /**
+     * Open the composer for a new email (e.g. from the modal's Email button)
+     */
+    function compose() {
+        if (showingArchived) {
+            toggleArchived();
+        }
+        openComposer('new');
+    }
+
+    /**
+     * Get loaded threads
+     * @returns {Array} Thread records
+     */
+    function getThreads() {
+        return threads;
+    }
+
+    /**
+     * Refresh - reload threads (and the open thread's messages)
+     */
+    async function refresh() {
+        threadMessages = {};
+        return await loadThreads();
+    }
+
+    /**
+     * Destroy the component - clean up event handlers
+     */
+    function destroy() {
+        API.cancel(`email:${uid}:threads`);
+        API.cancel(`email:${uid}:messages`);
+        container.off(`.${uid}`);
+        container.empty();
+        threads = [];
+        threadMessages = {};
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+
+    // Return public API
+    return {
+        init,
+        refresh,
+        compose,
+        setConsent,
+        getThreads,
+        sanitizeHtml,
+        destroy
+    };
+}
@@ -0,0 +1,455 @@
+/**
+ * LeadsEngine Nurture Panel Component
+ * Factory function to create a lead's nurture state panel with enrollment controls
+ *
+ * Usage:
+ *   const panel = createNurturePanel('#overview-nurture-panel', {
+ *     lead: leadRecord,
+ *     onChange: (action) => { ... }
+ *   });
+ *   await panel.init();
+ *
+ * ENDPOINTS (see endpoints.md "Lead" and "Nurture"):
+ *   GET  /api/v1/lead/{lead_id}/nurture/pending   - Pending steps for the lead
+ *   POST /api/v1/lead/{id}/nurture                - Enroll (body: {sequence_id})
+ *   POST /api/v1/lead/{record_id}/nurture/pause   - Pause pending steps
+ *   POST /api/v1/lead/{record_id}/nurture/resume  - Resume a paused sequence
+ *   POST /api/v1/lead/{record_id}/nurture/cancel  - Cancel the sequence
+ *   GET  /api/v1/nurture/sequence                 - Sequences for the enroll picker
+ *
+ * The pending response is read either as a list of steps or as one envelope
+ * {sequence_id, sequence_name, status, pending: [...]}. Step fields read:
+ *   step_order, channel, fire_at | scheduled_at | send_at, subject, status
+ * Enrollment status falls back to lead.nurture_status / lead.nurture_sequence_id
+ * when the pending response does not carry it.
+ */
+
+function createNurturePanel(selector, options = {}) {
+    const container = $(selector);
+    const uid = `nurture-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    let pending = [];
+    let sequences = [];
+    let enrollment = { sequenceId: null, sequenceName: null, status: 'none' };
+    let busy = false;
+    let confirmingCancel = false;
+
+    // Configuration
+    const config = {
+        lead: options.lead || {},
+        onChange: options.onChange || null
+    };
+
+    /**
+     * Enrollment status -> badge class and label
+     */
+    const STATUS_BADGES = {
+        none: { className: 'bg-light text-dark border', label: 'Not enrolled' },
+        active: { className: 'bg-success', label: 'Active' },
+        paused: { className: 'bg-warning text-dark', label: 'Paused' },
+        cancelled: { className: 'bg-secondary', label: 'Cancelled' },
+        completed: { className: 'bg-info', label: 'Completed' }
+    };
+
+    const CHANNEL_ICONS = {
+        email: 'fa-envelope',
+        sms: 'fa-sms'
+    };
+
+    /**
+     * Initialize the component - render layout and load state
+     */
+    async function init() {
+        render();
+        return await load();
+    }
+
+    /**
+     * Render the card shell and wire delegated handlers
+     */
+    function render() {
+        container.html(`
+            <div class="card mb-4">
+                <div class="card-header d-flex justify-content-between align-items-center">
+                    <h6 class="card-title mb-0"><i class="fas fa-stream me-2"></i>Nurture</h6>
+                    <button type="button" class="btn btn-sm btn-link p-0 text-muted" data-nurture-action="refresh" title="Refresh">
+                        <i class="fas fa-sync-alt"></i>
+                    </button>
+                </div>
+                <div class="card-body" id="${uid}-body"></div>
+            </div>
+        `);
+
+        // Delegated handlers (removed in destroy)
+        container.on(`click.${uid}`, '[data-nurture-action]', function() {
+            const action = $(this).data('nurture-action');
+
+            switch (action) {
+                case 'refresh':
+                    load();
+                    break;
+                case 'enroll':
+                    enroll();
+                    break;
+                case 'pause':
+                case 'resume':
+                    runAction(action);
+                    break;
+                case 'cancel':
+                    confirmingCancel = true;
+                    renderBody();
+                    break;
+                case 'cancel-abort':
+                    confirmingCancel = false;
+                    renderBody();
+                    break;
+                case 'cancel-confirm':
+                    runAction('cancel');
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Load pending steps and the sequence list in parallel
+     * @returns {Promise<boolean>} True if loaded
+     */
+    async function load() {
+        if (!config.lead.id) {
+            renderMessage('fa-exclamation-triangle', 'No lead selected');
+            return false;
+        }
+
+        renderMessage('fa-spinner fa-spin', 'Loading nurture state...');
+
+        try {
+            // cancelKey: switching leads quickly must not show the previous lead's state
+            const [pendingResponse, sequenceResponse] = await Promise.all([
+                LeadClient.nurturePending(config.lead.id, {}, { cancelKey: `nurture:${uid}` }),
+                sequences.length ? Promise.resolve(null) : NurtureSequenceClient.list({}, { cancelKey: `nurture-sequences:${uid}` })
+            ]);
+
+            if (sequenceResponse) {
+                sequences = (sequenceResponse.records || []).filter(sequence => sequence.is_active !== false);
+            }
+
+            readPending(pendingResponse.records || []);
+
+            console.log(`Nurture panel: lead ${config.lead.id} is ${enrollment.status} with ${pending.length} pending step(s)`);
+
+            confirmingCancel = false;
+            renderBody();
+            return true;
+
+        } catch (error) {
+            if (API.isAbortError(error)) {
+                return false;
+            }
+            console.error('Failed to load nurture state:', error);
+            renderMessage('fa-exclamation-triangle text-danger', 'Failed to load nurture state');
+            return false;
+        }
+    }
+
+    /**
+     * Read enrollment state and pending steps from the pending response
+     * @param {Array} records - Normalized records from the pending endpoint
+     */
+    function readPending(records) {
+        let envelope = {};
+        let steps = records;
+
+        if (records.length === 1 && Array.isArray(records[0].pending || records[0].steps)) {
+            envelope = records[0];
+            steps = envelope.pending || envelope.steps;
+        }
+
+        pending = steps.slice().sort((a, b) => new Date(getFireTime(a) || 0) - new Date(getFireTime(b) || 0));
+
+        const lead = config.lead;
+        const sequenceId = envelope.sequence_id || (pending[0] && pending[0].sequence_id) || lead.nurture_sequence_id || null;
+        const sequence = sequences.find(s => s.id === sequenceId);
+
+        let status = (envelope.status || lead.nurture_status || '').toLowerCase();
+        if (!STATUS_BADGES[status]) {
+            if (pending.some(step => (step.status || '').toLowerCase() === 'paused')) {
+                status = 'paused';
+            } else {
+                status = pending.length || sequenceId ? 'active' : 'none';
+            }
+        }
+
+        enrollment = {
+            sequenceId: sequenceId,
+            sequenceName: envelope.sequence_name || (pending[0] && pending[0].sequence_name) || (sequence && sequence.name) || null,
+            status: status
+        };
+    }
+
+    /**
+     * Render status, pending steps and the actions for the current status
+     */
+    function renderBody() {
+        const body = $(`#${uid}-body`);
+        const badge = STATUS_BADGES[enrollment.status];
+        const enrolled = enrollment.status === 'active' || enrollment.status === 'paused';
+
+        let html = `
+            <div class="row mb-3">
+                <div class="col-sm-4"><strong>Sequence:</strong></div>
+                <div class="col-sm-8">
+                    ${enrollment.sequenceId
+                        ? escapeHtml(enrollment.sequenceName || `Sequence #${enrollment.sequenceId}`)
+                        : '<span class="text-muted">None</span>'}
+                    <span class="badge ${badge.className} ms-2">${badge.label}</span>
+                </div>
+            </div>
+        `;
+
+        if (enrolled) {
+            html += `
+                <div class="mb-3">
+                    <strong>Pending Steps:</strong>
+                    ${pending.length ? `
+                        <ul class="list-group list-group-flush mt-2">
+                            ${pending.map(createPendingItem).join('')}
+                        </ul>
+                    ` : '<div class="text-muted small mt-1">No steps waiting to send</div>'}
+                </div>
+            `;
+        }
+
+        html += `<div class="d-flex flex-wrap gap-2 align-items-center">${createActions(enrolled)}</div>`;
+        html += `<div class="alert alert-danger mt-3 mb-0" id="${uid}-error" style="display: none;"></div>`;
+
+        body.html(html);
+    }
+
+    /**
+     * Render a pending step row
+     * @param {Object} step - Pending step record
+     * @returns {string} HTML
+     */
+    function createPendingItem(step) {
+        const channel = (step.channel || '').toLowerCase();
+        const fireAt = getFireTime(step);
+
+        return `
+            <li class="list-group-item px-0 d-flex justify-content-between align-items-center">
+                <span>
+                    <i class="fas ${CHANNEL_ICONS[channel] || 'fa-paper-plane'} text-muted me-2"></i>
+                    ${step.step_order ? `Step ${escapeHtml(step.step_order)}` : 'Step'}
+                    ${step.subject ? `<span class="text-muted">- ${escapeHtml(step.subject)}</span>` : ''}
+                </span>
+                <small class="text-muted">${fireAt ? formatDateTime(fireAt) : 'Unscheduled'}</small>
+            </li>
+        `;
+    }
+
+    /**
+     * Render the action buttons for the current status
+     * @param {boolean} enrolled - Lead has an active or paused sequence
+     * @returns {string} HTML
+     */
+    function createActions(enrolled) {
+        const disabled = busy ? 'disabled' : '';
+
+        if (!enrolled) {
+            if (sequences.length === 0) {
+                return '<span class="text-muted small">No active sequences - create one on the Nurture page</span>';
+            }
+            return `
+                <select class="form-select form-select-sm w-auto" id="${uid}-sequence" ${disabled}>
+                    ${sequences.map(sequence => `<option value="${sequence.id}">${escapeHtml(sequence.name || `Sequence #${sequence.id}`)}</option>`).join('')}
+                </select>
+                <button type="button" class="btn btn-sm btn-primary" data-nurture-action="enroll" ${disabled}>
+                    <i class="fas fa-play me-1"></i>Enroll
+                </button>
+            `;
+        }
+
+        if (confirmingCancel) {
+            return `
+                <span class="small">Cancel all pending steps?</span>
+                <button type="button" class="btn btn-sm btn-danger" data-nurture-action="cancel-confirm" ${disabled}>Cancel Sequence</button>
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-nurture-action="cancel-abort" ${disabled}>Keep</button>
+            `;
+        }
+
+        return `
+            ${enrollment.status === 'paused' ? `
+                <button type="button" class="btn btn-sm btn-outline-success" data-nurture-action="resume" ${disabled}>
+                    <i class="fas fa-play me-1"></i>Resume
+                </button>
+            ` : `
+                <button type="button" class="btn btn-sm btn-outline-warning" data-nurture-action="pause" ${disabled}>
+                    <i class="fas fa-pause me-1"></i>Pause
+                </button>
+            `}
+            <button type="button" class="btn btn-sm btn-outline-danger" data-nurture-action="cancel" ${disabled}>
+                <i class="fas fa-stop me-1"></i>Cancel
+            </button>
+        `;
+    }
+
+    /**
+     * Render a centered message (loading, empty, error) in the card body
+     */
+    function renderMessage(iconClass, text) {
+        $(`#${uid}-body`).html(`
+            <div class="text-center py-3 text-muted">
+                <i class="fas ${iconClass} me-2"></i>${escapeHtml(text)}
+            </div>
+        `);
+    }
+
+    /**
+     * Enroll the lead in the selected sequence
+     */
+    async function enroll() {
+        const sequenceId = parseInt($(`#${uid}-sequence`).val());
+        if (busy || isNaN(sequenceId)) {
+            return;
+        }
+
+        const payload = { sequence_id: sequenceId };
+        console.log(`=== ENROLL LEAD ${config.lead.id} IN NURTURE ===`, payload);
+
+        await perform('enroll', () => LeadClient.nurture(config.lead.id, payload), 'active', sequenceId);
+    }
+
+    /**
+     * Pause, resume or cancel the lead's sequence
+     * @param {string} action - 'pause' | 'resume' | 'cancel'
+     */
+    async function runAction(action) {
+        if (busy) {
+            return;
+        }
+
+        const requests = {
+            pause: () => LeadClient.nurturePause(config.lead.id),
+            resume: () => LeadClient.nurtureResume(config.lead.id),
+            cancel: () => LeadClient.nurtureCancel(config.lead.id)
+        };
+        const statuses = { pause: 'paused', resume: 'active', cancel: 'cancelled' };
+
+        console.log(`=== NURTURE ${action.toUpperCase()} (lead ${config.lead.id}) ===`);
+
+        await perform(action, requests[action], statuses[action]);
+    }
+
+    /**
+     * Run a nurture request, then reload and notify
+     * The lead record passed in is not refetched, so its nurture_status is
+     * updated locally to keep the fallback in readPending() current.
+     * @param {string} action - Action name passed to onChange
+     * @param {Function} request - Returns the API promise
+     * @param {string} nextStatus - Expected status after success
+     * @param {number|null} sequenceId - Sequence enrolled in (enroll only)
+     */
+    async function perform(action, request, nextStatus, sequenceId = null) {
+        busy = true;
+        renderBody();
+
+        try {
+            await request();
+            config.lead.nurture_status = nextStatus;
+            if (sequenceId) {
+                config.lead.nurture_sequence_id = sequenceId;
+            }
+
+            busy = false;
+            await load();
+
+            if (config.onChange && typeof config.onChange === 'function') {
+                config.onChange(action);
+            }
+
+        } catch (error) {
+            console.error(`Failed to ${action} nurture:`, error);
+            busy = false;
+            confirmingCancel = false;
+            renderBody();
+
+            if (error instanceof ApiError && error.isValidationError) {
+                showError(error.detail.map(item => item.field ? `${item.field}: ${item.msg}` : item.msg).join('; '));
+            } else {
+                showError(error.message || `Failed to ${action} nurture. Please try again.`);
+            }
+        }
+    }
+
+    function showError(message) {
+        $(`#${uid}-error`).text(message).show();
+    }
+
+    function getFireTime(step) {
+        return step.fire_at || step.scheduled_at || step.send_at || null;
+    }
+
+    function formatDateTime(timestamp) {
+        return new Date(timestamp).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Get current enrollment state
+     * @returns {{sequenceId: number|null, sequenceName: string|null, status: string}}
+     */
+    function getEnrollment() {
+        return { ...enrollment };
+    }
+
+    /**
+     * Get loaded pending steps
+     * @returns {Array} Pending step records
+     */
+    function getPending() {
+        return pending;
+    }
+
+    /**
+     * Refresh - reload state
+     */
+    async function refresh() {
+        return await load();
+    }
+
+    /**
+     * Destroy the component - cancel requests and clean up event handlers
+     */
+    function destroy() {
+        API.cancel(`nurture:${uid}`);
+        API.cancel(`nurture-sequences:${uid}`);
+        container.off(`.${uid}`);
+        container.empty();
+        pending = [];
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+
+    // Return public API
+    return {
+        init,
+        refresh,
+        getEnrollment,
+        getPending,
+        destroy
+    };
+}
@@ -0,0 +1,408 @@
+/**
+ * LeadsEngine Rep Leaderboard Component
+ * Factory function to create a per-user performance and workload table
+ *
+ * Usage:
+ *   const leaderboard = createRepLeaderboard('#leaderboardContainer', {
+ *     dateFrom: '2026-01-01',      // Activity range (YYYY-MM-DD, optional)
+ *     dateTo: '2026-01-31',
+ *     sortKey: 'converted'         // Initial sort column (descending)
+ *   });
+ *   await leaderboard.init();
+ *   await leaderboard.load({ dateFrom, dateTo });   // New range
+ *
+ * Columns (sortable by clicking the header):
+ *   Assigned       - leads assigned to the user in the range (ASSIGNED events,
+ *                    plus leads created in the range already assigned)
+ *   Contacted      - leads the user moved into a Working or Won status
+ *   Converted      - leads the user moved into a Won status
+ *   Conversion     - converted / assigned
+ *   First Response - average time from assignment to the user's first status change
+ *   Open Load      - leads assigned to the user now, in an Open or Working status
+ *                    (not limited to the range)
+ *
+ * ENDPOINTS:
+ *   GET /api/v1/user/with-relationships            - Users
+ *   GET /api/v1/lead/with-relationships            - Leads (assigned_to_user_id, status)
+ *   GET /api/v1/leadevent/with-relationships?type= - ASSIGNED and STATUS_CHANGED events
+ * Lists are paged with API.getAll and capped at Config.REPORT_MAX_RECORDS.
+ *
+ * Event fields read (same shapes as the lead timeline):
+ *   type | kind, ts | created_at, lead_id | lead.id, actor_user_id
+ *   ASSIGNED       - payload.user_id | payload.assigned_to_user_id
+ *   STATUS_CHANGED - to | payload.to | payload.new_status_id | payload.to_status_id
+ */
+
+function createRepLeaderboard(selector, options = {}) {
+    const container = $(selector);
+    const uid = `leaderboard-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    let rows = [];
+    let truncated = false;
+
+    // Configuration
+    const config = {
+        dateFrom: options.dateFrom || '',
+        dateTo: options.dateTo || '',
+        sortKey: options.sortKey || 'converted',
+        sortDirection: 'desc'
+    };
+
+    /**
+     * Sortable columns: key -> header label and row value
+     */
+    const COLUMNS = [
+        { key: 'name', label: 'Rep', value: row => row.name.toLowerCase() },
+        { key: 'assigned', label: 'Assigned', value: row => row.assigned },
+        { key: 'contacted', label: 'Contacted', value: row => row.contacted },
+        { key: 'converted', label: 'Converted', value: row => row.converted },
+        { key: 'conversionRate', label: 'Conversion', value: row => row.conversionRate },
+        { key: 'avgResponseMs', label: 'First Response', value: row => row.avgResponseMs },
+        { key: 'openLoad', label: 'Open Load', value: row => row.openLoad }
+    ];
+
+    /**
+     * Initialize the component - render layout and load data
+     */
+    async function init() {
+        renderLayout();
+
+        container.on('click', `#${uid} th[data-sort-key]`, function() {
+            setSort($(this).data('sort-key'));
+        });
+
+        return await load();
+    }
+
+    /**
+     * Load users, leads and events for a range and render the table
+     * @param {Object} range - {dateFrom, dateTo} (omit to reload the current range)
+     * @returns {Promise<boolean>} True on success
+     */
+    async function load(range = null) {
+        if (range) {
+            config.dateFrom = range.dateFrom || '';
+            config.dateTo = range.dateTo || '';
+        }
+
+        container.find(`#${uid} tbody`).html(`
+            <tr><td colspan="${COLUMNS.length + 1}" class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin"></i></td></tr>
+        `);
+
+        try {
+            const listOptions = { maxRecords: Config.REPORT_MAX_RECORDS };
+            const eventParams = { date_from: config.dateFrom, date_to: config.dateTo };
+
+            const [usersResult, leadsResult, assignedResult, statusResult, statuses] = await Promise.all([
+                API.getAll(API.route('USER.WITH_RELATIONSHIPS'), {}, listOptions),
+                API.getAll(API.route('LEAD.WITH_RELATIONSHIPS'), {}, listOptions),
+                API.getAll(API.route('LEADEVENT.WITH_RELATIONSHIPS'), { ...eventParams, type: 'ASSIGNED' }, listOptions),
+                API.getAll(API.route('LEADEVENT.WITH_RELATIONSHIPS'), { ...eventParams, type: 'STATUS_CHANGED' }, listOptions),
+                ReferenceData.getStatuses()
+            ]);
+
+            truncated = [usersResult, leadsResult, assignedResult, statusResult].some(result => result.truncated);
+
+            rows = calculateRows({
+                users: usersResult.records,
+                leads: leadsResult.records,
+                events: [...assignedResult.records, ...statusResult.records],
+                statuses
+            });
+
+            render();
+            return true;
+
+        } catch (error) {
+            console.error('Failed to load rep leaderboard:', error);
+            container.find(`#${uid} tbody`).html(`
+                <tr><td colspan="${COLUMNS.length + 1}" class="text-center text-danger py-4">
+                    <i class="fas fa-exclamation-triangle me-2"></i>Failed to load rep performance
+                </td></tr>
+            `);
+            return false;
+        }
+    }
+
+    /**
+     * Per-user metrics from users, leads and events
+     * @param {Object} data - {users, leads, events, statuses}
+     * @returns {Array<Object>} One row per active user (or user with activity)
+     */
+    function calculateRows(data) {
+        const statusById = {};
+        data.statuses.forEach(status => {
+            statusById[status.id] = status;
+        });
+        const stageOf = statusId => PipelineStages.getStage(statusById[statusId] || { id: statusId });
+
+        const stats = {};
+        const statsFor = userId => {
+            if (!stats[userId]) {
+                stats[userId] = { assigned: new Set(), contacted: new Set(), converted: new Set(), responseTimes: [], openLoad: 0 };
+            }
+            return stats[userId];
+        };
+
+        const events = data.events
+            .filter(event => eventTime(event) && isInRange(eventTime(event)))
+            .sort((a, b) => new Date(eventTime(a)) - new Date(eventTime(b)));
+        const statusChanges = events.filter(event => eventType(event) === 'STATUS_CHANGED');
+
+        // Assignments in the range: ASSIGNED events, plus leads created assigned
+        const assignments = events
+            .filter(event => eventType(event) === 'ASSIGNED')
+            .map(event => {
+                const payload = event.payload || {};
+                return {
+                    leadId: eventLeadId(event),
+                    userId: payload.user_id || payload.assigned_to_user_id || null,
+                    time: eventTime(event)
+                };
+            });
+        const assignedLeadIds = new Set(assignments.map(assignment => assignment.leadId));
+
+        data.leads.forEach(lead => {
+            if (lead.assigned_to_user_id && lead.created_at && isInRange(lead.created_at) && !assignedLeadIds.has(lead.id)) {
+                assignments.push({ leadId: lead.id, userId: lead.assigned_to_user_id, time: lead.created_at });
+            }
+
+            // Current workload, whatever the range
+            const statusId = lead.status_id || (lead.status && lead.status.id);
+            const stage = stageOf(statusId);
+            if (lead.assigned_to_user_id && !lead.deleted_at && (stage === 'open' || stage === 'working')) {
+                statsFor(lead.assigned_to_user_id).openLoad++;
+            }
+        });
+
+        assignments.forEach(assignment => {
+            if (!assignment.leadId || !assignment.userId) return;
+
+            const entry = statsFor(assignment.userId);
+            entry.assigned.add(assignment.leadId);
+
+            // First response: the assignee's first status change on the lead after assignment
+            const response = statusChanges.find(event =>
+                eventLeadId(event) === assignment.leadId &&
+                event.actor_user_id === assignment.userId &&
+                new Date(eventTime(event)) >= new Date(assignment.time));
+            if (response) {
+                entry.responseTimes.push(new Date(eventTime(response)) - new Date(assignment.time));
+            }
+        });
+
+        statusChanges.forEach(event => {
+            const leadId = eventLeadId(event);
+            if (!event.actor_user_id || !leadId) return;
+
+            const stage = stageOf(eventToStatusId(event));
+            if (stage === 'working' || stage === 'won') {
+                statsFor(event.actor_user_id).contacted.add(leadId);
+            }
+            if (stage === 'won') {
+                statsFor(event.actor_user_id).converted.add(leadId);
+            }
+        });
+
+        // Active users always get a row; inactive ones only with activity
+        const usersById = {};
+        data.users.forEach(user => {
+            usersById[user.id] = user;
+        });
+        const userIds = new Set([
+            ...data.users.filter(user => user.is_active !== false && !user.deleted_at).map(user => user.id),
+            ...Object.keys(stats).map(id => parseInt(id))
+        ]);
+
+        return Array.from(userIds).map(userId => {
+            const user = usersById[userId] || {};
+            const entry = stats[userId] || { assigned: new Set(), contacted: new Set(), converted: new Set(), responseTimes: [], openLoad: 0 };
+            const assigned = entry.assigned.size;
+
+            return {
+                userId,
+                name: user.full_name || user.username || user.email || `User #${userId}`,
+                assigned,
+                contacted: entry.contacted.size,
+                converted: entry.converted.size,
+                conversionRate: assigned > 0 ? entry.converted.size / assigned : null,
+                avgResponseMs: entry.responseTimes.length > 0
+                    ? entry.responseTimes.reduce((sum, ms) => sum + ms, 0) / entry.responseTimes.length
+                    : null,
+                openLoad: entry.openLoad
+            };
+        });
+    }
+
+    /**
+     * Render the table frame (header, empty body)
+     */
+    function renderLayout() {
+        container.html(`
+            <div id="${uid}">
+                <div class="alert alert-warning small py-2 leaderboard-truncated" style="display: none;">
+                    <i class="fas fa-exclamation-circle me-1"></i>
+                    Too much data to load in full - figures cover the first records only.
+                </div>
+                <div class="table-responsive">
+                    <table class="table table-hover table-sm mb-0">
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                ${COLUMNS.map(column => `
+                                    <th data-sort-key="${column.key}" class="text-nowrap" style="cursor: pointer;">
+                                        ${column.label} <i class="fas fa-sort ms-1"></i>
+                                    </th>
+                                `).join('')}
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * Render rows in the current sort order
+     */
+    function render() {
+        const root = container.find(`#${uid}`);
+        root.find('.leaderboard-truncated').toggle(truncated);
+
+        // Sort indicators
+        root.find('th[data-sort-key] i').attr('class', 'fas fa-sort ms-1');
+        root.find(`th[data-sort-key="${config.sortKey}"] i`)
+            .attr('class', `fas fa-sort-${config.sortDirection === 'asc' ? 'up' : 'down'} ms-1`);
+
+        const tbody = root.find('tbody');
+        if (rows.length === 0) {
+            tbody.html(`<tr><td colspan="${COLUMNS.length + 1}" class="text-center text-muted py-4">No users found</td></tr>`);
+            return;
+        }
+
+        tbody.html(getRows().map((row, index) => `
+            <tr>
+                <td class="text-muted">${index + 1}</td>
+                <td class="text-nowrap">${escapeHtml(row.name)}</td>
+                <td>${row.assigned}</td>
+                <td>${row.contacted}</td>
+                <td>${row.converted}</td>
+                <td>${row.conversionRate !== null ? `${Math.round(row.conversionRate * 100)}%` : '<span class="text-muted">--</span>'}</td>
+                <td>${row.avgResponseMs !== null ? formatDuration(row.avgResponseMs) : '<span class="text-muted">--</span>'}</td>
+                <td>${row.openLoad}</td>
+            </tr>
+        `).join(''));
+    }
+
+    /**
+     * Sort by a column - clicking the active column flips the direction
+     * @param {string} key - Column key
+     */
+    function setSort(key) {
+        if (!COLUMNS.some(column => column.key === key)) return;
+
+        if (config.sortKey === key) {
+            config.sortDirection = config.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            config.sortKey = key;
+            config.sortDirection = key === 'name' || key === 'avgResponseMs' ? 'asc' : 'desc';
+        }
+
+        render();
+    }
+
+    /**
+     * Rows in the current sort order (empty values always last)
+     * @returns {Array<Object>}
+     */
+    function getRows() {
+        const column = COLUMNS.find(c => c.key === config.sortKey);
+        const direction = config.sortDirection === 'asc' ? 1 : -1;
+
+        return [...rows].sort((a, b) => {
+            const aVal = column.value(a);
+            const bVal = column.value(b);
+            if (aVal === null && bVal === null) return a.name.localeCompare(b.name);
+            if (aVal === null) return 1;
+            if (bVal === null) return -1;
+            if (aVal < bVal) return -direction;
+            if (aVal > bVal) return direction;
+            return a.name.localeCompare(b.name);
+        });
+    }
+
+    /**
+     * Event type (timeline events carry it as type or kind)
+     */
+    function eventType(event) {
+        return event.type || event.kind || '';
+    }
+
+    function eventTime(event) {
+        return event.ts || event.created_at || null;
+    }
+
+    function eventLeadId(event) {
+        return event.lead_id || (event.lead && event.lead.id) || null;
+    }
+
+    function eventToStatusId(event) {
+        const payload = event.payload || {};
+        return event.to || payload.to || payload.new_status_id || payload.to_status_id || null;
+    }
+
+    /**
+     * Is a timestamp inside the configured range (whole local days, inclusive)?
+     */
+    function isInRange(value) {
+        const date = new Date(value);
+        if (isNaN(date)) return false;
+
+        const pad = n => String(n).padStart(2, '0');
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        return (!config.dateFrom || day >= config.dateFrom) && (!config.dateTo || day <= config.dateTo);
+    }
+
+    /**
+     * Format a duration in milliseconds ("45m", "3.5h", "2.1d")
+     */
+    function formatDuration(ms) {
+        const minutes = ms / 60000;
+        if (minutes < 1) return '< 1m';
+        if (minutes < 60) return `${Math.round(minutes)}m`;
+        if (minutes < 24 * 60) return `${Math.round(minutes / 6) / 10}h`;
+        return `${Math.round(minutes / 144) / 10}d`;
+    }
+
+    /**
+     * Destroy the component - clean up event handlers
+     */
+    function destroy() {
+        container.off('click', `#${uid} th[data-sort-key]`);
+        container.empty();
+        rows = [];
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+
+    // Return public API
+    return {
+        init,
+        load,
+        getRows,
+        setSort,
+        destroy
+    };
+}
@@ -0,0 +1,601 @@
+/**
+ * LeadsEngine SMS Conversation Component
+ * Factory function to create a lead's threaded SMS view with composer
+ *
+ * Usage:
+ *   const conversation = createSmsConversation('#messages-conversation', {
+ *     leadId: 42,
+ *     phone: '+15551234567',
+ *     hasConsent: true,
+ *     onSent: (message) => { ... }
+ *   });
+ *   await conversation.init();
+ *
+ *   // Block the composer when SMS consent is revoked (see LeadsPage consent)
+ *   conversation.setConsent(false);
+ *
+ * ENDPOINTS (see endpoints.md "Leadsmsmessage" and "Send"):
+ *   GET   /api/v1/leadsmsmessage/with-relationships  - Messages (Params: lead_id, deleted)
+ *   POST  /api/v1/send/sms                           - Send (body: {to, body, lead_id})
+ *   PATCH /api/v1/leadsmsmessage/soft-delete         - Archive messages (body: [id, ...])
+ *   PATCH /api/v1/leadsmsmessage/restore             - Restore messages (body: [id, ...])
+ *
+ * Message fields read (with fallbacks for older records):
+ *   body, direction ('inbound' | 'outbound'), status, sent_at | created_at,
+ *   to_number, from_number, error_message
+ */
+
+function createSmsConversation(selector, options = {}) {
+    const container = $(selector);
+    const uid = `sms-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    let messages = [];
+    let showingArchived = false;
+    let sending = false;
+
+    // Configuration
+    const config = {
+        leadId: options.leadId || null,
+        phone: options.phone || '',
+        maxLength: options.maxLength || 1600,  // 10 GSM-7 segments
+        hasConsent: options.hasConsent !== false,
+        onSent: options.onSent || null
+    };
+
+    /**
+     * GSM 03.38 character sets
+     * Extended characters take two septets (escape + char)
+     */
+    const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+        '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+    const GSM_EXTENDED = '^{}\\[~]|€\f';
+
+    /**
+     * Delivery status -> badge class and label
+     */
+    const STATUS_BADGES = {
+        queued: { className: 'bg-secondary', label: 'Queued' },
+        sending: { className: 'bg-secondary', label: 'Sending' },
+        sent: { className: 'bg-info', label: 'Sent' },
+        delivered: { className: 'bg-success', label: 'Delivered' },
+        received: { className: 'bg-success', label: 'Received' },
+        undelivered: { className: 'bg-warning text-dark', label: 'Undelivered' },
+        failed: { className: 'bg-danger', label: 'Failed' }
+    };
+
+    /**
+     * Initialize the component - render layout and load messages
+     */
+    async function init() {
+        render();
+        return await load();
+    }
+
+    /**
+     * Render the layout: toolbar, thread and composer
+     */
+    function render() {
+        const hasPhone = !!config.phone;
+
+        container.html(`
+            <div class="d-flex justify-content-between align-items-center mb-3">
+                <div>
+                    <h6 class="mb-0"><i class="fas fa-sms me-2"></i>SMS Conversation</h6>
+                    <small class="text-muted">${hasPhone ? escapeHtml(config.phone) : 'No phone number on file'}</small>
+                </div>
+                <div class="d-flex gap-2">
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-sms-action="toggle-archived">
+                        <i class="fas fa-archive me-1"></i><span>Show Archived</span>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-sms-action="refresh" title="Refresh">
+                        <i class="fas fa-sync-alt"></i>
+                    </button>
+                </div>
+            </div>
+
+            <div class="sms-thread mb-3" id="${uid}-thread"></div>
+
+            <div class="alert alert-warning py-2" id="${uid}-consent-notice" style="${config.hasConsent ? 'display: none;' : ''}">
+                <i class="fas fa-user-lock me-2"></i>No SMS consent on file - record consent on the Overview tab before texting this lead.
+            </div>
+
+            <div class="card" id="${uid}-composer">
+                <div class="card-body">
+                    <textarea class="form-control mb-2" id="${uid}-body" rows="3"
+                        placeholder="${getPlaceholder()}"
+                        ${canSend() ? '' : 'disabled'}></textarea>
+                    <div class="d-flex justify-content-between align-items-center">
+                        <small class="sms-counter text-muted" id="${uid}-counter"></small>
+                        <button type="button" class="btn btn-primary btn-sm" data-sms-action="send" id="${uid}-send" disabled>
+                            <i class="fas fa-paper-plane me-1"></i>Send SMS
+                        </button>
+                    </div>
+                    <div class="alert alert-danger mt-2 mb-0" id="${uid}-error" style="display: none;"></div>
+                </div>
+            </div>
+        `);
+
+        // Delegated handlers (removed in destroy)
+        container.on(`click.${uid}`, '[data-sms-action]', function() {
+            const action = $(this).data('sms-action');
+            const messageId = parseInt($(this).data('message-id'));
+
+            switch (action) {
+                case 'send':
+                    send();
+                    break;
+                case 'refresh':
+                    load();
+                    break;
+                case 'toggle-archived':
+                    toggleArchived();
+                    break;
+                case 'archive':
+                    archiveMessage(messageId);
+                    break;
+                case 'restore':
+                    restoreMessage(messageId);
+                    break;
+            }
+        });
+
+        container.on(`input.${uid}`, `#${uid}-body`, () => {
+            updateCounter();
+            hideError();
+        });
+
+        container.on(`keydown.${uid}`, `#${uid}-body`, (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                send();
+            }
+        });
+
+        updateCounter();
+    }
+
+    /**
+     * Load messages for the lead (active or archived)
+     * @returns {Promise<boolean>} True if loaded
+     */
+    async function load() {
+        if (!config.leadId) {
+            renderThreadMessage('fa-exclamation-triangle', 'No lead selected');
+            return false;
+        }
+
+        renderThreadMessage('fa-spinner fa-spin', 'Loading messages...');
+
+        try {
+            const params = { lead_id: config.leadId, limit: 200 };
+            if (showingArchived) {
+                params.deleted = true;
+            }
+
+            // cancelKey: switching leads quickly must not show the previous lead's thread
+            const response = await LeadSmsMessageClient.withRelationships(params, { cancelKey: `sms:${uid}` });
+
+            // Guard against backends that ignore the lead_id filter
+            messages = (response.records || [])
+                .filter(message => String(message.lead_id) === String(config.leadId))
+                .sort((a, b) => new Date(getTimestamp(a) || 0) - new Date(getTimestamp(b) || 0));
+
+            renderThread();
+            return true;
+
+        } catch (error) {
+            if (API.isAbortError(error)) {
+                return false;
+            }
+            console.error('Failed to load SMS messages:', error);
+            renderThreadMessage('fa-exclamation-triangle text-danger', 'Failed to load messages');
+            return false;
+        }
+    }
+
+    /**
+     * Render the message thread grouped by day
+     */
+    function renderThread() {
+        const thread = $(`#${uid}-thread`);
+
+        if (messages.length === 0) {
+            renderThreadMessage('fa-comments', showingArchived ? 'No archived messages' : 'No messages yet');
+            return;
+        }
+
+        let html = '';
+        let currentDay = null;
+
+        messages.forEach(message => {
+            const timestamp = getTimestamp(message);
+            const day = timestamp ? new Date(timestamp).toDateString() : 'Unknown date';
+
+            if (day !== currentDay) {
+                currentDay = day;
+                html += `<div class="sms-day-separator">${escapeHtml(formatDay(timestamp))}</div>`;
+            }
+
+            html += createMessageBubble(message);
+        });
+
+        thread.html(html);
+
+        // Newest message at the bottom, like a phone
+        thread.scrollTop(thread[0].scrollHeight);
+    }
+
+    /**
+     * Render a single message bubble
+     * @param {Object} message - SMS message record
+     * @returns {string} HTML
+     */
+    function createMessageBubble(message) {
+        const direction = getDirection(message);
+        const archived = showingArchived || message.is_deleted;
+        const status = (message.status || message.delivery_status || '').toLowerCase();
+        const timestamp = getTimestamp(message);
+
+        const action = archived
+            ? `<button type="button" class="btn btn-link btn-sm p-0 ms-2" data-sms-action="restore" data-message-id="${message.id}" title="Restore message">
+                   <i class="fas fa-undo"></i>
+               </button>`
+            : `<button type="button" class="btn btn-link btn-sm p-0 ms-2 text-muted" data-sms-action="archive" data-message-id="${message.id}" title="Archive message">
+                   <i class="fas fa-archive"></i>
+               </button>`;
+
+        const errorText = status === 'failed' || status === 'undelivered'
+            ? `<div class="text-danger small mt-1">${escapeHtml(message.error_message || 'Message was not delivered')}</div>`
+            : '';
+
+        return `
+            <div class="sms-message sms-${direction}${archived ? ' sms-archived' : ''}" data-message-id="${message.id}">
+                <div class="sms-bubble">
+                    <div>${escapeHtml(message.body || message.message || '')}</div>
+                    ${errorText}
+                    <div class="sms-meta d-flex align-items-center justify-content-end gap-2">
+                        <span>${timestamp ? formatTime(timestamp) : ''}</span>
+                        ${direction === 'outbound' ? createStatusBadge(status) : ''}
+                        <span class="sms-message-actions">${action}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render delivery status badge
+     * @param {string} status - Delivery status
+     * @returns {string} HTML
+     */
+    function createStatusBadge(status) {
+        if (!status) {
+            return '';
+        }
+        const badge = STATUS_BADGES[status] || { className: 'bg-light text-dark', label: status };
+        return `<span class="badge ${badge.className}">${escapeHtml(badge.label)}</span>`;
+    }
+
+    /**
+     * Render a centered message (loading, empty, error) in the thread
+     */
+    function renderThreadMessage(iconClass, text) {
+        $(`#${uid}-thread`).html(`
+            <div class="text-center py-5 text-muted">
+                <i class="fas ${iconClass} fa-2x mb-3"></i>
+                <div>${escapeHtml(text)}</div>
+            </div>
+        `);
+    }
+
+    /**
+     * Send the composed message
+     */
+    async function send() {
+        const textarea = $(`#${uid}-body`);
+        const body = (textarea.val() || '').trim();
+
+        if (sending || !body || !canSend()) {
+            return;
+        }
+
+        if (body.length > config.maxLength) {
+            showError(`Message is too long (maximum ${config.maxLength} characters)`);
+            return;
+        }
+
+        const payload = {
+            to: config.phone,
+            body: body,
+            lead_id: config.leadId
+        };
+
+        sending = true;
+        setSendingState(true);
+        hideError();
+
+        try {
+            const response = await SendClient.sms(payload);
+            const message = response.records && response.records[0] ? response.records[0] : response;
+
+            textarea.val('');
+            updateCounter();
+
+            // Sent messages always land in the active thread
+            showingArchived = false;
+            updateArchivedToggle();
+            await load();
+
+            if (config.onSent && typeof config.onSent === 'function') {
+                config.onSent(message);
+            }
+
+        } catch (error) {
+            console.error('Failed to send SMS:', error);
+
+            if (error instanceof ApiError && error.isValidationError) {
+                showError(error.detail.map(item => item.field ? `${item.field}: ${item.msg}` : item.msg).join('; '));
+            } else {
+                showError(error.message || 'Failed to send message. Please try again.');
+            }
+
+        } finally {
+            sending = false;
+            setSendingState(false);
+        }
+    }
+
+    /**
+     * Archive a message (soft delete)
+     * @param {number} messageId - Message ID
+     */
+    async function archiveMessage(messageId) {
+        if (!messageId) {
+            return;
+        }
+
+        try {
+            await LeadSmsMessageClient.softDelete([messageId]);
+            await load();
+        } catch (error) {
+            console.error('Failed to archive SMS message:', error);
+            showError(error.message || 'Failed to archive message');
+        }
+    }
+
+    /**
+     * Restore an archived message
+     * @param {number} messageId - Message ID
+     */
+    async function restoreMessage(messageId) {
+        if (!messageId) {
+            return;
+        }
+
+        try {
+            await LeadSmsMessageClient.restore([messageId]);
+            await load();
+        } catch (error) {
+            console.error('Failed to restore SMS message:', error);
+            showError(error.message || 'Failed to restore message');
+        }
+    }
+
+    /**
+     * Toggle between active and archived messages
+     */
+    async function toggleArchived() {
+        showingArchived = !showingArchived;
+        updateArchivedToggle();
+        return await load();
+    }
+
+    /**
+     * Update the archived toggle button and hide the composer in archived view
+     */
+    function updateArchivedToggle() {
+        const button = container.find('[data-sms-action="toggle-archived"]');
+        button.toggleClass('btn-outline-secondary', !showingArchived).toggleClass('btn-secondary', showingArchived);
+        button.find('span').text(showingArchived ? 'Show Active' : 'Show Archived');
+        $(`#${uid}-composer`).toggle(!showingArchived);
+    }
+
+    /**
+     * Update the character/segment counter and send button state
+     */
+    function updateCounter() {
+        const body = $(`#${uid}-body`).val() || '';
+        const info = getSegmentInfo(body);
+        const counter = $(`#${uid}-counter`);
+
+        const segmentText = `${info.segments} segment${info.segments === 1 ? '' : 's'}`;
+        const encodingText = info.encoding === 'GSM-7' ? 'GSM-7' : 'Unicode';
+        counter.text(`${info.characters} chars · ${segmentText} · ${info.remaining} left in segment · ${encodingText}`);
+
+        counter.removeClass('text-muted text-warning text-danger');
+        if (body.length > config.maxLength) {
+            counter.addClass('text-danger');
+        } else if (info.segments > 1 || info.encoding !== 'GSM-7') {
+            counter.addClass('text-warning');
+        } else {
+            counter.addClass('text-muted');
+        }
+
+        $(`#${uid}-send`).prop('disabled', sending || !canSend() || !body.trim() || body.length > config.maxLength);
+    }
+
+    /**
+     * Calculate SMS encoding and segment count
+     * GSM-7: 160 chars single / 153 per segment; extended chars count double
+     * UCS-2 (any non-GSM char): 70 single / 67 per segment, counted in UTF-16 units
+     * @param {string} text - Message text
+     * @returns {{encoding: string, characters: number, units: number, segments: number, remaining: number}}
+     */
+    function getSegmentInfo(text) {
+        const chars = Array.from(text || '');
+        const isGsm = chars.every(char => GSM_BASIC.includes(char) || GSM_EXTENDED.includes(char));
+
+        let units;
+        let single;
+        let multi;
+
+        if (isGsm) {
+            units = chars.reduce((total, char) => total + (GSM_EXTENDED.includes(char) ? 2 : 1), 0);
+            single = 160;
+            multi = 153;
+        } else {
+            units = (text || '').length;
+            single = 70;
+            multi = 67;
+        }
+
+        const segments = units === 0 ? 0 : (units <= single ? 1 : Math.ceil(units / multi));
+        const capacity = segments <= 1 ? single : segments * multi;
+
+        return {
+            encoding: isGsm ? 'GSM-7' : 'UCS-2',
+            characters: chars.length,
+            units: units,
+            segments: segments,
+            remaining: capacity - units
+        };
+    }
+
+    /**
+     * Toggle send button spinner
+     */
+    function setSendingState(isSending) {
+        const button = $(`#${uid}-send`);
+        button.html(isSending
+            ? '<i class="fas fa-spinner fa-spin me-1"></i>Sending...'
+            : '<i class="fas fa-paper-plane me-1"></i>Send SMS');
+        $(`#${uid}-body`).prop('disabled', isSending || !canSend());
+        updateCounter();
+    }
+
+    function showError(message) {
+        $(`#${uid}-error`).text(message).show();
+    }
+
+    function hideError() {
+        $(`#${uid}-error`).hide().text('');
+    }
+
+    /**
+     * Message direction, defaulting to outbound for records without one
+     */
+    function getDirection(message) {
+        const direction = (message.direction || '').toLowerCase();
+        return direction === 'inbound' || direction === 'in' ? 'inbound' : 'outbound';
+    }
+
+    function getTimestamp(message) {
+        return message.sent_at || message.received_at || message.created_at || null;
+    }
+
+    function formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    }
+
+    function formatDay(timestamp) {
+        if (!timestamp) {
+            return 'Unknown date';
+        }
+        const date = new Date(timestamp);
+        const today = new Date();
+        const yesterday = new Date();
+        yesterday.setDate(today.getDate() - 1);
+
+        if (date.toDateString() === today.toDateString()) {
+            return 'Today';
+        }
+        if (date.toDateString() === yesterday.toDateString()) {
+            return 'Yesterday';
+        }
+        return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    /**
+     * Sending needs a phone number and SMS consent
+     */
+    function canSend() {
+        return !!config.phone && config.hasConsent;
+    }
+
+    function getPlaceholder() {
+        if (!config.phone) {
+            return 'Add a phone number to this lead to send SMS';
+        }
+        return config.hasConsent ? 'Type a message... (Ctrl+Enter to send)' : 'SMS consent required to send';
+    }
+
+    /**
+     * Allow or block the composer (called when consent is given or revoked)
+     * @param {boolean} granted - Lead has SMS consent
+     */
+    function setConsent(granted) {
+        config.hasConsent = !!granted;
+
+        $(`#${uid}-consent-notice`).toggle(!config.hasConsent);
+        $(`#${uid}-body`)
+            .prop('disabled', !canSend())
+            .attr('placeholder', getPlaceholder());
+        updateCounter();
+    }
+
+    /**
+     * Focus the composer (e.g. from the modal's SMS button)
+     */
+    function focus() {
+        $(`#${uid}-body`).trigger('focus');
+    }
+
+    /**
+     * Get loaded messages
+     * @returns {Array} Message records
+     */
+    function getMessages() {
+        return messages;
+    }
+
+    /**
+     * Refresh - reload messages
+     */
+    async function refresh() {
+        return await load();
+    }
+
+    /**
+     * Destroy the component - clean up event handlers
+     */
+    function destroy() {
+        API.cancel(`sms:${uid}`);
+        container.off(`.${uid}`);
+        container.empty();
+        messages = [];
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+
+    // Return public API
+    return {
+        init,
+        refresh,
+        focus,
+        setConsent,
+        getMessages,
+        getSegmentInfo,
+        destroy
+    };
+}
@@ -31,11 +31,10 @@ function createSourceDropdown(selector, options = {}) {
      */
     async function init() {
         try {
-            // Fetch sources from API
-            const response = await API.get(Config.ENDPOINTS.LEADSOURCE.LIST);
-            sources = response.records || [];
+            // Shared reference data cache - one request for every dropdown on the page
+            sources = await ReferenceData.getSources();
 
-            console.log('Source dropdown: Fetched sources:', sources);
+            console.log('Source dropdown: Loaded sources:', sources);
 
             // Render the dropdown
             render();
@@ -185,8 +184,10 @@ function createSourceDropdown(selector, options = {}) {
 
     /**
      * Refresh dropdown - re-fetch data and re-render
+     * Drops the shared cached list so other consumers also get fresh data
      */
     async function refresh() {
+        ReferenceData.invalidate('sources');
         return await init();
     }
 
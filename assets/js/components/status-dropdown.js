@@ -8,6 +8,9 @@
  *     onChange: (id, name) => { ... }
  *   });
  *   await statusDropdown.init();
+ *
+ * Statuses are listed in pipeline order (PipelineStages.sortStatuses);
+ * groupByStage: true groups them under Open / Working / Won / Lost.
  */
 
 function createStatusDropdown(selector, options = {}) {
@@ -23,7 +26,8 @@ function createStatusDropdown(selector, options = {}) {
         includeEmpty: options.includeEmpty !== undefined ? options.includeEmpty : true,
         emptyText: options.emptyText || '-- Select Status --',
         className: options.className || 'form-select',
-        disabled: options.disabled || false
+        disabled: options.disabled || false,
+        groupByStage: options.groupByStage || false
     };
 
     /**
@@ -31,11 +35,10 @@ function createStatusDropdown(selector, options = {}) {
      */
     async function init() {
         try {
-            // Fetch statuses from API
-            const response = await API.get(Config.ENDPOINTS.LEADSTATUS.LIST);
-            statuses = response.records || [];
+            // Shared reference data cache - one request for every dropdown on the page
+            statuses = PipelineStages.sortStatuses(await ReferenceData.getStatuses());
 
-            console.log('Status dropdown: Fetched statuses:', statuses);
+            console.log('Status dropdown: Loaded statuses:', statuses);
 
             // Render the dropdown
             render();
@@ -71,13 +74,23 @@ function createStatusDropdown(selector, options = {}) {
             html += `<option value="">${config.emptyText}</option>`;
         }
 
-        // Add status options
-        statuses.forEach(status => {
-            const statusId = status.id;
-            const statusName = status.name || status.slug || `Status ${statusId}`;
-            const selected = statusId === selectedId ? 'selected' : '';
-            html += `<option value="${statusId}" ${selected}>${escapeHtml(statusName)}</option>`;
-        });
+        // Add status options, optionally under one optgroup per pipeline stage
+        if (config.groupByStage) {
+            Object.keys(PipelineStages.STAGES).forEach(stage => {
+                const stageStatuses = statuses.filter(status => PipelineStages.getStage(status) === stage);
+                if (stageStatuses.length === 0) return;
+
+                html += `<optgroup label="${PipelineStages.STAGES[stage].label}">`;
+                stageStatuses.forEach(status => {
+                    html += renderOption(status);
+                });
+                html += '</optgroup>';
+            });
+        } else {
+            statuses.forEach(status => {
+                html += renderOption(status);
+            });
+        }
 
         html += '</select>';
 
@@ -99,6 +112,18 @@ function createStatusDropdown(selector, options = {}) {
         });
     }
 
+    /**
+     * Render one status option
+     * @param {Object} status - Status object
+     * @returns {String} Option HTML
+     */
+    function renderOption(status) {
+        const statusId = status.id;
+        const statusName = status.name || status.slug || `Status ${statusId}`;
+        const selected = statusId === selectedId ? 'selected' : '';
+        return `<option value="${statusId}" ${selected}>${escapeHtml(statusName)}</option>`;
+    }
+
     /**
      * Render empty state
      */
@@ -185,8 +210,10 @@ function createStatusDropdown(selector, options = {}) {
 
     /**
      * Refresh dropdown - re-fetch data and re-render
+     * Drops the shared cached list so other consumers also get fresh data
      */
     async function refresh() {
+        ReferenceData.invalidate('statuses');
         return await init();
     }
 
@@ -31,11 +31,10 @@ function createUserDropdown(selector, options = {}) {
      */
     async function init() {
         try {
-            // Fetch users from API
-            const response = await API.get(Config.ENDPOINTS.USER.LIST);
-            users = response.records || [];
+            // Shared reference data cache - one request for every dropdown on the page
+            users = await ReferenceData.getUsers();
 
-            console.log('User dropdown: Fetched users:', users);
+            console.log('User dropdown: Loaded users:', users);
 
             // Render the dropdown
             render();
@@ -214,8 +213,10 @@ function createUserDropdown(selector, options = {}) {
 
     /**
      * Refresh dropdown - re-fetch data and re-render
+     * Drops the shared cached list so other consumers also get fresh data
      */
     async function refresh() {
+        ReferenceData.invalidate('users');
         return await init();
     }
 
@@ -10,16 +10,44 @@
  *
  * Important:
  *   - Object is frozen to prevent accidental modifications
- *   - Update BASE_URL for different environments
  *   - All endpoints are verified against endpoints.md
+ *   - Must load before auth-guard.js (the guard reads Config.TOKEN_KEY)
+ *
+ * Runtime overrides (no source edits per deployment):
+ *   Settings in window.__LEADSENGINE_CONFIG__ are merged over the defaults
+ *   below before the object is frozen. Deployments set it in config.runtime.js
+ *   (generated per environment, loaded before this file - see config.example.json):
+ *
+ *   {
+ *     "ENVIRONMENT": "staging",                       // optional, else detected
+ *     "HOSTS": { "staging.example.com": "staging" },  // hostname -> environment
+ *     "REQUEST_TIMEOUT": 20000,                       // applies to all environments
+ *     "ENVIRONMENTS": {
+ *       "dev":     { "BASE_URL": "http://localhost:8002" },
+ *       "staging": { "BASE_URL": "https://api.staging.example.com" },
+ *       "prod":    { "BASE_URL": "https://api.example.com" }
+ *     }
+ *   }
+ *
+ *   Environment is ENVIRONMENT if set, else HOSTS[location.hostname], else
+ *   'dev' on localhost and 'prod' anywhere else. Only existing settings can be
+ *   overridden, with a value of the same type - ENDPOINTS always come from
+ *   this file.
  *
  * @module Config
  */
 
 const Config = {
+    /**
+     * Active environment name (dev, staging, prod)
+     * Resolved at load time - see runtime overrides above
+     * @type {string}
+     */
+    ENVIRONMENT: 'dev',
+
     /**
      * Base URL for backend API
-     * Change this for different environments (dev, staging, production)
+     * Default for local development - override per environment at runtime
      * @type {string}
      */
     BASE_URL: 'http://localhost:8002',
@@ -36,63 +64,233 @@ const Config = {
      */
     USER_KEY: 'leadsengine_user',
 
+    /**
+     * SessionStorage key for cached role IDs of the logged-in user
+     * @type {string}
+     */
+    ROLES_KEY: 'leadsengine_roles',
+
+    // <generated:endpoints> - generated by tools/generate-endpoints.js from endpoints.md, do not edit by hand
     /**
      * API endpoint paths
-     * All paths verified against endpoints.md
+     * Every route in endpoints.md (plus EXTRA_ROUTES in the generator)
+     *
+     * Path parameters use {name} placeholders with the same names as
+     * endpoints.md. Build concrete paths with API.route() instead of
+     * string concatenation:
+     *   API.route('LEAD.TIMELINE', { id: 42 })  // '/api/v1/lead/42/timeline'
+     *
+     * Several keys share a path (LIST/CREATE, READ/UPDATE); the HTTP
+     * method is chosen by the API.get/post/put/... call.
      * @type {Object}
      */
     ENDPOINTS: {
+        ACQ: {
+            OPS_REDIS_CLEAR: '/api/v1/acq/ops/redis/clear',
+            OPS_PEEK_IDEM: '/api/v1/acq/ops/peek-idem',
+            OPS_LIST_IDEM: '/api/v1/acq/ops/list-idem',
+            INGEST: '/api/v1/acq/{provider}',
+            OPS_IDEM: '/api/v1/acq/ops/idem'
+        },
+        ADDRESS: {
+            LIST: '/api/v1/address/',
+            CREATE: '/api/v1/address/',
+            WITH_RELATIONSHIPS: '/api/v1/address/with-relationships',
+            READ: '/api/v1/address/{id}',
+            UPDATE: '/api/v1/address/{id}',
+            HARD_DELETE: '/api/v1/address/{id}/hard-delete'
+        },
         AUTH: {
             TOKEN: '/api/v1/auth/token',
             VALIDATE: '/api/v1/auth/auth/validate-token'
         },
+        CONTACTTYPE: {
+            LIST: '/api/v1/contacttype/',
+            CREATE: '/api/v1/contacttype/',
+            READ: '/api/v1/contacttype/{id}',
+            UPDATE: '/api/v1/contacttype/{id}',
+            HARD_DELETE: '/api/v1/contacttype/{id}/hard-delete',
+            BATCH_ACTIVATE: '/api/v1/contacttype/activate',
+            BATCH_DEACTIVATE: '/api/v1/contacttype/deactivate',
+            BATCH_SOFT_DELETE: '/api/v1/contacttype/soft-delete',
+            BATCH_RESTORE: '/api/v1/contacttype/restore'
+        },
+        HEALTH: {
+            DB: '/api/health/db',
+            ROOT: '/api/health',
+            REDIS: '/api/health/redis'
+        },
+        TEST: {
+            ECHO: '/api/test/echo',
+            EMAIL: '/api/v1/test/email'
+        },
         LEAD: {
             LIST: '/api/v1/lead/',
             CREATE: '/api/v1/lead/',
-            READ: '/api/v1/lead/',
-            UPDATE: '/api/v1/lead/',
-            DELETE: '/api/v1/lead/',
             WITH_RELATIONSHIPS: '/api/v1/lead/with-relationships',
+            STATS: '/api/v1/lead/stats',
+            SCORE: '/api/v1/lead/{lead_id}/score',
+            SCORE_BULK: '/api/v1/lead/score/bulk',
+            TOUCH: '/api/v1/lead/{id}/touch',
+            SLA_CHECK: '/api/v1/lead/{id}/sla/check',
+            SLA_SWEEP: '/api/v1/lead/sla/sweep',
+            READ: '/api/v1/lead/{id}',
+            UPDATE: '/api/v1/lead/{id}',
             TIMELINE: '/api/v1/lead/{id}/timeline',
-            ASSIGN: '/api/v1/lead/{id}/assign',
-            BATCH_SOFT_DELETE: '/api/v1/lead/soft-delete',
-            BATCH_RESTORE: '/api/v1/lead/restore',
+            HARD_DELETE: '/api/v1/lead/{id}/hard-delete',
             BATCH_ACTIVATE: '/api/v1/lead/activate',
             BATCH_DEACTIVATE: '/api/v1/lead/deactivate',
+            BATCH_SOFT_DELETE: '/api/v1/lead/soft-delete',
+            BATCH_RESTORE: '/api/v1/lead/restore',
+            ASSIGN: '/api/v1/lead/{id}/assign',
+            NURTURE: '/api/v1/lead/{id}/nurture',
+            NURTURE_PAUSE: '/api/v1/lead/{record_id}/nurture/pause',
+            NURTURE_RESUME: '/api/v1/lead/{record_id}/nurture/resume',
+            NURTURE_CANCEL: '/api/v1/lead/{record_id}/nurture/cancel',
+            CONSENT: '/api/v1/lead/{lead_id}/consent',
+            NURTURE_PENDING: '/api/v1/lead/{lead_id}/nurture/pending',
             ARCHIVED: '/api/v1/lead/archived'
         },
-        USER: {
-            LIST: '/api/v1/user/',
-            CREATE: '/api/v1/user/',
-            READ: '/api/v1/user/',
-            UPDATE: '/api/v1/user/',
-            DELETE: '/api/v1/user/',
-            WITH_RELATIONSHIPS: '/api/v1/user/with-relationships'
+        LEADEMAILMESSAGE: {
+            LIST: '/api/v1/leademailmessage/',
+            CREATE: '/api/v1/leademailmessage/',
+            WITH_RELATIONSHIPS: '/api/v1/leademailmessage/with-relationships',
+            READ: '/api/v1/leademailmessage/{id}',
+            UPDATE: '/api/v1/leademailmessage/{id}',
+            HARD_DELETE: '/api/v1/leademailmessage/{id}/hard-delete',
+            BATCH_SOFT_DELETE: '/api/v1/leademailmessage/soft-delete',
+            BATCH_RESTORE: '/api/v1/leademailmessage/restore'
         },
-        LEADSTATUS: {
-            LIST: '/api/v1/leadstatus/',
-            WITH_RELATIONSHIPS: '/api/v1/leadstatus/with-relationships'
+        LEADEMAILTHREAD: {
+            LIST: '/api/v1/leademailthread/',
+            CREATE: '/api/v1/leademailthread/',
+            WITH_RELATIONSHIPS: '/api/v1/leademailthread/with-relationships',
+            READ: '/api/v1/leademailthread/{id}',
+            UPDATE: '/api/v1/leademailthread/{id}',
+            HARD_DELETE: '/api/v1/leademailthread/{id}/hard-delete',
+            BATCH_SOFT_DELETE: '/api/v1/leademailthread/soft-delete',
+            BATCH_RESTORE: '/api/v1/leademailthread/restore'
         },
-        LEADSOURCE: {
-            LIST: '/api/v1/leadsource/',
-            WITH_RELATIONSHIPS: '/api/v1/leadsource/with-relationships'
+        LEADEVENT: {
+            LIST: '/api/v1/leadevent/',
+            CREATE: '/api/v1/leadevent/',
+            WITH_RELATIONSHIPS: '/api/v1/leadevent/with-relationships',
+            READ: '/api/v1/leadevent/{id}',
+            UPDATE: '/api/v1/leadevent/{id}',
+            HARD_DELETE: '/api/v1/leadevent/{id}/hard-delete'
         },
         LEADNOTE: {
             LIST: '/api/v1/leadnote/',
             CREATE: '/api/v1/leadnote/',
-            READ: '/api/v1/leadnote/',
-            UPDATE: '/api/v1/leadnote/',
-            DELETE: '/api/v1/leadnote/'
+            WITH_RELATIONSHIPS: '/api/v1/leadnote/with-relationships',
+            READ: '/api/v1/leadnote/{id}',
+            UPDATE: '/api/v1/leadnote/{id}',
+            HARD_DELETE: '/api/v1/leadnote/{id}/hard-delete',
+            LIST_FOR_LEAD: '/api/v1/leadnote/lead/{lead_id}',
+            CREATE_FOR_LEAD: '/api/v1/leadnote/lead/{lead_id}'
         },
-        LEADEVENT: {
-            LIST: '/api/v1/leadevent/',
-            CREATE: '/api/v1/leadevent/',
-            READ: '/api/v1/leadevent/',
-            UPDATE: '/api/v1/leadevent/',
-            DELETE: '/api/v1/leadevent/',
-            WITH_RELATIONSHIPS: '/api/v1/leadevent/with-relationships'
+        LEADSMSMESSAGE: {
+            LIST: '/api/v1/leadsmsmessage/',
+            CREATE: '/api/v1/leadsmsmessage/',
+            WITH_RELATIONSHIPS: '/api/v1/leadsmsmessage/with-relationships',
+            READ: '/api/v1/leadsmsmessage/{id}',
+            UPDATE: '/api/v1/leadsmsmessage/{id}',
+            HARD_DELETE: '/api/v1/leadsmsmessage/{id}/hard-delete',
+            BATCH_SOFT_DELETE: '/api/v1/leadsmsmessage/soft-delete',
+            BATCH_RESTORE: '/api/v1/leadsmsmessage/restore'
+        },
+        LEADSOURCE: {
+            LIST: '/api/v1/leadsource/',
+            CREATE: '/api/v1/leadsource/',
+            WITH_RELATIONSHIPS: '/api/v1/leadsource/with-relationships',
+            READ: '/api/v1/leadsource/{id}',
+            UPDATE: '/api/v1/leadsource/{id}',
+            HARD_DELETE: '/api/v1/leadsource/{id}/hard-delete'
+        },
+        LEADSTATUS: {
+            LIST: '/api/v1/leadstatus/',
+            CREATE: '/api/v1/leadstatus/',
+            WITH_RELATIONSHIPS: '/api/v1/leadstatus/with-relationships',
+            READ: '/api/v1/leadstatus/{id}',
+            UPDATE: '/api/v1/leadstatus/{id}',
+            HARD_DELETE: '/api/v1/leadstatus/{id}/hard-delete'
+        },
+        LEADSTATUSHISTORY: {
+            LIST: '/api/v1/leadstatushistory/',
+            CREATE: '/api/v1/leadstatushistory/',
+            WITH_RELATIONSHIPS: '/api/v1/leadstatushistory/with-relationships',
+            READ: '/api/v1/leadstatushistory/{id}',
+            UPDATE: '/api/v1/leadstatushistory/{id}',
+            HARD_DELETE: '/api/v1/leadstatushistory/{id}/hard-delete'
+        },
+        NURTURE_SEQUENCE: {
+            LIST: '/api/v1/nurture/sequence',
+            CREATE: '/api/v1/nurture/sequence',
+            READ: '/api/v1/nurture/sequence/{sequence_id}',
+            UPDATE: '/api/v1/nurture/sequence/{sequence_id}',
+            DELETE: '/api/v1/nurture/sequence/{sequence_id}',
+            STEPS: '/api/v1/nurture/sequence/{sequence_id}/steps',
+            STEP_DELETE: '/api/v1/nurture/sequence/{sequence_id}/steps/{step_id}',
+            STEP_UPDATE: '/api/v1/nurture/sequence/{sequence_id}/steps/{step_order}',
+            SIMULATE: '/api/v1/nurture/sequence/{sequence_id}/simulate',
+            STEP_REORDER: '/api/v1/nurture/sequence/{sequence_id}/steps/{step_order}/reorder'
+        },
+        NURTURE_OPS: {
+            PAUSE: '/api/v1/nurture/ops/pause/{lead_id}',
+            CANCEL: '/api/v1/nurture/ops/cancel/{lead_id}',
+            RESUME: '/api/v1/nurture/ops/resume/{lead_id}',
+            QUEUE_METRICS: '/api/v1/nurture/ops/queue/metrics',
+            DLQ: '/api/v1/nurture/ops/dlq',
+            DLQ_RETRY: '/api/v1/nurture/ops/dlq/{corr_id}/retry',
+            DLQ_RETRY_ALL: '/api/v1/nurture/ops/dlq/retry-all',
+            QUEUE_PEEK: '/api/v1/nurture/ops/queue/peek',
+            REDIS_CLEAR: '/api/v1/nurture/ops/redis/clear'
+        },
+        OPS: {
+            HEALTH_DB: '/api/v1/ops/health/db',
+            HEALTH_REDIS: '/api/v1/ops/health/redis'
+        },
+        ROLE: {
+            LIST: '/api/v1/role/',
+            CREATE: '/api/v1/role/',
+            WITH_RELATIONSHIPS: '/api/v1/role/with-relationships',
+            READ: '/api/v1/role/{id}',
+            UPDATE: '/api/v1/role/{id}',
+            HARD_DELETE: '/api/v1/role/{id}/hard-delete',
+            BATCH_ACTIVATE: '/api/v1/role/activate',
+            BATCH_DEACTIVATE: '/api/v1/role/deactivate',
+            BATCH_SOFT_DELETE: '/api/v1/role/soft-delete',
+            BATCH_RESTORE: '/api/v1/role/restore'
+        },
+        SEND: {
+            SMS: '/api/v1/send/sms'
+        },
+        USER: {
+            ROLES: '/api/v1/user/{user_id}/roles',
+            LIST: '/api/v1/user/',
+            CREATE: '/api/v1/user/',
+            WITH_RELATIONSHIPS: '/api/v1/user/with-relationships',
+            READ: '/api/v1/user/{id}',
+            UPDATE: '/api/v1/user/{id}',
+            HARD_DELETE: '/api/v1/user/{id}/hard-delete',
+            BATCH_ACTIVATE: '/api/v1/user/activate',
+            BATCH_DEACTIVATE: '/api/v1/user/deactivate',
+            BATCH_SOFT_DELETE: '/api/v1/user/soft-delete',
+            BATCH_RESTORE: '/api/v1/user/restore'
+        },
+        USERCONTACT: {
+            LIST: '/api/v1/usercontact/',
+            CREATE: '/api/v1/usercontact/',
+            WITH_RELATIONSHIPS: '/api/v1/usercontact/with-relationships',
+            READ: '/api/v1/usercontact/{id}',
+            UPDATE: '/api/v1/usercontact/{id}',
+            HARD_DELETE: '/api/v1/usercontact/{id}/hard-delete'
+        },
+        WEBHOOKS: {
+            LEAD: '/api/v1/webhooks/lead'
         }
     },
+    // </generated:endpoints>
 
     /**
      * Default page size for paginated API requests
@@ -113,6 +311,80 @@ const Config = {
      */
     REQUEST_TIMEOUT: 30000,
 
+    /**
+     * How often the nurture operations console polls queue metrics, in milliseconds
+     * @type {number}
+     */
+    NURTURE_OPS_POLL_INTERVAL: 10000,
+
+    /**
+     * Minutes before an SLA deadline at which the leads table badge turns amber
+     * @type {number}
+     */
+    SLA_WARNING_MINUTES: 60,
+
+    /**
+     * Most leads the Overdue quick filter scans
+     * The list API has no SLA filter, so matching leads are paged through and
+     * narrowed client-side
+     * @type {number}
+     */
+    OVERDUE_SCAN_MAX_RECORDS: 5000,
+
+    /**
+     * Most leads / status history records the reports page loads for one date range
+     * @type {number}
+     */
+    REPORT_MAX_RECORDS: 5000,
+
+    /**
+     * ISO 4217 currency code for money shown in reports (source cost, cost per lead)
+     * @type {string}
+     */
+    CURRENCY: 'USD',
+
+    /**
+     * Number of retries for idempotent GET requests on network errors or 5xx
+     * @type {number}
+     */
+    REQUEST_RETRIES: 2,
+
+    /**
+     * Base delay for exponential retry backoff in milliseconds (500, 1000, 2000...)
+     * @type {number}
+     */
+    RETRY_BASE_DELAY: 500,
+
+    /**
+     * How long before token expiry to warn the user, in milliseconds
+     * @type {number}
+     */
+    SESSION_WARNING_TIME: 5 * 60 * 1000,
+
+    /**
+     * How long cached reference data (statuses, sources, users) stays fresh, in milliseconds
+     * @type {number}
+     */
+    REFERENCE_DATA_TTL: 5 * 60 * 1000,
+
+    /**
+     * Lead status -> pipeline stage (open, working, won, lost), keyed by status
+     * slug or lower-cased name. Used by PipelineStages for statuses that don't
+     * carry a stage themselves. Override the whole map in config.json.
+     * @type {Object}
+     */
+    STATUS_STAGES: {
+        'new': 'open',
+        'contacted': 'working',
+        'qualified': 'working',
+        'follow-up': 'working',
+        'nurturing': 'working',
+        'converted': 'won',
+        'won': 'won',
+        'lost': 'lost',
+        'unqualified': 'lost'
+    },
+
     /**
      * HTTP header name for authentication token
      * @type {string}
@@ -126,8 +398,105 @@ const Config = {
     AUTH_SCHEME: 'Bearer'
 };
 
+/**
+ * Apply runtime configuration (window.__LEADSENGINE_CONFIG__ from config.runtime.js)
+ * and validate ENDPOINTS before the object is frozen
+ */
+(function applyRuntimeConfig(config) {
+    /**
+     * Copy known settings from source onto config
+     * @param {Object} source - Override values
+     * @param {string} label - Source name for logging
+     */
+    function applyOverrides(source, label) {
+        if (!source || typeof source !== 'object') return;
+
+        Object.keys(source).forEach(key => {
+            if (['ENVIRONMENT', 'HOSTS', 'ENVIRONMENTS', 'ENDPOINTS'].includes(key)) return;
+
+            if (!(key in config)) {
+                console.warn(`Config: ignoring unknown setting "${key}" from ${label}`);
+                return;
+            }
+            if (typeof source[key] !== typeof config[key]) {
+                console.warn(`Config: ignoring "${key}" from ${label} - expected ${typeof config[key]}`);
+                return;
+            }
+
+            config[key] = source[key];
+        });
+    }
+
+    const runtime = window.__LEADSENGINE_CONFIG__ || {};
+    const hostname = window.location.hostname;
+
+    // Resolve environment: explicit > host mapping > localhost heuristic
+    let environment = runtime.ENVIRONMENT;
+    if (!environment && runtime.HOSTS && runtime.HOSTS[hostname]) {
+        environment = runtime.HOSTS[hostname];
+    }
+    if (!environment) {
+        const isLocal = hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '';
+        environment = isLocal ? 'dev' : 'prod';
+    }
+    config.ENVIRONMENT = environment;
+
+    // Top-level overrides first, then environment-specific ones win
+    applyOverrides(runtime, 'runtime config');
+    if (runtime.ENVIRONMENTS) {
+        applyOverrides(runtime.ENVIRONMENTS[environment], `environment "${environment}"`);
+    }
+
+    // Normalize BASE_URL (endpoints start with '/')
+    config.BASE_URL = config.BASE_URL.replace(/\/+$/, '');
+
+    // Validate ENDPOINTS: every leaf must be an /api/ path with well-formed {params}
+    const problems = [];
+    Object.keys(config.ENDPOINTS).forEach(group => {
+        Object.keys(config.ENDPOINTS[group]).forEach(name => {
+            const path = config.ENDPOINTS[group][name];
+            const key = `${group}.${name}`;
+
+            if (typeof path !== 'string' || !path.startsWith('/api/')) {
+                problems.push(`${key} must be a string starting with /api/ (got ${JSON.stringify(path)})`);
+            } else if (/\s|\/\//.test(path)) {
+                problems.push(`${key} contains whitespace or "//": ${path}`);
+            } else if ((path.match(/[{}]/g) || []).length !== (path.match(/\{[a-z_]+\}/g) || []).length * 2) {
+                problems.push(`${key} has a malformed path parameter: ${path}`);
+            }
+        });
+        Object.freeze(config.ENDPOINTS[group]);
+    });
+    Object.freeze(config.ENDPOINTS);
+    Object.freeze(config.STATUS_STAGES);
+
+    if (problems.length > 0) {
+        console.error('Config: invalid ENDPOINTS entries:\n  ' + problems.join('\n  '));
+    }
+
+    console.log(`Config: environment "${config.ENVIRONMENT}", API ${config.BASE_URL}`);
+})(Config);
+
 /**
  * Freeze config object to prevent accidental modifications
  * This ensures configuration remains constant throughout the application
  */
-Object.freeze(Config);
\ No newline at end of file
+Object.freeze(Config);
+
+/**
+ * Show the environment in the navbar on non-production deployments
+ * so nobody mistakes staging for prod
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    if (Config.ENVIRONMENT === 'prod') return;
+
+    const brand = document.querySelector('.navbar-brand');
+    if (!brand || brand.querySelector('.env-badge')) return;
+
+    const badgeClass = Config.ENVIRONMENT === 'staging' ? 'bg-warning text-dark' : 'bg-secondary';
+    const badge = document.createElement('span');
+    badge.className = `badge ${badgeClass} ms-2 env-badge`;
+    badge.textContent = Config.ENVIRONMENT.toUpperCase();
+    badge.title = `API: ${Config.BASE_URL}`;
+    brand.appendChild(badge);
+});
\ No newline at end of file
@@ -1,9 +1,42 @@
 /**
  * LeadsEngine Dashboard
  * Handles dashboard statistics and data visualization
+ *
+ * Stats come from GET /api/v1/lead/stats (aggregated on the server) - the
+ * lead list is never downloaded here. Status, source and user IDs in the
+ * breakdowns are named from the shared ReferenceData cache, and statuses are
+ * grouped into pipeline stages by PipelineStages (pipeline-stages.js).
+ *
+ * PAYLOAD (FRONTEND_API_REFERENCE.md "Get Lead Statistics"):
+ *   total_leads, new_this_week - card counts
+ *   by_status  - [{status_id, count}]
+ *   by_source  - [{source_id, count}]            (null source_id = no source)
+ *   by_owner   - [{assigned_to_user_id, count}]  (null = unassigned)
+ *   In Progress and Converted are summed from by_status through the
+ *   configurable stage mapping rather than taken from the payload.
+ *
+ * The rep leaderboard (last 30 days) is the rep-leaderboard.js component. It
+ * pages through leads and events, so it only loads when the user asks for it;
+ * per-owner counts above come from the stats payload.
  */
 
 const Dashboard = {
+    // Rep leaderboard component instance
+    leaderboard: null,
+
+    /**
+     * Create and load the rep leaderboard (last 30 days)
+     * Replaces the card's load prompt; only runs once per page load
+     */
+    loadLeaderboard() {
+        if (this.leaderboard) return;
+
+        this.leaderboard = createRepLeaderboard('#rep-leaderboard', {
+            dateFrom: this.daysAgo(30)
+        });
+        this.leaderboard.init();
+    },
+
     /**
      * Load and display dashboard statistics
      */
@@ -12,15 +45,21 @@ const Dashboard = {
             // Show loading state
             this.showLoadingState();
 
-            // Fetch all leads with relationships (includes status info)
-            const response = await API.get(Config.ENDPOINTS.LEAD.WITH_RELATIONSHIPS);
-            const leads = response.records || [];
+            // Stats plus the reference lists that name the breakdown IDs
+            const [statsResponse, statuses, sources, userMap] = await Promise.all([
+                LeadClient.stats(),
+                ReferenceData.getStatuses(),
+                ReferenceData.getSources(),
+                ReferenceData.getUserMap()
+            ]);
+            const data = this.unwrapStats(statsResponse);
 
             // Calculate statistics
-            const stats = this.calculateStats(leads);
+            const stats = this.calculateStats(data, { statuses, sources, userMap });
 
             // Update the UI with calculated stats
             this.updateStatCards(stats);
+            this.renderBreakdowns(stats);
 
         } catch (error) {
             console.error('Failed to load dashboard stats:', error);
@@ -29,56 +68,79 @@ const Dashboard = {
     },
 
     /**
-     * Calculate statistics from leads data
-     * @param {Array} leads - Array of lead objects
+     * The stats object from a normalized API response
+     * @param {Object} response - {total_count, records}
+     * @returns {Object} Stats body
+     */
+    unwrapStats(response) {
+        return response && response.records && response.records[0] ? response.records[0] : {};
+    },
+
+    /**
+     * Read one breakdown list from the stats payload
+     * @param {Array} list - by_status / by_source / by_owner entries
+     * @param {string} idField - ID field on each entry
+     * @returns {Array<{id: number|null, count: number}>}
+     */
+    readBreakdown(list, idField) {
+        return (list || []).map(entry => ({
+            id: entry[idField] !== undefined ? entry[idField] : null,
+            count: Number(entry.count) || 0
+        }));
+    },
+
+    /**
+     * Calculate statistics from the stats payload
+     * @param {Object} data - Stats body from /api/v1/lead/stats
+     * @param {Object} lookups - {statuses, sources, userMap} from ReferenceData
      * @returns {Object} Calculated statistics
      */
-    calculateStats(leads) {
-        const now = new Date();
-        const oneWeekAgo = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
-
-        const stats = {
-            total: leads.length,
-            newThisWeek: 0,
-            inProgress: 0,
-            converted: 0
-        };
+    calculateStats(data, lookups) {
+        const { statuses, sources, userMap } = lookups;
 
-        leads.forEach(lead => {
-            // Count new leads (created in last 7 days)
-            if (lead.created_at) {
-                const createdDate = new Date(lead.created_at);
-                if (createdDate >= oneWeekAgo) {
-                    stats.newThisWeek++;
-                }
-            }
+        // Per-status counts, named and mapped onto pipeline stages
+        const byStatus = this.readBreakdown(data.by_status, 'status_id').map(entry => {
+            const status = statuses.find(s => s.id === entry.id) || {};
+            return {
+                ...entry,
+                name: status.name || `Status ${entry.id}`,
+                stage: PipelineStages.getStage(status),
+                color: PipelineStages.getColor(status)
+            };
+        });
 
-            // Count by status
-            // Check for status name or slug (case-insensitive)
-            const statusName = lead.status_name?.toLowerCase() ||
-                             lead.status?.name?.toLowerCase() ||
-                             lead.status?.slug?.toLowerCase() || '';
-
-            // In Progress: new, contacted, qualified, follow-up, etc.
-            if (statusName.includes('new') ||
-                statusName.includes('contact') ||
-                statusName.includes('qualified') ||
-                statusName.includes('follow') ||
-                statusName.includes('progress') ||
-                statusName.includes('nurture')) {
-                stats.inProgress++;
-            }
+        const bySource = this.readBreakdown(data.by_source, 'source_id').map(entry => {
+            const source = entry.id !== null ? sources.find(s => s.id === entry.id) : null;
+            return {
+                ...entry,
+                name: (source && source.name) || (entry.id !== null ? `Source ${entry.id}` : 'No Source')
+            };
+        });
 
-            // Converted: converted, won, customer, etc.
-            if (statusName.includes('convert') ||
-                statusName.includes('won') ||
-                statusName.includes('customer') ||
-                statusName.includes('closed-won')) {
-                stats.converted++;
-            }
+        const byOwner = this.readBreakdown(data.by_owner, 'assigned_to_user_id').map(entry => ({
+            ...entry,
+            name: entry.id !== null ? (userMap[entry.id] || `User #${entry.id}`) : 'Unassigned'
+        }));
+
+        const stageTotals = {};
+        Object.keys(PipelineStages.STAGES).forEach(stage => {
+            stageTotals[stage] = 0;
+        });
+        byStatus.forEach(entry => {
+            stageTotals[entry.stage] += entry.count;
         });
 
-        return stats;
+        return {
+            total: Number(data.total_leads) || 0,
+            newThisWeek: Number(data.new_this_week) || 0,
+            // In Progress covers everything still in the pipeline
+            inProgress: stageTotals.open + stageTotals.working,
+            converted: stageTotals.won,
+            stageTotals,
+            byStatus,
+            bySource,
+            byOwner
+        };
     },
 
     /**
@@ -107,6 +169,64 @@ const Dashboard = {
         this.hideLoadingState();
     },
 
+    /**
+     * Render the per-status, per-source and per-owner breakdown cards
+     * @param {Object} stats - Statistics object
+     */
+    renderBreakdowns(stats) {
+        this.renderBreakdownList('status-breakdown', stats.byStatus, stats.total, entry => {
+            const stage = PipelineStages.STAGES[entry.stage];
+            return `<span class="badge ${stage.badgeClass} ms-2">${stage.label}</span>`;
+        });
+        this.renderBreakdownList('source-breakdown', stats.bySource, stats.total);
+        this.renderBreakdownList('owner-breakdown', stats.byOwner, stats.total);
+    },
+
+    /**
+     * Render one breakdown as a list of counts with share-of-total bars
+     * @param {string} containerId - Container element ID
+     * @param {Array} entries - Breakdown entries {name, count, color?}
+     * @param {number} total - Total leads (for percentages)
+     * @param {Function} [extra] - Optional entry -> HTML shown after the name
+     */
+    renderBreakdownList(containerId, entries, total, extra) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="text-muted small mb-0">No data available</p>';
+            return;
+        }
+
+        const sorted = [...entries].sort((a, b) => b.count - a.count);
+
+        container.innerHTML = sorted.map(entry => {
+            const percent = total > 0 ? Math.round(entry.count / total * 100) : 0;
+            return `
+                <div class="mb-3">
+                    <div class="d-flex justify-content-between small mb-1">
+                        <span>${this.escapeHtml(entry.name)}${extra ? extra(entry) : ''}</span>
+                        <span class="fw-semibold">${entry.count} <span class="text-muted">(${percent}%)</span></span>
+                    </div>
+                    <div class="progress" style="height: 6px;">
+                        <div class="progress-bar" style="width: ${percent}%;${entry.color ? ` background: ${entry.color};` : ''}"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {String} text - Text to escape
+     * @returns {String} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    },
+
     /**
      * Show loading state on stat cards
      */
@@ -142,6 +262,13 @@ const Dashboard = {
             el.textContent = '--';
         });
 
+        ['status-breakdown', 'source-breakdown', 'owner-breakdown'].forEach(id => {
+            const container = document.getElementById(id);
+            if (container) {
+                container.innerHTML = '<p class="text-muted small mb-0">--</p>';
+            }
+        });
+
         // You can also show a toast notification or alert if you implement that
         console.error(message);
 
@@ -163,4 +290,10 @@ const Dashboard = {
 // Initialize dashboard stats when DOM is ready
 document.addEventListener('DOMContentLoaded', function() {
     Dashboard.loadDashboardStats();
-});
\ No newline at end of file
+
+    // Rep leaderboard is loaded on demand (see header notes)
+    const loadLeaderboardBtn = document.getElementById('load-leaderboard-btn');
+    if (loadLeaderboardBtn) {
+        loadLeaderboardBtn.addEventListener('click', () => Dashboard.loadLeaderboard());
+    }
+});
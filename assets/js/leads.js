@@ -5,9 +5,10 @@
  * FEATURES:
  * - Lead list table with pagination
  * - Server-side filtering (status, source, search, date range)
- * - Lead detail modal with tabs (Overview, Edit, Notes, Timeline)
+ * - Lead detail modal with tabs (Overview, Edit, Notes, Timeline, Messages, Email)
  * - Edit lead with dropdown components
  * - Create notes for leads
+ * - Log phone calls (outcome, duration, disposition, follow-up date)
  * - Timeline with proper name resolution
  *
  * FILTERING:
@@ -41,6 +42,7 @@
  * GET    /api/v1/lead/{id}/timeline          - Get lead timeline events
  * GET    /api/v1/leadnote/lead/{lead_id}     - List notes for lead
  * POST   /api/v1/leadnote/                   - Create new note (body, is_pinned, lead_id, user_id)
+ * POST   /api/v1/leadevent/                  - Log a phone call (type CALL_LOGGED, channel PHONE)
  * GET    /api/v1/leadstatus/                 - List all statuses (for filter dropdown)
  * GET    /api/v1/leadsource/                 - List all sources (for filter dropdown)
  * GET    /api/v1/user/                       - List all users
@@ -55,6 +57,76 @@ const LeadsPage = {
     displayedLeads: [],
     userMap: {},
 
+    // Last Overdue filter scan {key, records, truncated} - reused while the other filters are unchanged
+    overdueScan: null,
+
+    // Messages/Email tab conversations for the open lead (components/sms-conversation.js, email-conversation.js)
+    smsConversation: null,
+    emailConversation: null,
+
+    // Overview tab nurture panel for the open lead (components/nurture-panel.js)
+    nurturePanel: null,
+
+    // Score breakdown/history for the open lead (Overview Score Breakdown card)
+    scoreEvents: [],
+    previousScoreBreakdown: null,
+
+    // Consent state for the open lead (Overview Compliance card)
+    modalLead: null,
+    consentEvents: [],
+    consentToChange: null,
+    consentModal: null,
+
+    /**
+     * Consent channels shown on the Overview tab
+     */
+    CONSENT_CHANNELS: {
+        sms: { label: 'SMS', icon: 'fa-sms' },
+        email: { label: 'Email', icon: 'fa-envelope' }
+    },
+
+    /**
+     * Consent timeline event types -> {title, granted}
+     */
+    CONSENT_EVENTS: {
+        CONSENT_GIVEN: { title: 'Consent Recorded', granted: true },
+        CONSENT_GRANTED: { title: 'Consent Recorded', granted: true },
+        CONSENT_REVOKED: { title: 'Consent Revoked', granted: false }
+    },
+
+    /**
+     * Nurture enrollment event types -> timeline {title, icon, markerClass}
+     */
+    NURTURE_LIFECYCLE_EVENTS: {
+        NURTURE_ENROLLED: { title: 'Enrolled in Nurture', icon: 'fa-stream', markerClass: 'bg-primary' },
+        NURTURE_QUEUED: { title: 'Enrolled in Nurture', icon: 'fa-stream', markerClass: 'bg-primary' },
+        NURTURE_PAUSED: { title: 'Nurture Paused', icon: 'fa-pause', markerClass: 'bg-warning' },
+        NURTURE_RESUMED: { title: 'Nurture Resumed', icon: 'fa-play', markerClass: 'bg-success' },
+        NURTURE_CANCELLED: { title: 'Nurture Cancelled', icon: 'fa-stop', markerClass: 'bg-secondary' },
+        NURTURE_COMPLETED: { title: 'Nurture Completed', icon: 'fa-flag-checkered', markerClass: 'bg-success' }
+    },
+
+    /**
+     * Call log options (Log Call dialog + timeline rendering)
+     * value -> {label, icon, markerClass}
+     */
+    CALL_OUTCOMES: {
+        connected: { label: 'Connected', icon: 'fa-phone-volume', markerClass: 'bg-success' },
+        voicemail: { label: 'Left Voicemail', icon: 'fa-voicemail', markerClass: 'bg-info' },
+        no_answer: { label: 'No Answer', icon: 'fa-phone-slash', markerClass: 'bg-secondary' },
+        busy: { label: 'Busy', icon: 'fa-phone-slash', markerClass: 'bg-secondary' },
+        wrong_number: { label: 'Wrong Number', icon: 'fa-times-circle', markerClass: 'bg-danger' }
+    },
+
+    // value -> label
+    CALL_DISPOSITIONS: {
+        interested: 'Interested',
+        appointment_set: 'Appointment Set',
+        call_back: 'Call Back Later',
+        not_interested: 'Not Interested',
+        do_not_call: 'Do Not Call'
+    },
+
     // Sorting state
     sortColumn: null,
     sortDirection: 'asc', // 'asc' or 'desc'
@@ -66,9 +138,13 @@ const LeadsPage = {
         source_id: null,
         date_from: '',
         date_to: '',
+        overdue: false, // Only leads past their SLA deadline (filtered client-side)
         deleted: false  // Show archived leads when true
     },
 
+    // Interval that keeps the SLA countdown badges current
+    slaTimer: null,
+
     // Filter dropdown instances
     filterDropdowns: {
         status: null,
@@ -99,6 +175,10 @@ const LeadsPage = {
     restoreModal: null,
     leadToRestore: null,
 
+    // Log Call dialog state: lead being logged {id, name, phone}
+    logCallModal: null,
+    leadToLogCall: null,
+
     /**
      * Legacy validators object - kept for backward compatibility
      * New code should use this.formValidator instead
@@ -464,8 +544,9 @@ const LeadsPage = {
      * Load and display leads with optional filters
      * @param {number} page - Page number (1-indexed)
      * @param {object} filterOverrides - Optional filter overrides
+     * @param {object} options - {reuseOverdueScan: reuse the last Overdue scan when its filters match}
      */
-    async loadLeads(page = 1, filterOverrides = null) {
+    async loadLeads(page = 1, filterOverrides = null, options = {}) {
         try {
             // Show loading state
             this.showLoadingState();
@@ -504,36 +585,30 @@ const LeadsPage = {
             console.log('Filters:', activeFilters);
             console.log('Params:', params);
 
-            // Fetch leads and users in parallel
-            const [leadsResponse, usersResponse] = await Promise.all([
-                API.get(Config.ENDPOINTS.LEAD.WITH_RELATIONSHIPS, params),
-                API.get(Config.ENDPOINTS.USER.LIST)
+            // Fetch leads and the user map in parallel
+            // cancelKey aborts the previous load (e.g. search debounce fired again)
+            // so a slow stale response can't overwrite newer results.
+            // Users come from the shared ReferenceData cache (no refetch per page/filter change)
+            const [leadsResponse, userMap] = await Promise.all([
+                activeFilters.overdue
+                    ? this.loadOverdueLeads(params, options.reuseOverdueScan)
+                    : API.get(Config.ENDPOINTS.LEAD.WITH_RELATIONSHIPS, params, { cancelKey: 'leads:list' }),
+                ReferenceData.getUserMap()
             ]);
 
             this.allLeads = leadsResponse.records || [];
-            const users = usersResponse.records || [];
-
-            console.log('Loaded users for lead list:', users);
-
-            // Create user mapping
-            this.userMap = {};
-            users.forEach(user => {
-                let userName = 'Unknown User';
-                if (user.full_name) {
-                    userName = user.full_name;
-                } else if (user.first_name && user.last_name) {
-                    userName = `${user.first_name} ${user.last_name}`;
-                } else if (user.first_name) {
-                    userName = user.first_name;
-                } else if (user.username) {
-                    userName = user.username;
-                } else if (user.email) {
-                    userName = user.email;
-                }
-                this.userMap[user.id] = userName;
-            });
+            this.userMap = userMap;
+
+            // Overdue results hold every match - page through them locally
+            if (activeFilters.overdue) {
+                this.currentPage = page;
+            }
+
+            // The Overdue scan stops at a cap - say so rather than pass a partial list off as every match
+            $('#overdue-truncated .overdue-scan-limit').text(Config.OVERDUE_SCAN_MAX_RECORDS);
+            $('#overdue-truncated').toggle(!!leadsResponse.truncated);
 
-            console.log('User mapping created:', this.userMap);
+            console.log('User mapping for lead list:', this.userMap);
 
             // Clear existing table rows
             this.clearTable();
@@ -552,12 +627,47 @@ const LeadsPage = {
             this.hideLoadingState();
 
         } catch (error) {
+            // Superseded by a newer loadLeads() call - leave the UI to that call
+            if (API.isAbortError(error)) {
+                console.log('Lead load superseded by a newer request');
+                return;
+            }
+
             console.error('Failed to load leads:', error);
+            $('#overdue-truncated').hide();
             this.showError('Failed to load leads. Please refresh the page.');
             this.hideLoadingState();
         }
     },
 
+    /**
+     * Load every overdue lead matching the other filters
+     * The list endpoint has no SLA filter, so all matching leads are paged
+     * through and narrowed here - counts and pagination then cover the
+     * filtered set rather than one server page.
+     * The scan is cached per filter set; only filter changes (applyFilters)
+     * reuse it - any other reload rescans so edits show up.
+     * @param {object} params - loadLeads() query params (skip/limit are ignored)
+     * @param {boolean} reuseScan - Reuse the cached scan if the filters match
+     * @returns {Promise<{records: Array, total_count: number, truncated: boolean}>} Overdue leads
+     */
+    async loadOverdueLeads(params, reuseScan = false) {
+        const { skip, limit, ...filters } = params;
+        const key = JSON.stringify(filters);
+
+        if (!reuseScan || !this.overdueScan || this.overdueScan.key !== key) {
+            const { records, truncated } = await API.getAll(Config.ENDPOINTS.LEAD.WITH_RELATIONSHIPS, filters, {
+                maxRecords: Config.OVERDUE_SCAN_MAX_RECORDS,
+                cancelKey: 'leads:list'
+            });
+            this.overdueScan = { key, records, truncated };
+        }
+
+        // SLA state moves with the clock - re-check cached leads on every use
+        const overdue = this.overdueScan.records.filter(lead => this.getLeadSla(lead).state === 'overdue');
+        return { records: overdue, total_count: overdue.length, truncated: this.overdueScan.truncated };
+    },
+
     /**
      * Initialize filter dropdowns and wire filter events
      *
@@ -581,6 +691,7 @@ const LeadsPage = {
             this.filterDropdowns.status = createStatusDropdown('#statusFilterContainer', {
                 includeEmpty: true,
                 emptyText: 'All Statuses',
+                groupByStage: true,
                 onChange: (statusId, statusName) => {
                     console.log('Status filter changed:', statusId, statusName);
                     this.filters.status_id = statusId;
@@ -646,6 +757,7 @@ const LeadsPage = {
      *
      * Called whenever any filter changes (status, source, search, dates).
      * Resets to page 1 and reloads leads with all active filter parameters.
+     * A cached Overdue scan for the same filters is reused.
      *
      * Filters are sent to backend as query parameters:
      * - search: string - searches name, email, phone
@@ -659,7 +771,7 @@ const LeadsPage = {
     async applyFilters() {
         console.log('=== APPLYING FILTERS ===');
         console.log('Current filters:', this.filters);
-        await this.loadLeads(1); // Reset to page 1 when filtering
+        await this.loadLeads(1, null, { reuseOverdueScan: true }); // Reset to page 1 when filtering
     },
 
     /**
@@ -682,11 +794,13 @@ const LeadsPage = {
             status_id: null,
             source_id: null,
             date_from: '',
-            date_to: ''
+            date_to: '',
+            overdue: false
         };
 
         // Reset UI elements
         $('#searchInput').val('');
+        $('#overdue-filter-btn').removeClass('active');
         $('#dateFromFilter').val('');
         $('#dateToFilter').val('');
 
@@ -702,6 +816,53 @@ const LeadsPage = {
         this.loadLeads(1);
     },
 
+    /**
+     * Apply filters passed in the page URL (drill-down links from reports.html)
+     *
+     * Supported query parameters: search, status_id, source_id, date_from,
+     * date_to (YYYY-MM-DD). Called once after the filter dropdowns are
+     * initialized and before the first loadLeads().
+     *
+     * e.g. leads.html?status_id=3&date_from=2026-01-01&date_to=2026-01-31
+     */
+    applyUrlFilters() {
+        const params = new URLSearchParams(window.location.search);
+        const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+
+        const search = (params.get('search') || '').trim();
+        const statusId = parseInt(params.get('status_id'));
+        const sourceId = parseInt(params.get('source_id'));
+        const dateFrom = params.get('date_from');
+        const dateTo = params.get('date_to');
+
+        if (search) {
+            this.filters.search = search;
+            $('#searchInput').val(search);
+        }
+        if (statusId) {
+            this.filters.status_id = statusId;
+            if (this.filterDropdowns.status) {
+                this.filterDropdowns.status.setValue(statusId);
+            }
+        }
+        if (sourceId) {
+            this.filters.source_id = sourceId;
+            if (this.filterDropdowns.source) {
+                this.filterDropdowns.source.setValue(sourceId);
+            }
+        }
+        if (dateFrom && isoDate.test(dateFrom)) {
+            this.filters.date_from = dateFrom;
+            $('#dateFromFilter').val(dateFrom);
+        }
+        if (dateTo && isoDate.test(dateTo)) {
+            this.filters.date_to = dateTo;
+            $('#dateToFilter').val(dateTo);
+        }
+
+        console.log('Filters from URL:', this.filters);
+    },
+
     /**
      * Update filter display showing results count and active filters
      *
@@ -780,6 +941,16 @@ const LeadsPage = {
             `);
         }
 
+        if (this.filters.overdue) {
+            activeFilterCount++;
+            tags.push(`
+                <span class="badge bg-danger">
+                    SLA: Overdue
+                    <i class="fas fa-times ms-1" style="cursor: pointer;" onclick="LeadsPage.removeFilter('overdue')"></i>
+                </span>
+            `);
+        }
+
         // Update results count
         // When no leads are found, hide the counter
         if (this.allLeads.length === 0) {
@@ -810,6 +981,7 @@ const LeadsPage = {
      * - 'source' - Resets source dropdown
      * - 'date_from' - Clears from date
      * - 'date_to' - Clears to date
+     * - 'overdue' - Turns off the Overdue quick filter
      *
      * @param {string} filterName - Name of filter to remove
      */
@@ -841,6 +1013,10 @@ const LeadsPage = {
                 this.filters.date_to = '';
                 $('#dateToFilter').val('');
                 break;
+            case 'overdue':
+                this.filters.overdue = false;
+                $('#overdue-filter-btn').removeClass('active');
+                break;
         }
 
         this.applyFilters();
@@ -905,11 +1081,9 @@ const LeadsPage = {
      */
     async loadStatusesForInlineEdit() {
         try {
-            // Fetch all available lead statuses from API
-            const response = await API.get(Config.ENDPOINTS.LEADSTATUS.LIST);
-
-            // Cache statuses at class level for synchronous access during table rendering
-            this.availableStatuses = response.records || [];
+            // Fetch all available lead statuses (shared ReferenceData cache)
+            // Kept at class level for synchronous access during table rendering
+            this.availableStatuses = PipelineStages.sortStatuses(await ReferenceData.getStatuses());
 
             console.log('Loaded statuses for inline editing:', this.availableStatuses.length);
         } catch (error) {
@@ -928,11 +1102,9 @@ const LeadsPage = {
      */
     async loadUsersForInlineEdit() {
         try {
-            // Fetch all users from API
-            const response = await API.get(Config.ENDPOINTS.USER.LIST);
-
-            // Cache users at class level for synchronous access during table rendering
-            this.availableUsers = response.records || [];
+            // Fetch all users (shared ReferenceData cache)
+            // Kept at class level for synchronous access during table rendering
+            this.availableUsers = await ReferenceData.getUsers();
 
             console.log('Loaded users for inline editing:', this.availableUsers.length);
         } catch (error) {
@@ -1332,6 +1504,7 @@ const LeadsPage = {
                     <span class="fw-semibold">${score}</span>
                 </div>
             </td>
+            <td>${this.createSlaBadge(lead)}</td>
             <td>
                 <!-- Inline assigned-to editing container: stores lead ID and current user ID -->
                 <div class="inline-assigned-container" data-lead-id="${lead.id || ''}" data-current-user="${assignedUserId}">
@@ -1363,25 +1536,32 @@ const LeadsPage = {
                             title="View Lead">
                         <i class="fas fa-eye"></i>
                     </button>
-                    ${this.showingArchived ? `
+                    ${this.showingArchived ? (Permissions.can('leads.restore') ? `
                         <!-- Archived lead actions: only restore button -->
                         <button class="btn btn-sm btn-outline-success restore-lead-btn"
                                 data-lead-id="${lead.id || ''}"
                                 title="Restore Lead">
                             <i class="fas fa-undo"></i>
                         </button>
-                    ` : `
-                        <!-- Active lead actions: view, edit, archive -->
+                    ` : '') : `
+                        <!-- Active lead actions: view, edit, mark touched, archive -->
                         <button class="btn btn-sm btn-outline-secondary edit-lead-btn"
                                 data-lead-id="${lead.id || ''}"
                                 title="Edit Lead">
                             <i class="fas fa-edit"></i>
                         </button>
+                        <button class="btn btn-sm btn-outline-success touch-lead-btn"
+                                data-lead-id="${lead.id || ''}"
+                                title="Mark Touched">
+                            <i class="fas fa-hand-point-up"></i>
+                        </button>
+                        ${Permissions.can('leads.archive') ? `
                         <button class="btn btn-sm btn-outline-warning archive-lead-btn"
                                 data-lead-id="${lead.id || ''}"
                                 title="Archive Lead">
                             <i class="fas fa-archive"></i>
                         </button>
+                        ` : ''}
                     `}
                 </div>
             </td>
@@ -1509,42 +1689,19 @@ const LeadsPage = {
     },
 
     /**
-     * Create status badge HTML with improved color mapping
+     * Create status badge HTML from the status's pipeline stage and color
+     * (configured on the Pipeline admin page - see pipeline-stages.js)
+     *
+     * Lead records often carry only a partial status ({id, name}), so the
+     * full record is looked up in the shared statuses cache, which
+     * loadStatusesForInlineEdit warms before the table renders.
+     *
      * @param {Object} status - Status object
      * @returns {String} Badge HTML
      */
     createStatusBadge(status) {
-        const statusName = status.name.toLowerCase();
-        let badgeClass = 'badge-secondary';
-
-        // Determine badge color based on status
-        // New leads (green)
-        if (statusName.includes('new') || statusName.includes('inquiry')) {
-            badgeClass = 'badge-new';
-        }
-        // In progress / active / contacted (orange)
-        else if (statusName.includes('progress') || statusName.includes('contact') ||
-                 statusName.includes('follow') || statusName.includes('consult') ||
-                 statusName.includes('booked') || statusName.includes('scheduled')) {
-            badgeClass = 'badge-progress';
-        }
-        // Qualified / accepted (purple)
-        else if (statusName.includes('qualified') || statusName.includes('accepted')) {
-            badgeClass = 'badge-qualified';
-        }
-        // Converted / won / customer (blue)
-        else if (statusName.includes('convert') || statusName.includes('won') ||
-                 statusName.includes('customer') || statusName.includes('success')) {
-            badgeClass = 'badge-converted';
-        }
-        // Lost / rejected / closed (red)
-        else if (statusName.includes('lost') || statusName.includes('closed') ||
-                 statusName.includes('reject') || statusName.includes('cancel') ||
-                 statusName.includes('dead')) {
-            badgeClass = 'badge-lost';
-        }
-
-        return `<span class="badge ${badgeClass}">${this.escapeHtml(status.name)}</span>`;
+        const badge = PipelineStages.getBadgeStyle(PipelineStages.findStatus(status) || status);
+        return `<span class="badge ${badge.className}" style="${badge.style}">${this.escapeHtml(status.name)}</span>`;
     },
 
     /**
@@ -1625,7 +1782,7 @@ const LeadsPage = {
         if (tbody) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="10" class="text-center py-5">
+                    <td colspan="11" class="text-center py-5">
                         <i class="fas fa-spinner fa-spin fa-2x text-primary mb-3"></i>
                         <div>Loading leads...</div>
                     </td>
@@ -1649,7 +1806,7 @@ const LeadsPage = {
         if (tbody) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="10" class="text-center py-5">
+                    <td colspan="11" class="text-center py-5">
                         <i class="fas fa-inbox fa-3x text-muted mb-3"></i>
                         <div class="text-muted">No leads found</div>
                         <button class="btn btn-primary mt-3">
@@ -1670,7 +1827,7 @@ const LeadsPage = {
         if (tbody) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="9" class="text-center py-5">
+                    <td colspan="11" class="text-center py-5">
                         <i class="fas fa-exclamation-triangle fa-2x text-danger mb-3"></i>
                         <div class="text-danger">${this.escapeHtml(message)}</div>
                         <button class="btn btn-primary mt-3" onclick="LeadsPage.loadLeads()">
@@ -1685,7 +1842,7 @@ const LeadsPage = {
     /**
      * Show lead detail modal
      * @param {String|Number} leadId - Lead ID
-     * @param {String} activeTab - Tab to activate (overview, edit, notes, timeline)
+     * @param {String} activeTab - Tab to activate (overview, edit, notes, timeline, messages, email)
      */
     async showLeadModal(leadId, activeTab = 'overview') {
         if (!leadId) {
@@ -1717,12 +1874,14 @@ const LeadsPage = {
 
             // Fetch lead details, notes, and timeline in parallel
             const [leadResponse] = await Promise.all([
-                API.get(`${Config.ENDPOINTS.LEAD.READ}${leadId}`),
+                API.get(API.route('LEAD.READ', { id: leadId })),
                 this.loadLeadNotes(leadId),
                 this.loadLeadTimeline(leadId)
             ]);
 
             const lead = leadResponse.records && leadResponse.records[0] ? leadResponse.records[0] : leadResponse;
+            this.modalLead = lead;
+            this.previousScoreBreakdown = null;
 
             // Populate modal with lead data
             this.populateModalOverview(lead);
@@ -1736,12 +1895,83 @@ const LeadsPage = {
             // Setup note creation functionality
             this.setupNoteCreation(leadId);
 
+            // Tab components load independently - don't hold the Overview
+            // nurture panel behind the Messages/Email tabs
+            await Promise.all([
+                // Overview tab: nurture sequence state and controls
+                this.initializeNurturePanel(lead),
+                // Messages tab: SMS thread and composer for this lead
+                this.initializeSmsConversation(lead),
+                // Email tab: threads, reader and composer for this lead
+                this.initializeEmailConversation(lead)
+            ]);
+
         } catch (error) {
             console.error('Failed to load lead details:', error);
             this.showModalError('Failed to load lead details. Please try again.');
         }
     },
 
+    /**
+     * Initialize the Messages tab SMS conversation for a lead
+     * The modal is reused, so the previous lead's conversation is destroyed first
+     * @param {Object} lead - Lead record
+     */
+    async initializeSmsConversation(lead) {
+        if (this.smsConversation) {
+            this.smsConversation.destroy();
+        }
+
+        this.smsConversation = createSmsConversation('#messages-conversation', {
+            leadId: lead.id,
+            phone: lead.phone,
+            hasConsent: this.getLeadConsent(lead, 'sms').granted,
+            // Sent SMS can show up as timeline events - refresh the timeline
+            onSent: () => this.loadLeadTimeline(lead.id)
+        });
+
+        await this.smsConversation.init();
+    },
+
+    /**
+     * Initialize the Email tab conversation for a lead
+     * The modal is reused, so the previous lead's conversation is destroyed first
+     * @param {Object} lead - Lead record
+     */
+    async initializeEmailConversation(lead) {
+        if (this.emailConversation) {
+            this.emailConversation.destroy();
+        }
+
+        this.emailConversation = createEmailConversation('#email-conversation', {
+            leadId: lead.id,
+            email: lead.email,
+            hasConsent: this.getLeadConsent(lead, 'email').granted,
+            onSaved: () => this.loadLeadTimeline(lead.id)
+        });
+
+        await this.emailConversation.init();
+    },
+
+    /**
+     * Initialize the Overview tab nurture panel for a lead
+     * populateModalOverview() re-renders the Overview tab, so this must run after it
+     * @param {Object} lead - Lead record
+     */
+    async initializeNurturePanel(lead) {
+        if (this.nurturePanel) {
+            this.nurturePanel.destroy();
+        }
+
+        this.nurturePanel = createNurturePanel('#overview-nurture-panel', {
+            lead: lead,
+            // Enroll/pause/resume/cancel are recorded as lead events
+            onChange: () => this.loadLeadTimeline(lead.id)
+        });
+
+        await this.nurturePanel.init();
+    },
+
     /**
      * Show loading state in modal
      */
@@ -1802,9 +2032,6 @@ const LeadsPage = {
         const email = lead.email || lead.primary_email || 'N/A';
         const phone = lead.phone || lead.primary_phone || 'N/A';
         const source = this.getSource(lead);
-        const score = lead.score !== null && lead.score !== undefined ? lead.score : 0;
-        const fitScore = lead.fit_score !== null && lead.fit_score !== undefined ? lead.fit_score : 0;
-        const intentScore = lead.intent_score !== null && lead.intent_score !== undefined ? lead.intent_score : 0;
         const status = this.getStatus(lead);
         const assignedTo = this.getAssignedUser(lead);
         const createdAt = this.formatDate(lead.created_at);
@@ -1841,39 +2068,7 @@ const LeadsPage = {
                                 <div class="col-sm-4"><strong>Source:</strong></div>
                                 <div class="col-sm-8">${this.escapeHtml(source)}</div>
                             </div>
-                            <div class="row mb-3">
-                                <div class="col-sm-4"><strong>Overall Score:</strong></div>
-                                <div class="col-sm-8">
-                                    <div class="d-flex align-items-center">
-                                        <div class="progress me-2" style="width: 100px; height: 8px;">
-                                            <div class="progress-bar ${this.getScoreColor(score)}" style="width: ${score}%"></div>
-                                        </div>
-                                        <span class="fw-semibold">${score}/100</span>
-                                    </div>
-                                </div>
-                            </div>
-                            <div class="row mb-3">
-                                <div class="col-sm-4"><strong>Fit Score:</strong></div>
-                                <div class="col-sm-8">
-                                    <div class="d-flex align-items-center">
-                                        <div class="progress me-2" style="width: 100px; height: 8px;">
-                                            <div class="progress-bar ${this.getScoreColor(fitScore)}" style="width: ${fitScore}%"></div>
-                                        </div>
-                                        <span class="fw-semibold">${fitScore}/100</span>
-                                    </div>
-                                </div>
-                            </div>
-                            <div class="row mb-3">
-                                <div class="col-sm-4"><strong>Intent Score:</strong></div>
-                                <div class="col-sm-8">
-                                    <div class="d-flex align-items-center">
-                                        <div class="progress me-2" style="width: 100px; height: 8px;">
-                                            <div class="progress-bar ${this.getScoreColor(intentScore)}" style="width: ${intentScore}%"></div>
-                                        </div>
-                                        <span class="fw-semibold">${intentScore}/100</span>
-                                    </div>
-                                </div>
-                            </div>
+                            <div id="overview-scores">${this.renderScoreBars(lead)}</div>
                         </div>
                     </div>
                 </div>
@@ -1895,6 +2090,10 @@ const LeadsPage = {
                                 <div class="col-sm-4"><strong>Days in Status:</strong></div>
                                 <div class="col-sm-8">${daysInStatus} days</div>
                             </div>
+                            <div class="row mb-3">
+                                <div class="col-sm-4"><strong>Response SLA:</strong></div>
+                                <div class="col-sm-8" id="overview-sla">${this.renderOverviewSla(lead)}</div>
+                            </div>
                             <div class="row mb-3">
                                 <div class="col-sm-4"><strong>Created:</strong></div>
                                 <div class="col-sm-8">${createdAt}</div>
@@ -1934,18 +2133,13 @@ const LeadsPage = {
                         <div class="card-header">
                             <h6 class="card-title mb-0">Compliance</h6>
                         </div>
-                        <div class="card-body">
-                            <div class="row mb-3">
-                                <div class="col-sm-5"><strong>Consent Given:</strong></div>
-                                <div class="col-sm-7">
-                                    ${lead.consent_ts ? `
-                                        <i class="fas fa-check-circle text-success me-1"></i>
-                                        ${this.formatDate(lead.consent_ts)}
-                                    ` : '<span class="text-muted">No consent recorded</span>'}
-                                </div>
-                            </div>
+                        <div class="card-body" id="overview-consent">
+                            ${this.renderConsentSection(lead)}
                         </div>
                     </div>
+
+                    <!-- Nurture state and controls rendered by components/nurture-panel.js -->
+                    <div id="overview-nurture-panel"></div>
                 </div>
 
                 <div class="col-md-6">
@@ -1998,6 +2192,16 @@ const LeadsPage = {
                             ` : '<p class="text-muted mb-0">No marketing attribution data</p>'}
                         </div>
                     </div>
+
+                    <div class="card mb-4">
+                        <div class="card-header d-flex justify-content-between align-items-center">
+                            <h6 class="card-title mb-0">Score Breakdown</h6>
+                            <div id="overview-score-history">${this.createScoreSparklineHtml()}</div>
+                        </div>
+                        <div class="card-body" id="overview-score-breakdown">
+                            ${this.createScoreBreakdownHtml(lead)}
+                        </div>
+                    </div>
                 </div>
             </div>
 
@@ -2092,7 +2296,7 @@ const LeadsPage = {
             this.showNotesLoadingState();
 
             // Construct the correct URL with lead_id path parameter
-            const url = `/api/v1/leadnote/lead/${leadId}`;
+            const url = API.route('LEADNOTE.LIST_FOR_LEAD', { lead_id: leadId });
             console.log('API URL being called:', url);
 
             // Fetch notes for this specific lead
@@ -2181,17 +2385,23 @@ const LeadsPage = {
         if (userIds.length > 0) {
             console.log('Fetching user data for user IDs:', userIds);
             try {
-                // Fetch users in parallel
-                const userPromises = userIds.map(userId =>
-                    API.get(`${Config.ENDPOINTS.USER.READ}${userId}`)
+                // Most authors are in the cached user list; fetch the rest
+                // (e.g. archived users) individually in parallel
+                const userPromises = userIds.map(async userId => {
+                    const cachedUser = await ReferenceData.getUserById(userId);
+                    if (cachedUser) {
+                        usersMap[userId] = cachedUser;
+                        return;
+                    }
+                    return API.get(API.route('USER.READ', { id: userId }))
                         .then(response => {
                             const user = response.records && response.records[0] ? response.records[0] : response;
                             usersMap[userId] = user;
                         })
                         .catch(err => {
                             console.error(`Failed to fetch user ${userId}:`, err);
-                        })
-                );
+                        });
+                });
                 await Promise.all(userPromises);
                 console.log('Users map:', usersMap);
             } catch (error) {
@@ -2380,18 +2590,17 @@ const LeadsPage = {
                 console.error('=== CREATE NOTE FAILED ===');
                 console.error('Error object:', error);
                 console.error('Error message:', error.message);
-                console.error('Error response:', error.response);
-                console.error('Error response data:', error.response?.data);
-                console.error('Error response status:', error.response?.status);
-                console.error('Full error details:', JSON.stringify(error, null, 2));
+                console.error('Error status:', error.status);
+                console.error('Error body:', error.body);
 
                 // Show detailed error message
+                // API.request throws ApiError: {status, body, detail[]}
                 if (errorDiv) {
                     let errorMsg = 'Failed to add note. ';
-                    if (error.response?.data?.detail) {
-                        errorMsg += error.response.data.detail;
-                    } else if (error.response?.status === 422) {
-                        errorMsg += 'Validation error. Check console for details.';
+                    if (error instanceof ApiError && error.isValidationError) {
+                        errorMsg += error.detail.map(entry => entry.msg).join('; ');
+                    } else if (error instanceof ApiError && typeof error.body?.detail === 'string') {
+                        errorMsg += error.body.detail;
                     } else {
                         errorMsg += 'Please try again.';
                     }
@@ -2419,59 +2628,28 @@ const LeadsPage = {
             this.showTimelineLoadingState();
 
             // Construct the correct timeline URL
-            const url = `/api/v1/lead/${leadId}/timeline`;
+            const url = API.route('LEAD.TIMELINE', { id: leadId });
             console.log('Timeline API URL being called:', url);
 
-            // Fetch timeline events, status list, and user list in parallel
-            const [timelineResponse, statusesResponse, usersResponse] = await Promise.all([
+            // Fetch timeline events plus status/user name maps (shared ReferenceData cache) in parallel
+            const [timelineResponse, statusMap, userMap] = await Promise.all([
                 API.get(url, { offset: 0, limit: 50 }),
-                API.get(Config.ENDPOINTS.LEADSTATUS.LIST),
-                API.get(Config.ENDPOINTS.USER.LIST)
+                ReferenceData.getStatusMap(),
+                ReferenceData.getUserMap()
             ]);
 
             let events = timelineResponse.records || [];
-            const statuses = statusesResponse.records || [];
-            const users = usersResponse.records || [];
 
             // Debug: Log the responses
             console.log('Lead timeline API response:', timelineResponse);
             console.log('Timeline events (count):', events.length);
             console.log('Timeline events (full):', events);
-            console.log('Lead statuses:', statuses);
-            console.log('========== DEBUG: USER LIST FETCH ==========');
-            console.log('Users response:', usersResponse);
-            console.log('Users array:', users);
-            console.log('Users array length:', users.length);
-            console.log('First user (if exists):', users[0]);
-
-            // Create status ID to name mapping
-            this.statusMap = {};
-            statuses.forEach(status => {
-                this.statusMap[status.id] = status.name || status.slug || `Status ${status.id}`;
-            });
-            console.log('Status mapping:', this.statusMap);
 
-            // Create user ID to name mapping
-            this.userMap = {};
-            console.log('========== DEBUG: USER MAPPING CREATION ==========');
-            users.forEach(user => {
-                console.log('Processing user:', user);
-                let userName = 'Unknown User';
-                if (user.full_name) {
-                    userName = user.full_name;
-                } else if (user.first_name && user.last_name) {
-                    userName = `${user.first_name} ${user.last_name}`;
-                } else if (user.first_name) {
-                    userName = user.first_name;
-                } else if (user.username) {
-                    userName = user.username;
-                } else if (user.email) {
-                    userName = user.email;
-                }
-                console.log(`Mapping user ID ${user.id} => "${userName}"`);
-                this.userMap[user.id] = userName;
-            });
-            console.log('Final user mapping:', this.userMap);
+            // Status/user name maps used by the timeline formatter
+            this.statusMap = statusMap;
+            this.userMap = userMap;
+            console.log('Status mapping:', this.statusMap);
+            console.log('User mapping:', this.userMap);
 
             // Sort by timestamp (newest first - reverse chronological)
             events = events.sort((a, b) => {
@@ -2484,6 +2662,14 @@ const LeadsPage = {
             events = this.deduplicateStatusChanges(events);
             console.log('After deduplication, events count:', events.length);
 
+            // Consent changes also feed the Overview tab's consent history
+            this.consentEvents = events.filter(event => this.CONSENT_EVENTS[event.type] || this.CONSENT_EVENTS[event.kind]);
+            this.renderConsentHistory();
+
+            // Score changes feed the Overview tab's score history sparkline
+            this.scoreEvents = events.filter(event => event.kind === 'SCORE_UPDATED' || event.type === 'SCORE_UPDATED');
+            this.renderScoreHistory();
+
             // Populate timeline tab
             await this.populateTimelineTab(events);
 
@@ -2621,7 +2807,10 @@ const LeadsPage = {
                         <i class="fas ${eventInfo.icon}"></i>
                     </div>
                     <div class="timeline-content">
-                        <h6 class="timeline-title">${eventInfo.title}</h6>
+                        <h6 class="timeline-title">
+                            ${eventInfo.title}
+                            ${eventInfo.nurture ? '<span class="badge bg-light text-primary border ms-1"><i class="fas fa-stream me-1"></i>Nurture</span>' : ''}
+                        </h6>
                         <p class="timeline-text">${eventInfo.description}</p>
                         <small class="text-muted">${eventInfo.timestamp}</small>
                     </div>
@@ -2675,6 +2864,7 @@ const LeadsPage = {
         const type = event.type || '';
         const channel = event.channel || '';
         const actorAttribution = this.getActorAttribution(event);
+        const nurture = this.getNurtureEventInfo(event);
 
         // Debug: Log the event structure
         console.log('Formatting timeline event:', event);
@@ -2804,6 +2994,47 @@ const LeadsPage = {
             markerClass = 'bg-warning';
             icon = 'fa-sticky-note';
 
+        } else if (this.CONSENT_EVENTS[kind] || this.CONSENT_EVENTS[type]) {
+            // Recorded/revoked from the Overview tab Compliance card
+            const consentEvent = this.CONSENT_EVENTS[kind] || this.CONSENT_EVENTS[type];
+            const consentChannel = this.CONSENT_CHANNELS[String(payload.channel || channel).toLowerCase()];
+
+            title = consentChannel ? `${consentChannel.label} ${consentEvent.title}` : consentEvent.title;
+            description = `${consentEvent.granted ? 'Consent recorded' : 'Consent revoked'} ${actorAttribution}`;
+            if (payload.reason) {
+                description += `<br><em>Reason: ${this.escapeHtml(payload.reason)}</em>`;
+            }
+            markerClass = consentEvent.granted ? 'bg-success' : 'bg-danger';
+            icon = consentEvent.granted ? 'fa-user-check' : 'fa-user-lock';
+
+        } else if (this.NURTURE_LIFECYCLE_EVENTS[kind] || this.NURTURE_LIFECYCLE_EVENTS[type]) {
+            // Enrollment changes from the Overview nurture panel or the ops console
+            const lifecycle = this.NURTURE_LIFECYCLE_EVENTS[kind] || this.NURTURE_LIFECYCLE_EVENTS[type];
+            title = lifecycle.title;
+            description = `${lifecycle.title} ${actorAttribution}`;
+            if (nurture && nurture.sequence) {
+                description += `<br><strong>Sequence:</strong> ${this.escapeHtml(nurture.sequence)}`;
+            }
+            if (payload.reason) {
+                description += `<br><em>Reason: ${this.escapeHtml(payload.reason)}</em>`;
+            }
+            markerClass = lifecycle.markerClass;
+            icon = lifecycle.icon;
+
+        } else if (kind === 'NURTURE_SENT' || type === 'NURTURE_SENT' || kind === 'NURTURE_STEP_SENT' || type === 'NURTURE_STEP_SENT') {
+            // Step sent by the nurture engine - channel decides the wording
+            const isSms = String(channel || payload.channel || '').toUpperCase() === 'SMS';
+            title = isSms ? 'Nurture SMS Sent' : 'Nurture Email Sent';
+            description = `Sent automatically${nurture && nurture.step ? ` (step ${this.escapeHtml(String(nurture.step))})` : ''}`;
+            if (payload.subject) {
+                description += `<br><strong>Subject:</strong> ${this.escapeHtml(payload.subject)}`;
+            }
+            if (nurture && nurture.sequence) {
+                description += `<br><strong>Sequence:</strong> ${this.escapeHtml(nurture.sequence)}`;
+            }
+            markerClass = 'bg-primary';
+            icon = isSms ? 'fa-sms' : 'fa-envelope';
+
         } else if (kind === 'EMAIL_SENT' || type === 'EMAIL_SENT' || channel === 'EMAIL') {
             title = 'Email Sent';
             description = `Email sent ${actorAttribution}`;
@@ -2823,22 +3054,48 @@ const LeadsPage = {
             icon = 'fa-sms';
 
         } else if (kind === 'CALL_LOGGED' || type === 'CALL_LOGGED' || channel === 'PHONE') {
-            title = 'Call Logged';
+            // Logged from the Log Call dialog - icon/colour follow the outcome
+            const outcome = this.CALL_OUTCOMES[payload.outcome];
+            const outcomeLabel = outcome ? outcome.label : payload.outcome;
+
+            title = outcomeLabel ? `Call - ${outcomeLabel}` : 'Call Logged';
             description = `Phone call logged ${actorAttribution}`;
-            if (payload.duration) {
-                description += `<br><strong>Duration:</strong> ${payload.duration}`;
+
+            // duration_seconds from the dialog; older events carry a preformatted duration
+            if (payload.duration_seconds) {
+                description += `<br><strong>Duration:</strong> ${this.formatCallDuration(payload.duration_seconds)}`;
+            } else if (payload.duration) {
+                description += `<br><strong>Duration:</strong> ${this.escapeHtml(String(payload.duration))}`;
             }
-            if (payload.outcome) {
-                description += `<br><strong>Outcome:</strong> ${this.escapeHtml(payload.outcome)}`;
+            if (payload.disposition) {
+                const dispositionLabel = this.CALL_DISPOSITIONS[payload.disposition] || payload.disposition;
+                description += `<br><strong>Disposition:</strong> ${this.escapeHtml(dispositionLabel)}`;
             }
-            markerClass = 'bg-primary';
-            icon = 'fa-phone';
+            if (payload.follow_up_date) {
+                const followUp = new Date(`${payload.follow_up_date}T00:00:00`);
+                const followUpText = isNaN(followUp) ? payload.follow_up_date : followUp.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+                description += `<br><strong>Follow-up:</strong> ${this.escapeHtml(followUpText)}`;
+            }
+            if (payload.notes) {
+                description += `<br><em>"${this.escapeHtml(payload.notes.substring(0, 100))}${payload.notes.length > 100 ? '...' : ''}"</em>`;
+            }
+            markerClass = outcome ? outcome.markerClass : 'bg-primary';
+            icon = outcome ? outcome.icon : 'fa-phone';
 
         } else if (kind === 'SCORE_UPDATED' || type === 'SCORE_UPDATED') {
             title = 'Score Updated';
             const oldScore = payload.old_score || 0;
             const newScore = payload.new_score || payload.score || 0;
             description = `Lead score updated from ${oldScore} to ${newScore} ${actorAttribution}`;
+            // Rescores may record the factors behind the new score
+            const factors = this.getScoreBreakdown(payload);
+            if (factors.length > 0) {
+                description += '<br><small class="text-muted">' + factors
+                    .sort((x, y) => Math.abs(y.points) - Math.abs(x.points))
+                    .slice(0, 3)
+                    .map(factor => `${this.escapeHtml(factor.label)} ${factor.points > 0 ? '+' : ''}${factor.points}`)
+                    .join(', ') + '</small>';
+            }
             markerClass = 'bg-warning';
             icon = 'fa-chart-line';
 
@@ -2860,12 +3117,46 @@ const LeadsPage = {
             }
         }
 
+        // Email/SMS sent by a nurture step: name the sequence (the title gets a Nurture badge)
+        if (nurture && nurture.sent && (kind === 'EMAIL_SENT' || type === 'EMAIL_SENT' || kind === 'SMS_SENT' || type === 'SMS_SENT')) {
+            description = description.replace(actorAttribution, 'by nurture sequence');
+            if (nurture.sequence) {
+                description += `<br><strong>Sequence:</strong> ${this.escapeHtml(nurture.sequence)}${nurture.step ? ` (step ${this.escapeHtml(String(nurture.step))})` : ''}`;
+            }
+        }
+
         return {
             title: this.escapeHtml(title),
             description: description, // Already escaped in parts above
             timestamp: timestamp,
             markerClass: markerClass,
-            icon: icon
+            icon: icon,
+            nurture: !!nurture
+        };
+    },
+
+    /**
+     * Detect timeline events that came from the nurture engine
+     * Nurture sends carry the sequence in the payload (sequence_id / sequence_name /
+     * step_order) or source: 'nurture'; enrollment events use the NURTURE_* types.
+     * @param {Object} event - Timeline event object
+     * @returns {Object|null} {sequence, step, sent} or null if not a nurture event
+     */
+    getNurtureEventInfo(event) {
+        const payload = event.payload || {};
+        const type = String(event.type || event.kind || '');
+        const fromSequence = payload.sequence_id || payload.nurture_sequence_id || payload.sequence_name ||
+            String(payload.source || '').toLowerCase() === 'nurture';
+
+        if (!fromSequence && type.indexOf('NURTURE_') !== 0) {
+            return null;
+        }
+
+        const sequenceId = payload.sequence_id || payload.nurture_sequence_id;
+        return {
+            sequence: payload.sequence_name || (sequenceId ? `Sequence #${sequenceId}` : null),
+            step: payload.step_order || payload.step || null,
+            sent: !this.NURTURE_LIFECYCLE_EVENTS[type]
         };
     },
 
@@ -3038,7 +3329,7 @@ const LeadsPage = {
             console.log('=== PAYLOAD TO SEND ===', payload);
 
             // Call API to update lead
-            const response = await API.put(`${Config.ENDPOINTS.LEAD.UPDATE}${this.currentLeadId}`, payload);
+            const response = await API.put(API.route('LEAD.UPDATE', { id: this.currentLeadId }), payload);
 
             console.log('Lead updated successfully:', response);
 
@@ -3069,8 +3360,17 @@ const LeadsPage = {
                 saveButton.innerHTML = 'Save Changes';
             }
 
+            // Backend validation errors (422) - show them on the matching fields
+            if (error instanceof ApiError && error.isValidationError) {
+                this.formValidator.applyServerErrors('edit-lead-form', error, {
+                    errorSummaryId: 'edit-lead-error-summary',
+                    idPrefix: 'edit'
+                });
+                return;
+            }
+
             // Show error message in Edit tab
-            this.showEditTabError('Failed to save changes. Please try again.');
+            this.showEditTabError(error.message ? `Failed to save changes: ${error.message}` : 'Failed to save changes. Please try again.');
         }
     },
 
@@ -3382,6 +3682,15 @@ const LeadsPage = {
                 createButton.innerHTML = '<i class="fas fa-plus me-1"></i>Create Lead';
             }
 
+            // Backend validation errors (422) - show them on the matching fields
+            if (error instanceof ApiError && error.isValidationError) {
+                this.formValidator.applyServerErrors('add-lead-form', error, {
+                    errorSummaryId: 'create-lead-error-summary',
+                    idPrefix: 'add'
+                });
+                return;
+            }
+
             errorDiv.textContent = error.message || 'Failed to create lead. Please try again.';
             errorDiv.style.display = 'block';
         }
@@ -3530,7 +3839,7 @@ const LeadsPage = {
         for (const leadId of leadIds) {
             try {
                 // Fetch full lead data first (required for PUT)
-                const leadResponse = await API.get(`${Config.ENDPOINTS.LEAD.READ}${leadId}`);
+                const leadResponse = await API.get(API.route('LEAD.READ', { id: leadId }));
                 const lead = leadResponse.records && leadResponse.records[0] ? leadResponse.records[0] : leadResponse;
 
                 if (!lead) {
@@ -3555,7 +3864,7 @@ const LeadsPage = {
                 console.log(`Updating lead ${leadId} with status ${statusId}`, updatePayload);
 
                 // Execute update
-                await API.put(`${Config.ENDPOINTS.LEAD.UPDATE}${leadId}`, updatePayload);
+                await API.put(API.route('LEAD.UPDATE', { id: leadId }), updatePayload);
 
                 completed++;
                 console.log(`Successfully updated lead ${leadId}`);
@@ -3668,7 +3977,7 @@ const LeadsPage = {
         for (const leadId of leadIds) {
             try {
                 // Fetch full lead data first (required for PUT)
-                const leadResponse = await API.get(`${Config.ENDPOINTS.LEAD.READ}${leadId}`);
+                const leadResponse = await API.get(API.route('LEAD.READ', { id: leadId }));
                 const lead = leadResponse.records && leadResponse.records[0] ? leadResponse.records[0] : leadResponse;
 
                 if (!lead) {
@@ -3693,7 +4002,7 @@ const LeadsPage = {
                 console.log(`Updating lead ${leadId} with user ${assignedToUserId}`, updatePayload);
 
                 // Execute update
-                await API.put(`${Config.ENDPOINTS.LEAD.UPDATE}${leadId}`, updatePayload);
+                await API.put(API.route('LEAD.UPDATE', { id: leadId }), updatePayload);
 
                 completed++;
                 console.log(`Successfully assigned lead ${leadId}`);
@@ -3732,6 +4041,78 @@ const LeadsPage = {
         }
     },
 
+    /**
+     * Show bulk rescore confirmation modal
+     */
+    showBulkRescoreModal() {
+        const count = this.selectedLeadIds.size;
+        if (count === 0) {
+            alert('Please select at least one lead');
+            return;
+        }
+
+        // Update count in modal
+        document.getElementById('bulk-rescore-count').textContent = count;
+
+        // Reset modal state
+        document.getElementById('bulk-rescore-error').style.display = 'none';
+        document.getElementById('bulk-rescore-progress').style.display = 'none';
+
+        // Show modal
+        const modal = new bootstrap.Modal(document.getElementById('bulkRescoreModal'));
+        modal.show();
+    },
+
+    /**
+     * Execute bulk rescore
+     * Uses batch endpoint: POST /api/v1/lead/score/bulk with {lead_ids: [array]}
+     */
+    async executeBulkRescore() {
+        const confirmBtn = document.getElementById('bulk-rescore-confirm-btn');
+        const errorDiv = document.getElementById('bulk-rescore-error');
+        const progressDiv = document.getElementById('bulk-rescore-progress');
+        const progressBar = progressDiv.querySelector('.progress-bar');
+        const progressText = document.getElementById('bulk-rescore-progress-text');
+
+        // Hide error, show progress
+        errorDiv.style.display = 'none';
+        progressDiv.style.display = 'block';
+        progressBar.style.width = '100%';
+        progressText.textContent = 'Scoring...';
+        confirmBtn.disabled = true;
+
+        const leadIds = Array.from(this.selectedLeadIds);
+        const total = leadIds.length;
+
+        try {
+            const response = await LeadClient.scoreBulk({ lead_ids: leadIds });
+
+            progressDiv.style.display = 'none';
+            confirmBtn.disabled = false;
+
+            const modal = bootstrap.Modal.getInstance(document.getElementById('bulkRescoreModal'));
+            modal.hide();
+
+            // Clear selection
+            this.clearSelection();
+
+            // Reload leads to show the new scores
+            await this.loadLeads();
+
+            // Show success message
+            this.showSuccessToast(`Successfully rescored ${total} lead(s)`);
+
+        } catch (error) {
+            console.error('Failed to rescore leads:', error);
+
+            progressDiv.style.display = 'none';
+            confirmBtn.disabled = false;
+
+            errorDiv.textContent = `Failed to rescore leads: ${error.message || 'Unknown error'}`;
+            errorDiv.style.display = 'block';
+        }
+    },
+
     /**
      * Show bulk archive confirmation modal
      */
@@ -3770,6 +4151,13 @@ const LeadsPage = {
         const progressBar = progressDiv.querySelector('.progress-bar');
         const progressText = document.getElementById('bulk-archive-progress-text');
 
+        // Archiving is limited to admin roles (see permissions.js)
+        if (!Permissions.can('leads.bulkArchive')) {
+            errorDiv.textContent = 'You do not have permission to archive leads.';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
         // Hide error, show progress
         errorDiv.style.display = 'none';
         progressDiv.style.display = 'block';
@@ -3825,8 +4213,8 @@ const LeadsPage = {
      * ============================================================================
      * ARCHIVED LEADS & RESTORE
      * ============================================================================
-     * TODO: Add role-based permission check - only SuperAdmin/Admin (roles 1,2)
-     * should be able to access archived leads view and restore functionality
+     * Only SuperAdmin/Admin (roles 1,2) can access the archived leads view and
+     * restore functionality - enforced via Permissions (permissions.js)
      */
 
     /**
@@ -3835,6 +4223,12 @@ const LeadsPage = {
     async toggleArchivedView() {
         const toggleCheckbox = document.getElementById('show-archived-toggle');
 
+        if (!Permissions.can('leads.viewArchived')) {
+            console.warn('Archived view requires admin role');
+            if (toggleCheckbox) toggleCheckbox.checked = false;
+            return;
+        }
+
         // Update filters based on checkbox state
         this.filters.deleted = toggleCheckbox.checked;
         this.showingArchived = toggleCheckbox.checked;
@@ -3939,6 +4333,12 @@ const LeadsPage = {
         const cancelBtn = document.getElementById('restore-cancel-btn');
         const errorDiv = document.getElementById('restore-lead-error');
 
+        if (!Permissions.can('leads.restore')) {
+            errorDiv.textContent = 'You do not have permission to restore leads.';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
         // Hide error message
         errorDiv.style.display = 'none';
 
@@ -4023,6 +4423,13 @@ const LeadsPage = {
         const progressBar = progressDiv.querySelector('.progress-bar');
         const progressText = document.getElementById('bulk-restore-progress-text');
 
+        // Restoring is limited to admin roles (see permissions.js)
+        if (!Permissions.can('leads.bulkRestore')) {
+            errorDiv.textContent = 'You do not have permission to restore leads.';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
         // Hide error, show progress
         errorDiv.style.display = 'none';
         progressDiv.style.display = 'block';
@@ -4074,16 +4481,370 @@ const LeadsPage = {
     },
 
     /**
-     * Setup event listeners for lead actions
+     * ============================================================================
+     * SLA MONITORING
+     * ============================================================================
+     * Leads carry a first-response deadline in sla_due_at, sla_breached once
+     * it was missed, and last_touched_at for the latest touch. Touch and
+     * SLA check return those same three fields; the sweep returns
+     * {checked, breached: [lead]}. See FRONTEND_API_REFERENCE.md "Lead SLA".
+     *
+     * ENDPOINTS:
+     *   POST /api/v1/lead/{id}/sla/check - Re-evaluate one lead's SLA
+     *   POST /api/v1/lead/sla/sweep      - Evaluate all open leads (admin)
+     *   POST /api/v1/lead/{id}/touch     - Record a touch (stops the clock)
      */
-    setupEventListeners() {
-        // Delegate click events for dynamically created buttons
-        document.addEventListener('click', (e) => {
-            // View button
-            if (e.target.closest('.view-lead-btn')) {
-                const button = e.target.closest('.view-lead-btn');
-                const leadId = button.getAttribute('data-lead-id');
-                if (leadId) {
+
+    /**
+     * Work out where a lead stands against its SLA
+     * @param {Object} lead - Lead record
+     * @returns {{state: string, dueAt: Date|null, touchedAt: Date|null}}
+     *          state: 'none' | 'pending' | 'met' | 'overdue'
+     */
+    getLeadSla(lead) {
+        const dueAt = lead.sla_due_at ? new Date(lead.sla_due_at) : null;
+        const touchedAt = lead.last_touched_at ? new Date(lead.last_touched_at) : null;
+
+        if (lead.sla_breached === true) {
+            return { state: 'overdue', dueAt, touchedAt };
+        }
+        if (!dueAt || isNaN(dueAt)) {
+            return { state: 'none', dueAt: null, touchedAt };
+        }
+        if (touchedAt && touchedAt <= dueAt) {
+            return { state: 'met', dueAt, touchedAt };
+        }
+        return { state: dueAt <= new Date() ? 'overdue' : 'pending', dueAt, touchedAt };
+    },
+
+    /**
+     * Sort key for the SLA column: milliseconds to deadline (running SLAs first)
+     * @param {Object} lead - Lead record
+     * @returns {number}
+     */
+    getLeadSlaSortValue(lead) {
+        const sla = this.getLeadSla(lead);
+        if (sla.state === 'pending' || sla.state === 'overdue') {
+            return sla.dueAt ? sla.dueAt.getTime() - Date.now() : -Infinity;
+        }
+        return Infinity;
+    },
+
+    /**
+     * Format the time to (or past) a deadline, e.g. "2h 14m", "3d 4h", "12m"
+     * @param {number} ms - Milliseconds (sign ignored)
+     * @returns {string}
+     */
+    formatSlaDuration(ms) {
+        const minutes = Math.floor(Math.abs(ms) / 60000);
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes % 60}m`;
+        return `${minutes}m`;
+    },
+
+    /**
+     * Badge class and text for an SLA deadline at this moment
+     * @param {Date|null} dueAt - Deadline
+     * @param {string} state - State from getLeadSla()
+     * @returns {{className: string, text: string}}
+     */
+    getSlaBadgeInfo(dueAt, state) {
+        if (state === 'met') {
+            return { className: 'bg-success', text: 'Met' };
+        }
+        if (state === 'none') {
+            return { className: 'bg-light text-muted', text: 'No SLA' };
+        }
+
+        const remaining = dueAt ? dueAt.getTime() - Date.now() : -1;
+        if (state === 'overdue' || remaining <= 0) {
+            return { className: 'bg-danger', text: dueAt ? `Overdue ${this.formatSlaDuration(remaining)}` : 'Overdue' };
+        }
+
+        const warning = remaining <= Config.SLA_WARNING_MINUTES * 60000;
+        return {
+            className: warning ? 'bg-warning text-dark' : 'bg-info text-dark',
+            text: `${this.formatSlaDuration(remaining)} left`
+        };
+    },
+
+    /**
+     * SLA badge for the leads table; pending/overdue badges carry their
+     * deadline so updateSlaCountdowns() can tick them down
+     * @param {Object} lead - Lead record
+     * @returns {String} HTML
+     */
+    createSlaBadge(lead) {
+        const sla = this.getLeadSla(lead);
+        const info = this.getSlaBadgeInfo(sla.dueAt, sla.state);
+        const ticking = (sla.state === 'pending' || sla.state === 'overdue') && sla.dueAt;
+
+        return `
+            <span class="badge sla-badge ${info.className}"
+                  ${ticking ? `data-sla-due="${sla.dueAt.toISOString()}" data-sla-state="${sla.state}"` : ''}
+                  title="${sla.dueAt ? `Due ${this.formatDate(sla.dueAt.toISOString())}` : 'No response deadline'}">
+                <i class="fas fa-stopwatch me-1"></i>${info.text}
+            </span>
+        `;
+    },
+
+    /**
+     * Refresh the text and colour of every ticking SLA badge on the page
+     */
+    updateSlaCountdowns() {
+        document.querySelectorAll('.sla-badge[data-sla-due]').forEach(badge => {
+            const info = this.getSlaBadgeInfo(new Date(badge.getAttribute('data-sla-due')), badge.getAttribute('data-sla-state'));
+            badge.className = `badge sla-badge ${info.className}`;
+            badge.innerHTML = `<i class="fas fa-stopwatch me-1"></i>${info.text}`;
+        });
+    },
+
+    /**
+     * SLA row for the lead modal Overview tab: badge plus check/touch actions
+     * @param {Object} lead - Lead record
+     * @returns {String} HTML
+     */
+    renderOverviewSla(lead) {
+        const sla = this.getLeadSla(lead);
+
+        return `
+            <div class="d-flex align-items-center flex-wrap gap-2">
+                ${this.createSlaBadge(lead)}
+                ${sla.touchedAt ? `<small class="text-muted">Touched ${this.formatDate(sla.touchedAt.toISOString())}</small>` : ''}
+                <button type="button" class="btn btn-sm btn-outline-secondary sla-check-btn" data-lead-id="${lead.id}" title="Re-check SLA">
+                    <i class="fas fa-sync-alt"></i>
+                </button>
+                ${!lead.deleted_at ? `
+                    <button type="button" class="btn btn-sm btn-outline-success touch-lead-btn" data-lead-id="${lead.id}">
+                        <i class="fas fa-hand-point-up me-1"></i>Mark Touched
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    },
+
+    /**
+     * Copy SLA fields from a check/touch response onto a lead record
+     * @param {Object} lead - Lead record to update
+     * @param {Object} result - Response body {sla_due_at, sla_breached, last_touched_at}
+     */
+    applySlaResult(lead, result) {
+        if (!result || typeof result !== 'object') return;
+
+        ['sla_due_at', 'sla_breached', 'last_touched_at'].forEach(field => {
+            if (result[field] !== undefined) {
+                lead[field] = result[field];
+            }
+        });
+    },
+
+    /**
+     * Re-render a lead's SLA in the table row and, if open, the modal
+     * @param {Object} lead - Updated lead record
+     */
+    refreshLeadSla(lead) {
+        const cell = document.querySelector(`#leadsTable tbody tr[data-lead-id="${lead.id}"] .sla-badge`);
+        if (cell) {
+            cell.outerHTML = this.createSlaBadge(lead);
+        }
+
+        const overviewSla = document.getElementById('overview-sla');
+        if (overviewSla && this.modalLead && this.modalLead.id === lead.id) {
+            overviewSla.innerHTML = this.renderOverviewSla(lead);
+        }
+    },
+
+    /**
+     * Find the loaded copies of a lead (table list and open modal)
+     * @param {number} leadId - Lead ID
+     * @returns {Array<Object>} Lead records
+     */
+    findLoadedLeads(leadId) {
+        const leads = this.allLeads.filter(lead => lead.id === leadId);
+        if (this.modalLead && this.modalLead.id === leadId && !leads.includes(this.modalLead)) {
+            leads.push(this.modalLead);
+        }
+        return leads;
+    },
+
+    /**
+     * Record a touch on a lead - stops its SLA clock
+     * @param {number} leadId - Lead ID
+     * @param {HTMLElement} button - Button to show progress on
+     */
+    async touchLead(leadId, button) {
+        if (!leadId) return;
+
+        const originalHtml = button.innerHTML;
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+        try {
+            const response = await LeadClient.touch(leadId);
+            const result = response && response.records ? response.records[0] : response;
+
+            this.findLoadedLeads(leadId).forEach(lead => {
+                this.applySlaResult(lead, result);
+                this.refreshLeadSla(lead);
+            });
+
+            this.showSuccessToast(`Lead #${leadId} marked as touched`);
+
+            // Touches show up in the activity timeline
+            if (this.modalLead && this.modalLead.id === leadId) {
+                await this.loadLeadTimeline(leadId);
+            }
+
+        } catch (error) {
+            console.error('Failed to touch lead:', error);
+            this.showErrorToast(`Failed to mark lead as touched: ${error.message || 'Unknown error'}`);
+
+        } finally {
+            // The button may have been re-rendered; only restore it if it is still in the page
+            if (document.body.contains(button)) {
+                button.disabled = false;
+                button.innerHTML = originalHtml;
+            }
+        }
+    },
+
+    /**
+     * Re-evaluate one lead's SLA on the server and show the result
+     * @param {number} leadId - Lead ID
+     * @param {HTMLElement} button - Button to show progress on
+     */
+    async checkLeadSla(leadId, button) {
+        if (!leadId) return;
+
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+        try {
+            const response = await LeadClient.slaCheck(leadId);
+            const result = response && response.records ? response.records[0] : response;
+
+            this.findLoadedLeads(leadId).forEach(lead => {
+                this.applySlaResult(lead, result);
+                this.refreshLeadSla(lead);
+            });
+
+        } catch (error) {
+            console.error('Failed to check SLA:', error);
+            this.showErrorToast(`Failed to check SLA: ${error.message || 'Unknown error'}`);
+
+            if (document.body.contains(button)) {
+                button.disabled = false;
+                button.innerHTML = '<i class="fas fa-sync-alt"></i>';
+            }
+        }
+    },
+
+    /**
+     * Toggle the Overdue quick filter
+     */
+    toggleOverdueFilter() {
+        this.filters.overdue = !this.filters.overdue;
+        $('#overdue-filter-btn').toggleClass('active', this.filters.overdue);
+        this.applyFilters();
+    },
+
+    /**
+     * Show the SLA sweep modal (admin only)
+     */
+    showSlaSweepModal() {
+        if (!Permissions.can('leads.slaSweep')) return;
+
+        document.getElementById('sla-sweep-results').innerHTML = `
+            <p class="text-muted mb-0">
+                Checks every open lead against its response deadline and flags the ones that have breached.
+            </p>
+        `;
+        document.getElementById('sla-sweep-error').style.display = 'none';
+
+        const modal = new bootstrap.Modal(document.getElementById('slaSweepModal'));
+        modal.show();
+    },
+
+    /**
+     * Run the SLA sweep and list the leads that breached
+     * The sweep returns {checked: number, breached: [lead]}.
+     */
+    async runSlaSweep() {
+        if (!Permissions.can('leads.slaSweep')) return;
+
+        const runBtn = document.getElementById('sla-sweep-run-btn');
+        const errorDiv = document.getElementById('sla-sweep-error');
+        const results = document.getElementById('sla-sweep-results');
+
+        errorDiv.style.display = 'none';
+        runBtn.disabled = true;
+        runBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Running...';
+
+        try {
+            const response = await LeadClient.slaSweep();
+
+            // The summary object arrives as a single record after normalization
+            const summary = (response.records && response.records[0]) || {};
+            const breached = summary.breached || [];
+
+            results.innerHTML = `
+                <p class="mb-3">
+                    <strong>${breached.length}</strong> lead(s) breached their SLA
+                    <span class="text-muted">(${summary.checked || 0} checked)</span>
+                </p>
+                ${breached.length > 0 ? `
+                    <div class="table-responsive" style="max-height: 320px;">
+                        <table class="table table-sm mb-0">
+                            <thead>
+                                <tr><th>ID</th><th>Name</th><th>Due</th><th></th></tr>
+                            </thead>
+                            <tbody>
+                                ${breached.map(lead => `
+                                    <tr>
+                                        <td><span class="badge bg-secondary">#${lead.id}</span></td>
+                                        <td>${this.escapeHtml(this.getLeadName(lead))}</td>
+                                        <td>${lead.sla_due_at ? this.formatDate(lead.sla_due_at) : '-'}</td>
+                                        <td class="text-end">
+                                            <button class="btn btn-sm btn-outline-primary view-lead-btn" data-lead-id="${lead.id}" data-bs-dismiss="modal" title="View Lead">
+                                                <i class="fas fa-eye"></i>
+                                            </button>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                ` : ''}
+            `;
+
+            // Sweep updates sla_breached on the server - refresh the badges
+            await this.loadLeads();
+
+        } catch (error) {
+            console.error('SLA sweep failed:', error);
+            errorDiv.textContent = `SLA sweep failed: ${error.message || 'Unknown error'}`;
+            errorDiv.style.display = 'block';
+
+        } finally {
+            runBtn.disabled = false;
+            runBtn.innerHTML = '<i class="fas fa-play me-1"></i>Run Sweep';
+        }
+    },
+
+    /**
+     * Setup event listeners for lead actions
+     */
+    setupEventListeners() {
+        // Delegate click events for dynamically created buttons
+        document.addEventListener('click', (e) => {
+            // View button
+            if (e.target.closest('.view-lead-btn')) {
+                const button = e.target.closest('.view-lead-btn');
+                const leadId = button.getAttribute('data-lead-id');
+                if (leadId) {
                     this.showLeadModal(leadId);
                 }
             }
@@ -4113,12 +4874,35 @@ const LeadsPage = {
                 console.log('Restore lead clicked:', leadId);
                 this.showRestoreConfirmation(leadId);
             }
+
+            // Mark touched (table row and Overview tab SLA row)
+            if (e.target.closest('.touch-lead-btn')) {
+                const button = e.target.closest('.touch-lead-btn');
+                this.touchLead(parseInt(button.getAttribute('data-lead-id')), button);
+            }
+
+            // Per-lead SLA check (Overview tab SLA row)
+            if (e.target.closest('.sla-check-btn')) {
+                const button = e.target.closest('.sla-check-btn');
+                this.checkLeadSla(parseInt(button.getAttribute('data-lead-id')), button);
+            }
+
+            // Record/revoke consent (Overview tab Compliance card)
+            if (e.target.closest('.consent-action-btn')) {
+                const button = e.target.closest('.consent-action-btn');
+                this.showConsentModal(button.getAttribute('data-consent-channel'), button.getAttribute('data-consent-action'));
+            }
         });
 
+        // Keep SLA countdowns current without reloading the list
+        if (!this.slaTimer) {
+            this.slaTimer = setInterval(() => this.updateSlaCountdowns(), 60000);
+        }
+
         // Table header sorting
         document.querySelectorAll('#leadsTable thead th').forEach((th, index) => {
             // Skip checkbox and actions columns
-            if (index === 0 || index === 9) return;
+            if (index === 0 || index === 10) return;
 
             th.style.cursor = 'pointer';
             th.addEventListener('click', () => {
@@ -4130,7 +4914,8 @@ const LeadsPage = {
                     5: 'status',
                     6: 'source',
                     7: 'score',
-                    8: 'assigned_to'
+                    8: 'sla',
+                    9: 'assigned_to'
                 };
 
                 const column = columnMap[index];
@@ -4190,6 +4975,11 @@ const LeadsPage = {
                     aVal = a.score || 0;
                     bVal = b.score || 0;
                     break;
+                case 'sla':
+                    // Soonest deadline first; leads without a running SLA last
+                    aVal = this.getLeadSlaSortValue(a);
+                    bVal = this.getLeadSlaSortValue(b);
+                    break;
                 case 'assigned_to':
                     aVal = this.getAssignedUser(a).toLowerCase();
                     bVal = this.getAssignedUser(b).toLowerCase();
@@ -4230,7 +5020,8 @@ const LeadsPage = {
                 'status': 5,
                 'source': 6,
                 'score': 7,
-                'assigned_to': 8
+                'sla': 8,
+                'assigned_to': 9
             };
 
             const columnIndex = columnMap[this.sortColumn];
@@ -4304,7 +5095,7 @@ const LeadsPage = {
             // CRITICAL: The PUT /lead/{id} endpoint requires ALL lead fields
             // We can't just send {status_id: X}, we must send the complete lead object
             console.log('Fetching current lead data...');
-            const leadResponse = await API.get(`${Config.ENDPOINTS.LEAD.READ}${leadId}`);
+            const leadResponse = await API.get(API.route('LEAD.READ', { id: leadId }));
             const currentLead = leadResponse.records && leadResponse.records[0] ? leadResponse.records[0] : leadResponse;
 
             if (!currentLead) {
@@ -4323,7 +5114,7 @@ const LeadsPage = {
             console.log('Sending updated lead:', updatedLead);
 
             // === CALL API TO UPDATE LEAD ===
-            const response = await API.put(`${Config.ENDPOINTS.LEAD.UPDATE}${leadId}`, updatedLead);
+            const response = await API.put(API.route('LEAD.UPDATE', { id: leadId }), updatedLead);
             console.log('Status updated successfully:', response);
 
             // === UPDATE LOCAL DATA ===
@@ -4450,7 +5241,7 @@ const LeadsPage = {
             // === FETCH CURRENT LEAD DATA ===
             // CRITICAL: The PUT /lead/{id} endpoint requires ALL lead fields
             console.log('Fetching current lead data...');
-            const leadResponse = await API.get(`${Config.ENDPOINTS.LEAD.READ}${leadId}`);
+            const leadResponse = await API.get(API.route('LEAD.READ', { id: leadId }));
             const currentLead = leadResponse.records && leadResponse.records[0] ? leadResponse.records[0] : leadResponse;
 
             if (!currentLead) {
@@ -4468,7 +5259,7 @@ const LeadsPage = {
             console.log('Sending updated lead:', updatedLead);
 
             // === CALL API TO UPDATE LEAD ===
-            const response = await API.put(`${Config.ENDPOINTS.LEAD.UPDATE}${leadId}`, updatedLead);
+            const response = await API.put(API.route('LEAD.UPDATE', { id: leadId }), updatedLead);
             console.log('Assignment updated successfully:', response);
 
             // === UPDATE LOCAL DATA ===
@@ -4552,7 +5343,7 @@ const LeadsPage = {
     /**
      * Setup contact action handlers (phone icons, email links)
      * Called after each table render to wire up click handlers for:
-     * - Phone call icon → opens modal to Messages tab
+     * - Phone call icon → opens Log Call dialog
      * - SMS icon → opens modal to Messages tab
      * - Email link → opens modal to Email tab
      */
@@ -4563,8 +5354,8 @@ const LeadsPage = {
                 e.preventDefault();
                 const leadId = icon.getAttribute('data-lead-id');
                 if (leadId) {
-                    console.log('Opening modal for call logging, Lead ID:', leadId);
-                    this.showLeadModal(leadId, 'messages'); // Open to Messages tab
+                    console.log('Opening Log Call dialog, Lead ID:', leadId);
+                    this.showLogCallModal(parseInt(leadId));
                 }
             });
         });
@@ -4576,7 +5367,7 @@ const LeadsPage = {
                 const leadId = icon.getAttribute('data-lead-id');
                 if (leadId) {
                     console.log('Opening modal for SMS, Lead ID:', leadId);
-                    this.showLeadModal(leadId, 'messages'); // Open to Messages tab
+                    this.showLeadModal(leadId, 'messages'); // Open to Messages tab (SMS conversation)
                 }
             });
         });
@@ -4594,6 +5385,669 @@ const LeadsPage = {
         });
     },
 
+    /**
+     * Show the Log Call dialog for a lead
+     * @param {number} leadId - ID of lead that was called
+     */
+    showLogCallModal(leadId) {
+        console.log('=== SHOW LOG CALL ===');
+        console.log('Lead ID:', leadId);
+
+        const lead = this.allLeads.find(l => l.id === leadId);
+        if (!lead) {
+            console.error('Lead not found:', leadId);
+            return;
+        }
+
+        this.leadToLogCall = {
+            id: leadId,
+            name: `${lead.first_name || ''} ${lead.last_name || ''}`.trim() || 'Unknown Lead',
+            phone: lead.phone || ''
+        };
+
+        // Populate selects from the option maps
+        const outcomeSelect = document.getElementById('log-call-outcome');
+        outcomeSelect.innerHTML = '<option value="">-- Select Outcome --</option>' +
+            Object.entries(this.CALL_OUTCOMES)
+                .map(([value, outcome]) => `<option value="${value}">${this.escapeHtml(outcome.label)}</option>`)
+                .join('');
+
+        const dispositionSelect = document.getElementById('log-call-disposition');
+        dispositionSelect.innerHTML = '<option value="">-- None --</option>' +
+            Object.entries(this.CALL_DISPOSITIONS)
+                .map(([value, label]) => `<option value="${value}">${this.escapeHtml(label)}</option>`)
+                .join('');
+
+        // Reset form
+        document.getElementById('log-call-form').reset();
+        document.getElementById('log-call-save-note').checked = true;
+        document.getElementById('log-call-lead-name').textContent = this.leadToLogCall.name;
+        document.getElementById('log-call-lead-phone').textContent = this.leadToLogCall.phone ? `(${this.leadToLogCall.phone})` : '';
+        document.getElementById('log-call-error').style.display = 'none';
+        outcomeSelect.classList.remove('is-invalid');
+
+        if (!this.logCallModal) {
+            this.logCallModal = new bootstrap.Modal(document.getElementById('logCallModal'));
+        }
+        this.logCallModal.show();
+    },
+
+    /**
+     * Save the Log Call dialog
+     *
+     * Phone calls happen outside the CRM, so there is no lead mutation for the backend
+     * to auto-log - the CALL_LOGGED event is created here (see DEVELOPMENT_WORKFLOW.md
+     * "Frontend Event Logging Policy"). Notes are optionally saved as a lead note too.
+     *
+     * Endpoint: POST /api/v1/leadevent/
+     * Payload: {lead_id, type: 'CALL_LOGGED', channel: 'PHONE', actor_user_id,
+     *           payload: {outcome, disposition, duration_seconds, follow_up_date, notes}}
+     */
+    async saveCallLog() {
+        if (!this.leadToLogCall) {
+            console.error('No lead selected for call logging');
+            return;
+        }
+
+        const saveBtn = document.getElementById('log-call-save-btn');
+        const errorDiv = document.getElementById('log-call-error');
+        const outcomeSelect = document.getElementById('log-call-outcome');
+
+        const outcome = outcomeSelect.value;
+        const disposition = document.getElementById('log-call-disposition').value || null;
+        const minutes = parseInt(document.getElementById('log-call-minutes').value) || 0;
+        const seconds = parseInt(document.getElementById('log-call-seconds').value) || 0;
+        const followUpDate = document.getElementById('log-call-follow-up').value || null;
+        const notes = document.getElementById('log-call-notes').value.trim();
+        const saveNote = document.getElementById('log-call-save-note').checked;
+
+        errorDiv.style.display = 'none';
+        outcomeSelect.classList.toggle('is-invalid', !outcome);
+
+        if (!outcome) {
+            errorDiv.textContent = 'Please select a call outcome.';
+            errorDiv.style.display = 'block';
+            return;
+        }
+        if (minutes < 0 || seconds < 0 || seconds > 59) {
+            errorDiv.textContent = 'Duration must be whole minutes and 0-59 seconds.';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
+        const userId = Auth.getUserId();
+        if (!userId) {
+            errorDiv.textContent = 'User ID not found. Please log in again.';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
+        const leadId = this.leadToLogCall.id;
+        const payload = {
+            lead_id: leadId,
+            type: 'CALL_LOGGED',
+            channel: 'PHONE',
+            actor_user_id: parseInt(userId),
+            payload: {
+                outcome: outcome,
+                disposition: disposition,
+                duration_seconds: minutes * 60 + seconds,
+                follow_up_date: followUpDate,
+                notes: notes || null
+            }
+        };
+
+        console.log('=== LOG CALL REQUEST ===');
+        console.log('Endpoint:', Config.ENDPOINTS.LEADEVENT.CREATE);
+        console.log('Payload:', JSON.stringify(payload, null, 2));
+
+        saveBtn.disabled = true;
+        saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Saving...';
+
+        try {
+            const response = await API.post(Config.ENDPOINTS.LEADEVENT.CREATE, payload);
+            console.log('=== LOG CALL SUCCESS ===');
+            console.log('Response:', response);
+
+            // Optional note - the call is already logged, so a failure here is reported but not fatal
+            let noteFailed = false;
+            if (saveNote && notes) {
+                try {
+                    const outcomeLabel = this.CALL_OUTCOMES[outcome].label;
+                    await API.post(Config.ENDPOINTS.LEADNOTE.CREATE, {
+                        body: `Call (${outcomeLabel}, ${this.formatCallDuration(payload.payload.duration_seconds)}): ${notes}`,
+                        is_pinned: false,
+                        lead_id: leadId,
+                        user_id: parseInt(userId)
+                    });
+                } catch (noteError) {
+                    console.error('Call logged but note creation failed:', noteError);
+                    noteFailed = true;
+                }
+            }
+
+            this.logCallModal.hide();
+            this.showSuccessToast(noteFailed
+                ? `Call logged for ${this.leadToLogCall.name}, but the note could not be saved`
+                : `Call logged for ${this.leadToLogCall.name}`);
+
+            // Refresh the detail modal if it is showing this lead
+            const detailModal = document.getElementById('leadDetailModal');
+            if (detailModal && detailModal.classList.contains('show') && this.currentLeadId === leadId) {
+                await Promise.all([
+                    this.loadLeadTimeline(leadId),
+                    this.loadLeadNotes(leadId)
+                ]);
+            }
+
+            this.leadToLogCall = null;
+
+        } catch (error) {
+            console.error('=== LOG CALL FAILED ===', error);
+
+            let errorMsg = 'Failed to log call. ';
+            if (error instanceof ApiError && error.isValidationError) {
+                errorMsg += error.detail.map(entry => entry.field ? `${entry.field}: ${entry.msg}` : entry.msg).join('; ');
+            } else if (error instanceof ApiError && typeof error.body?.detail === 'string') {
+                errorMsg += error.body.detail;
+            } else {
+                errorMsg += 'Please try again.';
+            }
+            errorDiv.textContent = errorMsg;
+            errorDiv.style.display = 'block';
+
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.innerHTML = '<i class="fas fa-save me-1"></i>Log Call';
+        }
+    },
+
+    /**
+     * Format a call duration
+     * @param {number} totalSeconds - Duration in seconds
+     * @returns {String} "m:ss"
+     */
+    formatCallDuration(totalSeconds) {
+        const secs = Math.max(0, parseInt(totalSeconds) || 0);
+        return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+    },
+
+    /**
+     * Overall, fit and intent score progress bars
+     * @param {Object} lead - Lead record
+     * @returns {String} HTML
+     */
+    renderScoreBars(lead) {
+        return [
+            ['Overall Score', lead.score],
+            ['Fit Score', lead.fit_score],
+            ['Intent Score', lead.intent_score]
+        ].map(([label, value]) => {
+            const score = value !== null && value !== undefined ? value : 0;
+            return `
+                <div class="row mb-3">
+                    <div class="col-sm-4"><strong>${label}:</strong></div>
+                    <div class="col-sm-8">
+                        <div class="d-flex align-items-center">
+                            <div class="progress me-2" style="width: 100px; height: 8px;">
+                                <div class="progress-bar ${this.getScoreColor(score)}" style="width: ${score}%"></div>
+                            </div>
+                            <span class="fw-semibold">${score}/100</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Read the per-factor score breakdown from a lead or a score response
+     *
+     * Accepts score_breakdown / breakdown / score_factors / factors as either
+     * a list of {factor|name|label, points|score|value, category, reason} or
+     * a map of factor -> points.
+     *
+     * @param {Object} source - Lead record or score response
+     * @returns {Array<{key: string, label: string, points: number, category: string, reason: string}>}
+     */
+    getScoreBreakdown(source) {
+        if (!source) return [];
+
+        const raw = source.score_breakdown || source.breakdown || source.score_factors || source.factors;
+        if (!raw) return [];
+
+        const toFactor = (key, entry) => {
+            const item = entry && typeof entry === 'object' ? entry : { points: entry };
+            const name = item.factor || item.name || item.key || key || '';
+            return {
+                key: name,
+                label: item.label || String(name).replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
+                points: Number(item.points !== undefined ? item.points : (item.score !== undefined ? item.score : (item.value || 0))) || 0,
+                category: item.category || item.type || '',
+                reason: item.reason || item.description || ''
+            };
+        };
+
+        const factors = Array.isArray(raw)
+            ? raw.map(entry => toFactor(null, entry))
+            : Object.keys(raw).map(key => toFactor(key, raw[key]));
+
+        return factors.filter(factor => factor.key);
+    },
+
+    /**
+     * Score breakdown table: points per factor, and the change since the
+     * previous breakdown after a rescore
+     * @param {Object} source - Lead record or score response
+     * @returns {String} HTML
+     */
+    createScoreBreakdownHtml(source) {
+        const factors = this.getScoreBreakdown(source);
+
+        if (factors.length === 0) {
+            return '<p class="text-muted mb-0">No score breakdown available. Rescore the lead to calculate one.</p>';
+        }
+
+        const previous = {};
+        (this.previousScoreBreakdown || []).forEach(factor => {
+            previous[factor.key] = factor.points;
+        });
+        const hasPrevious = this.previousScoreBreakdown !== null;
+
+        // Biggest contributors first
+        const sorted = [...factors].sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+
+        return `
+            <table class="table table-sm mb-0">
+                <thead>
+                    <tr>
+                        <th>Factor</th>
+                        <th class="text-end">Points</th>
+                        ${hasPrevious ? '<th class="text-end">Change</th>' : ''}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sorted.map(factor => {
+                        const delta = factor.points - (previous[factor.key] || 0);
+                        return `
+                            <tr>
+                                <td>
+                                    ${this.escapeHtml(factor.label)}
+                                    ${factor.category ? `<span class="badge bg-light text-dark ms-1">${this.escapeHtml(factor.category)}</span>` : ''}
+                                    ${factor.reason ? `<div class="small text-muted">${this.escapeHtml(factor.reason)}</div>` : ''}
+                                </td>
+                                <td class="text-end ${factor.points < 0 ? 'text-danger' : ''}">${factor.points > 0 ? '+' : ''}${factor.points}</td>
+                                ${hasPrevious ? `
+                                    <td class="text-end ${delta > 0 ? 'text-success' : (delta < 0 ? 'text-danger' : 'text-muted')}">
+                                        ${delta === 0 ? '-' : `<i class="fas fa-arrow-${delta > 0 ? 'up' : 'down'} me-1"></i>${Math.abs(delta)}`}
+                                    </td>
+                                ` : ''}
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    },
+
+    /**
+     * Score history sparkline from SCORE_UPDATED timeline events (oldest -> newest)
+     * @returns {String} SVG HTML
+     */
+    createScoreSparklineHtml() {
+        const values = this.scoreEvents
+            .slice()
+            .reverse()
+            .map(event => {
+                const payload = event.payload || {};
+                return Number(payload.new_score !== undefined ? payload.new_score : payload.score);
+            })
+            .filter(value => !isNaN(value));
+
+        if (values.length < 2) {
+            return '<span class="small text-muted">No score history</span>';
+        }
+
+        const width = 120;
+        const height = 24;
+        const step = width / (values.length - 1);
+        const y = value => (height - (Math.max(0, Math.min(100, value)) / 100) * height).toFixed(1);
+        const points = values.map((value, i) => `${(i * step).toFixed(1)},${y(value)}`).join(' ');
+        const last = values[values.length - 1];
+
+        return `
+            <span class="score-sparkline" title="Score history: ${values.join(' → ')}">
+                <svg viewBox="-2 -2 ${width + 4} ${height + 4}" preserveAspectRatio="none">
+                    <polyline class="score-sparkline-line" points="${points}"></polyline>
+                    <circle class="score-sparkline-dot" cx="${width}" cy="${y(last)}" r="2"></circle>
+                </svg>
+            </span>
+        `;
+    },
+
+    /**
+     * Refresh the score history sparkline if the Overview tab is showing it
+     */
+    renderScoreHistory() {
+        const history = document.getElementById('overview-score-history');
+        if (history) {
+            history.innerHTML = this.createScoreSparklineHtml();
+        }
+    },
+
+    /**
+     * Rescore the lead open in the detail modal
+     *
+     * ENDPOINT: POST /api/v1/lead/{lead_id}/score
+     * The response is the rescored lead or a score result; either way the
+     * score, fit_score, intent_score and breakdown fields are read from it.
+     */
+    async rescoreLead() {
+        const lead = this.modalLead;
+        if (!lead) return;
+
+        const button = document.getElementById('modal-rescore-btn');
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Scoring...';
+
+        try {
+            const response = await LeadClient.score(lead.id);
+            const result = response && response.records ? response.records[0] : response;
+
+            const oldScore = lead.score;
+
+            // Keep the old breakdown so the table can show what moved
+            this.previousScoreBreakdown = this.getScoreBreakdown(lead);
+
+            ['score', 'fit_score', 'intent_score'].forEach(field => {
+                if (result && typeof result[field] === 'number') {
+                    lead[field] = result[field];
+                }
+            });
+            if (this.getScoreBreakdown(result).length > 0) {
+                lead.score_breakdown = this.getScoreBreakdown(result);
+            }
+
+            document.getElementById('overview-scores').innerHTML = this.renderScoreBars(lead);
+            document.getElementById('overview-score-breakdown').innerHTML = this.createScoreBreakdownHtml(lead);
+
+            this.showSuccessToast(oldScore !== lead.score
+                ? `Score updated from ${oldScore || 0} to ${lead.score || 0}`
+                : `Score unchanged at ${lead.score || 0}`);
+
+            // The table's score column and the timeline both change
+            await Promise.all([
+                this.loadLeadTimeline(lead.id),
+                this.loadLeads()
+            ]);
+
+        } catch (error) {
+            console.error('Failed to rescore lead:', error);
+            document.getElementById('overview-score-breakdown').insertAdjacentHTML('afterbegin', `
+                <div class="alert alert-danger alert-dismissible fade show">
+                    <i class="fas fa-exclamation-triangle me-2"></i>
+                    Failed to rescore lead: ${this.escapeHtml(error.message || 'Unknown error')}
+                    <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+                </div>
+            `);
+
+        } finally {
+            button.disabled = false;
+            button.innerHTML = '<i class="fas fa-sync-alt me-1"></i>Rescore';
+        }
+    },
+
+    /**
+     * Read a lead's consent for one channel
+     *
+     * Per-channel consent is read from lead.consent[channel] (boolean or
+     * {granted, ts, reason}) or the flat sms_consent / email_consent fields.
+     * Older leads only carry consent_ts, which doesn't say which channel was
+     * opted into - without per-channel data consent is never assumed.
+     *
+     * @param {Object} lead - Lead record
+     * @param {string} channel - 'sms' | 'email'
+     * @returns {{granted: boolean, ts: string|null, reason: string|null}}
+     */
+    getLeadConsent(lead, channel) {
+        const nested = lead.consent && typeof lead.consent === 'object' ? lead.consent[channel] : undefined;
+
+        if (nested !== undefined && nested !== null) {
+            if (typeof nested === 'object') {
+                return {
+                    granted: nested.granted !== undefined ? !!nested.granted : !nested.revoked_at,
+                    ts: nested.ts || nested.revoked_at || nested.granted_at || null,
+                    reason: nested.reason || null
+                };
+            }
+            return { granted: !!nested, ts: null, reason: null };
+        }
+
+        const flag = lead[`${channel}_consent`];
+        if (flag !== undefined && flag !== null) {
+            return { granted: !!flag, ts: lead[`${channel}_consent_ts`] || null, reason: null };
+        }
+
+        return { granted: false, ts: null, reason: null };
+    },
+
+    /**
+     * Render the Compliance card body: one row per channel plus consent history
+     * @param {Object} lead - Lead record
+     * @returns {String} HTML
+     */
+    renderConsentSection(lead) {
+        const rows = Object.entries(this.CONSENT_CHANNELS).map(([channel, info]) => {
+            const consent = this.getLeadConsent(lead, channel);
+
+            return `
+                <div class="row mb-3 align-items-center">
+                    <div class="col-sm-4"><strong><i class="fas ${info.icon} me-1"></i>${info.label}:</strong></div>
+                    <div class="col-sm-5">
+                        ${consent.granted
+                            ? `<i class="fas fa-check-circle text-success me-1"></i>Given${consent.ts ? ` ${this.formatDate(consent.ts)}` : ''}`
+                            : `<i class="fas fa-times-circle text-danger me-1"></i>${consent.ts ? `Revoked ${this.formatDate(consent.ts)}` : '<span class="text-muted">Not recorded</span>'}`}
+                        ${consent.reason ? `<div class="small text-muted">${this.escapeHtml(consent.reason)}</div>` : ''}
+                    </div>
+                    <div class="col-sm-3 text-end">
+                        <button type="button" class="btn btn-sm ${consent.granted ? 'btn-outline-danger' : 'btn-outline-success'} consent-action-btn"
+                                data-consent-channel="${channel}"
+                                data-consent-action="${consent.granted ? 'revoke' : 'give'}">
+                            ${consent.granted ? 'Revoke' : 'Record'}
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            ${rows}
+            <div class="small text-muted mb-1"><strong>History</strong></div>
+            <div id="overview-consent-history">${this.createConsentHistoryHtml()}</div>
+        `;
+    },
+
+    /**
+     * Consent history list from the lead's timeline events
+     * @returns {String} HTML
+     */
+    createConsentHistoryHtml() {
+        if (!this.consentEvents.length) {
+            return '<div class="small text-muted">No consent changes recorded</div>';
+        }
+
+        return `
+            <ul class="list-unstyled small mb-0">
+                ${this.consentEvents.slice(0, 5).map(event => {
+                    const payload = event.payload || {};
+                    const consentEvent = this.CONSENT_EVENTS[event.type] || this.CONSENT_EVENTS[event.kind];
+                    const channel = this.CONSENT_CHANNELS[String(payload.channel || event.channel || '').toLowerCase()];
+                    return `
+                        <li class="mb-1">
+                            <i class="fas ${consentEvent.granted ? 'fa-user-check text-success' : 'fa-user-lock text-danger'} me-1"></i>
+                            ${channel ? `${channel.label} ` : ''}${consentEvent.granted ? 'recorded' : 'revoked'}
+                            ${this.escapeHtml(this.getActorAttribution(event))} · ${this.formatDate(event.ts)}
+                            ${payload.reason ? `<div class="text-muted ms-3">${this.escapeHtml(payload.reason)}</div>` : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    },
+
+    /**
+     * Refresh the consent history if the Overview tab is showing it
+     */
+    renderConsentHistory() {
+        const history = document.getElementById('overview-consent-history');
+        if (history) {
+            history.innerHTML = this.createConsentHistoryHtml();
+        }
+    },
+
+    /**
+     * Open the consent dialog to record or revoke consent for a channel
+     * @param {string} channel - 'sms' | 'email'
+     * @param {string} action - 'give' | 'revoke'
+     */
+    showConsentModal(channel, action) {
+        if (!this.modalLead || !this.CONSENT_CHANNELS[channel]) {
+            return;
+        }
+
+        this.consentToChange = { channel, action };
+
+        const label = this.CONSENT_CHANNELS[channel].label;
+        const isGive = action === 'give';
+
+        document.getElementById('consentModalLabel').innerHTML = `
+            <i class="fas ${isGive ? 'fa-user-check' : 'fa-user-lock'} me-2"></i>${isGive ? 'Record' : 'Revoke'} ${label} Consent
+        `;
+        document.getElementById('consent-lead-name').textContent = this.getLeadName(this.modalLead);
+        document.getElementById('consent-reason').value = '';
+        document.getElementById('consent-reason').classList.remove('is-invalid');
+        document.getElementById('consent-reason').placeholder = isGive
+            ? 'e.g. Opted in by phone on 3/14, web form checkbox'
+            : 'e.g. Replied STOP, asked not to be emailed';
+        document.getElementById('consent-error').style.display = 'none';
+
+        const saveBtn = document.getElementById('consent-save-btn');
+        saveBtn.className = `btn ${isGive ? 'btn-success' : 'btn-danger'}`;
+        saveBtn.innerHTML = `<i class="fas fa-save me-1"></i>${isGive ? 'Record Consent' : 'Revoke Consent'}`;
+
+        if (!this.consentModal) {
+            this.consentModal = new bootstrap.Modal(document.getElementById('consentModal'));
+        }
+        this.consentModal.show();
+    },
+
+    /**
+     * Record or revoke consent from the consent dialog
+     *
+     * ENDPOINTS:
+     *   POST   /api/v1/lead/{lead_id}/consent - Record (body: {channel, reason})
+     *   DELETE /api/v1/lead/{lead_id}/consent - Revoke (body: {channel, reason})
+     */
+    async saveConsent() {
+        if (!this.consentToChange || !this.modalLead) {
+            return;
+        }
+
+        const { channel, action } = this.consentToChange;
+        const isGive = action === 'give';
+        const reasonInput = document.getElementById('consent-reason');
+        const errorDiv = document.getElementById('consent-error');
+        const saveBtn = document.getElementById('consent-save-btn');
+        const reason = reasonInput.value.trim();
+
+        // A reason is required either way - this is the compliance audit trail
+        reasonInput.classList.toggle('is-invalid', !reason);
+        if (!reason) {
+            errorDiv.textContent = 'Please enter a reason.';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
+        const lead = this.modalLead;
+        const payload = { channel: channel, reason: reason };
+
+        saveBtn.disabled = true;
+        saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Saving...';
+
+        try {
+            if (isGive) {
+                await LeadClient.giveConsent(lead.id, payload);
+            } else {
+                await LeadClient.revokeConsent(lead.id, payload);
+            }
+
+            this.consentModal.hide();
+            this.showSuccessToast(`${this.CONSENT_CHANNELS[channel].label} consent ${isGive ? 'recorded' : 'revoked'}`);
+            this.consentToChange = null;
+
+            await Promise.all([
+                this.refreshModalConsent(lead.id, channel),
+                this.loadLeadTimeline(lead.id)
+            ]);
+
+        } catch (error) {
+            console.error('Failed to change consent:', error);
+
+            if (error instanceof ApiError && error.isValidationError) {
+                errorDiv.textContent = error.detail.map(entry => entry.field ? `${entry.field}: ${entry.msg}` : entry.msg).join('; ');
+            } else {
+                errorDiv.textContent = error.message || 'Failed to save consent. Please try again.';
+            }
+            errorDiv.style.display = 'block';
+
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.innerHTML = `<i class="fas fa-save me-1"></i>${isGive ? 'Record Consent' : 'Revoke Consent'}`;
+        }
+    },
+
+    /**
+     * Re-read the open lead after a consent change and apply the server's
+     * consent to the Compliance card and the matching composer
+     * If the lead can't be re-read the composer is blocked - consent is never
+     * assumed from the local action alone.
+     *
+     * ENDPOINT: GET /api/v1/lead/{id}
+     * @param {number} leadId - Lead ID
+     * @param {string} channel - 'sms' | 'email'
+     */
+    async refreshModalConsent(leadId, channel) {
+        const conversation = channel === 'sms' ? this.smsConversation : this.emailConversation;
+
+        try {
+            const response = await API.get(API.route('LEAD.READ', { id: leadId }));
+            const lead = response.records && response.records[0] ? response.records[0] : response;
+
+            // The modal may have moved on to another lead meanwhile
+            if (!this.modalLead || this.modalLead.id !== leadId) {
+                return;
+            }
+
+            this.modalLead = lead;
+            document.getElementById('overview-consent').innerHTML = this.renderConsentSection(lead);
+
+            if (conversation) {
+                conversation.setConsent(this.getLeadConsent(lead, channel).granted);
+            }
+
+        } catch (error) {
+            console.error('Failed to reload lead consent:', error);
+            if (conversation) {
+                conversation.setConsent(false);
+            }
+            document.getElementById('overview-consent').innerHTML = `
+                <div class="alert alert-warning mb-0">
+                    <i class="fas fa-exclamation-triangle me-2"></i>Consent was saved, but it could not be reloaded. Reopen the lead to see the current state.
+                </div>
+            `;
+        }
+    },
+
     /**
      * Show archive confirmation modal for a lead
      * @param {number} leadId - ID of lead to archive
@@ -4651,6 +6105,12 @@ const LeadsPage = {
         const cancelBtn = document.getElementById('delete-cancel-btn');
         const errorDiv = document.getElementById('delete-lead-error');
 
+        if (!Permissions.can('leads.archive')) {
+            errorDiv.textContent = 'You do not have permission to archive leads.';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
         // Hide error message
         errorDiv.style.display = 'none';
 
@@ -4742,6 +6202,41 @@ const LeadsPage = {
         toast.show();
 
         // Remove toast element after it's hidden
+        toastElement.addEventListener('hidden.bs.toast', () => {
+            toastElement.remove();
+        });
+    },
+
+    /**
+     * Show error toast notification (stays until dismissed)
+     * @param {string} message - Error message to display
+     */
+    showErrorToast(message) {
+        let toastContainer = document.querySelector('.toast-container');
+        if (!toastContainer) {
+            toastContainer = document.createElement('div');
+            toastContainer.className = 'toast-container position-fixed top-0 end-0 p-3';
+            document.body.appendChild(toastContainer);
+        }
+
+        const toastId = `toast-${Date.now()}`;
+        const toastHtml = `
+            <div id="${toastId}" class="toast align-items-center text-white bg-danger border-0" role="alert" aria-live="assertive" aria-atomic="true">
+                <div class="d-flex">
+                    <div class="toast-body">
+                        <i class="fas fa-exclamation-circle me-2"></i>${this.escapeHtml(message)}
+                    </div>
+                    <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast" aria-label="Close"></button>
+                </div>
+            </div>
+        `;
+
+        toastContainer.insertAdjacentHTML('beforeend', toastHtml);
+
+        const toastElement = document.getElementById(toastId);
+        const toast = new bootstrap.Toast(toastElement, { autohide: false });
+        toast.show();
+
         toastElement.addEventListener('hidden.bs.toast', () => {
             toastElement.remove();
         });
@@ -4784,6 +6279,9 @@ document.addEventListener('DOMContentLoaded', async function() {
     // Initialize filters first
     await LeadsPage.initializeFilters();
 
+    // Drill-down links (e.g. from reports) pass filters in the URL
+    LeadsPage.applyUrlFilters();
+
     // Initialize Add Lead modal dropdowns (must be before validation setup)
     await LeadsPage.initializeAddLeadModal();
 
@@ -4808,6 +6306,21 @@ document.addEventListener('DOMContentLoaded', async function() {
     await LeadsPage.loadStatusesForInlineEdit();
     await LeadsPage.loadUsersForInlineEdit();
 
+    // Keep inline-edit lists and name maps in sync when reference data is refetched
+    Bus.subscribe('referencedata:updated', ({ name, records }) => {
+        if (name === 'statuses') {
+            LeadsPage.availableStatuses = PipelineStages.sortStatuses(records);
+        } else if (name === 'users') {
+            LeadsPage.availableUsers = records;
+            ReferenceData.getUserMap().then(userMap => {
+                LeadsPage.userMap = userMap;
+            });
+        }
+    });
+
+    // Resolve roles so row actions render with the right permissions
+    await Permissions.init();
+
     // Then load leads
     await LeadsPage.loadLeads();
 
@@ -4822,6 +6335,36 @@ document.addEventListener('DOMContentLoaded', async function() {
         });
     }
 
+    // Wire up the lead modal's SMS button - jump to the Messages tab composer
+    const modalSmsBtn = document.getElementById('modal-sms-btn');
+    if (modalSmsBtn) {
+        modalSmsBtn.addEventListener('click', () => {
+            bootstrap.Tab.getOrCreateInstance(document.getElementById('messages-tab')).show();
+            if (LeadsPage.smsConversation) {
+                LeadsPage.smsConversation.focus();
+            }
+        });
+    }
+
+    // Wire up the lead modal's Email button - jump to the Email tab composer
+    const modalEmailBtn = document.getElementById('modal-email-btn');
+    if (modalEmailBtn) {
+        modalEmailBtn.addEventListener('click', () => {
+            bootstrap.Tab.getOrCreateInstance(document.getElementById('email-tab')).show();
+            if (LeadsPage.emailConversation) {
+                LeadsPage.emailConversation.compose();
+            }
+        });
+    }
+
+    // Wire up the lead modal's Rescore button
+    const modalRescoreBtn = document.getElementById('modal-rescore-btn');
+    if (modalRescoreBtn) {
+        modalRescoreBtn.addEventListener('click', () => {
+            LeadsPage.rescoreLead();
+        });
+    }
+
     // Wire up Delete Confirm button
     const deleteConfirmBtn = document.getElementById('delete-confirm-btn');
     if (deleteConfirmBtn) {
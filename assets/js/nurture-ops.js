@@ -0,0 +1,657 @@
+/**
+ * LeadsEngine Nurture Operations Page
+ * Admin console for the nurture send queue (replaces curl against /nurture/ops)
+ *
+ * FEATURES:
+ * - Queue metrics cards, polled every Config.NURTURE_OPS_POLL_INTERVAL
+ * - Queue depth over time (samples kept in memory while the page is open)
+ * - Peek at the next jobs due on the queue
+ * - Dead-letter list with payload and error, retry one or all (confirmed)
+ * - Clear nurture Redis state behind a typed confirmation
+ *
+ * ============================================================================
+ * VERIFIED ENDPOINTS USED IN THIS FILE (via NurtureOpsClient):
+ * ----------------------------------------------------------------------------
+ * GET    /api/v1/nurture/ops/queue/metrics       - Queue counters
+ * GET    /api/v1/nurture/ops/queue/peek          - Upcoming jobs (Params: limit)
+ * GET    /api/v1/nurture/ops/dlq                 - Dead-letter entries
+ * POST   /api/v1/nurture/ops/dlq/{corr_id}/retry - Requeue one entry
+ * POST   /api/v1/nurture/ops/dlq/retry-all       - Requeue every entry
+ * POST   /api/v1/nurture/ops/redis/clear         - Drop all nurture Redis keys
+ * ============================================================================
+ *
+ * PAYLOAD NOTES:
+ * The spec does not publish response schemas for these routes. Metrics are
+ * read as a flat (or one-level nested) object of counters; list responses are
+ * accepted as arrays or wrapped in {jobs|entries|items: [...]}. Job fields are
+ * read with fallbacks (see getJobDue / getJobError).
+ */
+
+const NurtureOpsPage = {
+    metrics: null,
+    history: [],
+    peekJobs: [],
+    dlqEntries: [],
+
+    // Polling state
+    pollTimer: null,
+
+    // Samples kept for the depth chart (60 x 10s = 10 minutes)
+    MAX_HISTORY: 60,
+
+    // Retry modal state: a corr_id, or 'all'
+    retryTarget: null,
+
+    // Phrase that must be typed before Redis can be cleared
+    REDIS_CLEAR_PHRASE: 'CLEAR NURTURE',
+
+    // Metric keys tried, in order, for the queued and dead-letter series
+    QUEUE_DEPTH_KEYS: ['depth', 'queue_depth', 'queued', 'pending', 'ready', 'size'],
+    DLQ_DEPTH_KEYS: ['dlq', 'dlq_depth', 'dlq_size', 'dead_letter', 'dead_letters'],
+
+    // ============================================
+    // METRICS
+    // ============================================
+
+    /**
+     * Load queue metrics, record a sample and re-render cards and chart
+     */
+    async loadMetrics() {
+        try {
+            const response = await NurtureOpsClient.queueMetrics({}, { cancelKey: 'nurture-ops:metrics' });
+            this.metrics = this.flattenMetrics(response.records && response.records[0] ? response.records[0] : {});
+
+            this.history.push({
+                ts: new Date(),
+                queued: this.pickMetric(this.QUEUE_DEPTH_KEYS, true),
+                dlq: this.pickMetric(this.DLQ_DEPTH_KEYS, false)
+            });
+            if (this.history.length > this.MAX_HISTORY) {
+                this.history.shift();
+            }
+
+            document.getElementById('errorState').style.display = 'none';
+            this.renderMetricCards();
+            this.renderDepthChart();
+            document.getElementById('metrics-updated').textContent = `Updated ${new Date().toLocaleTimeString('en-US')}`;
+
+        } catch (error) {
+            if (API.isAbortError(error)) return;
+            console.error('Failed to load queue metrics:', error);
+            this.showError(`Failed to load queue metrics: ${error.message || 'unknown error'}`);
+        }
+    },
+
+    /**
+     * Flatten one level of nesting: {queues: {email: 3}} -> {'queues.email': 3}
+     * Only numeric counters are kept.
+     * @param {Object} data - Raw metrics object
+     * @returns {Object} key -> number
+     */
+    flattenMetrics(data) {
+        const flat = {};
+
+        Object.keys(data || {}).forEach(key => {
+            const value = data[key];
+            if (typeof value === 'number') {
+                flat[key] = value;
+            } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                Object.keys(value).forEach(subKey => {
+                    if (typeof value[subKey] === 'number') {
+                        flat[`${key}.${subKey}`] = value[subKey];
+                    }
+                });
+            }
+        });
+
+        return flat;
+    },
+
+    /**
+     * Pick a counter from the current metrics by candidate key
+     * @param {Array<string>} keys - Candidate keys, in order
+     * @param {boolean} sumFallback - Sum the non-DLQ counters if no key matches
+     * @returns {number} Counter value (0 if unavailable)
+     */
+    pickMetric(keys, sumFallback) {
+        const metrics = this.metrics || {};
+        const key = keys.find(k => metrics[k] !== undefined);
+        if (key) {
+            return metrics[key];
+        }
+
+        if (!sumFallback) {
+            return 0;
+        }
+        return Object.keys(metrics)
+            .filter(k => k.indexOf('dlq') === -1 && k.indexOf('dead') === -1)
+            .reduce((total, k) => total + metrics[k], 0);
+    },
+
+    /**
+     * Render one stat card per counter
+     */
+    renderMetricCards() {
+        const container = document.getElementById('metrics-cards');
+        const keys = Object.keys(this.metrics || {});
+
+        if (keys.length === 0) {
+            container.innerHTML = `
+                <div class="col-12">
+                    <div class="alert alert-info mb-0">
+                        <i class="fas fa-info-circle me-2"></i>The metrics endpoint returned no counters.
+                    </div>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = keys.map(key => {
+            const isDlq = key.indexOf('dlq') !== -1 || key.indexOf('dead') !== -1;
+            const value = this.metrics[key];
+            return `
+                <div class="col-6 col-md-4 col-xl-2">
+                    <div class="stat-card ${isDlq ? 'orange' : 'blue'} h-100">
+                        <div class="stat-number ${isDlq && value > 0 ? 'text-danger' : ''}">${value.toLocaleString('en-US')}</div>
+                        <div class="stat-label">${this.escapeHtml(this.formatMetricLabel(key))}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Draw queued and dead-letter depth as an inline SVG line chart
+     */
+    renderDepthChart() {
+        const container = document.getElementById('depth-chart');
+
+        if (this.history.length < 2) {
+            container.innerHTML = `
+                <div class="text-center text-muted py-5">
+                    <i class="fas fa-hourglass-half me-2"></i>Collecting samples...
+                </div>
+            `;
+            return;
+        }
+
+        const width = 600;
+        const height = 160;
+        const max = Math.max(1, ...this.history.map(s => Math.max(s.queued, s.dlq)));
+        const step = width / (this.MAX_HISTORY - 1);
+
+        // Newest sample on the right edge
+        const offset = this.MAX_HISTORY - this.history.length;
+        const points = (field) => this.history
+            .map((sample, i) => `${((offset + i) * step).toFixed(1)},${(height - (sample[field] / max) * height).toFixed(1)}`)
+            .join(' ');
+
+        const first = this.history[0].ts;
+        const last = this.history[this.history.length - 1];
+
+        container.innerHTML = `
+            <div class="d-flex justify-content-between small text-muted">
+                <span>max ${max.toLocaleString('en-US')}</span>
+                <span>now: ${last.queued.toLocaleString('en-US')} queued, ${last.dlq.toLocaleString('en-US')} dead-letter</span>
+            </div>
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Queue depth over time">
+                <line x1="0" y1="${height}" x2="${width}" y2="${height}" class="ops-chart-axis"></line>
+                <polyline points="${points('queued')}" class="ops-chart-line ops-chart-queue"></polyline>
+                <polyline points="${points('dlq')}" class="ops-chart-line ops-chart-dlq"></polyline>
+            </svg>
+            <div class="d-flex justify-content-between small text-muted">
+                <span>${first.toLocaleTimeString('en-US')}</span>
+                <span>${last.ts.toLocaleTimeString('en-US')}</span>
+            </div>
+        `;
+    },
+
+    // ============================================
+    // QUEUE PEEK
+    // ============================================
+
+    /**
+     * Load the next jobs due on the queue
+     */
+    async loadPeek() {
+        const tbody = document.querySelector('#peekTable tbody');
+        const limit = parseInt($('#peek-limit').val()) || 25;
+
+        try {
+            const response = await NurtureOpsClient.queuePeek({ limit }, { cancelKey: 'nurture-ops:peek' });
+            this.peekJobs = this.unwrapList(response.records || [], ['jobs', 'items', 'queue']);
+
+            this.renderPeek();
+
+        } catch (error) {
+            if (API.isAbortError(error)) return;
+            console.error('Failed to peek queue:', error);
+            tbody.innerHTML = this.createTableMessage(5, 'fa-exclamation-triangle text-danger', 'Failed to peek at the queue');
+        }
+    },
+
+    /**
+     * Render the upcoming jobs table
+     */
+    renderPeek() {
+        const tbody = document.querySelector('#peekTable tbody');
+
+        if (this.peekJobs.length === 0) {
+            tbody.innerHTML = this.createTableMessage(5, 'fa-check-circle text-success', 'Queue is empty');
+            return;
+        }
+
+        tbody.innerHTML = this.peekJobs.map((job, index) => {
+            const payload = job.payload || job;
+            const due = this.getJobDue(job);
+            return `
+                <tr>
+                    <td><small>${due ? this.formatDateTime(due) : '—'}</small></td>
+                    <td>${payload.lead_id ? `#${this.escapeHtml(String(payload.lead_id))}` : '—'}</td>
+                    <td><small>${payload.sequence_id ? `#${this.escapeHtml(String(payload.sequence_id))}` : '—'}${payload.step_order ? ` / step ${this.escapeHtml(String(payload.step_order))}` : ''}</small></td>
+                    <td>${payload.channel ? `<span class="badge bg-light text-dark border">${this.escapeHtml(String(payload.channel))}</span>` : '—'}</td>
+                    <td class="text-end">
+                        <button class="btn btn-sm btn-link p-0" data-bs-toggle="collapse" data-bs-target="#peek-payload-${index}" title="Show payload">
+                            <i class="fas fa-code"></i>
+                        </button>
+                    </td>
+                </tr>
+                <tr class="collapse" id="peek-payload-${index}">
+                    <td colspan="5"><pre class="ops-payload mb-0">${this.escapeHtml(JSON.stringify(job, null, 2))}</pre></td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    // ============================================
+    // DEAD-LETTER QUEUE
+    // ============================================
+
+    /**
+     * Load dead-letter entries
+     */
+    async loadDlq() {
+        const tbody = document.querySelector('#dlqTable tbody');
+
+        try {
+            const response = await NurtureOpsClient.dlq({}, { cancelKey: 'nurture-ops:dlq' });
+            this.dlqEntries = this.unwrapList(response.records || [], ['entries', 'items', 'dlq']);
+
+            this.renderDlq();
+
+        } catch (error) {
+            if (API.isAbortError(error)) return;
+            console.error('Failed to load DLQ:', error);
+            tbody.innerHTML = this.createTableMessage(4, 'fa-exclamation-triangle text-danger', 'Failed to load dead-letter entries');
+        }
+    },
+
+    /**
+     * Render the dead-letter table
+     */
+    renderDlq() {
+        const tbody = document.querySelector('#dlqTable tbody');
+        const count = this.dlqEntries.length;
+
+        document.getElementById('dlq-count').textContent = count;
+        document.getElementById('dlq-retry-all-btn').disabled = count === 0;
+
+        if (count === 0) {
+            tbody.innerHTML = this.createTableMessage(4, 'fa-check-circle text-success', 'No dead-letter entries');
+            return;
+        }
+
+        tbody.innerHTML = this.dlqEntries.map((entry, index) => {
+            const corrId = this.getCorrId(entry);
+            const failedAt = entry.failed_at || entry.ts || entry.created_at;
+            const error = this.getJobError(entry);
+            return `
+                <tr>
+                    <td><small>${failedAt ? this.formatDateTime(failedAt) : '—'}</small></td>
+                    <td><code class="small">${this.escapeHtml(corrId || '—')}</code></td>
+                    <td class="text-danger small ops-error-cell" title="${this.escapeHtml(error)}">${this.escapeHtml(error) || '—'}</td>
+                    <td class="text-end text-nowrap">
+                        <button class="btn btn-sm btn-outline-secondary" data-bs-toggle="collapse" data-bs-target="#dlq-payload-${index}" title="Show payload">
+                            <i class="fas fa-code"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-warning dlq-retry-btn" data-corr-id="${this.escapeHtml(corrId || '')}" title="Retry" ${corrId ? '' : 'disabled'}>
+                            <i class="fas fa-redo"></i>
+                        </button>
+                    </td>
+                </tr>
+                <tr class="collapse" id="dlq-payload-${index}">
+                    <td colspan="4">
+                        ${error ? `<div class="text-danger small mb-2">${this.escapeHtml(error)}</div>` : ''}
+                        <pre class="ops-payload mb-0">${this.escapeHtml(JSON.stringify(entry.payload || entry, null, 2))}</pre>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Open the retry confirmation for one entry or all entries
+     * @param {string} target - corr_id, or 'all'
+     */
+    showRetryModal(target) {
+        this.retryTarget = target;
+
+        const isAll = target === 'all';
+        document.getElementById('retry-modal-title').textContent = isAll ? 'Retry All Dead-Letter Jobs' : 'Retry Job';
+        document.getElementById('retry-modal-message').innerHTML = isAll
+            ? `Requeue <strong>${this.dlqEntries.length}</strong> dead-letter job${this.dlqEntries.length === 1 ? '' : 's'}?`
+            : `Requeue job <code>${this.escapeHtml(target)}</code>?`;
+        document.getElementById('retry-error').style.display = 'none';
+
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('retryModal')).show();
+    },
+
+    /**
+     * Retry the entry (or all entries) chosen in the retry modal
+     */
+    async confirmRetry() {
+        if (!this.retryTarget) return;
+
+        const isAll = this.retryTarget === 'all';
+        const confirmBtn = document.getElementById('retry-confirm-btn');
+        const cancelBtn = document.getElementById('retry-cancel-btn');
+        const errorDiv = document.getElementById('retry-error');
+
+        try {
+            confirmBtn.disabled = true;
+            confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Retrying...';
+            cancelBtn.disabled = true;
+
+            if (isAll) {
+                await NurtureOpsClient.dlqRetryAll();
+            } else {
+                await NurtureOpsClient.dlqRetry(this.retryTarget);
+            }
+
+            bootstrap.Modal.getInstance(document.getElementById('retryModal')).hide();
+            this.showSuccessToast(isAll ? 'All dead-letter jobs requeued' : 'Job requeued');
+            this.retryTarget = null;
+
+            await this.refreshAll();
+
+        } catch (error) {
+            console.error('Failed to retry DLQ entry:', error);
+            errorDiv.textContent = error.message || 'Retry failed. Please try again.';
+            errorDiv.style.display = 'block';
+
+        } finally {
+            confirmBtn.disabled = false;
+            confirmBtn.innerHTML = '<i class="fas fa-redo me-1"></i>Retry';
+            cancelBtn.disabled = false;
+        }
+    },
+
+    // ============================================
+    // REDIS CLEAR
+    // ============================================
+
+    /**
+     * Open the typed-confirmation modal for clearing Redis
+     */
+    showRedisClearModal() {
+        document.getElementById('redis-clear-phrase').textContent = this.REDIS_CLEAR_PHRASE;
+        document.getElementById('redis-clear-confirm-input').value = '';
+        document.getElementById('redis-clear-confirm-btn').disabled = true;
+        document.getElementById('redis-clear-error').style.display = 'none';
+
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('redisClearModal')).show();
+    },
+
+    /**
+     * Clear nurture Redis state - only when the phrase was typed exactly
+     */
+    async clearRedis() {
+        if (document.getElementById('redis-clear-confirm-input').value !== this.REDIS_CLEAR_PHRASE) {
+            return;
+        }
+
+        const confirmBtn = document.getElementById('redis-clear-confirm-btn');
+        const cancelBtn = document.getElementById('redis-clear-cancel-btn');
+        const errorDiv = document.getElementById('redis-clear-error');
+
+        try {
+            confirmBtn.disabled = true;
+            confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Clearing...';
+            cancelBtn.disabled = true;
+
+            await NurtureOpsClient.redisClear();
+
+            bootstrap.Modal.getInstance(document.getElementById('redisClearModal')).hide();
+            this.showSuccessToast('Nurture Redis state cleared');
+
+            await this.refreshAll();
+
+        } catch (error) {
+            console.error('Failed to clear Redis:', error);
+            errorDiv.textContent = error.message || 'Failed to clear Redis. Please try again.';
+            errorDiv.style.display = 'block';
+            confirmBtn.disabled = false;
+
+        } finally {
+            confirmBtn.innerHTML = '<i class="fas fa-trash-alt me-1"></i>Clear Redis';
+            cancelBtn.disabled = false;
+        }
+    },
+
+    // ============================================
+    // POLLING
+    // ============================================
+
+    /**
+     * Reload metrics, peek and DLQ together
+     */
+    async refreshAll() {
+        await Promise.all([
+            this.loadMetrics(),
+            this.loadPeek(),
+            this.loadDlq()
+        ]);
+    },
+
+    /**
+     * Start polling metrics (peek and DLQ only refresh on demand)
+     */
+    startPolling() {
+        this.stopPolling();
+        this.pollTimer = setInterval(() => {
+            // Skip while the tab is hidden - the chart just gets a gap
+            if (!document.hidden) {
+                this.loadMetrics();
+            }
+        }, Config.NURTURE_OPS_POLL_INTERVAL);
+    },
+
+    stopPolling() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    },
+
+    // ============================================
+    // FIELD HELPERS
+    // ============================================
+
+    /**
+     * Unwrap list responses that arrive as {jobs: [...]} style envelopes
+     * @param {Array} records - Normalized records
+     * @param {Array<string>} keys - Envelope keys to try
+     * @returns {Array} List items
+     */
+    unwrapList(records, keys) {
+        if (records.length === 1) {
+            const key = keys.find(k => Array.isArray(records[0][k]));
+            if (key) {
+                return records[0][key];
+            }
+        }
+        return records;
+    },
+
+    getCorrId(entry) {
+        const payload = entry.payload || {};
+        return entry.corr_id || entry.correlation_id || payload.corr_id || entry.id || null;
+    },
+
+    getJobDue(job) {
+        const payload = job.payload || {};
+        const due = job.due_at || job.fire_at || job.scheduled_at || payload.fire_at || payload.scheduled_at;
+        if (due) return due;
+
+        // Sorted-set peeks return the score (epoch seconds)
+        return typeof job.score === 'number' ? new Date(job.score * 1000).toISOString() : null;
+    },
+
+    getJobError(entry) {
+        return String(entry.error || entry.last_error || entry.reason || entry.exception || '');
+    },
+
+    // ============================================
+    // UI HELPERS
+    // ============================================
+
+    /**
+     * Turn a metric key into a label: "queues.email_ready" -> "Queues Email Ready"
+     */
+    formatMetricLabel(key) {
+        return key.replace(/[._]/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    },
+
+    /**
+     * Format date and time to readable string
+     * @param {String} dateString - ISO date string
+     * @returns {String} Formatted date and time
+     */
+    formatDateTime(dateString) {
+        const date = new Date(dateString);
+        if (isNaN(date.getTime())) return String(dateString);
+
+        return date.toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    },
+
+    /**
+     * Centered message row for an empty/error table
+     */
+    createTableMessage(colspan, iconClass, text) {
+        return `
+            <tr>
+                <td colspan="${colspan}" class="text-center py-4 text-muted">
+                    <i class="fas ${iconClass} me-2"></i>${this.escapeHtml(text)}
+                </td>
+            </tr>
+        `;
+    },
+
+    /**
+     * Escape HTML to prevent XSS
+     * Quotes are escaped too - corr_ids and errors go into attributes
+     * @param {String} text - Text to escape
+     * @returns {String} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    },
+
+    /**
+     * Show error message above the metrics
+     * @param {String} message - Error message
+     */
+    showError(message) {
+        document.getElementById('errorMessage').textContent = message;
+        document.getElementById('errorState').style.display = 'block';
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        $('#refresh-all-btn').on('click', () => this.refreshAll());
+        $('#peek-refresh-btn').on('click', () => this.loadPeek());
+        $('#peek-limit').on('change', () => this.loadPeek());
+        $('#dlq-refresh-btn').on('click', () => this.loadDlq());
+
+        $('#auto-refresh-toggle').on('change', (e) => {
+            if (e.target.checked) {
+                this.startPolling();
+            } else {
+                this.stopPolling();
+            }
+        });
+
+        // Retry (row buttons are re-rendered - delegate)
+        $('#dlqTable').on('click', '.dlq-retry-btn', (e) => {
+            this.showRetryModal(String($(e.currentTarget).data('corr-id')));
+        });
+        $('#dlq-retry-all-btn').on('click', () => this.showRetryModal('all'));
+
+        // Clear Redis - confirm enabled only on an exact match
+        $('#redis-clear-btn').on('click', () => this.showRedisClearModal());
+        $('#redis-clear-confirm-input').on('input', (e) => {
+            document.getElementById('redis-clear-confirm-btn').disabled = e.target.value !== this.REDIS_CLEAR_PHRASE;
+        });
+
+        window.addEventListener('beforeunload', () => this.stopPolling());
+    },
+
+    /**
+     * Show success toast notification
+     * @param {string} message - Message to display
+     */
+    showSuccessToast(message) {
+        const toastElement = document.getElementById('successToast');
+        if (!toastElement) return;
+
+        toastElement.querySelector('.toast-body').innerHTML = `
+            <i class="fas fa-check-circle me-2"></i>${this.escapeHtml(message)}
+        `;
+
+        bootstrap.Toast.getOrCreateInstance(toastElement, {
+            autohide: true,
+            delay: 3000
+        }).show();
+    }
+};
+
+// Initialize nurture operations page when DOM is ready
+document.addEventListener('DOMContentLoaded', async function() {
+    // Display logged-in user name
+    const userNameElement = document.getElementById('user-name');
+    if (userNameElement) {
+        const user = Auth.getUser();
+        let displayName = user && (user.full_name || user.username);
+
+        if (!displayName) {
+            const token = Auth.getToken();
+            const payload = token ? Auth.decodeJWT(token) : null;
+            if (payload) {
+                displayName = payload.name || payload.username || payload.sub || payload.email;
+            }
+        }
+
+        userNameElement.textContent = displayName || 'User';
+    }
+
+    // Admin pages are limited to admin roles - redirects otherwise
+    if (!(await Permissions.requirePermission('admin.access'))) {
+        return;
+    }
+
+    NurtureOpsPage.setupEventListeners();
+
+    await NurtureOpsPage.refreshAll();
+    NurtureOpsPage.startPolling();
+});
@@ -0,0 +1,939 @@
+/**
+ * LeadsEngine Nurture Sequences Page
+ * Builds automated follow-up sequences (ordered email/SMS steps with delays)
+ *
+ * FEATURES:
+ * - Sequence list with active/inactive status and step counts
+ * - Create/edit/delete sequences
+ * - Step editor: per-step channel, delay and template
+ * - Drag-to-reorder steps (HTML5 drag and drop, persisted via the reorder endpoint)
+ * - Simulate: preview when each step would fire for a sample lead
+ *
+ * ============================================================================
+ * VERIFIED ENDPOINTS USED IN THIS FILE (via NurtureSequenceClient):
+ * ----------------------------------------------------------------------------
+ * GET    /api/v1/nurture/sequence                                      - List sequences
+ * POST   /api/v1/nurture/sequence                                      - Create sequence
+ * PATCH  /api/v1/nurture/sequence/{sequence_id}                        - Update sequence
+ * DELETE /api/v1/nurture/sequence/{sequence_id}                        - Delete sequence
+ * GET    /api/v1/nurture/sequence/{sequence_id}/steps                  - List steps
+ * POST   /api/v1/nurture/sequence/{sequence_id}/steps                  - Add step
+ * PATCH  /api/v1/nurture/sequence/{sequence_id}/steps/{step_order}     - Update step
+ * DELETE /api/v1/nurture/sequence/{sequence_id}/steps/{step_id}        - Delete step
+ * PATCH  /api/v1/nurture/sequence/{sequence_id}/steps/{step_order}/reorder - Move step (body: {new_order})
+ * POST   /api/v1/nurture/sequence/{sequence_id}/simulate               - Simulate (body: {lead_id?, start_at})
+ * ============================================================================
+ *
+ * PAYLOAD NOTES:
+ * The OpenAPI spec does not publish request bodies for these routes. Steps are
+ * sent as {channel, delay_minutes, subject, template}; when reading, the
+ * delay_hours/delay_seconds and template_body/body variants are accepted too.
+ * Simulation results are read from fire_at/scheduled_at/send_at. If the
+ * response carries no times, the preview falls back to an estimate computed
+ * from the cumulative step delays and is labelled as such.
+ */
+
+const NurturePage = {
+    sequences: [],
+    selectedSequence: null,
+    steps: [],
+
+    // Modal state
+    sequenceToEdit: null,
+    stepToEdit: null,
+    stepToDelete: null,
+
+    // Drag state (step_order of the step being dragged)
+    draggedStepOrder: null,
+
+    // Form validator instance (centralized validation module)
+    formValidator: null,
+
+    /**
+     * Step channels - value sent to the API, label and icon for display
+     */
+    CHANNELS: {
+        email: { label: 'Email', icon: 'fa-envelope' },
+        sms: { label: 'SMS', icon: 'fa-sms' }
+    },
+
+    /**
+     * Validation rules - keys match the input name attributes in nurture.html
+     */
+    sequenceRules: {
+        name: { required: true, minLength: 2, label: 'Name' }
+    },
+
+    stepRules: {
+        channel: { required: true, label: 'Channel' },
+        delay: { required: true, label: 'Delay' },
+        template: { required: true, label: 'Template' }
+    },
+
+    // ============================================
+    // SEQUENCES
+    // ============================================
+
+    /**
+     * Load sequences and render the list
+     * @param {number|null} selectId - Sequence to select after loading
+     */
+    async loadSequences(selectId = null) {
+        const list = document.getElementById('sequence-list');
+
+        try {
+            document.getElementById('errorState').style.display = 'none';
+            list.innerHTML = `
+                <div class="list-group-item text-center py-4 text-muted">
+                    <i class="fas fa-spinner fa-spin me-2"></i>Loading sequences...
+                </div>
+            `;
+
+            const response = await NurtureSequenceClient.list({}, { cancelKey: 'nurture:sequences' });
+            this.sequences = (response.records || []).sort((a, b) => (a.id || 0) - (b.id || 0));
+
+            this.renderSequenceList();
+
+            const targetId = selectId || (this.selectedSequence && this.selectedSequence.id);
+            if (targetId && this.sequences.some(s => s.id === targetId)) {
+                await this.selectSequence(targetId);
+            } else {
+                this.clearSelection();
+            }
+
+        } catch (error) {
+            if (API.isAbortError(error)) return;
+            console.error('Failed to load sequences:', error);
+            list.innerHTML = '';
+            this.showError('Failed to load nurture sequences. Please refresh the page.');
+        }
+    },
+
+    /**
+     * Render the sequence list-group
+     */
+    renderSequenceList() {
+        const list = document.getElementById('sequence-list');
+        const count = this.sequences.length;
+        document.getElementById('resultsCount').textContent = `${count} sequence${count === 1 ? '' : 's'}`;
+
+        if (count === 0) {
+            list.innerHTML = `
+                <div class="list-group-item text-center py-5">
+                    <i class="fas fa-inbox fa-3x text-muted mb-3"></i>
+                    <div class="text-muted">No sequences yet</div>
+                </div>
+            `;
+            return;
+        }
+
+        const selectedId = this.selectedSequence && this.selectedSequence.id;
+
+        list.innerHTML = this.sequences.map(sequence => {
+            const stepCount = Array.isArray(sequence.steps) ? sequence.steps.length : null;
+            return `
+                <a href="#" class="list-group-item list-group-item-action ${sequence.id === selectedId ? 'active' : ''}"
+                   data-sequence-id="${sequence.id}">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <span class="fw-semibold">${this.escapeHtml(sequence.name || 'Unnamed')}</span>
+                        ${this.createStatusBadge(sequence)}
+                    </div>
+                    ${stepCount !== null ? `<small class="${sequence.id === selectedId ? '' : 'text-muted'}">${stepCount} step${stepCount === 1 ? '' : 's'}</small>` : ''}
+                </a>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Select a sequence and load its steps
+     * @param {number} sequenceId - Sequence ID
+     */
+    async selectSequence(sequenceId) {
+        const sequence = this.sequences.find(s => s.id === sequenceId);
+        if (!sequence) {
+            console.error('Sequence not found:', sequenceId);
+            return;
+        }
+
+        this.selectedSequence = sequence;
+        this.renderSequenceList();
+
+        document.getElementById('sequence-empty').style.display = 'none';
+        document.getElementById('sequence-editor').style.display = '';
+        document.getElementById('sequence-title').textContent = sequence.name || 'Unnamed';
+        document.getElementById('sequence-description').textContent = sequence.description || '';
+        document.getElementById('sequence-status').innerHTML = this.createStatusBadge(sequence);
+        document.getElementById('simulate-result').innerHTML = '';
+
+        await this.loadSteps();
+    },
+
+    /**
+     * Hide the editor when nothing is selected
+     */
+    clearSelection() {
+        this.selectedSequence = null;
+        this.steps = [];
+        document.getElementById('sequence-empty').style.display = '';
+        document.getElementById('sequence-editor').style.display = 'none';
+    },
+
+    /**
+     * Open the sequence modal for a new or existing sequence
+     * @param {Object|null} sequence - Sequence to edit, or null to create
+     */
+    showSequenceModal(sequence = null) {
+        this.sequenceToEdit = sequence;
+
+        document.getElementById('sequenceForm').reset();
+        this.formValidator.clearValidation('sequenceForm');
+        document.getElementById('sequence-error-summary').style.display = 'none';
+
+        document.getElementById('sequenceModalLabel').innerHTML = `
+            <i class="fas fa-stream me-2"></i>${sequence ? 'Edit Sequence' : 'New Sequence'}
+        `;
+
+        $('#sequence-name').val(sequence ? sequence.name || '' : '');
+        $('#sequence-description-input').val(sequence ? sequence.description || '' : '');
+        $('#sequence-active').prop('checked', sequence ? sequence.is_active !== false : true);
+
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('sequenceModal')).show();
+    },
+
+    /**
+     * Create or update a sequence from the sequence modal
+     */
+    async saveSequence() {
+        const isValid = this.formValidator.validateForm('sequenceForm', this.sequenceRules, {
+            errorSummaryId: 'sequence-error-summary'
+        });
+
+        if (!isValid) {
+            return;
+        }
+
+        const saveBtn = document.getElementById('sequence-save-btn');
+        const payload = {
+            name: $('#sequence-name').val().trim(),
+            description: $('#sequence-description-input').val().trim() || null,
+            is_active: $('#sequence-active').is(':checked')
+        };
+
+        try {
+            saveBtn.disabled = true;
+            saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Saving...';
+
+            let sequenceId;
+            if (this.sequenceToEdit) {
+                sequenceId = this.sequenceToEdit.id;
+                await NurtureSequenceClient.update(sequenceId, payload);
+            } else {
+                const response = await NurtureSequenceClient.create(payload);
+                const created = response.records && response.records[0] ? response.records[0] : response;
+                sequenceId = created && created.id;
+            }
+
+            bootstrap.Modal.getInstance(document.getElementById('sequenceModal')).hide();
+            this.showSuccessToast(`Sequence "${payload.name}" ${this.sequenceToEdit ? 'updated' : 'created'} successfully`);
+            this.sequenceToEdit = null;
+
+            await this.loadSequences(sequenceId);
+
+        } catch (error) {
+            console.error('Failed to save sequence:', error);
+            if (!this.formValidator.applyServerErrors('sequenceForm', error, { errorSummaryId: 'sequence-error-summary' })) {
+                this.showFormError('sequence-error-summary', error.message || 'Failed to save sequence. Please try again.');
+            }
+
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.innerHTML = '<i class="fas fa-save me-1"></i>Save Sequence';
+        }
+    },
+
+    /**
+     * Open the delete confirmation for the selected sequence
+     */
+    showDeleteSequenceModal() {
+        if (!this.selectedSequence) return;
+
+        document.getElementById('delete-sequence-name').textContent = this.selectedSequence.name || 'this sequence';
+        document.getElementById('delete-sequence-error').style.display = 'none';
+
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('deleteSequenceModal')).show();
+    },
+
+    /**
+     * Delete the selected sequence
+     */
+    async deleteSequence() {
+        if (!this.selectedSequence) return;
+
+        const sequence = this.selectedSequence;
+        const confirmBtn = document.getElementById('delete-sequence-confirm-btn');
+        const cancelBtn = document.getElementById('delete-sequence-cancel-btn');
+        const errorDiv = document.getElementById('delete-sequence-error');
+
+        try {
+            confirmBtn.disabled = true;
+            confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Deleting...';
+            cancelBtn.disabled = true;
+
+            await NurtureSequenceClient.delete(sequence.id);
+
+            bootstrap.Modal.getInstance(document.getElementById('deleteSequenceModal')).hide();
+            this.showSuccessToast(`Sequence "${sequence.name}" deleted`);
+
+            this.clearSelection();
+            await this.loadSequences();
+
+        } catch (error) {
+            console.error('Failed to delete sequence:', error);
+            errorDiv.textContent = error.message || 'Failed to delete sequence. Please try again.';
+            errorDiv.style.display = 'block';
+
+        } finally {
+            confirmBtn.disabled = false;
+            confirmBtn.innerHTML = '<i class="fas fa-trash me-1"></i>Delete Sequence';
+            cancelBtn.disabled = false;
+        }
+    },
+
+    // ============================================
+    // STEPS
+    // ============================================
+
+    /**
+     * Load steps for the selected sequence
+     */
+    async loadSteps() {
+        if (!this.selectedSequence) return;
+
+        const list = document.getElementById('step-list');
+        document.getElementById('steps-error').style.display = 'none';
+        list.innerHTML = `
+            <div class="text-center py-4 text-muted">
+                <i class="fas fa-spinner fa-spin me-2"></i>Loading steps...
+            </div>
+        `;
+
+        try {
+            const response = await NurtureSequenceClient.getSequenceSteps(this.selectedSequence.id, {}, {
+                cancelKey: 'nurture:steps'
+            });
+            this.steps = (response.records || []).sort((a, b) => this.getStepOrder(a) - this.getStepOrder(b));
+
+            this.renderSteps();
+
+        } catch (error) {
+            if (API.isAbortError(error)) return;
+            console.error('Failed to load steps:', error);
+            list.innerHTML = '';
+            this.showStepsError('Failed to load steps for this sequence.');
+        }
+    },
+
+    /**
+     * Render the step list with drag handles
+     */
+    renderSteps() {
+        const list = document.getElementById('step-list');
+
+        if (this.steps.length === 0) {
+            list.innerHTML = `
+                <div class="text-center py-4">
+                    <i class="fas fa-list-ol fa-2x text-muted mb-2"></i>
+                    <div class="text-muted">No steps yet - add the first message</div>
+                </div>
+            `;
+            return;
+        }
+
+        list.innerHTML = this.steps.map((step, index) => {
+            const channel = this.CHANNELS[this.getStepChannel(step)] || { label: step.channel || 'Unknown', icon: 'fa-question' };
+            const template = this.getStepTemplate(step);
+            const order = this.getStepOrder(step);
+
+            return `
+                <div class="nurture-step" draggable="true" data-step-order="${order}">
+                    <div class="nurture-step-handle" title="Drag to reorder">
+                        <i class="fas fa-grip-vertical"></i>
+                    </div>
+                    <div class="nurture-step-number">${index + 1}</div>
+                    <div class="nurture-step-body">
+                        <div class="d-flex align-items-center gap-2 mb-1">
+                            <span class="badge bg-light text-dark border">
+                                <i class="fas ${channel.icon} me-1"></i>${channel.label}
+                            </span>
+                            <small class="text-muted">
+                                <i class="far fa-clock me-1"></i>${this.formatDelay(this.getStepDelayMinutes(step))}
+                                ${index === 0 ? 'after enrollment' : 'after previous step'}
+                            </small>
+                        </div>
+                        ${step.subject ? `<div class="fw-semibold">${this.escapeHtml(step.subject)}</div>` : ''}
+                        <div class="nurture-step-template text-muted">${this.escapeHtml(template) || '<em>No template</em>'}</div>
+                    </div>
+                    <div class="btn-group align-self-start">
+                        <button class="btn btn-sm btn-outline-secondary edit-step-btn" data-step-order="${order}" title="Edit Step">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-danger delete-step-btn" data-step-order="${order}" title="Delete Step">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Open the step modal for a new or existing step
+     * @param {Object|null} step - Step to edit, or null to add
+     */
+    showStepModal(step = null) {
+        this.stepToEdit = step;
+
+        document.getElementById('stepForm').reset();
+        this.formValidator.clearValidation('stepForm');
+        document.getElementById('step-error-summary').style.display = 'none';
+
+        document.getElementById('stepModalLabel').innerHTML = `
+            <i class="fas fa-list-ol me-2"></i>${step ? 'Edit Step' : 'Add Step'}
+        `;
+
+        if (step) {
+            // Show the delay in the largest unit that divides it evenly
+            const minutes = this.getStepDelayMinutes(step);
+            const unit = minutes > 0 && minutes % 1440 === 0 ? 1440 : (minutes > 0 && minutes % 60 === 0 ? 60 : 1);
+
+            $('#step-channel').val(this.getStepChannel(step));
+            $('#step-delay').val(minutes / unit);
+            $('#step-delay-unit').val(String(unit));
+            $('#step-subject').val(step.subject || '');
+            $('#step-template').val(this.getStepTemplate(step));
+        } else {
+            $('#step-channel').val('email');
+            $('#step-delay').val(this.steps.length === 0 ? 0 : 1);
+            $('#step-delay-unit').val('1440');
+        }
+
+        this.toggleSubjectField();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('stepModal')).show();
+    },
+
+    /**
+     * Subject only applies to email steps
+     */
+    toggleSubjectField() {
+        const isEmail = $('#step-channel').val() === 'email';
+        document.getElementById('step-subject-group').style.display = isEmail ? '' : 'none';
+    },
+
+    /**
+     * Add or update a step from the step modal
+     */
+    async saveStep() {
+        if (!this.selectedSequence) return;
+
+        const isValid = this.formValidator.validateForm('stepForm', this.stepRules, {
+            errorSummaryId: 'step-error-summary'
+        });
+
+        if (!isValid) {
+            return;
+        }
+
+        const delay = parseInt($('#step-delay').val());
+        if (isNaN(delay) || delay < 0) {
+            this.showFormError('step-error-summary', 'Delay must be zero or a positive whole number.');
+            return;
+        }
+
+        const channel = $('#step-channel').val();
+        const payload = {
+            channel: channel,
+            delay_minutes: delay * parseInt($('#step-delay-unit').val()),
+            subject: channel === 'email' ? ($('#step-subject').val().trim() || null) : null,
+            template: $('#step-template').val().trim()
+        };
+
+        const sequenceId = this.selectedSequence.id;
+        const saveBtn = document.getElementById('step-save-btn');
+
+        try {
+            saveBtn.disabled = true;
+            saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Saving...';
+
+            if (this.stepToEdit) {
+                const stepOrder = this.getStepOrder(this.stepToEdit);
+                await NurtureSequenceClient.stepUpdate(sequenceId, stepOrder, payload);
+            } else {
+                await NurtureSequenceClient.addSequenceStep(sequenceId, payload);
+            }
+
+            bootstrap.Modal.getInstance(document.getElementById('stepModal')).hide();
+            this.showSuccessToast(this.stepToEdit ? 'Step updated' : 'Step added');
+            this.stepToEdit = null;
+
+            await this.loadSteps();
+
+        } catch (error) {
+            console.error('Failed to save step:', error);
+            if (!this.formValidator.applyServerErrors('stepForm', error, {
+                errorSummaryId: 'step-error-summary',
+                fieldMap: { delay_minutes: 'delay' }
+            })) {
+                this.showFormError('step-error-summary', error.message || 'Failed to save step. Please try again.');
+            }
+
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.innerHTML = '<i class="fas fa-save me-1"></i>Save Step';
+        }
+    },
+
+    /**
+     * Open the delete confirmation for a step
+     * @param {Object} step - Step object
+     */
+    showDeleteStepModal(step) {
+        if (!this.selectedSequence) return;
+
+        this.stepToDelete = { step, position: this.steps.indexOf(step) + 1 };
+
+        document.getElementById('delete-step-name').textContent = `step ${this.stepToDelete.position}`;
+        document.getElementById('delete-step-error').style.display = 'none';
+
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('deleteStepModal')).show();
+    },
+
+    /**
+     * Delete the step chosen in the confirmation modal
+     */
+    async deleteStep() {
+        if (!this.selectedSequence || !this.stepToDelete) return;
+
+        const { step, position } = this.stepToDelete;
+        const confirmBtn = document.getElementById('delete-step-confirm-btn');
+        const cancelBtn = document.getElementById('delete-step-cancel-btn');
+        const errorDiv = document.getElementById('delete-step-error');
+
+        try {
+            errorDiv.style.display = 'none';
+            confirmBtn.disabled = true;
+            confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Deleting...';
+            cancelBtn.disabled = true;
+
+            await NurtureSequenceClient.stepDelete(this.selectedSequence.id, step.id);
+
+            bootstrap.Modal.getInstance(document.getElementById('deleteStepModal')).hide();
+            this.showSuccessToast(`Step ${position} deleted`);
+            this.stepToDelete = null;
+
+            await this.loadSteps();
+
+        } catch (error) {
+            console.error('Failed to delete step:', error);
+            errorDiv.textContent = error.message || 'Failed to delete step. Please try again.';
+            errorDiv.style.display = 'block';
+
+        } finally {
+            confirmBtn.disabled = false;
+            confirmBtn.innerHTML = '<i class="fas fa-trash me-1"></i>Delete Step';
+            cancelBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Move a step to a new position
+     *
+     * The list is updated immediately and reverted if the API call fails.
+     * The server renumbers the other steps, so the list is reloaded afterwards.
+     *
+     * @param {number} fromOrder - step_order of the dragged step
+     * @param {number} toOrder - step_order of the drop target
+     */
+    async reorderStep(fromOrder, toOrder) {
+        if (!this.selectedSequence || fromOrder === toOrder) return;
+
+        const fromIndex = this.steps.findIndex(s => this.getStepOrder(s) === fromOrder);
+        const toIndex = this.steps.findIndex(s => this.getStepOrder(s) === toOrder);
+        if (fromIndex === -1 || toIndex === -1) return;
+
+        const previousSteps = this.steps.slice();
+        const [moved] = this.steps.splice(fromIndex, 1);
+        this.steps.splice(toIndex, 0, moved);
+        this.renderSteps();
+
+        try {
+            await NurtureSequenceClient.stepReorder(this.selectedSequence.id, fromOrder, { new_order: toOrder });
+            await this.loadSteps();
+
+        } catch (error) {
+            console.error('Failed to reorder step:', error);
+            this.steps = previousSteps;
+            this.renderSteps();
+            this.showStepsError(error.message || 'Failed to reorder steps. The original order has been restored.');
+        }
+    },
+
+    // ============================================
+    // SIMULATE
+    // ============================================
+
+    /**
+     * Run the simulation for the selected sequence and render the timeline
+     */
+    async simulate() {
+        if (!this.selectedSequence) return;
+
+        const resultDiv = document.getElementById('simulate-result');
+        const simulateBtn = document.getElementById('simulate-btn');
+        const leadId = parseInt($('#simulate-lead-id').val());
+        const startValue = $('#simulate-start').val();
+        const startAt = startValue ? new Date(startValue) : new Date();
+
+        const payload = { start_at: startAt.toISOString() };
+        if (!isNaN(leadId)) {
+            payload.lead_id = leadId;
+        }
+
+        try {
+            simulateBtn.disabled = true;
+            simulateBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Running...';
+
+            const response = await NurtureSequenceClient.simulate(this.selectedSequence.id, payload, {
+                cancelKey: 'nurture:simulate'
+            });
+
+            this.renderSimulation(response.records || [], startAt);
+
+        } catch (error) {
+            if (API.isAbortError(error)) return;
+            console.error('Failed to simulate sequence:', error);
+            resultDiv.innerHTML = `
+                <div class="alert alert-danger mb-0">
+                    <i class="fas fa-exclamation-triangle me-2"></i>${this.escapeHtml(error.message || 'Simulation failed')}
+                </div>
+            `;
+
+        } finally {
+            simulateBtn.disabled = false;
+            simulateBtn.innerHTML = '<i class="fas fa-play me-1"></i>Run';
+        }
+    },
+
+    /**
+     * Render simulation results as a table
+     * @param {Array} records - Simulated steps from the API
+     * @param {Date} startAt - Enrollment time used for the simulation
+     */
+    renderSimulation(records, startAt) {
+        const resultDiv = document.getElementById('simulate-result');
+
+        // Some responses wrap the schedule: {steps: [...]} or {schedule: [...]}
+        let rows = records;
+        if (rows.length === 1 && !this.getFireTime(rows[0])) {
+            rows = rows[0].steps || rows[0].schedule || rows;
+        }
+
+        let estimated = false;
+        if (!rows.some(row => this.getFireTime(row))) {
+            rows = this.estimateSchedule(startAt);
+            estimated = true;
+        }
+
+        if (rows.length === 0) {
+            resultDiv.innerHTML = '<div class="text-muted">This sequence has no steps to simulate.</div>';
+            return;
+        }
+
+        resultDiv.innerHTML = `
+            ${estimated ? `
+                <div class="alert alert-warning py-2 small">
+                    <i class="fas fa-info-circle me-1"></i>
+                    The server returned no send times - showing an estimate from the step delays.
+                </div>
+            ` : ''}
+            <div class="table-responsive">
+                <table class="table table-sm align-middle mb-0">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Channel</th>
+                            <th>Fires At</th>
+                            <th>After Enrollment</th>
+                            <th>Notes</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map((row, index) => {
+                            const fireAt = new Date(this.getFireTime(row));
+                            const channel = this.CHANNELS[this.getStepChannel(row)];
+                            const note = row.skip_reason || row.reason || (row.skipped ? 'Skipped' : '');
+                            return `
+                                <tr class="${row.skipped ? 'text-muted' : ''}">
+                                    <td>${row.step_order || index + 1}</td>
+                                    <td>${channel ? `<i class="fas ${channel.icon} me-1"></i>${channel.label}` : this.escapeHtml(row.channel || '—')}</td>
+                                    <td>${this.formatDateTime(fireAt)}</td>
+                                    <td>${this.formatDelay(Math.round((fireAt - startAt) / 60000))}</td>
+                                    <td>${note ? this.escapeHtml(note) : ''}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Estimate fire times from cumulative step delays
+     * @param {Date} startAt - Enrollment time
+     * @returns {Array} Rows shaped like simulation results
+     */
+    estimateSchedule(startAt) {
+        let offset = 0;
+        return this.steps.map(step => {
+            offset += this.getStepDelayMinutes(step);
+            return {
+                step_order: this.getStepOrder(step),
+                channel: this.getStepChannel(step),
+                fire_at: new Date(startAt.getTime() + offset * 60000).toISOString()
+            };
+        });
+    },
+
+    // ============================================
+    // FIELD HELPERS
+    // ============================================
+
+    getStepOrder(step) {
+        return step.step_order !== undefined ? step.step_order : (step.order || 0);
+    },
+
+    getStepChannel(step) {
+        return String(step.channel || '').toLowerCase();
+    },
+
+    getStepTemplate(step) {
+        return step.template || step.template_body || step.body || '';
+    },
+
+    getStepDelayMinutes(step) {
+        if (step.delay_minutes !== undefined && step.delay_minutes !== null) return step.delay_minutes;
+        if (step.delay_hours !== undefined && step.delay_hours !== null) return step.delay_hours * 60;
+        if (step.delay_seconds !== undefined && step.delay_seconds !== null) return Math.round(step.delay_seconds / 60);
+        return 0;
+    },
+
+    getFireTime(row) {
+        return row && (row.fire_at || row.scheduled_at || row.send_at);
+    },
+
+    // ============================================
+    // UI HELPERS
+    // ============================================
+
+    /**
+     * Format a delay in minutes as "2d 3h", "45m", "Immediately"
+     * @param {number} minutes - Delay in minutes
+     * @returns {string} Formatted delay
+     */
+    formatDelay(minutes) {
+        if (!minutes) return 'Immediately';
+
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        const mins = minutes % 60;
+
+        return [days && `${days}d`, hours && `${hours}h`, mins && `${mins}m`].filter(Boolean).join(' ');
+    },
+
+    /**
+     * Format date and time to readable string
+     * @param {Date} date - Date to format
+     * @returns {String} Formatted date and time
+     */
+    formatDateTime(date) {
+        if (!date || isNaN(date.getTime())) return 'N/A';
+
+        return date.toLocaleString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    },
+
+    /**
+     * Create status badge for a sequence
+     * @param {Object} sequence - Sequence object
+     * @returns {String} Badge HTML
+     */
+    createStatusBadge(sequence) {
+        return sequence.is_active === false
+            ? '<span class="badge bg-secondary">Inactive</span>'
+            : '<span class="badge bg-success">Active</span>';
+    },
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {String} text - Text to escape
+     * @returns {String} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    },
+
+    /**
+     * Show page-level error message
+     * @param {String} message - Error message
+     */
+    showError(message) {
+        document.getElementById('errorMessage').textContent = message;
+        document.getElementById('errorState').style.display = 'block';
+    },
+
+    /**
+     * Show an error above the step list
+     * @param {String} message - Error message
+     */
+    showStepsError(message) {
+        const errorDiv = document.getElementById('steps-error');
+        errorDiv.textContent = message;
+        errorDiv.style.display = 'block';
+    },
+
+    /**
+     * Show a message in a form's error summary box
+     * @param {string} summaryId - Error summary element ID
+     * @param {string} message - Error message
+     */
+    showFormError(summaryId, message) {
+        const summaryDiv = document.getElementById(summaryId);
+        if (!summaryDiv) return;
+
+        summaryDiv.innerHTML = `
+            <i class="fas fa-exclamation-triangle me-2"></i>
+            ${this.escapeHtml(message)}
+        `;
+        summaryDiv.style.display = 'block';
+    },
+
+    /**
+     * Setup event listeners (delegated - lists are re-rendered)
+     */
+    setupEventListeners() {
+        // Select sequence
+        $('#sequence-list').on('click', '[data-sequence-id]', (e) => {
+            e.preventDefault();
+            this.selectSequence(parseInt($(e.currentTarget).data('sequence-id')));
+        });
+
+        // New / edit / delete sequence
+        $('#new-sequence-btn').on('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.showSequenceModal(null);
+        });
+        $('#edit-sequence-btn').on('click', () => this.showSequenceModal(this.selectedSequence));
+        $('#delete-sequence-btn').on('click', () => this.showDeleteSequenceModal());
+
+        // Steps
+        $('#add-step-btn').on('click', () => this.showStepModal(null));
+        $('#step-channel').on('change', () => this.toggleSubjectField());
+
+        const findStep = (el) => this.steps.find(s => this.getStepOrder(s) === parseInt($(el).data('step-order')));
+
+        $('#step-list').on('click', '.edit-step-btn', (e) => {
+            const step = findStep(e.currentTarget);
+            if (step) this.showStepModal(step);
+        });
+        $('#step-list').on('click', '.delete-step-btn', (e) => {
+            const step = findStep(e.currentTarget);
+            if (step) this.showDeleteStepModal(step);
+        });
+
+        // Drag to reorder (native HTML5 drag and drop)
+        $('#step-list').on('dragstart', '.nurture-step', (e) => {
+            this.draggedStepOrder = parseInt($(e.currentTarget).data('step-order'));
+            e.originalEvent.dataTransfer.effectAllowed = 'move';
+            e.originalEvent.dataTransfer.setData('text/plain', String(this.draggedStepOrder));
+            $(e.currentTarget).addClass('dragging');
+        });
+        $('#step-list').on('dragover', '.nurture-step', (e) => {
+            if (this.draggedStepOrder === null) return;
+            e.preventDefault();
+            e.originalEvent.dataTransfer.dropEffect = 'move';
+            $('#step-list .nurture-step').removeClass('drag-over');
+            $(e.currentTarget).addClass('drag-over');
+        });
+        $('#step-list').on('drop', '.nurture-step', (e) => {
+            e.preventDefault();
+            const targetOrder = parseInt($(e.currentTarget).data('step-order'));
+            const fromOrder = this.draggedStepOrder;
+            this.draggedStepOrder = null;
+            $('#step-list .nurture-step').removeClass('drag-over dragging');
+            if (fromOrder !== null) {
+                this.reorderStep(fromOrder, targetOrder);
+            }
+        });
+        $('#step-list').on('dragend', '.nurture-step', () => {
+            this.draggedStepOrder = null;
+            $('#step-list .nurture-step').removeClass('drag-over dragging');
+        });
+    },
+
+    /**
+     * Show success toast notification
+     * @param {string} message - Message to display
+     */
+    showSuccessToast(message) {
+        const toastElement = document.getElementById('successToast');
+        if (!toastElement) return;
+
+        toastElement.querySelector('.toast-body').innerHTML = `
+            <i class="fas fa-check-circle me-2"></i>${this.escapeHtml(message)}
+        `;
+
+        bootstrap.Toast.getOrCreateInstance(toastElement, {
+            autohide: true,
+            delay: 3000
+        }).show();
+    }
+};
+
+// Initialize nurture page when DOM is ready
+document.addEventListener('DOMContentLoaded', async function() {
+    // Display logged-in user name
+    const userNameElement = document.getElementById('user-name');
+    if (userNameElement) {
+        const user = Auth.getUser();
+        let displayName = user && (user.full_name || user.username);
+
+        if (!displayName) {
+            const token = Auth.getToken();
+            const payload = token ? Auth.decodeJWT(token) : null;
+            if (payload) {
+                displayName = payload.name || payload.username || payload.sub || payload.email;
+            }
+        }
+
+        userNameElement.textContent = displayName || 'User';
+    }
+
+    // Sequence management is limited to roles with nurture.manage - redirects otherwise
+    if (!(await Permissions.requirePermission('nurture.manage'))) {
+        return;
+    }
+
+    NurturePage.formValidator = new FormValidator();
+    NurturePage.setupEventListeners();
+
+    await NurturePage.loadSequences();
+});
@@ -0,0 +1,263 @@
+/**
+ * LeadsEngine Permissions Module
+ * Client-side role-based access control for navigation, pages and actions
+ *
+ * Role sources (first match wins):
+ *   1. JWT claims parsed by Auth.decodeJWT (roles, role_ids, role_id, role)
+ *   2. Stored user data from login (Auth.getUser().roles)
+ *   3. Session cache of a previous lookup (Config.ROLES_KEY)
+ *   4. GET /api/v1/user/{user_id}/roles
+ *
+ * Usage:
+ *   // Hide elements declaratively - removed from the DOM if not permitted
+ *   <li data-permission="admin.access">...</li>
+ *
+ *   // Guard actions in code
+ *   if (!Permissions.can('leads.bulkArchive')) return;
+ *
+ *   // Block a whole page
+ *   await Permissions.requirePermission('admin.access');
+ *
+ * Important:
+ *   - This is a UX layer only. The backend must still enforce permissions.
+ *   - Lower role IDs are higher privilege (1 = Super Admin, 2 = Admin)
+ *
+ * @module Permissions
+ */
+
+const Permissions = {
+    /**
+     * Well-known role IDs
+     * @type {Object}
+     */
+    ROLES: {
+        SUPER_ADMIN: 1,
+        ADMIN: 2
+    },
+
+    /**
+     * Role names accepted from JWT claims when the token carries names instead of IDs
+     * @type {Object}
+     */
+    ROLE_NAMES: {
+        'superadmin': 1,
+        'super_admin': 1,
+        'super admin': 1,
+        'admin': 2
+    },
+
+    /**
+     * Permission map: permission key -> role IDs allowed
+     * Permissions not listed here are allowed for any authenticated user
+     * @type {Object}
+     */
+    PERMISSIONS: {
+        'admin.access': [1, 2],
+        'leads.viewArchived': [1, 2],
+        'leads.archive': [1, 2],
+        'leads.restore': [1, 2],
+        'leads.bulkArchive': [1, 2],
+        'leads.bulkRestore': [1, 2],
+        'leads.slaSweep': [1, 2],
+        'nurture.manage': [1, 2],
+        'sources.editCost': [1, 2]
+    },
+
+    // Resolved role IDs for the current user (null until init() resolves)
+    roleIds: null,
+
+    // Shared init promise so every caller waits on the same lookup
+    initPromise: null,
+
+    /**
+     * Resolve the current user's roles and apply permissions to the page
+     * Safe to call multiple times - only resolves once per page load
+     * @returns {Promise<Array<number>>} Role IDs
+     */
+    init() {
+        if (!this.initPromise) {
+            this.initPromise = this.loadRoleIds().then(roleIds => {
+                this.roleIds = roleIds;
+                console.log('Permissions resolved for roles:', roleIds);
+                this.applyToPage();
+                return roleIds;
+            });
+        }
+        return this.initPromise;
+    },
+
+    /**
+     * Look up role IDs from JWT claims, stored user, session cache, then API
+     * @returns {Promise<Array<number>>} Role IDs (empty if none found)
+     */
+    async loadRoleIds() {
+        const token = Auth.getToken();
+        if (!token) {
+            return [];
+        }
+
+        // 1. JWT claims
+        const payload = Auth.decodeJWT(token);
+        if (payload) {
+            const claim = payload.roles || payload.role_ids || payload.role_id || payload.role;
+            const fromClaims = this.normalizeRoles(claim);
+            if (fromClaims.length > 0) {
+                return fromClaims;
+            }
+        }
+
+        // 2. Stored user data from login response
+        const user = Auth.getUser();
+        if (user && user.roles) {
+            const fromUser = this.normalizeRoles(user.roles);
+            if (fromUser.length > 0) {
+                return fromUser;
+            }
+        }
+
+        const userId = Auth.getUserId();
+        if (!userId) {
+            return [];
+        }
+
+        // 3. Session cache (scoped to the user it was fetched for)
+        const cached = this.getCachedRoles(userId);
+        if (cached) {
+            return cached;
+        }
+
+        // 4. API lookup
+        try {
+            const response = await API.get(API.route('USER.ROLES', { user_id: userId }));
+            const roleIds = this.normalizeRoles(response.records || []);
+            sessionStorage.setItem(Config.ROLES_KEY, JSON.stringify({ userId, roleIds }));
+            return roleIds;
+        } catch (error) {
+            console.error('Failed to load user roles:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Normalize a roles claim into an array of role IDs
+     * Accepts a single value or an array of IDs, names or role objects
+     * @param {*} roles - Raw roles value
+     * @returns {Array<number>} Role IDs
+     */
+    normalizeRoles(roles) {
+        if (roles === undefined || roles === null) {
+            return [];
+        }
+
+        const list = Array.isArray(roles) ? roles : [roles];
+
+        return list
+            .map(role => {
+                if (role && typeof role === 'object') {
+                    return role.id || role.role_id || this.ROLE_NAMES[(role.name || '').toLowerCase()];
+                }
+                if (typeof role === 'string' && isNaN(parseInt(role))) {
+                    return this.ROLE_NAMES[role.toLowerCase()];
+                }
+                return parseInt(role);
+            })
+            .filter(id => Number.isInteger(id));
+    },
+
+    /**
+     * Read cached roles for a user from sessionStorage
+     * @param {number} userId - User ID the cache must belong to
+     * @returns {Array<number>|null} Cached role IDs or null
+     */
+    getCachedRoles(userId) {
+        try {
+            const cached = JSON.parse(sessionStorage.getItem(Config.ROLES_KEY));
+            if (cached && cached.userId === userId && Array.isArray(cached.roleIds)) {
+                return cached.roleIds;
+            }
+        } catch (error) {
+            // Corrupt cache - fall through to a fresh lookup
+        }
+        return null;
+    },
+
+    /**
+     * Clear cached roles (e.g. after logout or after editing your own roles)
+     */
+    clearCache() {
+        sessionStorage.removeItem(Config.ROLES_KEY);
+        this.roleIds = null;
+        this.initPromise = null;
+    },
+
+    /**
+     * Check whether the current user has a permission
+     * Denies restricted permissions until roles are resolved
+     * @param {string} permission - Permission key (see PERMISSIONS)
+     * @returns {boolean} True if allowed
+     */
+    can(permission) {
+        const allowedRoles = this.PERMISSIONS[permission];
+
+        // Unrestricted permission
+        if (!allowedRoles) {
+            return true;
+        }
+
+        if (!this.roleIds) {
+            return false;
+        }
+
+        return this.roleIds.some(roleId => allowedRoles.includes(roleId));
+    },
+
+    /**
+     * Check whether the current user is an admin (Super Admin or Admin)
+     * @returns {boolean} True if admin
+     */
+    isAdmin() {
+        return this.can('admin.access');
+    },
+
+    /**
+     * Remove elements marked with data-permission the user does not have
+     * Elements are removed rather than hidden so page code that toggles
+     * visibility (e.g. bulk action menus) cannot bring them back
+     */
+    applyToPage() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            const permission = element.getAttribute('data-permission');
+            if (!this.can(permission)) {
+                element.remove();
+            }
+        });
+    },
+
+    /**
+     * Block the current page unless the user has a permission
+     * Redirects to the dashboard when denied
+     * @param {string} permission - Permission key
+     * @returns {Promise<boolean>} True if allowed
+     */
+    async requirePermission(permission) {
+        await this.init();
+
+        if (!this.can(permission)) {
+            console.warn(`Access denied: missing permission "${permission}"`);
+            window.location.href = 'index.html';
+            return false;
+        }
+
+        return true;
+    }
+};
+
+// Drop cached roles whenever the session changes
+Bus.subscribe('auth:changed', () => {
+    Permissions.clearCache();
+});
+
+// Resolve roles and apply data-permission rules on every page
+document.addEventListener('DOMContentLoaded', () => {
+    Permissions.init();
+});
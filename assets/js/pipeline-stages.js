@@ -0,0 +1,144 @@
+/**
+ * LeadsEngine Pipeline Stages
+ * Maps lead statuses onto the four pipeline stages used by the dashboard,
+ * status badges, status filters and reports
+ *
+ * Stages:
+ *   open    - new, not yet worked
+ *   working - contacted, qualified, in follow-up
+ *   won     - converted
+ *   lost    - closed without converting
+ *
+ * A status's stage is read from, in order:
+ *   1. The status record (pipeline_stage or stage field)
+ *   2. Config.STATUS_STAGES[slug or lower-cased name] (overridable in config.json)
+ *   3. 'open'
+ *
+ * Statuses are edited on the Pipeline admin page (statuses.html), which
+ * stores pipeline_stage, color (#rrggbb) and sort_order on each status.
+ *
+ * Usage:
+ *   const stage = PipelineStages.getStage(status);        // 'working'
+ *   PipelineStages.STAGES[stage].label;                   // 'Working'
+ *   const ordered = PipelineStages.sortStatuses(statuses);
+ *   const badge = PipelineStages.getBadgeStyle(status);   // {className, style}
+ *
+ * @module PipelineStages
+ */
+
+const PipelineStages = {
+    /**
+     * Stage definitions, in pipeline order
+     * @type {Object}
+     */
+    STAGES: {
+        open: { label: 'Open', icon: 'fa-inbox', badgeClass: 'bg-secondary', statusBadgeClass: 'badge-new' },
+        working: { label: 'Working', icon: 'fa-clock', badgeClass: 'bg-warning text-dark', statusBadgeClass: 'badge-progress' },
+        won: { label: 'Won', icon: 'fa-check-circle', badgeClass: 'bg-success', statusBadgeClass: 'badge-converted' },
+        lost: { label: 'Lost', icon: 'fa-times-circle', badgeClass: 'bg-danger', statusBadgeClass: 'badge-lost' }
+    },
+
+    /**
+     * Stage for statuses with no mapping
+     * @type {string}
+     */
+    DEFAULT_STAGE: 'open',
+
+    /**
+     * Check a stage key
+     * @param {string} stage - Stage key
+     * @returns {boolean}
+     */
+    isStage(stage) {
+        return typeof stage === 'string' && Object.prototype.hasOwnProperty.call(this.STAGES, stage);
+    },
+
+    /**
+     * Pipeline stage for a status
+     * @param {Object} status - Status record ({id, name, slug, pipeline_stage})
+     * @returns {string} Stage key
+     */
+    getStage(status) {
+        if (!status) {
+            return this.DEFAULT_STAGE;
+        }
+
+        const ownStage = status.pipeline_stage || status.stage;
+        if (this.isStage(ownStage)) {
+            return ownStage;
+        }
+
+        const keys = [status.slug, status.name].filter(Boolean).map(key => String(key).toLowerCase());
+        const mapped = keys.map(key => Config.STATUS_STAGES[key]).find(stage => this.isStage(stage));
+
+        return mapped || this.DEFAULT_STAGE;
+    },
+
+    /**
+     * Status color, if the status has a valid one
+     * @param {Object} status - Status record
+     * @returns {string|null} '#rrggbb' or null
+     */
+    getColor(status) {
+        const color = status && status.color;
+        return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color) ? color : null;
+    },
+
+    /**
+     * Readable text color for a background color
+     * @param {string} color - '#rrggbb'
+     * @returns {string} '#fff' or '#212529'
+     */
+    getTextColor(color) {
+        const r = parseInt(color.slice(1, 3), 16);
+        const g = parseInt(color.slice(3, 5), 16);
+        const b = parseInt(color.slice(5, 7), 16);
+
+        // Perceived brightness (ITU-R BT.601)
+        return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#212529' : '#fff';
+    },
+
+    /**
+     * Badge class/style for a status: its own color when set, else the stage color
+     * @param {Object} status - Status record
+     * @returns {{className: string, style: string}}
+     */
+    getBadgeStyle(status) {
+        const color = this.getColor(status);
+        if (color) {
+            return { className: '', style: `background: ${color}; color: ${this.getTextColor(color)};` };
+        }
+        return { className: this.STAGES[this.getStage(status)].statusBadgeClass, style: '' };
+    },
+
+    /**
+     * Find the full status record (stage, color, order) for a partial status
+     * Looks in the ReferenceData statuses cache without fetching
+     * @param {Object} status - {id} or {name, slug}
+     * @returns {Object|null} Status record
+     */
+    findStatus(status) {
+        const statuses = ReferenceData.peek('statuses') || [];
+        if (!status) return null;
+
+        return statuses.find(s => (status.id && s.id === status.id) ||
+            (status.slug && s.slug === status.slug) ||
+            (status.name && s.name === status.name)) || null;
+    },
+
+    /**
+     * Statuses in pipeline order: sort_order, then stage, then name
+     * @param {Array<Object>} statuses - Status records
+     * @returns {Array<Object>} New sorted array
+     */
+    sortStatuses(statuses) {
+        const stageOrder = Object.keys(this.STAGES);
+        const order = status => (typeof status.sort_order === 'number' ? status.sort_order : Infinity);
+
+        return [...statuses].sort((a, b) =>
+            (order(a) - order(b)) ||
+            (stageOrder.indexOf(this.getStage(a)) - stageOrder.indexOf(this.getStage(b))) ||
+            String(a.name || '').localeCompare(String(b.name || ''))
+        );
+    }
+};
@@ -0,0 +1,211 @@
+/**
+ * LeadsEngine Reference Data Store
+ * Shared in-memory cache for lookup lists (statuses, sources, users)
+ *
+ * FEATURES:
+ * - One cache per page for all dropdowns, maps and formatters
+ * - TTL (Config.REFERENCE_DATA_TTL) - stale entries are refetched on next use
+ * - Request de-duplication - concurrent callers share one in-flight request
+ * - Invalidation over Bus so pages that change reference data can drop it
+ *
+ * Usage:
+ *   const statuses = await ReferenceData.getStatuses();
+ *   const userMap = await ReferenceData.getUserMap();   // {id: 'Display Name'}
+ *
+ *   // After creating/editing a user, status or source
+ *   Bus.publish('referencedata:invalidate', { name: 'users' });
+ *
+ * Events:
+ *   - 'referencedata:invalidate' (listened) - {name} drop one list, {} drop all
+ *   - 'referencedata:updated' (published)   - {name, records} after a fresh fetch
+ *
+ * @module ReferenceData
+ */
+
+const ReferenceData = {
+    /**
+     * Lists managed by the store: name -> Config.ENDPOINTS key
+     * @type {Object}
+     */
+    SOURCES: {
+        statuses: 'LEADSTATUS.LIST',
+        sources: 'LEADSOURCE.LIST',
+        users: 'USER.LIST'
+    },
+
+    // Cached lists: {name: {records, fetchedAt}}
+    cache: {},
+
+    // In-flight requests: {name: Promise}
+    pending: {},
+
+    // Bumped on invalidate() so responses to older requests aren't cached
+    generation: 0,
+
+    /**
+     * Get a reference list, from cache when fresh
+     * @param {string} name - List name (see SOURCES)
+     * @param {object} options - {force: true} to bypass the cache
+     * @returns {Promise<Array>} Records
+     */
+    async get(name, options = {}) {
+        if (!this.SOURCES[name]) {
+            throw new Error(`ReferenceData: unknown list "${name}" (known: ${Object.keys(this.SOURCES).join(', ')})`);
+        }
+
+        const entry = this.cache[name];
+        if (!options.force && entry && Date.now() - entry.fetchedAt < Config.REFERENCE_DATA_TTL) {
+            return entry.records;
+        }
+
+        // Share the in-flight request with concurrent callers
+        if (!this.pending[name]) {
+            const request = this.fetch(name).finally(() => {
+                if (this.pending[name] === request) {
+                    delete this.pending[name];
+                }
+            });
+            this.pending[name] = request;
+        }
+
+        return this.pending[name];
+    },
+
+    /**
+     * Fetch a list from the API and store it
+     * @param {string} name - List name
+     * @returns {Promise<Array>} Records
+     */
+    async fetch(name) {
+        console.log(`ReferenceData: fetching ${name}`);
+
+        const generation = this.generation;
+        const response = await API.get(API.route(this.SOURCES[name]));
+        const records = response.records || [];
+
+        // Invalidated while the request was in flight - don't cache old data
+        if (generation === this.generation) {
+            this.cache[name] = { records, fetchedAt: Date.now() };
+            Bus.publish('referencedata:updated', { name, records });
+        }
+
+        return records;
+    },
+
+    /**
+     * Get cached records without fetching
+     * @param {string} name - List name
+     * @returns {Array|null} Records, or null if not loaded (stale data is still returned)
+     */
+    peek(name) {
+        return this.cache[name] ? this.cache[name].records : null;
+    },
+
+    /**
+     * Drop cached data so the next get() refetches
+     * @param {string} [name] - List name; omit to drop everything
+     */
+    invalidate(name) {
+        if (name) {
+            delete this.cache[name];
+            delete this.pending[name];
+        } else {
+            this.cache = {};
+            this.pending = {};
+        }
+        this.generation++;
+        console.log(`ReferenceData: invalidated ${name || 'all lists'}`);
+    },
+
+    /**
+     * Lead statuses
+     * @param {object} options - {force}
+     * @returns {Promise<Array>}
+     */
+    getStatuses(options) {
+        return this.get('statuses', options);
+    },
+
+    /**
+     * Lead sources
+     * @param {object} options - {force}
+     * @returns {Promise<Array>}
+     */
+    getSources(options) {
+        return this.get('sources', options);
+    },
+
+    /**
+     * Users
+     * @param {object} options - {force}
+     * @returns {Promise<Array>}
+     */
+    getUsers(options) {
+        return this.get('users', options);
+    },
+
+    /**
+     * Status ID -> display name
+     * @returns {Promise<Object>}
+     */
+    async getStatusMap() {
+        const statuses = await this.getStatuses();
+        const map = {};
+        statuses.forEach(status => {
+            map[status.id] = status.name || status.slug || `Status ${status.id}`;
+        });
+        return map;
+    },
+
+    /**
+     * User ID -> display name
+     * @returns {Promise<Object>}
+     */
+    async getUserMap() {
+        const users = await this.getUsers();
+        const map = {};
+        users.forEach(user => {
+            map[user.id] = this.getUserName(user);
+        });
+        return map;
+    },
+
+    /**
+     * Find a cached user by ID (loads the user list if needed)
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} User or null
+     */
+    async getUserById(userId) {
+        const users = await this.getUsers();
+        return users.find(user => user.id === userId) || null;
+    },
+
+    /**
+     * Display name for a user record
+     * Priority: full_name > first + last > first > username > email
+     * @param {Object} user - User record
+     * @returns {string} Display name
+     */
+    getUserName(user) {
+        if (!user) {
+            return 'Unknown User';
+        }
+        if (user.full_name) {
+            return user.full_name;
+        }
+        if (user.first_name && user.last_name) {
+            return `${user.first_name} ${user.last_name}`;
+        }
+        return user.first_name || user.username || user.email || 'Unknown User';
+    }
+};
+
+// Pages that change reference data publish this to drop the cached copy
+Bus.subscribe('referencedata:invalidate', (data) => {
+    ReferenceData.invalidate(data && data.name);
+});
+
+// A different user may see different lists - start over on login/logout
+Bus.subscribe('auth:changed', () => {
+    ReferenceData.invalidate();
+});
@@ -0,0 +1,1100 @@
+/**
+ * LeadsEngine Reports Page
+ * Funnel, conversion and time-in-status analytics for a date range
+ *
+ * FEATURES:
+ * - Date range filter with presets (7 / 30 / 90 days, year to date)
+ * - Funnel: leads created in the range that reached Working and Won
+ *   (stages from PipelineStages), plus stage-to-stage conversion rates
+ * - Average days in each status, from the status history
+ * - Leads by source over time (day, week or month buckets by range length)
+ * - Rep performance and workload (rep-leaderboard.js component)
+ * - Source ROI (all time): volume, conversion rate, average score, and cost
+ *   per lead / per conversion from the source's cost field, with CSV export
+ * - Drill-down: counts link to the leads table with matching filters
+ *   (leads.html?status_id=&source_id=&date_from=&date_to=)
+ *
+ * ============================================================================
+ * VERIFIED ENDPOINTS USED IN THIS FILE:
+ * ----------------------------------------------------------------------------
+ * GET /api/v1/lead/with-relationships              - Leads created in the range
+ * GET /api/v1/leadstatushistory/with-relationships - Status changes since the range start
+ * GET /api/v1/leadstatus/  (via ReferenceData)     - Status names and stages
+ * GET /api/v1/leadsource/  (via ReferenceData)     - Source names
+ * GET /api/v1/leadsource/with-relationships       - Sources with their leads (ROI)
+ * GET /api/v1/leadsource/{id}                     - Source before a cost update
+ * PUT /api/v1/leadsource/{id}                     - Update a source's cost
+ * ============================================================================
+ *
+ * PAYLOAD NOTES (read defensively):
+ *   history lead      - lead_id | lead.id
+ *   history to-status - new_status_id | to_status_id | status_id | new_status.id | status.id
+ *   history from      - old_status_id | from_status_id | old_status.id
+ *   history time      - changed_at | created_at
+ * Both lists are paged with API.getAll and capped at Config.REPORT_MAX_RECORDS.
+ * History is requested from the range start with no end date, so a period that
+ * starts in the range still gets its end from a later change.
+ *   source cost       - cost only (total spend, number or decimal string;
+ *                       null when not set) - read and saved as cost
+ *   source leads      - leads relationship; if a source has none, all leads are
+ *                       loaded and grouped by source_id instead
+ */
+
+const ReportsPage = {
+    // Active range (YYYY-MM-DD, inclusive)
+    range: {
+        from: '',
+        to: ''
+    },
+
+    // Rep leaderboard component instance
+    leaderboard: null,
+
+    // Source ROI rows (all time - independent of the range)
+    sourceRoi: [],
+    sourceRoiTruncated: false,
+
+    // Source whose cost is being edited
+    sourceToEdit: null,
+
+    // Loaded data for the active range
+    leads: [],
+    history: [],
+    statuses: [],
+    sources: [],
+
+    /**
+     * Load leads and status history for the active range and render every report
+     */
+    async loadReport() {
+        const fromInput = document.getElementById('report-date-from').value;
+        const toInput = document.getElementById('report-date-to').value;
+
+        if (fromInput && toInput && fromInput > toInput) {
+            this.showError('The start date must be on or before the end date.');
+            return;
+        }
+
+        this.range = { from: fromInput, to: toInput };
+
+        try {
+            this.showLoadingState();
+
+            const [leadsResult, historyResult, statuses, sources] = await Promise.all([
+                API.getAll(API.route('LEAD.WITH_RELATIONSHIPS'), {
+                    date_from: this.range.from,
+                    date_to: this.range.to
+                }, { maxRecords: Config.REPORT_MAX_RECORDS }),
+                API.getAll(API.route('LEADSTATUSHISTORY.WITH_RELATIONSHIPS'), {
+                    date_from: this.range.from
+                }, { maxRecords: Config.REPORT_MAX_RECORDS }),
+                ReferenceData.getStatuses(),
+                ReferenceData.getSources()
+            ]);
+
+            this.leads = leadsResult.records;
+            this.history = historyResult.records.filter(entry => this.historyTime(entry));
+            this.statuses = PipelineStages.sortStatuses(statuses);
+            this.sources = sources;
+
+            document.getElementById('report-truncated').style.display =
+                leadsResult.truncated || historyResult.truncated ? 'block' : 'none';
+
+            this.renderFunnel(this.calculateFunnel());
+            this.renderTimeInStatus(this.calculateTimeInStatus());
+            this.renderSourceTrend(this.calculateSourceTrend());
+
+            this.hideLoadingState();
+
+            // Loads its own users/leads/events and shows its own errors
+            if (!this.leaderboard) {
+                this.leaderboard = createRepLeaderboard('#report-leaderboard', {
+                    dateFrom: this.range.from,
+                    dateTo: this.range.to
+                });
+                this.leaderboard.init();
+            } else {
+                this.leaderboard.load({ dateFrom: this.range.from, dateTo: this.range.to });
+            }
+
+        } catch (error) {
+            console.error('Failed to load report:', error);
+            this.hideLoadingState();
+            this.showError('Failed to load report data. Please try again.');
+        }
+    },
+
+    // ========================================================================
+    // PAYLOAD READERS
+    // ========================================================================
+
+    /**
+     * @param {Object} entry - Status history entry
+     * @returns {number|null} Lead ID
+     */
+    historyLeadId(entry) {
+        return entry.lead_id || (entry.lead && entry.lead.id) || null;
+    },
+
+    /**
+     * @param {Object} entry - Status history entry
+     * @returns {number|null} ID of the status the lead moved to
+     */
+    historyStatusId(entry) {
+        const id = entry.new_status_id || entry.to_status_id || entry.status_id;
+        if (id) return id;
+
+        const status = entry.new_status || entry.to_status || entry.status;
+        return status && status.id ? status.id : null;
+    },
+
+    /**
+     * @param {Object} entry - Status history entry
+     * @returns {number|null} ID of the status the lead moved from
+     */
+    historyFromStatusId(entry) {
+        const id = entry.old_status_id || entry.from_status_id;
+        if (id) return id;
+
+        const status = entry.old_status || entry.from_status;
+        return status && status.id ? status.id : null;
+    },
+
+    /**
+     * @param {Object} entry - Status history entry
+     * @returns {string|null} When the change happened
+     */
+    historyTime(entry) {
+        return entry.changed_at || entry.created_at || null;
+    },
+
+    /**
+     * @param {Object} lead - Lead record
+     * @returns {number|null} Current status ID
+     */
+    leadStatusId(lead) {
+        return lead.status_id || (lead.status && lead.status.id) || null;
+    },
+
+    /**
+     * @param {Object} lead - Lead record
+     * @returns {number|null} Source ID
+     */
+    leadSourceId(lead) {
+        return lead.source_id || (lead.source && lead.source.id) || null;
+    },
+
+    /**
+     * @param {number} statusId - Status ID
+     * @returns {Object} Status record (or a placeholder with the ID)
+     */
+    getStatus(statusId) {
+        return this.statuses.find(s => s.id === statusId) || { id: statusId, name: `Status ${statusId}` };
+    },
+
+    /**
+     * Position of a status in pipeline order (unknown statuses last)
+     * @param {Object} status - Status record
+     * @returns {number}
+     */
+    statusOrder(status) {
+        const index = this.statuses.findIndex(s => s.id === status.id);
+        return index === -1 ? this.statuses.length : index;
+    },
+
+    /**
+     * Status history grouped by lead, oldest change first
+     * @returns {Object} {leadId: [entries]}
+     */
+    historyByLead() {
+        const byLead = {};
+        this.history.forEach(entry => {
+            const leadId = this.historyLeadId(entry);
+            if (!leadId) return;
+            (byLead[leadId] = byLead[leadId] || []).push(entry);
+        });
+
+        Object.keys(byLead).forEach(leadId => {
+            byLead[leadId].sort((a, b) => new Date(this.historyTime(a)) - new Date(this.historyTime(b)));
+        });
+
+        return byLead;
+    },
+
+    // ========================================================================
+    // CALCULATIONS
+    // ========================================================================
+
+    /**
+     * Days between two dates - same measure as LeadsPage.calculateDaysInStatus,
+     * with an end date and without rounding so averages stay accurate
+     * @param {String} statusChangedDate - Date the status was entered
+     * @param {String|Date} [endDate] - Date the status was left (default now)
+     * @returns {Number} Days
+     */
+    calculateDaysInStatus(statusChangedDate, endDate = null) {
+        if (!statusChangedDate) return 0;
+
+        const changed = new Date(statusChangedDate);
+        const end = endDate ? new Date(endDate) : new Date();
+        if (isNaN(changed) || isNaN(end)) return 0;
+
+        return Math.abs(end - changed) / (1000 * 60 * 60 * 24);
+    },
+
+    /**
+     * Funnel for leads created in the range
+     *
+     * Every lead starts Open; a lead has reached Working if it was ever in a
+     * Working or Won status, and Won if it was ever in a Won status (history
+     * plus its current status), so each step is a subset of the one before.
+     *
+     * @returns {Object} {created, working, won, lost, byStage: {stage: [{status, count}]}}
+     */
+    calculateFunnel() {
+        const byLead = this.historyByLead();
+        const funnel = { created: this.leads.length, working: 0, won: 0, lost: 0, byStage: {} };
+        const currentCounts = {};
+
+        this.leads.forEach(lead => {
+            const statusIds = (byLead[lead.id] || []).map(entry => this.historyStatusId(entry));
+            const currentId = this.leadStatusId(lead);
+            if (currentId) {
+                statusIds.push(currentId);
+                currentCounts[currentId] = (currentCounts[currentId] || 0) + 1;
+            }
+
+            const stages = statusIds.filter(Boolean).map(id => PipelineStages.getStage(this.getStatus(id)));
+
+            if (stages.includes('working') || stages.includes('won')) funnel.working++;
+            if (stages.includes('won')) funnel.won++;
+            if (currentId && PipelineStages.getStage(this.getStatus(currentId)) === 'lost') funnel.lost++;
+        });
+
+        // Where the cohort is now, per stage, for drill-down
+        Object.keys(PipelineStages.STAGES).forEach(stage => {
+            funnel.byStage[stage] = Object.keys(currentCounts)
+                .map(id => ({ status: this.getStatus(parseInt(id)), count: currentCounts[id] }))
+                .filter(entry => PipelineStages.getStage(entry.status) === stage)
+                .sort((a, b) => this.statusOrder(a.status) - this.statusOrder(b.status));
+        });
+
+        return funnel;
+    },
+
+    /**
+     * Average days spent in each status, for status periods that started in the range
+     *
+     * A period runs from one change to the next change for the same lead (or
+     * to now for the current status). For leads created in the range, the
+     * first period runs from created_at to the first change.
+     *
+     * @returns {Array<{status, periods, averageDays, current}>} In pipeline order
+     */
+    calculateTimeInStatus() {
+        const byLead = this.historyByLead();
+        const leadsById = {};
+        this.leads.forEach(lead => {
+            leadsById[lead.id] = lead;
+        });
+
+        const totals = {};
+        const addPeriod = (statusId, start, end) => {
+            if (!statusId || !this.isInRange(start)) return;
+
+            const entry = totals[statusId] = totals[statusId] || { days: 0, periods: 0, current: 0 };
+            entry.days += this.calculateDaysInStatus(start, end);
+            entry.periods++;
+            if (!end) entry.current++;
+        };
+
+        Object.keys(byLead).forEach(leadId => {
+            const entries = byLead[leadId];
+            const lead = leadsById[leadId];
+
+            // Initial status, before the first recorded change
+            if (lead && lead.created_at) {
+                addPeriod(this.historyFromStatusId(entries[0]), lead.created_at, this.historyTime(entries[0]));
+            }
+
+            entries.forEach((entry, index) => {
+                const next = entries[index + 1];
+                addPeriod(this.historyStatusId(entry), this.historyTime(entry), next ? this.historyTime(next) : null);
+            });
+        });
+
+        // Leads created in the range that never changed status
+        this.leads.forEach(lead => {
+            if (!byLead[lead.id] && lead.created_at) {
+                addPeriod(this.leadStatusId(lead), lead.created_at, null);
+            }
+        });
+
+        return PipelineStages.sortStatuses(Object.keys(totals).map(id => this.getStatus(parseInt(id))))
+            .map(status => ({
+                status,
+                periods: totals[status.id].periods,
+                current: totals[status.id].current,
+                averageDays: totals[status.id].days / totals[status.id].periods
+            }));
+    },
+
+    /**
+     * Leads created in the range, per source, bucketed by day, week or month
+     * @returns {Object} {buckets: [{from, to, label}], rows: [{source, counts[], total}]}
+     */
+    calculateSourceTrend() {
+        const buckets = this.buildBuckets();
+        const rows = {};
+
+        this.leads.forEach(lead => {
+            const created = lead.created_at ? this.toIsoDate(new Date(lead.created_at)) : null;
+            const bucketIndex = buckets.findIndex(bucket => created && created >= bucket.from && created <= bucket.to);
+            if (bucketIndex === -1) return;
+
+            const sourceId = this.leadSourceId(lead);
+            const key = sourceId || 'none';
+            if (!rows[key]) {
+                const source = sourceId ? this.sources.find(s => s.id === sourceId) : null;
+                rows[key] = {
+                    source: {
+                        id: sourceId,
+                        name: (source && source.name) || (lead.source && lead.source.name) || (sourceId ? `Source ${sourceId}` : 'No Source')
+                    },
+                    counts: buckets.map(() => 0),
+                    total: 0
+                };
+            }
+
+            rows[key].counts[bucketIndex]++;
+            rows[key].total++;
+        });
+
+        return {
+            buckets,
+            rows: Object.values(rows).sort((a, b) => b.total - a.total)
+        };
+    },
+
+    /**
+     * Date buckets covering the range: days up to 31 days, weeks up to 120, then months
+     * @returns {Array<{from: string, to: string, label: string}>}
+     */
+    buildBuckets() {
+        const end = this.range.to ? this.parseDate(this.range.to) : new Date();
+        let start = this.range.from ? this.parseDate(this.range.from) : null;
+
+        // Open-ended range - bucket from the oldest loaded lead
+        if (!start) {
+            const created = this.leads.map(lead => new Date(lead.created_at)).filter(date => !isNaN(date));
+            start = created.length > 0 ? new Date(Math.min(...created)) : end;
+        }
+
+        const spanDays = this.calculateDaysInStatus(start, end);
+        const unit = spanDays <= 31 ? 'day' : (spanDays <= 120 ? 'week' : 'month');
+        const buckets = [];
+        let cursor = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+
+        while (cursor <= end) {
+            let next;
+            if (unit === 'day') {
+                next = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+            } else if (unit === 'week') {
+                next = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 7);
+            } else {
+                next = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1);
+            }
+
+            const last = new Date(Math.min(next - 24 * 60 * 60 * 1000, end));
+            buckets.push({
+                from: this.toIsoDate(cursor),
+                to: this.toIsoDate(last),
+                label: unit === 'month'
+                    ? cursor.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+                    : cursor.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+            });
+
+            cursor = next;
+        }
+
+        return buckets;
+    },
+
+    // ========================================================================
+    // RENDERING
+    // ========================================================================
+
+    /**
+     * Render the funnel chart and conversion rates
+     * @param {Object} funnel - From calculateFunnel()
+     */
+    renderFunnel(funnel) {
+        const container = document.getElementById('report-funnel');
+        if (!container) return;
+
+        if (funnel.created === 0) {
+            container.innerHTML = '<p class="text-muted mb-0">No leads were created in this range.</p>';
+            document.getElementById('report-conversion').innerHTML = '';
+            return;
+        }
+
+        const steps = [
+            { stage: 'open', label: 'Created', count: funnel.created },
+            { stage: 'working', label: 'Reached Working', count: funnel.working },
+            { stage: 'won', label: 'Won', count: funnel.won }
+        ];
+
+        container.innerHTML = steps.map(step => {
+            const width = Math.max(Math.round(step.count / funnel.created * 100), 2);
+            const stage = PipelineStages.STAGES[step.stage];
+            return `
+                <div class="mb-3">
+                    <div class="report-funnel-bar ${stage.badgeClass}" style="width: ${width}%;">
+                        <i class="fas ${stage.icon} me-2"></i>${step.label}: <strong class="ms-1">${step.count}</strong>
+                    </div>
+                    <div class="text-center small mt-1">${this.createStageStatusLinks(funnel.byStage[step.stage])}</div>
+                </div>
+            `;
+        }).join('') + `
+            <div class="text-center small text-muted">
+                <span class="badge ${PipelineStages.STAGES.lost.badgeClass} me-1">${PipelineStages.STAGES.lost.label}</span>
+                ${funnel.lost} lead${funnel.lost === 1 ? '' : 's'} now closed as lost
+                <div class="mt-1">${this.createStageStatusLinks(funnel.byStage.lost)}</div>
+            </div>
+        `;
+
+        const rate = (count, of) => (of > 0 ? `${Math.round(count / of * 1000) / 10}%` : '--');
+        const rates = [
+            { label: 'Open → Working', value: rate(funnel.working, funnel.created) },
+            { label: 'Working → Won', value: rate(funnel.won, funnel.working) },
+            { label: 'Overall (Created → Won)', value: rate(funnel.won, funnel.created) },
+            { label: 'Lost', value: rate(funnel.lost, funnel.created) }
+        ];
+
+        document.getElementById('report-conversion').innerHTML = rates.map(item => `
+            <div class="col-6 col-lg-3 mb-3">
+                <div class="border rounded p-3 text-center h-100">
+                    <div class="fs-4 fw-bold">${item.value}</div>
+                    <div class="text-muted small">${item.label}</div>
+                </div>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Status links (current status of the funnel's leads) for one stage
+     * @param {Array<{status, count}>} entries - From calculateFunnel().byStage
+     * @returns {String} HTML
+     */
+    createStageStatusLinks(entries) {
+        if (!entries || entries.length === 0) return '';
+
+        return entries.map(entry => `
+            <a href="${this.leadsUrl({ status_id: entry.status.id })}" class="text-decoration-none me-2" title="Open these leads">
+                ${this.escapeHtml(entry.status.name)} (${entry.count})
+            </a>
+        `).join('');
+    },
+
+    /**
+     * Render the average days in status table
+     * @param {Array} rows - From calculateTimeInStatus()
+     */
+    renderTimeInStatus(rows) {
+        const tbody = document.querySelector('#report-time-in-status tbody');
+        if (!tbody) return;
+
+        if (rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted py-4">No status changes in this range</td></tr>';
+            return;
+        }
+
+        const longest = Math.max(...rows.map(row => row.averageDays), 1);
+
+        tbody.innerHTML = rows.map(row => {
+            const stage = PipelineStages.STAGES[PipelineStages.getStage(row.status)];
+            const badge = PipelineStages.getBadgeStyle(row.status);
+            const color = PipelineStages.getColor(row.status);
+            return `
+                <tr>
+                    <td>
+                        <a href="${this.leadsUrl({ status_id: row.status.id })}" class="text-decoration-none" title="Open leads in this status">
+                            <span class="badge ${badge.className}" style="${badge.style}">${this.escapeHtml(row.status.name)}</span>
+                        </a>
+                    </td>
+                    <td><span class="badge ${stage.badgeClass}">${stage.label}</span></td>
+                    <td style="min-width: 200px;">
+                        <div class="d-flex align-items-center">
+                            <span class="fw-semibold me-2" style="min-width: 70px;">${this.formatDays(row.averageDays)}</span>
+                            <div class="progress flex-grow-1" style="height: 6px;">
+                                <div class="progress-bar" style="width: ${Math.round(row.averageDays / longest * 100)}%;${color ? ` background: ${color};` : ''}"></div>
+                            </div>
+                        </div>
+                    </td>
+                    <td>${row.periods}</td>
+                    <td>${row.current}</td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Render leads by source over time as a stacked bar chart plus a table
+     * @param {Object} trend - From calculateSourceTrend()
+     */
+    renderSourceTrend(trend) {
+        const chart = document.getElementById('report-source-chart');
+        const table = document.getElementById('report-source-table');
+        if (!chart || !table) return;
+
+        if (trend.rows.length === 0) {
+            chart.innerHTML = '<p class="text-muted mb-0">No leads were created in this range.</p>';
+            table.innerHTML = '';
+            return;
+        }
+
+        const palette = ['#4A90E2', '#10B981', '#F59E0B', '#8B5CF6', '#EF4444', '#00BCD4', '#6B7280', '#EC4899'];
+        const colorFor = index => palette[index % palette.length];
+        const bucketTotals = trend.buckets.map((bucket, i) => trend.rows.reduce((sum, row) => sum + row.counts[i], 0));
+        const tallest = Math.max(...bucketTotals, 1);
+
+        chart.innerHTML = `
+            <div class="report-trend-chart">
+                ${trend.buckets.map((bucket, i) => `
+                    <div class="report-trend-column" title="${bucket.label}: ${bucketTotals[i]} lead${bucketTotals[i] === 1 ? '' : 's'}">
+                        <div class="report-trend-stack" style="height: ${Math.round(bucketTotals[i] / tallest * 100)}%;">
+                            ${trend.rows.map((row, r) => row.counts[i] > 0 ? `
+                                <div style="flex: ${row.counts[i]}; background: ${colorFor(r)};"></div>
+                            ` : '').join('')}
+                        </div>
+                        <div class="report-trend-label">${bucket.label}</div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="d-flex flex-wrap gap-3 small mt-2">
+                ${trend.rows.map((row, r) => `
+                    <span><span class="status-color-swatch" style="background: ${colorFor(r)};"></span>${this.escapeHtml(row.source.name)}</span>
+                `).join('')}
+            </div>
+        `;
+
+        // Each count links to the leads for that source and bucket
+        const cell = (row, count, from, to) => {
+            if (count === 0) return '<span class="text-muted">0</span>';
+            if (!row.source.id) return count;
+            return `<a href="${this.leadsUrl({ source_id: row.source.id, date_from: from, date_to: to })}" class="text-decoration-none">${count}</a>`;
+        };
+
+        table.innerHTML = `
+            <table class="table table-sm table-hover mb-0">
+                <thead>
+                    <tr>
+                        <th>Source</th>
+                        ${trend.buckets.map(bucket => `<th class="text-end text-nowrap">${bucket.label}</th>`).join('')}
+                        <th class="text-end">Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${trend.rows.map(row => `
+                        <tr>
+                            <td class="text-nowrap">${this.escapeHtml(row.source.name)}</td>
+                            ${row.counts.map((count, i) => `<td class="text-end">${cell(row, count, trend.buckets[i].from, trend.buckets[i].to)}</td>`).join('')}
+                            <td class="text-end fw-semibold">${cell(row, row.total, this.range.from, this.range.to)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    },
+
+    // ========================================================================
+    // SOURCE ROI
+    // ========================================================================
+
+    /**
+     * Load sources with their leads and render the ROI table
+     * All time, so it is loaded once rather than with each range change
+     */
+    async loadSourceRoi() {
+        const tbody = document.querySelector('#report-source-roi tbody');
+        if (!tbody) return;
+
+        tbody.innerHTML = '<tr><td colspan="8" class="text-center text-muted py-4"><i class="fas fa-spinner fa-spin"></i></td></tr>';
+        document.getElementById('source-roi-export-btn').disabled = true;
+
+        try {
+            const listOptions = { maxRecords: Config.REPORT_MAX_RECORDS };
+            const [sourcesResult, statuses] = await Promise.all([
+                API.getAll(API.route('LEADSOURCE.WITH_RELATIONSHIPS'), {}, listOptions),
+                ReferenceData.getStatuses()
+            ]);
+
+            const sources = sourcesResult.records;
+            this.sourceRoiTruncated = sourcesResult.truncated;
+
+            // Relationship not included - group every lead by source instead
+            let leadsBySource = null;
+            if (sources.some(source => !Array.isArray(source.leads))) {
+                const leadsResult = await API.getAll(API.route('LEAD.WITH_RELATIONSHIPS'), {}, listOptions);
+                this.sourceRoiTruncated = this.sourceRoiTruncated || leadsResult.truncated;
+
+                leadsBySource = {};
+                leadsResult.records.forEach(lead => {
+                    const sourceId = this.leadSourceId(lead);
+                    if (sourceId) {
+                        (leadsBySource[sourceId] = leadsBySource[sourceId] || []).push(lead);
+                    }
+                });
+            }
+
+            this.sourceRoi = this.calculateSourceRoi(sources, leadsBySource, statuses);
+
+            // Cost editing is permission-gated - make sure roles are resolved
+            await Permissions.init();
+            this.renderSourceRoi();
+
+        } catch (error) {
+            console.error('Failed to load source ROI:', error);
+            tbody.innerHTML = `
+                <tr><td colspan="8" class="text-center text-danger py-4">
+                    <i class="fas fa-exclamation-triangle me-2"></i>Failed to load source ROI
+                </td></tr>
+            `;
+        }
+    },
+
+    /**
+     * Source's recorded spend
+     * @param {Object} source - Lead source record
+     * @returns {number|null} Cost, or null when not set
+     */
+    getSourceCost(source) {
+        const cost = parseFloat(source.cost);
+        return isNaN(cost) ? null : cost;
+    },
+
+    /**
+     * Per-source volume, conversion, score and cost figures
+     * @param {Array} sources - Sources (with leads relationship when available)
+     * @param {Object|null} leadsBySource - {sourceId: [leads]} when the relationship is missing
+     * @param {Array} statuses - Status records (for pipeline stages)
+     * @returns {Array<Object>} Rows, most leads first
+     */
+    calculateSourceRoi(sources, leadsBySource, statuses) {
+        const statusById = {};
+        statuses.forEach(status => {
+            statusById[status.id] = status;
+        });
+
+        return sources
+            .filter(source => !source.deleted_at)
+            .map(source => {
+                const leads = (leadsBySource ? leadsBySource[source.id] : source.leads) || [];
+                const activeLeads = leads.filter(lead => !lead.deleted_at);
+
+                const converted = activeLeads.filter(lead => {
+                    const statusId = this.leadStatusId(lead);
+                    return PipelineStages.getStage(statusById[statusId] || lead.status || { id: statusId }) === 'won';
+                }).length;
+
+                const scores = activeLeads.map(lead => lead.score).filter(score => typeof score === 'number');
+                const cost = this.getSourceCost(source);
+
+                return {
+                    source,
+                    leads: activeLeads.length,
+                    converted,
+                    conversionRate: activeLeads.length > 0 ? converted / activeLeads.length : null,
+                    averageScore: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+                    cost,
+                    costPerLead: cost !== null && activeLeads.length > 0 ? cost / activeLeads.length : null,
+                    costPerConversion: cost !== null && converted > 0 ? cost / converted : null
+                };
+            })
+            .sort((a, b) => b.leads - a.leads || String(a.source.name).localeCompare(String(b.source.name)));
+    },
+
+    /**
+     * Render the source ROI table with a totals row
+     */
+    renderSourceRoi() {
+        const tbody = document.querySelector('#report-source-roi tbody');
+        const tfoot = document.querySelector('#report-source-roi tfoot');
+        if (!tbody || !tfoot) return;
+
+        document.getElementById('source-roi-truncated').style.display = this.sourceRoiTruncated ? 'block' : 'none';
+        document.getElementById('source-roi-export-btn').disabled = this.sourceRoi.length === 0;
+
+        if (this.sourceRoi.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" class="text-center text-muted py-4">No lead sources found</td></tr>';
+            tfoot.innerHTML = '';
+            return;
+        }
+
+        const canEditCost = Permissions.can('sources.editCost');
+        const empty = '<span class="text-muted">--</span>';
+
+        tbody.innerHTML = this.sourceRoi.map(row => `
+            <tr>
+                <td class="text-nowrap">
+                    <a href="${this.leadsUrl({ source_id: row.source.id, date_from: '', date_to: '' })}" class="text-decoration-none" title="Open leads from this source">
+                        ${this.escapeHtml(row.source.name || `Source ${row.source.id}`)}
+                    </a>
+                </td>
+                <td class="text-end">${row.leads}</td>
+                <td class="text-end">${row.converted}</td>
+                <td class="text-end">${row.conversionRate !== null ? this.formatPercent(row.conversionRate) : empty}</td>
+                <td class="text-end">${row.averageScore !== null ? Math.round(row.averageScore) : empty}</td>
+                <td class="text-end text-nowrap">
+                    ${row.cost !== null ? this.formatMoney(row.cost) : empty}
+                    ${canEditCost ? `
+                        <button type="button" class="btn btn-sm btn-link p-0 ms-1 edit-source-cost-btn" data-source-id="${row.source.id}" title="Edit cost">
+                            <i class="fas fa-pen"></i>
+                        </button>
+                    ` : ''}
+                </td>
+                <td class="text-end">${row.costPerLead !== null ? this.formatMoney(row.costPerLead) : empty}</td>
+                <td class="text-end">${row.costPerConversion !== null ? this.formatMoney(row.costPerConversion) : empty}</td>
+            </tr>
+        `).join('');
+
+        // Blended cost figures only count sources that have a cost
+        const totals = this.sourceRoi.reduce((sum, row) => {
+            sum.leads += row.leads;
+            sum.converted += row.converted;
+            if (row.cost !== null) {
+                sum.cost += row.cost;
+                sum.costedLeads += row.leads;
+                sum.costedConverted += row.converted;
+            }
+            return sum;
+        }, { leads: 0, converted: 0, cost: 0, costedLeads: 0, costedConverted: 0 });
+        const hasCost = this.sourceRoi.some(row => row.cost !== null);
+
+        tfoot.innerHTML = `
+            <tr class="fw-semibold">
+                <td>Total</td>
+                <td class="text-end">${totals.leads}</td>
+                <td class="text-end">${totals.converted}</td>
+                <td class="text-end">${totals.leads > 0 ? this.formatPercent(totals.converted / totals.leads) : empty}</td>
+                <td></td>
+                <td class="text-end">${hasCost ? this.formatMoney(totals.cost) : empty}</td>
+                <td class="text-end">${hasCost && totals.costedLeads > 0 ? this.formatMoney(totals.cost / totals.costedLeads) : empty}</td>
+                <td class="text-end">${hasCost && totals.costedConverted > 0 ? this.formatMoney(totals.cost / totals.costedConverted) : empty}</td>
+            </tr>
+        `;
+    },
+
+    /**
+     * Download the source ROI table as CSV
+     */
+    exportSourceRoiCsv() {
+        if (this.sourceRoi.length === 0) return;
+
+        const round = (value, digits) => (value === null ? '' : value.toFixed(digits));
+        const lines = [
+            ['Source', 'Leads', 'Converted', 'Conversion Rate (%)', 'Average Score', 'Cost', 'Cost per Lead', 'Cost per Conversion'],
+            ...this.sourceRoi.map(row => [
+                row.source.name || `Source ${row.source.id}`,
+                row.leads,
+                row.converted,
+                row.conversionRate === null ? '' : round(row.conversionRate * 100, 1),
+                round(row.averageScore, 1),
+                round(row.cost, 2),
+                round(row.costPerLead, 2),
+                round(row.costPerConversion, 2)
+            ])
+        ];
+
+        const csv = lines.map(line => line.map(value => this.csvValue(value)).join(',')).join('\r\n');
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `source-roi-${this.toIsoDate(new Date())}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /**
+     * Quote a CSV value when it contains a comma, quote or line break
+     * Values starting with = + - @ are prefixed with ' so spreadsheets don't run them
+     * @param {*} value - Cell value
+     * @returns {string}
+     */
+    csvValue(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * Open the cost modal for a source
+     * @param {number} sourceId - Source ID
+     */
+    showSourceCostModal(sourceId) {
+        const row = this.sourceRoi.find(r => r.source.id === sourceId);
+        if (!row) return;
+
+        this.sourceToEdit = row.source;
+
+        document.getElementById('source-cost-name').textContent = row.source.name || `Source ${sourceId}`;
+        document.getElementById('source-cost-input').value = row.cost !== null ? row.cost : '';
+        document.getElementById('source-cost-input').classList.remove('is-invalid');
+        document.getElementById('source-cost-error').style.display = 'none';
+
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('sourceCostModal')).show();
+    },
+
+    /**
+     * Save a source's cost (empty clears it)
+     *
+     * ENDPOINT: PUT /api/v1/leadsource/{id}
+     * The PUT endpoint requires the full record, so the current source is
+     * fetched first and only cost is overridden.
+     */
+    async saveSourceCost() {
+        if (!this.sourceToEdit) return;
+
+        const input = document.getElementById('source-cost-input');
+        const errorDiv = document.getElementById('source-cost-error');
+        const saveBtn = document.getElementById('source-cost-save-btn');
+        const value = input.value.trim();
+        const cost = value === '' ? null : parseFloat(value);
+
+        if (cost !== null && (isNaN(cost) || cost < 0)) {
+            input.classList.add('is-invalid');
+            errorDiv.textContent = 'Cost must be a positive amount, or empty to clear it.';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
+        input.classList.remove('is-invalid');
+        errorDiv.style.display = 'none';
+        saveBtn.disabled = true;
+        saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Saving...';
+
+        try {
+            const sourceId = this.sourceToEdit.id;
+            const sourceResponse = await LeadSourceClient.read(sourceId);
+            const currentSource = sourceResponse.records && sourceResponse.records[0] ? sourceResponse.records[0] : sourceResponse;
+
+            const payload = { ...currentSource, cost: cost };
+
+            // Remove computed fields and relationships that shouldn't be in PUT
+            delete payload.created_at;
+            delete payload.updated_at;
+            delete payload.deleted_at;
+            delete payload.leads;
+
+            await LeadSourceClient.update(sourceId, payload);
+
+            bootstrap.Modal.getInstance(document.getElementById('sourceCostModal')).hide();
+            this.sourceToEdit = null;
+
+            Bus.publish('referencedata:invalidate', { name: 'sources' });
+
+            await this.loadSourceRoi();
+
+        } catch (error) {
+            console.error('Failed to save source cost:', error);
+            errorDiv.textContent = error.message || 'Failed to save cost. Please try again.';
+            errorDiv.style.display = 'block';
+
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.innerHTML = '<i class="fas fa-save me-1"></i>Save Cost';
+        }
+    },
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * Link to the leads table with filters (the report range is the default date range)
+     * @param {Object} filters - {status_id, source_id, date_from, date_to}
+     * @returns {string} URL
+     */
+    leadsUrl(filters) {
+        const params = { date_from: this.range.from, date_to: this.range.to, ...filters };
+        const query = new URLSearchParams();
+        Object.keys(params).forEach(key => {
+            if (params[key]) query.set(key, params[key]);
+        });
+        return `leads.html?${query.toString()}`;
+    },
+
+    /**
+     * Is a timestamp inside the active range (whole days, inclusive)?
+     * @param {string} value - Date/time string
+     * @returns {boolean}
+     */
+    isInRange(value) {
+        const date = new Date(value);
+        if (isNaN(date)) return false;
+
+        const day = this.toIsoDate(date);
+        return (!this.range.from || day >= this.range.from) && (!this.range.to || day <= this.range.to);
+    },
+
+    /**
+     * Local date as YYYY-MM-DD
+     * @param {Date} date - Date
+     * @returns {string}
+     */
+    toIsoDate(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Parse YYYY-MM-DD as a local date (Date('YYYY-MM-DD') would be UTC)
+     * @param {string} value - YYYY-MM-DD
+     * @returns {Date}
+     */
+    parseDate(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    /**
+     * @param {number} value - Amount
+     * @returns {string} e.g. "$1,250.00" (currency from Config.CURRENCY)
+     */
+    formatMoney(value) {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency: Config.CURRENCY }).format(value);
+    },
+
+    /**
+     * @param {number} ratio - 0..1
+     * @returns {string} e.g. "12.5%"
+     */
+    formatPercent(ratio) {
+        return `${Math.round(ratio * 1000) / 10}%`;
+    },
+
+    /**
+     * @param {number} days - Days (fractional)
+     * @returns {string} e.g. "3.5 days", "< 1 hour"
+     */
+    formatDays(days) {
+        if (days < 1 / 24) return '< 1 hour';
+        if (days < 1) return `${Math.round(days * 24)} hours`;
+        const rounded = Math.round(days * 10) / 10;
+        return `${rounded} day${rounded === 1 ? '' : 's'}`;
+    },
+
+    /**
+     * Set the date inputs to a preset range ending today
+     * @param {string} preset - '7', '30', '90' (days) or 'ytd'
+     */
+    applyPreset(preset) {
+        const today = new Date();
+        const from = preset === 'ytd'
+            ? new Date(today.getFullYear(), 0, 1)
+            : new Date(today.getFullYear(), today.getMonth(), today.getDate() - (parseInt(preset) - 1));
+
+        document.getElementById('report-date-from').value = this.toIsoDate(from);
+        document.getElementById('report-date-to').value = this.toIsoDate(today);
+
+        $('.report-preset-btn').removeClass('active');
+        $(`.report-preset-btn[data-preset="${preset}"]`).addClass('active');
+
+        this.loadReport();
+    },
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {String} text - Text to escape
+     * @returns {String} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    },
+
+    /**
+     * Show loading state
+     */
+    showLoadingState() {
+        document.getElementById('loadingState').style.display = 'block';
+        document.getElementById('errorState').style.display = 'none';
+        document.getElementById('report-content').style.display = 'none';
+    },
+
+    /**
+     * Hide loading state
+     */
+    hideLoadingState() {
+        document.getElementById('loadingState').style.display = 'none';
+        document.getElementById('report-content').style.display = '';
+    },
+
+    /**
+     * Show error message
+     * @param {String} message - Error message
+     */
+    showError(message) {
+        document.getElementById('errorMessage').textContent = message;
+        document.getElementById('errorState').style.display = 'block';
+    },
+
+    /**
+     * Setup event listeners for the range filter
+     */
+    setupEventListeners() {
+        $('.report-preset-btn').on('click', function() {
+            ReportsPage.applyPreset($(this).data('preset').toString());
+        });
+
+        $('#report-apply-btn').on('click', () => {
+            $('.report-preset-btn').removeClass('active');
+            this.loadReport();
+        });
+
+        $('#source-roi-export-btn').on('click', () => this.exportSourceRoiCsv());
+
+        $(document).on('click', '.edit-source-cost-btn', function() {
+            ReportsPage.showSourceCostModal(parseInt($(this).data('source-id')));
+        });
+
+        $('#source-cost-save-btn').on('click', () => this.saveSourceCost());
+    }
+};
+
+// Initialize reports page when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    // Display logged-in user name
+    const userNameElement = document.getElementById('user-name');
+    if (userNameElement) {
+        const user = Auth.getUser();
+        let displayName = user && (user.full_name || user.username);
+
+        if (!displayName) {
+            const token = Auth.getToken();
+            const payload = token ? Auth.decodeJWT(token) : null;
+            if (payload) {
+                displayName = payload.name || payload.username || payload.sub || payload.email;
+            }
+        }
+
+        userNameElement.textContent = displayName || 'User';
+    }
+
+    ReportsPage.setupEventListeners();
+
+    // Default range: last 30 days
+    ReportsPage.applyPreset('30');
+
+    // All time - not reloaded with the range
+    ReportsPage.loadSourceRoi();
+});
@@ -0,0 +1,648 @@
+/**
+ * LeadsEngine Role Management Page
+ * Handles the role catalog (list, create, edit, activate/deactivate, archive, restore)
+ *
+ * FEATURES:
+ * - Role list with assigned user counts
+ * - Create/edit role modals with real-time validation (FormValidator)
+ * - Activate/deactivate roles (inactive roles are hidden from user role pickers)
+ * - Archive (soft delete) and restore roles via batch endpoints
+ *
+ * ============================================================================
+ * VERIFIED ENDPOINTS USED IN THIS FILE:
+ * ----------------------------------------------------------------------------
+ * GET    /api/v1/role/with-relationships     - List roles (Params: deleted)
+ * GET    /api/v1/role/{id}                   - Get single role
+ * POST   /api/v1/role/                       - Create new role
+ * PUT    /api/v1/role/{id}                   - Update role
+ * PATCH  /api/v1/role/activate               - Activate roles (body: [id, ...])
+ * PATCH  /api/v1/role/deactivate             - Deactivate roles (body: [id, ...])
+ * PATCH  /api/v1/role/soft-delete            - Archive roles (body: [id, ...])
+ * PATCH  /api/v1/role/restore                - Restore roles (body: [id, ...])
+ * ============================================================================
+ */
+
+const RolesPage = {
+    allRoles: [],
+
+    // Archived roles state
+    showingArchived: false,
+
+    // Modal state
+    roleToEdit: null,
+    roleToArchive: null,
+    roleToRestore: null,
+    archiveModal: null,
+    restoreModal: null,
+
+    // Form validator instance (centralized validation module)
+    formValidator: null,
+
+    /**
+     * Validation rules for Add and Edit Role forms
+     * Keys match the input name attributes in roles.html
+     */
+    roleRules: {
+        name: { required: true, minLength: 2, label: 'Name' }
+    },
+
+    /**
+     * Load roles and render the table
+     */
+    async loadRoles() {
+        try {
+            this.showLoadingState();
+
+            const params = {};
+            if (this.showingArchived) {
+                params.deleted = true;
+            }
+
+            const response = await API.get(Config.ENDPOINTS.ROLE.WITH_RELATIONSHIPS, params);
+            this.allRoles = (response.records || []).sort((a, b) => (a.id || 0) - (b.id || 0));
+
+            console.log('Loaded roles:', this.allRoles.length);
+
+            this.populateTable(this.allRoles);
+            this.updateResultsCount(this.allRoles.length);
+            this.hideLoadingState();
+
+        } catch (error) {
+            console.error('Failed to load roles:', error);
+            this.hideLoadingState();
+            this.showError('Failed to load roles. Please refresh the page.');
+        }
+    },
+
+    /**
+     * Populate table with role rows
+     * @param {Array} roles - Array of role objects
+     */
+    populateTable(roles) {
+        const tbody = document.querySelector('#rolesTable tbody');
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+
+        if (roles.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="text-center py-5">
+                        <i class="fas fa-inbox fa-3x text-muted mb-3"></i>
+                        <div class="text-muted">${this.showingArchived ? 'No archived roles found' : 'No roles found'}</div>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        roles.forEach(role => {
+            tbody.appendChild(this.createRoleRow(role));
+        });
+    },
+
+    /**
+     * Create a table row for a role
+     * @param {Object} role - Role object
+     * @returns {HTMLElement} Table row element
+     */
+    createRoleRow(role) {
+        const tr = document.createElement('tr');
+        tr.setAttribute('data-role-id', role.id || '');
+
+        const isActive = role.is_active !== false;
+        const userCount = Array.isArray(role.users) ? role.users.length : null;
+
+        tr.innerHTML = `
+            <td><span class="badge bg-secondary">#${role.id}</span></td>
+            <td><div class="fw-semibold">${this.escapeHtml(role.name || 'Unnamed')}</div></td>
+            <td>${role.description ? this.escapeHtml(role.description) : '<span class="text-muted">—</span>'}</td>
+            <td>${userCount !== null ? userCount : '<span class="text-muted">—</span>'}</td>
+            <td>${this.createStatusBadge(role)}</td>
+            <td>${this.formatDate(role.created_at)}</td>
+            <td>
+                <div class="btn-group" role="group">
+                    ${this.showingArchived ? `
+                        <button class="btn btn-sm btn-outline-success restore-role-btn"
+                                data-role-id="${role.id}"
+                                title="Restore Role">
+                            <i class="fas fa-undo"></i>
+                        </button>
+                    ` : `
+                        <button class="btn btn-sm btn-outline-secondary edit-role-btn"
+                                data-role-id="${role.id}"
+                                title="Edit Role">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-${isActive ? 'secondary' : 'success'} toggle-role-active-btn"
+                                data-role-id="${role.id}"
+                                title="${isActive ? 'Deactivate Role' : 'Activate Role'}">
+                            <i class="fas ${isActive ? 'fa-toggle-on' : 'fa-toggle-off'}"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-warning archive-role-btn"
+                                data-role-id="${role.id}"
+                                title="Archive Role">
+                            <i class="fas fa-archive"></i>
+                        </button>
+                    `}
+                </div>
+            </td>
+        `;
+
+        // Apply muted styling for archived roles (grayed out)
+        if (role.deleted_at) {
+            tr.style.opacity = '0.6';
+            tr.style.backgroundColor = '#f8f9fa';
+        }
+
+        return tr;
+    },
+
+    /**
+     * Create status badge HTML for a role
+     * @param {Object} role - Role object
+     * @returns {String} Badge HTML
+     */
+    createStatusBadge(role) {
+        if (role.deleted_at) {
+            return '<span class="badge bg-warning text-dark">ARCHIVED</span>';
+        }
+        if (role.is_active === false) {
+            return '<span class="badge badge-secondary">Inactive</span>';
+        }
+        return '<span class="badge badge-new">Active</span>';
+    },
+
+    /**
+     * Format date to readable string
+     * @param {String} dateString - ISO date string
+     * @returns {String} Formatted date
+     */
+    formatDate(dateString) {
+        if (!dateString) return 'N/A';
+
+        try {
+            return new Date(dateString).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+            });
+        } catch (error) {
+            return dateString;
+        }
+    },
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {String} text - Text to escape
+     * @returns {String} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    },
+
+    /**
+     * Update results summary above the table
+     * @param {number} count - Number of roles shown
+     */
+    updateResultsCount(count) {
+        const resultsCount = document.getElementById('resultsCount');
+        if (!resultsCount) return;
+
+        const label = this.showingArchived ? 'archived role' : 'role';
+        resultsCount.textContent = `Showing ${count} ${label}${count === 1 ? '' : 's'}`;
+    },
+
+    /**
+     * Show loading state
+     */
+    showLoadingState() {
+        document.getElementById('loadingState').style.display = 'block';
+        document.getElementById('errorState').style.display = 'none';
+        document.getElementById('rolesTable').style.display = 'none';
+    },
+
+    /**
+     * Hide loading state
+     */
+    hideLoadingState() {
+        document.getElementById('loadingState').style.display = 'none';
+        document.getElementById('rolesTable').style.display = '';
+    },
+
+    /**
+     * Show error message above the table
+     * @param {String} message - Error message
+     */
+    showError(message) {
+        document.getElementById('errorMessage').textContent = message;
+        document.getElementById('errorState').style.display = 'block';
+    },
+
+    /**
+     * Show a message in a form's error summary box
+     * @param {string} summaryId - Error summary element ID
+     * @param {string} message - Error message
+     */
+    showFormError(summaryId, message) {
+        const summaryDiv = document.getElementById(summaryId);
+        if (!summaryDiv) return;
+
+        summaryDiv.innerHTML = `
+            <i class="fas fa-exclamation-triangle me-2"></i>
+            ${this.escapeHtml(message)}
+        `;
+        summaryDiv.style.display = 'block';
+    },
+
+    /**
+     * Setup event listeners for role actions
+     */
+    setupEventListeners() {
+        // Delegate click events for dynamically created buttons
+        document.addEventListener('click', (e) => {
+            const editButton = e.target.closest('.edit-role-btn');
+            if (editButton) {
+                this.showEditRoleModal(parseInt(editButton.getAttribute('data-role-id')));
+            }
+
+            const toggleButton = e.target.closest('.toggle-role-active-btn');
+            if (toggleButton) {
+                this.toggleRoleActive(parseInt(toggleButton.getAttribute('data-role-id')));
+            }
+
+            const archiveButton = e.target.closest('.archive-role-btn');
+            if (archiveButton) {
+                this.showArchiveConfirmation(parseInt(archiveButton.getAttribute('data-role-id')));
+            }
+
+            const restoreButton = e.target.closest('.restore-role-btn');
+            if (restoreButton) {
+                this.showRestoreConfirmation(parseInt(restoreButton.getAttribute('data-role-id')));
+            }
+        });
+
+        // Reset Add Role form each time the modal opens
+        document.getElementById('addRoleModal').addEventListener('show.bs.modal', () => {
+            document.getElementById('addRoleForm').reset();
+            this.formValidator.clearValidation('addRoleForm');
+            document.getElementById('add-role-error-summary').style.display = 'none';
+        });
+
+        this.formValidator.setupValidation('addRoleForm', this.roleRules, {
+            errorSummaryId: 'add-role-error-summary'
+        });
+
+        this.formValidator.setupValidation('editRoleForm', this.roleRules, {
+            errorSummaryId: 'edit-role-error-summary'
+        });
+    },
+
+    /**
+     * Create a new role from the Add Role modal
+     *
+     * ENDPOINT: POST /api/v1/role/
+     * PAYLOAD: {name, description}
+     */
+    async createRole() {
+        const isValid = this.formValidator.validateForm('addRoleForm', this.roleRules, {
+            errorSummaryId: 'add-role-error-summary'
+        });
+
+        if (!isValid) {
+            console.log('Add role form validation failed');
+            return;
+        }
+
+        const confirmBtn = document.getElementById('add-role-confirm-btn');
+
+        try {
+            confirmBtn.disabled = true;
+            confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Creating...';
+
+            const payload = {
+                name: $('#add-role-name').val().trim(),
+                description: $('#add-role-description').val().trim() || null
+            };
+
+            console.log('=== CREATE ROLE ===', payload);
+
+            const response = await API.post(Config.ENDPOINTS.ROLE.CREATE, payload);
+            console.log('Role created successfully:', response);
+
+            bootstrap.Modal.getInstance(document.getElementById('addRoleModal')).hide();
+            this.showSuccessToast(`Role "${payload.name}" created successfully`);
+
+            await this.loadRoles();
+
+        } catch (error) {
+            console.error('Failed to create role:', error);
+            this.showFormError('add-role-error-summary', error.message || 'Failed to create role. Please try again.');
+
+        } finally {
+            confirmBtn.disabled = false;
+            confirmBtn.innerHTML = '<i class="fas fa-save me-1"></i>Create Role';
+        }
+    },
+
+    /**
+     * Open the Edit Role modal pre-filled with the role's data
+     * @param {number} roleId - ID of role to edit
+     */
+    showEditRoleModal(roleId) {
+        const role = this.allRoles.find(r => r.id === roleId);
+        if (!role) {
+            console.error('Role not found:', roleId);
+            return;
+        }
+
+        this.roleToEdit = role;
+
+        document.getElementById('editRoleForm').reset();
+        this.formValidator.clearValidation('editRoleForm');
+        document.getElementById('edit-role-error-summary').style.display = 'none';
+
+        $('#edit-role-id').val(role.id);
+        $('#edit-role-name').val(role.name || '');
+        $('#edit-role-description').val(role.description || '');
+
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('editRoleModal')).show();
+    },
+
+    /**
+     * Save changes from the Edit Role modal
+     *
+     * ENDPOINT: PUT /api/v1/role/{id}
+     * The PUT endpoint requires the full record, so the current role is
+     * fetched first and only the edited fields are overridden.
+     */
+    async updateRole() {
+        if (!this.roleToEdit) {
+            console.error('No role selected for editing');
+            return;
+        }
+
+        const isValid = this.formValidator.validateForm('editRoleForm', this.roleRules, {
+            errorSummaryId: 'edit-role-error-summary'
+        });
+
+        if (!isValid) {
+            console.log('Edit role form validation failed');
+            return;
+        }
+
+        const roleId = this.roleToEdit.id;
+        const confirmBtn = document.getElementById('edit-role-confirm-btn');
+
+        try {
+            confirmBtn.disabled = true;
+            confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Saving...';
+
+            const roleResponse = await API.get(API.route('ROLE.READ', { id: roleId }));
+            const currentRole = roleResponse.records && roleResponse.records[0] ? roleResponse.records[0] : roleResponse;
+
+            const payload = {
+                ...currentRole,
+                name: $('#edit-role-name').val().trim(),
+                description: $('#edit-role-description').val().trim() || null
+            };
+
+            // Remove computed fields that shouldn't be in PUT
+            delete payload.users;
+            delete payload.created_at;
+            delete payload.updated_at;
+            delete payload.deleted_at;
+
+            console.log(`=== UPDATE ROLE ${roleId} ===`, payload);
+
+            const response = await API.put(API.route('ROLE.UPDATE', { id: roleId }), payload);
+            console.log('Role updated successfully:', response);
+
+            bootstrap.Modal.getInstance(document.getElementById('editRoleModal')).hide();
+            this.showSuccessToast(`Role "${payload.name}" updated successfully`);
+
+            this.roleToEdit = null;
+            await this.loadRoles();
+
+        } catch (error) {
+            console.error('Failed to update role:', error);
+            this.showFormError('edit-role-error-summary', error.message || 'Failed to update role. Please try again.');
+
+        } finally {
+            confirmBtn.disabled = false;
+            confirmBtn.innerHTML = '<i class="fas fa-save me-1"></i>Update Role';
+        }
+    },
+
+    /**
+     * Activate or deactivate a role
+     *
+     * ENDPOINTS: PATCH /api/v1/role/activate | /api/v1/role/deactivate with [roleId]
+     * @param {number} roleId - ID of role to toggle
+     */
+    async toggleRoleActive(roleId) {
+        const role = this.allRoles.find(r => r.id === roleId);
+        if (!role) {
+            console.error('Role not found:', roleId);
+            return;
+        }
+
+        const activate = role.is_active === false;
+        const endpoint = activate ? Config.ENDPOINTS.ROLE.BATCH_ACTIVATE : Config.ENDPOINTS.ROLE.BATCH_DEACTIVATE;
+
+        try {
+            await API.patch(endpoint, [roleId]);
+            this.showSuccessToast(`Role "${role.name}" ${activate ? 'activated' : 'deactivated'}`);
+            await this.loadRoles();
+
+        } catch (error) {
+            console.error('Failed to change role status:', error);
+            this.showError(error.message || 'Failed to change role status. Please try again.');
+        }
+    },
+
+    /**
+     * Show archive confirmation modal for a role
+     * @param {number} roleId - ID of role to archive
+     */
+    showArchiveConfirmation(roleId) {
+        const role = this.allRoles.find(r => r.id === roleId);
+        if (!role) {
+            console.error('Role not found:', roleId);
+            return;
+        }
+
+        this.roleToArchive = { id: roleId, name: role.name || `Role #${roleId}` };
+
+        document.getElementById('archive-role-name').textContent = this.roleToArchive.name;
+        document.getElementById('archive-role-error').style.display = 'none';
+
+        if (!this.archiveModal) {
+            this.archiveModal = new bootstrap.Modal(document.getElementById('archiveRoleModal'));
+        }
+        this.archiveModal.show();
+    },
+
+    /**
+     * Archive role (soft delete)
+     *
+     * ENDPOINT: PATCH /api/v1/role/soft-delete with [roleId]
+     */
+    async archiveRole() {
+        if (!this.roleToArchive) {
+            console.error('No role selected for archiving');
+            return;
+        }
+
+        const confirmBtn = document.getElementById('archive-confirm-btn');
+        const cancelBtn = document.getElementById('archive-cancel-btn');
+        const errorDiv = document.getElementById('archive-role-error');
+
+        errorDiv.style.display = 'none';
+        confirmBtn.disabled = true;
+        confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Archiving...';
+        cancelBtn.disabled = true;
+
+        try {
+            await API.patch(Config.ENDPOINTS.ROLE.BATCH_SOFT_DELETE, [this.roleToArchive.id]);
+
+            this.archiveModal.hide();
+            this.showSuccessToast(`Role "${this.roleToArchive.name}" archived successfully`);
+            this.roleToArchive = null;
+
+            await this.loadRoles();
+
+        } catch (error) {
+            console.error('Failed to archive role:', error);
+            errorDiv.textContent = error.message || 'Failed to archive role. Please try again.';
+            errorDiv.style.display = 'block';
+
+        } finally {
+            confirmBtn.disabled = false;
+            confirmBtn.innerHTML = '<i class="fas fa-archive me-1"></i>Archive Role';
+            cancelBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Show restore confirmation modal for an archived role
+     * @param {number} roleId - ID of role to restore
+     */
+    showRestoreConfirmation(roleId) {
+        const role = this.allRoles.find(r => r.id === roleId);
+        if (!role) {
+            console.error('Role not found:', roleId);
+            return;
+        }
+
+        this.roleToRestore = { id: roleId, name: role.name || `Role #${roleId}` };
+
+        document.getElementById('restore-role-name').textContent = this.roleToRestore.name;
+        document.getElementById('restore-role-error').style.display = 'none';
+
+        if (!this.restoreModal) {
+            this.restoreModal = new bootstrap.Modal(document.getElementById('restoreRoleModal'));
+        }
+        this.restoreModal.show();
+    },
+
+    /**
+     * Restore an archived role
+     *
+     * ENDPOINT: PATCH /api/v1/role/restore with [roleId]
+     */
+    async restoreRole() {
+        if (!this.roleToRestore) {
+            console.error('No role selected for restoration');
+            return;
+        }
+
+        const confirmBtn = document.getElementById('restore-confirm-btn');
+        const cancelBtn = document.getElementById('restore-cancel-btn');
+        const errorDiv = document.getElementById('restore-role-error');
+
+        errorDiv.style.display = 'none';
+        confirmBtn.disabled = true;
+        confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Restoring...';
+        cancelBtn.disabled = true;
+
+        try {
+            await API.patch(Config.ENDPOINTS.ROLE.BATCH_RESTORE, [this.roleToRestore.id]);
+
+            this.restoreModal.hide();
+            this.showSuccessToast(`Role "${this.roleToRestore.name}" restored successfully`);
+            this.roleToRestore = null;
+
+            await this.loadRoles();
+
+        } catch (error) {
+            console.error('Failed to restore role:', error);
+            errorDiv.textContent = error.message || 'Failed to restore role. Please try again.';
+            errorDiv.style.display = 'block';
+
+        } finally {
+            confirmBtn.disabled = false;
+            confirmBtn.innerHTML = '<i class="fas fa-undo me-1"></i>Restore Role';
+            cancelBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Toggle between active and archived roles
+     */
+    async toggleArchivedView() {
+        this.showingArchived = document.getElementById('show-archived-toggle').checked;
+        await this.loadRoles();
+    },
+
+    /**
+     * Show success toast notification
+     * @param {string} message - Success message to display
+     */
+    showSuccessToast(message) {
+        const toastElement = document.getElementById('successToast');
+        if (!toastElement) return;
+
+        toastElement.querySelector('.toast-body').innerHTML = `
+            <i class="fas fa-check-circle me-2"></i>${this.escapeHtml(message)}
+        `;
+
+        bootstrap.Toast.getOrCreateInstance(toastElement, {
+            autohide: true,
+            delay: 3000
+        }).show();
+    }
+};
+
+// Initialize roles page when DOM is ready
+document.addEventListener('DOMContentLoaded', async function() {
+    // Display logged-in user name
+    const userNameElement = document.getElementById('user-name');
+    if (userNameElement) {
+        const user = Auth.getUser();
+        let displayName = user && (user.full_name || user.username);
+
+        if (!displayName) {
+            const token = Auth.getToken();
+            const payload = token ? Auth.decodeJWT(token) : null;
+            if (payload) {
+                displayName = payload.name || payload.username || payload.sub || payload.email;
+            }
+        }
+
+        userNameElement.textContent = displayName || 'User';
+    }
+
+    // Admin pages are limited to admin roles - redirects otherwise
+    if (!(await Permissions.requirePermission('admin.access'))) {
+        return;
+    }
+
+    RolesPage.formValidator = new FormValidator();
+    RolesPage.setupEventListeners();
+
+    await RolesPage.loadRoles();
+});
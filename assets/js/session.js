@@ -0,0 +1,368 @@
+/**
+ * LeadsEngine Session Module
+ * Token expiry awareness and in-place session renewal
+ *
+ * FEATURES:
+ * - Reads the JWT exp claim (via Auth) and warns before the session expires
+ * - Re-login dialog that keeps the current page (no redirect, no lost edits)
+ * - Queues API calls that fail with 401 and retries them after re-login
+ *
+ * Flow:
+ *   1. Session.init() schedules a warning SESSION_WARNING_TIME before exp
+ *      and opens the re-login dialog when the token expires
+ *   2. API.request hands 401 responses to Session.queueRequest(), which
+ *      returns a promise that settles with the retried request
+ *   3. After a successful Auth.login() every queued request is replayed
+ *      in order; if the user signs out instead they are all rejected
+ *
+ * @module Session
+ */
+
+const Session = {
+    // Timer handles for warning and expiry
+    warningTimer: null,
+    expiryTimer: null,
+
+    // Longest delay setTimeout accepts (2^31-1 ms, ~24.8 days) - longer ones fire at once
+    MAX_TIMER_DELAY: 2147483647,
+
+    // Requests waiting for re-login: [{retry, resolve, reject}]
+    pendingRequests: [],
+
+    // Re-login dialog state
+    reloginModal: null,
+    reloginOpen: false,
+
+    /**
+     * Start watching the current token's expiry
+     * Re-schedules whenever a new token is issued (auth:changed)
+     */
+    init() {
+        this.scheduleExpiryChecks();
+
+        Bus.subscribe('auth:changed', (data) => {
+            if (data && data.authenticated) {
+                this.scheduleExpiryChecks();
+            } else {
+                this.clearTimers();
+            }
+        });
+    },
+
+    /**
+     * Schedule the expiry warning and the expiry dialog for the current token
+     */
+    scheduleExpiryChecks() {
+        this.clearTimers();
+
+        const timeLeft = Auth.getTimeUntilExpiry();
+
+        // No token or no exp claim - nothing to watch
+        if (timeLeft === null) {
+            return;
+        }
+
+        if (timeLeft <= 0) {
+            console.warn('Session token already expired');
+            this.requestRelogin();
+            return;
+        }
+
+        console.log(`Session expires in ${Math.round(timeLeft / 1000)}s`);
+
+        const warnIn = timeLeft - Config.SESSION_WARNING_TIME;
+        if (warnIn > 0) {
+            this.startTimer('warningTimer', warnIn, () => this.showExpiryWarning());
+        } else {
+            this.showExpiryWarning();
+        }
+
+        this.startTimer('expiryTimer', timeLeft, () => {
+            console.warn('Session token expired');
+            this.requestRelogin();
+        });
+    },
+
+    /**
+     * Run a callback after a delay that may exceed MAX_TIMER_DELAY
+     * Long delays wait in clamped steps, re-arming until the full delay has passed
+     * @param {string} name - Timer handle property ('warningTimer' or 'expiryTimer')
+     * @param {number} delay - Delay in milliseconds
+     * @param {Function} callback - Called once the delay has passed
+     */
+    startTimer(name, delay, callback) {
+        const step = Math.min(delay, this.MAX_TIMER_DELAY);
+
+        this[name] = setTimeout(() => {
+            if (delay > step) {
+                this.startTimer(name, delay - step, callback);
+            } else {
+                callback();
+            }
+        }, step);
+    },
+
+    /**
+     * Clear pending warning/expiry timers
+     */
+    clearTimers() {
+        clearTimeout(this.warningTimer);
+        clearTimeout(this.expiryTimer);
+        this.warningTimer = null;
+        this.expiryTimer = null;
+    },
+
+    /**
+     * Show a toast warning that the session is about to expire
+     * Offers to renew now via the re-login dialog
+     */
+    showExpiryWarning() {
+        const timeLeft = Auth.getTimeUntilExpiry();
+        if (timeLeft === null || timeLeft <= 0) {
+            return;
+        }
+
+        const minutes = Math.max(1, Math.round(timeLeft / 60000));
+
+        let toastElement = document.getElementById('sessionWarningToast');
+        if (!toastElement) {
+            const container = document.createElement('div');
+            container.className = 'toast-container position-fixed top-0 end-0 p-3';
+            container.style.zIndex = '1090';
+            container.innerHTML = `
+                <div id="sessionWarningToast" class="toast border-warning" role="alert" data-bs-autohide="false">
+                    <div class="toast-header bg-warning text-dark">
+                        <i class="fas fa-clock me-2"></i>
+                        <strong class="me-auto">Session expiring</strong>
+                        <button type="button" class="btn-close" data-bs-dismiss="toast"></button>
+                    </div>
+                    <div class="toast-body">
+                        <div class="mb-2" id="sessionWarningText"></div>
+                        <button type="button" class="btn btn-sm btn-warning" id="sessionRenewBtn">
+                            <i class="fas fa-sign-in-alt me-1"></i>Stay signed in
+                        </button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(container);
+            toastElement = document.getElementById('sessionWarningToast');
+
+            document.getElementById('sessionRenewBtn').addEventListener('click', () => {
+                bootstrap.Toast.getOrCreateInstance(toastElement).hide();
+                this.requestRelogin();
+            });
+        }
+
+        document.getElementById('sessionWarningText').textContent =
+            `Your session will expire in about ${minutes} minute${minutes === 1 ? '' : 's'}. Sign in again to keep working without losing changes.`;
+
+        bootstrap.Toast.getOrCreateInstance(toastElement).show();
+    },
+
+    /**
+     * Queue a request that failed with 401 and open the re-login dialog
+     * @param {Function} retry - Function that re-issues the request and returns a promise
+     * @returns {Promise<object>} Settles with the retried request's result
+     */
+    queueRequest(retry) {
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.push({ retry, resolve, reject });
+            console.log(`Queued request for retry after re-login (${this.pendingRequests.length} pending)`);
+            this.requestRelogin();
+        });
+    },
+
+    /**
+     * Replay queued requests after a successful re-login
+     */
+    flushQueue() {
+        const queued = this.pendingRequests;
+        this.pendingRequests = [];
+
+        console.log(`Retrying ${queued.length} queued request(s)`);
+
+        queued.forEach(({ retry, resolve, reject }) => {
+            retry().then(resolve).catch(reject);
+        });
+    },
+
+    /**
+     * Reject all queued requests (user signed out instead of re-authenticating)
+     * @param {Error} error - Error to reject with
+     */
+    rejectQueue(error) {
+        const queued = this.pendingRequests;
+        this.pendingRequests = [];
+        queued.forEach(({ reject }) => reject(error));
+    },
+
+    /**
+     * Get the username to pre-fill in the re-login dialog
+     * @returns {string} Username/email of the current session, or empty string
+     */
+    getSessionUsername() {
+        const user = Auth.getUser();
+        if (user && (user.email || user.username)) {
+            return user.email || user.username;
+        }
+
+        const token = Auth.getToken();
+        const payload = token ? Auth.decodeJWT(token) : null;
+        return payload ? (payload.email || payload.sub || payload.username || '') : '';
+    },
+
+    /**
+     * Open the re-login dialog (no-op if already open)
+     */
+    requestRelogin() {
+        if (this.reloginOpen) {
+            return;
+        }
+
+        this.reloginOpen = true;
+        this.clearTimers();
+        this.ensureReloginModal();
+
+        const username = this.getSessionUsername();
+        const usernameInput = document.getElementById('relogin-username');
+        usernameInput.value = username;
+        usernameInput.readOnly = !!username;
+        document.getElementById('relogin-password').value = '';
+        document.getElementById('relogin-error').style.display = 'none';
+
+        this.reloginModal.show();
+    },
+
+    /**
+     * Create the re-login modal markup once per page
+     */
+    ensureReloginModal() {
+        if (this.reloginModal) {
+            return;
+        }
+
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = `
+            <div class="modal fade" id="sessionReloginModal" tabindex="-1" data-bs-backdrop="static" data-bs-keyboard="false">
+                <div class="modal-dialog modal-dialog-centered">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title">
+                                <i class="fas fa-lock me-2"></i>
+                                Session Expired
+                            </h5>
+                        </div>
+                        <div class="modal-body">
+                            <p class="text-muted">
+                                Your session has expired. Sign in again to continue &mdash; you will stay on this page and any pending changes will be saved.
+                            </p>
+                            <div class="alert alert-danger" id="relogin-error" style="display: none;"></div>
+                            <form id="reloginForm">
+                                <div class="mb-3">
+                                    <label for="relogin-username" class="form-label">Email</label>
+                                    <input type="email" class="form-control" id="relogin-username" autocomplete="username">
+                                </div>
+                                <div class="mb-3">
+                                    <label for="relogin-password" class="form-label">Password</label>
+                                    <input type="password" class="form-control" id="relogin-password" autocomplete="current-password">
+                                </div>
+                            </form>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-outline-secondary" id="relogin-logout-btn">
+                                <i class="fas fa-sign-out-alt me-1"></i>Sign out
+                            </button>
+                            <button type="button" class="btn btn-primary" id="relogin-submit-btn">
+                                <i class="fas fa-sign-in-alt me-1"></i>Sign in
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(wrapper.firstElementChild);
+
+        const modalElement = document.getElementById('sessionReloginModal');
+        this.reloginModal = new bootstrap.Modal(modalElement);
+
+        document.getElementById('reloginForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitRelogin();
+        });
+
+        document.getElementById('relogin-password').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.submitRelogin();
+            }
+        });
+
+        document.getElementById('relogin-submit-btn').addEventListener('click', () => {
+            this.submitRelogin();
+        });
+
+        document.getElementById('relogin-logout-btn').addEventListener('click', () => {
+            this.rejectQueue(new Error('Unauthorized'));
+            Auth.logout();
+        });
+    },
+
+    /**
+     * Submit the re-login form
+     * On success: close dialog, reschedule expiry checks, restore permissions,
+     * replay queued requests.
+     * If a different user signs in, the page is reloaded instead of replaying.
+     */
+    async submitRelogin() {
+        const username = document.getElementById('relogin-username').value.trim();
+        const password = document.getElementById('relogin-password').value;
+        const errorDiv = document.getElementById('relogin-error');
+        const submitBtn = document.getElementById('relogin-submit-btn');
+
+        if (!username || !password) {
+            errorDiv.textContent = 'Please enter both email and password';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
+        const previousUserId = Auth.getUserId();
+
+        errorDiv.style.display = 'none';
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Signing in...';
+
+        try {
+            await Auth.login(username, password);
+
+            this.reloginModal.hide();
+            this.reloginOpen = false;
+
+            // Different account - queued requests belong to the old session
+            if (previousUserId && Auth.getUserId() !== previousUserId) {
+                this.rejectQueue(new Error('Signed in as a different user'));
+                window.location.reload();
+                return;
+            }
+
+            // Auth.login() clears the cached roles - resolve them again
+            // before replaying so permission checks don't deny everything
+            await Permissions.init();
+
+            this.flushQueue();
+
+        } catch (error) {
+            console.error('Re-login failed:', error);
+            errorDiv.textContent = error.message || 'Sign in failed. Please check your credentials and try again.';
+            errorDiv.style.display = 'block';
+
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.innerHTML = '<i class="fas fa-sign-in-alt me-1"></i>Sign in';
+        }
+    }
+};
+
+// Start watching the session on every protected page
+document.addEventListener('DOMContentLoaded', () => {
+    Session.init();
+});
@@ -0,0 +1,520 @@
+/**
+ * LeadsEngine Pipeline (Lead Status) Admin Page
+ * Maps each lead status onto a pipeline stage with a color and sort order
+ *
+ * FEATURES:
+ * - Status list in pipeline order with stage, color and badge preview
+ * - Stage summary (how many statuses feed Open / Working / Won / Lost)
+ * - Create/edit status modal with real-time validation (FormValidator)
+ * - Delete status (hard delete - the backend rejects statuses still in use)
+ * - Changes drop the shared statuses cache (Bus 'referencedata:invalidate')
+ *   so badges, filters, the dashboard and reports pick them up
+ *
+ * ============================================================================
+ * VERIFIED ENDPOINTS USED IN THIS FILE:
+ * ----------------------------------------------------------------------------
+ * GET    /api/v1/leadstatus/                 - List statuses
+ * GET    /api/v1/leadstatus/{id}             - Get single status
+ * POST   /api/v1/leadstatus/                 - Create status
+ * PUT    /api/v1/leadstatus/{id}             - Update status
+ * DELETE /api/v1/leadstatus/{id}/hard-delete - Delete status
+ * ============================================================================
+ *
+ * PAYLOAD NOTES:
+ * Statuses are sent as {name, slug, pipeline_stage, color, sort_order}.
+ * color is '#rrggbb' or null (null = use the stage color). Statuses saved
+ * before this page existed have no pipeline_stage; PipelineStages falls back
+ * to Config.STATUS_STAGES for those.
+ */
+
+const StatusesPage = {
+    allStatuses: [],
+
+    // Modal state
+    statusToEdit: null,
+    statusToDelete: null,
+
+    // Form validator instance (centralized validation module)
+    formValidator: null,
+
+    /**
+     * Validation rules for the status form
+     * Keys match the input name attributes in statuses.html
+     */
+    statusRules: {
+        name: { required: true, minLength: 2, label: 'Name' },
+        pipeline_stage: { required: true, label: 'Pipeline Stage' }
+    },
+
+    /**
+     * Load statuses and render the table
+     */
+    async loadStatuses() {
+        try {
+            this.showLoadingState();
+
+            const response = await LeadStatusClient.list();
+            this.allStatuses = PipelineStages.sortStatuses(response.records || []);
+
+            this.populateTable(this.allStatuses);
+            this.renderStageSummary();
+            this.hideLoadingState();
+
+        } catch (error) {
+            console.error('Failed to load statuses:', error);
+            this.hideLoadingState();
+            this.showError('Failed to load statuses. Please refresh the page.');
+        }
+    },
+
+    /**
+     * Populate table with status rows
+     * @param {Array} statuses - Status records in pipeline order
+     */
+    populateTable(statuses) {
+        const tbody = document.querySelector('#statusesTable tbody');
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+
+        if (statuses.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="text-center py-5">
+                        <i class="fas fa-inbox fa-3x text-muted mb-3"></i>
+                        <div class="text-muted">No statuses found</div>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        statuses.forEach(status => {
+            tbody.appendChild(this.createStatusRow(status));
+        });
+    },
+
+    /**
+     * Create a table row for a status
+     * @param {Object} status - Status record
+     * @returns {HTMLElement} Table row element
+     */
+    createStatusRow(status) {
+        const tr = document.createElement('tr');
+        tr.setAttribute('data-status-id', status.id || '');
+
+        const stage = PipelineStages.STAGES[PipelineStages.getStage(status)];
+        const color = PipelineStages.getColor(status);
+        const stageIsOwn = PipelineStages.isStage(status.pipeline_stage || status.stage);
+
+        tr.innerHTML = `
+            <td>${typeof status.sort_order === 'number' ? status.sort_order : '<span class="text-muted">—</span>'}</td>
+            <td>${this.createStatusBadge(status)}</td>
+            <td>${status.slug ? `<code>${this.escapeHtml(status.slug)}</code>` : '<span class="text-muted">—</span>'}</td>
+            <td>
+                <span class="badge ${stage.badgeClass}"><i class="fas ${stage.icon} me-1"></i>${stage.label}</span>
+                ${stageIsOwn ? '' : '<small class="text-muted ms-1" title="Not saved on the status - from the default mapping">(default)</small>'}
+            </td>
+            <td>
+                ${color ? `
+                    <span class="status-color-swatch" style="background: ${color};"></span>
+                    <code>${color}</code>
+                ` : '<span class="text-muted">Stage color</span>'}
+            </td>
+            <td>
+                <div class="btn-group" role="group">
+                    <button class="btn btn-sm btn-outline-secondary edit-status-btn"
+                            data-status-id="${status.id}"
+                            title="Edit Status">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger delete-status-btn"
+                            data-status-id="${status.id}"
+                            title="Delete Status">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </td>
+        `;
+
+        return tr;
+    },
+
+    /**
+     * Status badge as it appears on the leads page
+     * @param {Object} status - Status record
+     * @returns {String} Badge HTML
+     */
+    createStatusBadge(status) {
+        const badge = PipelineStages.getBadgeStyle(status);
+        return `<span class="badge ${badge.className}" style="${badge.style}">${this.escapeHtml(status.name || status.slug || `Status ${status.id}`)}</span>`;
+    },
+
+    /**
+     * Render the per-stage summary above the table
+     */
+    renderStageSummary() {
+        const container = document.getElementById('stage-summary');
+        if (!container) return;
+
+        container.innerHTML = Object.keys(PipelineStages.STAGES).map(stageKey => {
+            const stage = PipelineStages.STAGES[stageKey];
+            const statuses = this.allStatuses.filter(status => PipelineStages.getStage(status) === stageKey);
+
+            return `
+                <div class="col-md-3 mb-3">
+                    <div class="border rounded p-3 h-100">
+                        <div class="d-flex justify-content-between align-items-center mb-2">
+                            <span class="badge ${stage.badgeClass}"><i class="fas ${stage.icon} me-1"></i>${stage.label}</span>
+                            <span class="text-muted small">${statuses.length} status${statuses.length === 1 ? '' : 'es'}</span>
+                        </div>
+                        <div class="d-flex flex-wrap gap-1">
+                            ${statuses.length > 0
+                                ? statuses.map(status => this.createStatusBadge(status)).join('')
+                                : '<span class="text-muted small">None</span>'}
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {String} text - Text to escape
+     * @returns {String} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    },
+
+    /**
+     * Lower-case, hyphenated slug from a name ("Follow Up" -> "follow-up")
+     * @param {string} name - Status name
+     * @returns {string}
+     */
+    slugify(name) {
+        return String(name || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    },
+
+    /**
+     * Show loading state
+     */
+    showLoadingState() {
+        document.getElementById('loadingState').style.display = 'block';
+        document.getElementById('errorState').style.display = 'none';
+        document.getElementById('statusesTable').style.display = 'none';
+    },
+
+    /**
+     * Hide loading state
+     */
+    hideLoadingState() {
+        document.getElementById('loadingState').style.display = 'none';
+        document.getElementById('statusesTable').style.display = '';
+    },
+
+    /**
+     * Show error message above the table
+     * @param {String} message - Error message
+     */
+    showError(message) {
+        document.getElementById('errorMessage').textContent = message;
+        document.getElementById('errorState').style.display = 'block';
+    },
+
+    /**
+     * Show a message in a form's error summary box
+     * @param {string} summaryId - Error summary element ID
+     * @param {string} message - Error message
+     */
+    showFormError(summaryId, message) {
+        const summaryDiv = document.getElementById(summaryId);
+        if (!summaryDiv) return;
+
+        summaryDiv.innerHTML = `
+            <i class="fas fa-exclamation-triangle me-2"></i>
+            ${this.escapeHtml(message)}
+        `;
+        summaryDiv.style.display = 'block';
+    },
+
+    /**
+     * Setup event listeners for status actions
+     */
+    setupEventListeners() {
+        // Delegate click events for dynamically created buttons
+        document.addEventListener('click', (e) => {
+            const editButton = e.target.closest('.edit-status-btn');
+            if (editButton) {
+                this.showStatusModal(this.allStatuses.find(s => s.id === parseInt(editButton.getAttribute('data-status-id'))));
+            }
+
+            const deleteButton = e.target.closest('.delete-status-btn');
+            if (deleteButton) {
+                this.showDeleteConfirmation(parseInt(deleteButton.getAttribute('data-status-id')));
+            }
+        });
+
+        // Stage options from the shared stage definitions
+        document.getElementById('status-stage').innerHTML = `
+            <option value="">-- Select Stage --</option>
+            ${Object.keys(PipelineStages.STAGES).map(stage => `<option value="${stage}">${PipelineStages.STAGES[stage].label}</option>`).join('')}
+        `;
+
+        // Suggest a slug while creating (editing keeps the existing slug)
+        $('#status-name').on('input', () => {
+            if (!this.statusToEdit && !$('#status-slug').data('edited')) {
+                $('#status-slug').val(this.slugify($('#status-name').val()));
+            }
+        });
+        $('#status-slug').on('input', function() {
+            $(this).data('edited', true);
+        });
+
+        // "Use stage color" clears the custom color
+        $('#status-use-stage-color').on('change', function() {
+            $('#status-color').prop('disabled', $(this).is(':checked'));
+            StatusesPage.updatePreview();
+        });
+
+        $('#status-name, #status-stage, #status-color').on('input change', () => this.updatePreview());
+
+        this.formValidator.setupValidation('statusForm', this.statusRules, {
+            errorSummaryId: 'status-error-summary'
+        });
+    },
+
+    /**
+     * Open the status modal to create (no status) or edit a status
+     * @param {Object|null} status - Status to edit
+     */
+    showStatusModal(status = null) {
+        this.statusToEdit = status || null;
+
+        document.getElementById('statusForm').reset();
+        this.formValidator.clearValidation('statusForm');
+        document.getElementById('status-error-summary').style.display = 'none';
+        $('#status-slug').data('edited', false);
+
+        document.getElementById('statusModalLabel').innerHTML = `
+            <i class="fas ${status ? 'fa-edit' : 'fa-plus'} me-2"></i>${status ? 'Edit Status' : 'New Status'}
+        `;
+
+        const color = status ? PipelineStages.getColor(status) : null;
+        const nextOrder = this.allStatuses.reduce((max, s) => Math.max(max, typeof s.sort_order === 'number' ? s.sort_order : 0), 0) + 1;
+
+        $('#status-name').val(status ? status.name || '' : '');
+        $('#status-slug').val(status ? status.slug || '' : '');
+        $('#status-stage').val(status ? PipelineStages.getStage(status) : '');
+        $('#status-sort-order').val(status && typeof status.sort_order === 'number' ? status.sort_order : nextOrder);
+        $('#status-use-stage-color').prop('checked', !color);
+        $('#status-color').val(color || '#6b7280').prop('disabled', !color);
+
+        this.updatePreview();
+
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('statusModal')).show();
+    },
+
+    /**
+     * Read the status form
+     * @returns {Object} {name, slug, pipeline_stage, color, sort_order}
+     */
+    readForm() {
+        const name = $('#status-name').val().trim();
+        const sortOrder = parseInt($('#status-sort-order').val());
+
+        return {
+            name: name,
+            slug: $('#status-slug').val().trim() || this.slugify(name),
+            pipeline_stage: $('#status-stage').val() || null,
+            color: $('#status-use-stage-color').is(':checked') ? null : $('#status-color').val(),
+            sort_order: isNaN(sortOrder) ? null : sortOrder
+        };
+    },
+
+    /**
+     * Show the badge as it will look on the leads page
+     */
+    updatePreview() {
+        const form = this.readForm();
+        document.getElementById('status-preview').innerHTML = this.createStatusBadge({
+            ...form,
+            name: form.name || 'Status'
+        });
+    },
+
+    /**
+     * Create or update a status from the status modal
+     *
+     * ENDPOINTS: POST /api/v1/leadstatus/ | PUT /api/v1/leadstatus/{id}
+     * The PUT endpoint requires the full record, so the current status is
+     * fetched first and only the edited fields are overridden.
+     */
+    async saveStatus() {
+        const isValid = this.formValidator.validateForm('statusForm', this.statusRules, {
+            errorSummaryId: 'status-error-summary'
+        });
+
+        if (!isValid) {
+            return;
+        }
+
+        const saveBtn = document.getElementById('status-save-btn');
+        const form = this.readForm();
+
+        try {
+            saveBtn.disabled = true;
+            saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Saving...';
+
+            if (this.statusToEdit) {
+                const statusId = this.statusToEdit.id;
+                const statusResponse = await LeadStatusClient.read(statusId);
+                const currentStatus = statusResponse.records && statusResponse.records[0] ? statusResponse.records[0] : statusResponse;
+
+                const payload = { ...currentStatus, ...form };
+
+                // Remove computed fields that shouldn't be in PUT
+                delete payload.created_at;
+                delete payload.updated_at;
+                delete payload.deleted_at;
+
+                await LeadStatusClient.update(statusId, payload);
+            } else {
+                await LeadStatusClient.create(form);
+            }
+
+            bootstrap.Modal.getInstance(document.getElementById('statusModal')).hide();
+            this.showSuccessToast(`Status "${form.name}" ${this.statusToEdit ? 'updated' : 'created'} successfully`);
+            this.statusToEdit = null;
+
+            // Badges, filters, dashboard and reports read statuses from the shared cache
+            Bus.publish('referencedata:invalidate', { name: 'statuses' });
+
+            await this.loadStatuses();
+
+        } catch (error) {
+            console.error('Failed to save status:', error);
+            if (!this.formValidator.applyServerErrors('statusForm', error, { errorSummaryId: 'status-error-summary' })) {
+                this.showFormError('status-error-summary', error.message || 'Failed to save status. Please try again.');
+            }
+
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.innerHTML = '<i class="fas fa-save me-1"></i>Save Status';
+        }
+    },
+
+    /**
+     * Show delete confirmation modal for a status
+     * @param {number} statusId - ID of status to delete
+     */
+    showDeleteConfirmation(statusId) {
+        const status = this.allStatuses.find(s => s.id === statusId);
+        if (!status) {
+            console.error('Status not found:', statusId);
+            return;
+        }
+
+        this.statusToDelete = { id: statusId, name: status.name || `Status #${statusId}` };
+
+        document.getElementById('delete-status-name').textContent = this.statusToDelete.name;
+        document.getElementById('delete-status-error').style.display = 'none';
+
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('deleteStatusModal')).show();
+    },
+
+    /**
+     * Delete a status
+     *
+     * ENDPOINT: DELETE /api/v1/leadstatus/{id}/hard-delete
+     */
+    async deleteStatus() {
+        if (!this.statusToDelete) {
+            console.error('No status selected for deletion');
+            return;
+        }
+
+        const confirmBtn = document.getElementById('delete-status-confirm-btn');
+        const cancelBtn = document.getElementById('delete-status-cancel-btn');
+        const errorDiv = document.getElementById('delete-status-error');
+
+        errorDiv.style.display = 'none';
+        confirmBtn.disabled = true;
+        confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Deleting...';
+        cancelBtn.disabled = true;
+
+        try {
+            await LeadStatusClient.hardDelete(this.statusToDelete.id);
+
+            bootstrap.Modal.getInstance(document.getElementById('deleteStatusModal')).hide();
+            this.showSuccessToast(`Status "${this.statusToDelete.name}" deleted`);
+            this.statusToDelete = null;
+
+            Bus.publish('referencedata:invalidate', { name: 'statuses' });
+
+            await this.loadStatuses();
+
+        } catch (error) {
+            console.error('Failed to delete status:', error);
+            errorDiv.textContent = error.message || 'Failed to delete status. It may still be used by leads.';
+            errorDiv.style.display = 'block';
+
+        } finally {
+            confirmBtn.disabled = false;
+            confirmBtn.innerHTML = '<i class="fas fa-trash me-1"></i>Delete Status';
+            cancelBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Show success toast notification
+     * @param {string} message - Success message to display
+     */
+    showSuccessToast(message) {
+        const toastElement = document.getElementById('successToast');
+        if (!toastElement) return;
+
+        toastElement.querySelector('.toast-body').innerHTML = `
+            <i class="fas fa-check-circle me-2"></i>${this.escapeHtml(message)}
+        `;
+
+        bootstrap.Toast.getOrCreateInstance(toastElement, {
+            autohide: true,
+            delay: 3000
+        }).show();
+    }
+};
+
+// Initialize statuses page when DOM is ready
+document.addEventListener('DOMContentLoaded', async function() {
+    // Display logged-in user name
+    const userNameElement = document.getElementById('user-name');
+    if (userNameElement) {
+        const user = Auth.getUser();
+        let displayName = user && (user.full_name || user.username);
+
+        if (!displayName) {
+            const token = Auth.getToken();
+            const payload = token ? Auth.decodeJWT(token) : null;
+            if (payload) {
+                displayName = payload.name || payload.username || payload.sub || payload.email;
+            }
+        }
+
+        userNameElement.textContent = displayName || 'User';
+    }
+
+    // Admin pages are limited to admin roles - redirects otherwise
+    if (!(await Permissions.requirePermission('admin.access'))) {
+        return;
+    }
+
+    StatusesPage.formValidator = new FormValidator();
+    StatusesPage.setupEventListeners();
+
+    await StatusesPage.loadStatuses();
+});
@@ -7,6 +7,7 @@
  * - Visual feedback with icons (checkmark/X)
  * - Error messages with format examples
  * - Field-level and form-level validation
+ * - Server-side (FastAPI 422) errors mapped onto form fields
  * - Reusable across multiple pages
  *
  * Usage:
@@ -228,11 +229,18 @@ class FormValidator {
             const fieldNames = {
                 'firstName': 'First Name',
                 'lastName': 'Last Name',
+                'first_name': 'First Name',
+                'last_name': 'Last Name',
                 'email': 'Email format',
                 'phone': 'Phone number',
                 'status': 'Status',
                 'source': 'Source',
-                'emailOrPhone': 'Email or Phone'
+                'status_id': 'Status',
+                'source_id': 'Source',
+                'emailOrPhone': 'Email or Phone',
+                'full_name': 'Full Name',
+                'password': 'Password',
+                'name': 'Name'
             };
             const fieldList = errorKeys.map(key => fieldNames[key] || key).join(', ');
             summaryDiv.innerHTML = `
@@ -386,6 +394,93 @@ class FormValidator {
         return isValid;
     }
 
+    /**
+     * Show server-side validation errors (FastAPI 422 detail[]) on form fields
+     *
+     * Each entry's field (last named segment of loc) is matched to a form field by:
+     *   1. options.fieldMap[field] - CSS selector within the form
+     *   2. [name="field"]
+     *   3. #{options.idPrefix}-{field with _ replaced by -} (e.g. #add-budget-band)
+     * Entries that match no field are listed in the error summary.
+     *
+     * @param {string} formId - Form ID
+     * @param {ApiError|Array} errorOrDetail - ApiError or parsed detail[] array
+     * @param {Object} options - errorSummaryId, fieldMap, idPrefix
+     * @returns {boolean} True if any server errors were shown
+     */
+    applyServerErrors(formId, errorOrDetail, options = {}) {
+        const form = document.getElementById(formId);
+        if (!form) return false;
+
+        const detail = Array.isArray(errorOrDetail) ? errorOrDetail : (errorOrDetail && errorOrDetail.detail) || [];
+        if (!Array.isArray(detail) || detail.length === 0) {
+            return false;
+        }
+
+        if (!this.validationErrors[formId]) {
+            this.validationErrors[formId] = {};
+        }
+
+        const fieldMap = options.fieldMap || {};
+        const unmatched = [];
+
+        detail.forEach(entry => {
+            const key = entry.field;
+            let field = null;
+
+            if (key) {
+                if (fieldMap[key]) {
+                    field = form.querySelector(fieldMap[key]);
+                }
+                if (!field) {
+                    field = form.querySelector(`[name="${key}"]`);
+                }
+                if (!field && options.idPrefix) {
+                    field = form.querySelector(`#${options.idPrefix}-${key.replace(/_/g, '-')}`);
+                }
+            }
+
+            if (!field) {
+                unmatched.push(key ? `${key}: ${entry.msg}` : entry.msg);
+                return;
+            }
+
+            console.log(`FormValidator: Server error on ${key}:`, entry.msg);
+
+            field.classList.remove('is-valid');
+            field.classList.add('is-invalid');
+            this.showFieldError(field, entry.msg);
+            this.showFieldIcon(field, 'invalid');
+            this.validationErrors[formId][key] = entry.msg;
+        });
+
+        if (options.errorSummaryId) {
+            this.updateErrorSummary(formId, options.errorSummaryId);
+
+            // Errors with no matching field are listed under the summary
+            const summaryDiv = document.getElementById(options.errorSummaryId);
+            if (summaryDiv && unmatched.length > 0) {
+                const list = document.createElement('ul');
+                list.className = 'mb-0 mt-2';
+                unmatched.forEach(message => {
+                    const item = document.createElement('li');
+                    item.textContent = message;
+                    list.appendChild(item);
+                });
+                summaryDiv.appendChild(list);
+                summaryDiv.style.display = 'block';
+            }
+        }
+
+        // Focus first invalid field
+        const firstInvalid = form.querySelector('.is-invalid');
+        if (firstInvalid) {
+            firstInvalid.focus();
+        }
+
+        return true;
+    }
+
     /**
      * Clear all validation for a form
      */
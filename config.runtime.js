@@ -0,0 +1,11 @@
+/**
+ * LeadsEngine runtime configuration
+ *
+ * Generated at deploy time - each environment replaces this file with one that
+ * sets window.__LEADSENGINE_CONFIG__ (settings: see config.example.json), e.g.
+ *
+ *   echo "window.__LEADSENGINE_CONFIG__ = $(cat config.json);" > config.runtime.js
+ *
+ * Loaded before assets/js/config.js on every page. This checked-in copy sets
+ * nothing, so the defaults in config.js apply (local development).
+ */
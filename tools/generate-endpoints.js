@@ -0,0 +1,652 @@
+#!/usr/bin/env node
+/**
+ * LeadsEngine Endpoint Generator
+ * Builds Config.ENDPOINTS and the resource clients from the backend route list
+ *
+ * Sources (read offline, no network access):
+ *   - endpoints.md (default)            - the route table kept in the repo
+ *   - --openapi <file.json>             - the backend's OpenAPI document
+ *                                         (also rewrites endpoints.md from it)
+ *
+ * Outputs:
+ *   - assets/js/config.js   - the ENDPOINTS block between the generated markers
+ *   - assets/js/clients.js  - LeadClient, UserClient, LeadNoteClient, ...
+ *
+ * Usage:
+ *   node tools/generate-endpoints.js                         # regenerate from endpoints.md
+ *   node tools/generate-endpoints.js --openapi openapi.json  # regenerate from OpenAPI
+ *   node tools/generate-endpoints.js --check                 # drift check, writes nothing
+ *
+ * --check exits with status 1 when:
+ *   - config.js or clients.js are out of date with the spec
+ *   - frontend code uses an endpoint key or a hard-coded /api/ path the spec lacks
+ *   - with --openapi: routes differ between the OpenAPI document and endpoints.md
+ * Routes listed in EXTRA_ROUTES are kept in the map but always reported.
+ *
+ * Key naming (per resource, path relative to /api/v1/<resource>):
+ *   ''                 GET -> LIST, POST -> CREATE
+ *   'with-relationships'   -> WITH_RELATIONSHIPS
+ *   '{id}'             GET -> READ, PUT/PATCH -> UPDATE, DELETE -> DELETE
+ *   '{id}/hard-delete'     -> HARD_DELETE
+ *   'activate' etc.        -> BATCH_ACTIVATE, BATCH_DEACTIVATE, BATCH_SOFT_DELETE, BATCH_RESTORE
+ *   anything else          -> literal segments joined with _ ('{id}/sla/check' -> SLA_CHECK)
+ * Irregular routes are named in KEY_OVERRIDES.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const ENDPOINTS_MD = path.join(ROOT, 'endpoints.md');
+const CONFIG_JS = path.join(ROOT, 'assets/js/config.js');
+const CLIENTS_JS = path.join(ROOT, 'assets/js/clients.js');
+const SCAN_DIRS = [path.join(ROOT, 'assets/js'), ROOT];
+
+const MARKER_START = '    // <generated:endpoints>';
+const MARKER_END = '    // </generated:endpoints>';
+
+/**
+ * Path prefix -> group, checked in order (longest first)
+ * Paths not listed use their first segment after /api/v1/ or /api/
+ */
+const GROUP_PREFIXES = [
+    ['/api/v1/nurture/ops', 'NURTURE_OPS'],
+    ['/api/v1/nurture/sequence', 'NURTURE_SEQUENCE']
+];
+
+/**
+ * Explicit keys for routes the naming rules get wrong
+ * Format: 'METHOD path' -> 'GROUP.KEY'
+ */
+const KEY_OVERRIDES = {
+    'GET /api/health': 'HEALTH.ROOT',
+    'POST /api/v1/auth/auth/validate-token': 'AUTH.VALIDATE',
+    'POST /api/v1/acq/{provider}': 'ACQ.INGEST',
+    'GET /api/v1/leadnote/lead/{lead_id}': 'LEADNOTE.LIST_FOR_LEAD',
+    'POST /api/v1/leadnote/lead/{lead_id}': 'LEADNOTE.CREATE_FOR_LEAD',
+    'DELETE /api/v1/nurture/sequence/{sequence_id}/steps/{step_id}': 'NURTURE_SEQUENCE.STEP_DELETE',
+    'PATCH /api/v1/nurture/sequence/{sequence_id}/steps/{step_order}': 'NURTURE_SEQUENCE.STEP_UPDATE',
+    'PATCH /api/v1/nurture/sequence/{sequence_id}/steps/{step_order}/reorder': 'NURTURE_SEQUENCE.STEP_REORDER'
+};
+
+/**
+ * Routes the frontend uses that the backend spec does not list
+ * Kept in Config.ENDPOINTS so pages keep working, but --check reports them
+ * until the backend documents the route or the frontend stops using it.
+ */
+const EXTRA_ROUTES = [
+    { method: 'GET', path: '/api/v1/lead/archived', key: 'LEAD.ARCHIVED', note: 'archived leads view (leads.js)' }
+];
+
+/**
+ * Groups that get no generated client (owned by a hand-written module)
+ */
+const CLIENT_SKIP = ['AUTH'];
+
+/**
+ * Client object names for compound resource names
+ * Groups not listed become e.g. ADDRESS -> AddressClient
+ */
+const CLIENT_NAMES = {
+    CONTACTTYPE: 'ContactTypeClient',
+    LEADEMAILMESSAGE: 'LeadEmailMessageClient',
+    LEADEMAILTHREAD: 'LeadEmailThreadClient',
+    LEADEVENT: 'LeadEventClient',
+    LEADNOTE: 'LeadNoteClient',
+    LEADSMSMESSAGE: 'LeadSmsMessageClient',
+    LEADSOURCE: 'LeadSourceClient',
+    LEADSTATUS: 'LeadStatusClient',
+    LEADSTATUSHISTORY: 'LeadStatusHistoryClient',
+    NURTURE_OPS: 'NurtureOpsClient',
+    NURTURE_SEQUENCE: 'NurtureSequenceClient',
+    USERCONTACT: 'UserContactClient'
+};
+
+const BATCH_ACTIONS = ['activate', 'deactivate', 'soft-delete', 'restore'];
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// ============================================
+// SPEC PARSING
+// ============================================
+
+/**
+ * Parse the route tables in endpoints.md
+ * @param {string} markdown - endpoints.md contents
+ * @returns {Array<{tag, method, path, operationId}>} Routes in file order
+ */
+function parseEndpointsMarkdown(markdown) {
+    const routes = [];
+    let tag = null;
+
+    markdown.split('\n').forEach(line => {
+        const heading = line.match(/^##\s+(.+)$/);
+        if (heading) {
+            tag = heading[1].trim();
+            return;
+        }
+
+        const row = line.match(/^\|\s*([A-Z]+)\s*\|\s*(\/\S*)\s*\|\s*(\S+)\s*\|/);
+        if (row && METHODS.includes(row[1])) {
+            routes.push({ tag, method: row[1], path: row[2], operationId: row[3] });
+        }
+    });
+
+    return routes;
+}
+
+/**
+ * Read routes from an OpenAPI document
+ * @param {object} spec - Parsed OpenAPI JSON
+ * @returns {Array<{tag, method, path, operationId}>} Routes sorted by tag
+ */
+function parseOpenApi(spec) {
+    const routes = [];
+
+    Object.keys(spec.paths || {}).forEach(routePath => {
+        const item = spec.paths[routePath];
+        METHODS.forEach(method => {
+            const operation = item[method.toLowerCase()];
+            if (!operation) {
+                return;
+            }
+            const tag = (operation.tags && operation.tags[0]) || 'General';
+            routes.push({
+                tag: tag.charAt(0).toUpperCase() + tag.slice(1),
+                method,
+                path: routePath,
+                operationId: operation.operationId || `${method.toLowerCase()}_${routePath}`
+            });
+        });
+    });
+
+    // Stable sort keeps the spec's route order inside each tag
+    return routes.sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Render routes back into the endpoints.md table format
+ * @param {Array} routes - Routes grouped by tag
+ * @returns {string} Markdown
+ */
+function renderEndpointsMarkdown(routes) {
+    const sections = [];
+    let current = null;
+
+    routes.forEach(route => {
+        if (!current || current.tag !== route.tag) {
+            current = { tag: route.tag, lines: [] };
+            sections.push(current);
+        }
+        current.lines.push(`| ${route.method} | ${route.path} | ${route.operationId} |`);
+    });
+
+    return sections
+        .map(section => [`## ${section.tag}`, '| Method | Path | operationId |', '|---|---|---|', ...section.lines].join('\n'))
+        .join('\n\n') + '\n';
+}
+
+// ============================================
+// KEY NAMING
+// ============================================
+
+/**
+ * Work out the group for a route path
+ * @param {string} routePath - e.g. '/api/v1/lead/{id}/timeline'
+ * @returns {{group: string, rest: Array<string>}} Group and remaining segments
+ */
+function splitGroup(routePath) {
+    for (const [prefix, group] of GROUP_PREFIXES) {
+        if (routePath === prefix || routePath.startsWith(prefix + '/')) {
+            return { group, rest: segments(routePath.slice(prefix.length)) };
+        }
+    }
+
+    const relative = routePath.replace(/^\/api\/(v1\/)?/, '');
+    const [first, ...rest] = segments(relative);
+    return { group: toConstant(first || 'ROOT'), rest };
+}
+
+/**
+ * Derive 'GROUP.KEY' for a route
+ * @param {object} route - {method, path}
+ * @returns {string} Endpoint key
+ */
+function routeKey(route) {
+    const override = KEY_OVERRIDES[`${route.method} ${route.path}`];
+    if (override) {
+        return override;
+    }
+
+    const { group, rest } = splitGroup(route.path);
+    const isParam = segment => /^\{.+\}$/.test(segment);
+    let key;
+
+    if (rest.length === 0) {
+        key = route.method === 'GET' ? 'LIST' : 'CREATE';
+    } else if (rest.length === 1 && rest[0] === 'with-relationships') {
+        key = 'WITH_RELATIONSHIPS';
+    } else if (rest.length === 1 && isParam(rest[0])) {
+        key = { GET: 'READ', PUT: 'UPDATE', PATCH: 'UPDATE', DELETE: 'DELETE' }[route.method];
+    } else if (rest.length === 2 && isParam(rest[0]) && rest[1] === 'hard-delete') {
+        key = 'HARD_DELETE';
+    } else if (rest.length === 1 && BATCH_ACTIONS.includes(rest[0])) {
+        key = 'BATCH_' + toConstant(rest[0]);
+    } else {
+        key = rest.filter(segment => !isParam(segment)).map(toConstant).join('_');
+    }
+
+    if (!key) {
+        throw new Error(`No key rule for ${route.method} ${route.path} - add it to KEY_OVERRIDES`);
+    }
+
+    return `${group}.${key}`;
+}
+
+/**
+ * Build the endpoint map from routes
+ * Several routes may share a key only when they share a path (method differs).
+ * @param {Array} routes - Spec routes
+ * @returns {{groups: Object, routes: Array}} Map (GROUP -> KEY -> path) and keyed routes
+ */
+function buildEndpointMap(routes) {
+    const groups = {};
+    const keyed = [];
+
+    routes.concat(EXTRA_ROUTES.map(extra => ({ ...extra, extra: true, operationId: null }))).forEach(route => {
+        const key = route.key || routeKey(route);
+        const [group, name] = key.split('.');
+
+        groups[group] = groups[group] || {};
+        const existing = groups[group][name];
+        if (existing && existing !== route.path) {
+            throw new Error(`Key ${key} maps to both ${existing} and ${route.path} - add one to KEY_OVERRIDES`);
+        }
+        groups[group][name] = route.path;
+        keyed.push({ ...route, key });
+    });
+
+    return { groups, routes: keyed };
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Render the ENDPOINTS property for config.js (including markers)
+ * @param {Object} groups - GROUP -> KEY -> path
+ * @param {string} source - Source file name for the header comment
+ * @returns {string} JavaScript source
+ */
+function renderConfigBlock(groups, source) {
+    const lines = [
+        `${MARKER_START} - generated by tools/generate-endpoints.js from ${source}, do not edit by hand`,
+        '    /**',
+        '     * API endpoint paths',
+        '     * Every route in endpoints.md (plus EXTRA_ROUTES in the generator)',
+        '     *',
+        '     * Path parameters use {name} placeholders with the same names as',
+        '     * endpoints.md. Build concrete paths with API.route() instead of',
+        '     * string concatenation:',
+        "     *   API.route('LEAD.TIMELINE', { id: 42 })  // '/api/v1/lead/42/timeline'",
+        '     *',
+        '     * Several keys share a path (LIST/CREATE, READ/UPDATE); the HTTP',
+        '     * method is chosen by the API.get/post/put/... call.',
+        '     * @type {Object}',
+        '     */',
+        '    ENDPOINTS: {'
+    ];
+
+    const groupNames = Object.keys(groups);
+    groupNames.forEach((group, groupIndex) => {
+        lines.push(`        ${group}: {`);
+        const keys = Object.keys(groups[group]);
+        keys.forEach((key, keyIndex) => {
+            lines.push(`            ${key}: '${groups[group][key]}'${keyIndex < keys.length - 1 ? ',' : ''}`);
+        });
+        lines.push(`        }${groupIndex < groupNames.length - 1 ? ',' : ''}`);
+    });
+
+    lines.push('    },');
+    lines.push(MARKER_END);
+    return lines.join('\n');
+}
+
+/**
+ * Replace the generated block in config.js
+ * @param {string} configSource - Current config.js
+ * @param {string} block - New block from renderConfigBlock
+ * @returns {string} Updated config.js
+ */
+function replaceConfigBlock(configSource, block) {
+    const start = configSource.indexOf(MARKER_START);
+    const end = configSource.indexOf(MARKER_END);
+    if (start === -1 || end === -1) {
+        throw new Error(`config.js is missing the ${MARKER_START.trim()} / ${MARKER_END.trim()} markers`);
+    }
+    return configSource.slice(0, start) + block + configSource.slice(end + MARKER_END.length);
+}
+
+/**
+ * Client method name for a route
+ * Keys used by a single route: camelCase key (BATCH_ prefix dropped).
+ * Keys shared by several methods: camelCase operationId (resource prefix dropped).
+ * @param {object} route - Keyed route
+ * @param {boolean} shared - Whether other routes use the same key
+ * @returns {string} Method name
+ */
+function clientMethodName(route, shared) {
+    const [group, name] = route.key.split('.');
+
+    if (!shared || !route.operationId) {
+        return toCamel(name.replace(/^BATCH_/, ''));
+    }
+
+    const base = route.operationId.split('_api_')[0];
+    const resourcePrefix = group.toLowerCase() + '_';
+    return toCamel(base.startsWith(resourcePrefix) ? base.slice(resourcePrefix.length) : base);
+}
+
+/**
+ * Render one client method
+ * @param {object} route - Keyed route
+ * @param {string} methodName - Method name on the client
+ * @returns {string} JavaScript source
+ */
+function renderClientMethod(route, methodName) {
+    const params = (route.path.match(/\{([a-z_]+)\}/g) || []).map(match => match.slice(1, -1));
+    const args = params.map(toCamel);
+    const routeParams = params.length
+        ? `, { ${params.map((param, index) => (param === args[index] ? param : `${param}: ${args[index]}`)).join(', ')} }`
+        : '';
+    const endpoint = `API.route('${route.key}'${routeParams})`;
+
+    let signature;
+    let call;
+    switch (route.method) {
+        case 'GET':
+            signature = [...args, 'params = {}', 'options = {}'];
+            call = `API.get(${endpoint}, params, options)`;
+            break;
+        case 'DELETE':
+            signature = [...args, 'data = null', 'options = {}'];
+            call = `API.delete(${endpoint}, data, options)`;
+            break;
+        default:
+            signature = [...args, 'data = {}', 'options = {}'];
+            call = `API.${route.method.toLowerCase()}(${endpoint}, data, options)`;
+    }
+
+    const summary = route.extra
+        ? `${route.method} ${route.path} (not in endpoints.md - ${route.note})`
+        : `${route.method} ${route.path}`;
+
+    return [
+        `    /** ${summary} */`,
+        `    ${methodName}(${signature.join(', ')}) {`,
+        `        return ${call};`,
+        '    }'
+    ].join('\n');
+}
+
+/**
+ * Render assets/js/clients.js
+ * @param {Array} routes - Keyed routes
+ * @param {string} source - Source file name for the header comment
+ * @returns {string} JavaScript source
+ */
+function renderClients(routes, source) {
+    const byGroup = {};
+    routes.forEach(route => {
+        const group = route.key.split('.')[0];
+        if (!CLIENT_SKIP.includes(group)) {
+            (byGroup[group] = byGroup[group] || []).push(route);
+        }
+    });
+
+    const blocks = Object.keys(byGroup).map(group => {
+        const groupRoutes = byGroup[group];
+        const keyCounts = {};
+        groupRoutes.forEach(route => {
+            keyCounts[route.key] = (keyCounts[route.key] || 0) + 1;
+        });
+
+        const seen = new Set();
+        const methods = groupRoutes.map(route => {
+            const methodName = clientMethodName(route, keyCounts[route.key] > 1);
+            if (seen.has(methodName)) {
+                throw new Error(`Client method ${clientName(group)}.${methodName} is generated twice - add a KEY_OVERRIDES entry`);
+            }
+            seen.add(methodName);
+            return renderClientMethod(route, methodName);
+        });
+
+        return `const ${clientName(group)} = {\n${methods.join(',\n\n')}\n};`;
+    });
+
+    return `/**
+ * LeadsEngine Resource Clients
+ * GENERATED by tools/generate-endpoints.js from ${source} - do not edit by hand
+ *
+ * One object per backend resource wrapping API.get/post/put/patch/delete
+ * with the routes in Config.ENDPOINTS. Arguments are the path parameters
+ * first, then query params (GET) or the request body, then request options
+ * (timeout, retries, cancelKey, signal - see API.request).
+ *
+ * Usage:
+ *   const response = await LeadClient.read(42);
+ *   await LeadClient.softDelete([42, 43]);
+ *   const notes = await LeadNoteClient.listForLead(42);
+ *
+ * Load after api.js.
+ */
+
+${blocks.join('\n\n')}
+`;
+}
+
+// ============================================
+// DRIFT CHECK
+// ============================================
+
+/**
+ * Find endpoint usage in frontend code
+ * Collects Config.ENDPOINTS.X.Y / API.route('X.Y') keys and hard-coded /api/ paths
+ * @returns {Array<{file, line, key?, path?}>} Usages
+ */
+function findUsages() {
+    const usages = [];
+    const files = new Set();
+
+    SCAN_DIRS.forEach(dir => {
+        fs.readdirSync(dir)
+            .filter(name => /\.(js|html)$/.test(name) && !['config.js', 'clients.js'].includes(name) && !name.endsWith('.min.js'))
+            .forEach(name => files.add(path.join(dir, name)));
+    });
+
+    const componentsDir = path.join(ROOT, 'assets/js/components');
+    if (fs.existsSync(componentsDir)) {
+        fs.readdirSync(componentsDir).filter(name => name.endsWith('.js')).forEach(name => files.add(path.join(componentsDir, name)));
+    }
+
+    files.forEach(file => {
+        const relative = path.relative(ROOT, file);
+        fs.readFileSync(file, 'utf8').split('\n').forEach((text, index) => {
+            const line = index + 1;
+            const trimmed = text.trim();
+
+            // Doc comments describe routes, they don't call them
+            if (trimmed.startsWith('*') || trimmed.startsWith('//') || trimmed.startsWith('/*')) {
+                return;
+            }
+
+            for (const match of text.matchAll(/Config\.ENDPOINTS\.([A-Z_]+)\.([A-Z_]+)/g)) {
+                usages.push({ file: relative, line, key: `${match[1]}.${match[2]}` });
+            }
+            for (const match of text.matchAll(/API\.route\(\s*['"]([A-Z_]+\.[A-Z_]+)['"]/g)) {
+                usages.push({ file: relative, line, key: match[1] });
+            }
+            for (const match of text.matchAll(/['"`](\/api\/[^'"`?\s]*)/g)) {
+                usages.push({ file: relative, line, path: match[1] });
+            }
+        });
+    });
+
+    return usages;
+}
+
+/**
+ * Check whether a hard-coded path matches a route template
+ * ${...} interpolations and {param} placeholders match any single segment
+ * @param {string} usedPath - Path from the code
+ * @param {string} template - Route template from the spec
+ * @returns {boolean}
+ */
+function pathMatches(usedPath, template) {
+    const normalize = value => value.replace(/\$\{[^}]*\}/g, '{}').replace(/\{[a-z_]+\}/g, '{}');
+    const used = segments(normalize(usedPath));
+    const route = segments(normalize(template));
+    return used.length === route.length && used.every((segment, index) => segment === route[index] || segment === '{}' || route[index] === '{}');
+}
+
+/**
+ * Run the drift check
+ * @param {object} endpointMap - From buildEndpointMap
+ * @param {object} expected - {config, clients} generated sources
+ * @returns {number} Problem count
+ */
+function runCheck(endpointMap, expected) {
+    const problems = [];
+    const warnings = [];
+
+    if (fs.readFileSync(CONFIG_JS, 'utf8') !== expected.config) {
+        problems.push('assets/js/config.js ENDPOINTS block is out of date - run node tools/generate-endpoints.js');
+    }
+    if (!fs.existsSync(CLIENTS_JS) || fs.readFileSync(CLIENTS_JS, 'utf8') !== expected.clients) {
+        problems.push('assets/js/clients.js is out of date - run node tools/generate-endpoints.js');
+    }
+
+    const specRoutes = endpointMap.routes.filter(route => !route.extra);
+    const extraKeys = new Map(EXTRA_ROUTES.map(extra => [extra.key, extra]));
+
+    findUsages().forEach(usage => {
+        const where = `${usage.file}:${usage.line}`;
+
+        if (usage.key) {
+            const [group, name] = usage.key.split('.');
+            if (extraKeys.has(usage.key)) {
+                warnings.push(`${where} uses ${usage.key} (${extraKeys.get(usage.key).path}) which is not in the spec`);
+            } else if (!endpointMap.groups[group] || !endpointMap.groups[group][name]) {
+                problems.push(`${where} uses ${usage.key} which is not in the spec`);
+            }
+            return;
+        }
+
+        if (!specRoutes.some(route => pathMatches(usage.path, route.path))) {
+            problems.push(`${where} hard-codes ${usage.path} which is not in the spec`);
+        }
+    });
+
+    warnings.forEach(message => console.warn(`warning: ${message}`));
+    problems.forEach(message => console.error(`error: ${message}`));
+
+    if (problems.length === 0) {
+        console.log(`Endpoint check passed (${specRoutes.length} spec routes, ${warnings.length} warning(s))`);
+    }
+
+    return problems.length;
+}
+
+/**
+ * Compare OpenAPI routes with endpoints.md (order-insensitive)
+ * @param {Array} routes - Routes from the OpenAPI document
+ * @param {string} source - OpenAPI file name for messages
+ * @returns {number} Problem count
+ */
+function compareRouteLists(routes, source) {
+    const describe = route => `${route.method} ${route.path}`;
+    const documented = new Set(parseEndpointsMarkdown(fs.readFileSync(ENDPOINTS_MD, 'utf8')).map(describe));
+    const actual = new Set(routes.map(describe));
+
+    const missing = [...actual].filter(route => !documented.has(route));
+    const removed = [...documented].filter(route => !actual.has(route));
+
+    missing.forEach(route => console.error(`error: ${route} is in ${source} but not in endpoints.md`));
+    removed.forEach(route => console.error(`error: ${route} is in endpoints.md but not in ${source}`));
+
+    return missing.length + removed.length;
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function segments(value) {
+    return value.split('/').filter(Boolean);
+}
+
+function toConstant(value) {
+    return value.replace(/[^a-zA-Z0-9]+/g, '_').toUpperCase();
+}
+
+function toCamel(value) {
+    return value.toLowerCase().replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+function clientName(group) {
+    return CLIENT_NAMES[group] || group.charAt(0) + group.slice(1).toLowerCase() + 'Client';
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+function main(argv) {
+    const check = argv.includes('--check');
+    const openApiIndex = argv.indexOf('--openapi');
+    const openApiFile = openApiIndex !== -1 ? argv[openApiIndex + 1] : null;
+
+    if (openApiIndex !== -1 && !openApiFile) {
+        throw new Error('--openapi needs a path to the OpenAPI JSON file');
+    }
+
+    const markdownRoutes = parseEndpointsMarkdown(fs.readFileSync(ENDPOINTS_MD, 'utf8'));
+    const openApiRoutes = openApiFile ? parseOpenApi(JSON.parse(fs.readFileSync(openApiFile, 'utf8'))) : null;
+    const source = openApiFile ? path.basename(openApiFile) : 'endpoints.md';
+
+    // --check compares OpenAPI with endpoints.md and checks the generated
+    // files against endpoints.md; otherwise OpenAPI replaces endpoints.md
+    const routes = openApiRoutes && !check ? openApiRoutes : markdownRoutes;
+
+    if (routes.length === 0 || (openApiRoutes && openApiRoutes.length === 0)) {
+        throw new Error(`No routes found in ${source}`);
+    }
+
+    const endpointMap = buildEndpointMap(routes);
+    const expected = {
+        config: replaceConfigBlock(fs.readFileSync(CONFIG_JS, 'utf8'), renderConfigBlock(endpointMap.groups, 'endpoints.md')),
+        clients: renderClients(endpointMap.routes, 'endpoints.md')
+    };
+
+    if (check) {
+        let problems = openApiRoutes ? compareRouteLists(openApiRoutes, source) : 0;
+        problems += runCheck(endpointMap, expected);
+        return problems > 0 ? 1 : 0;
+    }
+
+    if (openApiFile) {
+        fs.writeFileSync(ENDPOINTS_MD, renderEndpointsMarkdown(routes));
+        console.log(`Wrote endpoints.md (${routes.length} routes from ${source})`);
+    }
+    fs.writeFileSync(CONFIG_JS, expected.config);
+    fs.writeFileSync(CLIENTS_JS, expected.clients);
+    console.log(`Wrote assets/js/config.js ENDPOINTS (${Object.keys(endpointMap.groups).length} groups) and assets/js/clients.js`);
+    return 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+    console.error(`error: ${error.message}`);
+    process.exitCode = 1;
+}